@@ -55,11 +55,22 @@ const {
   googleAuthCallback,
 } = require("./controllers/googleAuth");
 const { initializeSocket } = require("./utils/socket");
+const { attachSocketAdapter } = require("./utils/clusterAdapter");
+const { startLeaderLease } = require("./utils/leaderLease");
+const { ensureQuizQuestionIndexes } = require("./utils/quizQuestionBanks");
 const PricingSettings = require("./models/PricingSettings");
 const { bulkCorrectLegacyAutoProUsers } = require("./utils/adminProvisioning");
 // Event scheduler - automatically starts events at scheduled time
 const { startScheduler } = require("./utils/eventScheduler");
 const { startAdMediaCleanupJob } = require("./utils/adMediaCleanup");
+const { startSavedSearchAlertJob } = require("./utils/savedSearchAlerts");
+const { startMembershipLifecycleJob } = require("./utils/membershipLifecycle");
+const { startSlaCheckerJob } = require("./utils/supportSla");
+const { startQueueDispatchJob } = require("./utils/agentRouting");
+const { startDigitalServicesReconciliationJob } = require("./utils/digitalServicesReconciliation");
+const { startScheduledTopupJob } = require("./utils/scheduledTopups");
+const { startListingAnalyticsRollupJob } = require("./utils/listingAnalytics");
+const { startPageViewRollupJob } = require("./utils/pageViewRollups");
 const {
   ACTIVITY_RETENTION_DAYS,
   ensureActivityRetentionIndex,
@@ -129,12 +140,23 @@ mongoose
     } catch (error) {
       console.error("❌ Failed to configure activity log retention:", error);
     }
+    try {
+      await ensureQuizQuestionIndexes(mongoose);
+    } catch (error) {
+      console.error("❌ Failed to migrate quiz question indexes:", error);
+    }
     // Initialize default pricing settings
     await initializeDefaultPricing();
     const correctedUsers = await bulkCorrectLegacyAutoProUsers();
     if (correctedUsers > 0) {
       console.log(`✅ Corrected ${correctedUsers} legacy auto-Pro user account(s)`);
     }
+    // Cross-process Socket.IO broadcasting (CLUSTER_ADAPTER=mongo only)
+    try {
+      await attachSocketAdapter(io);
+    } catch (error) {
+      console.error("❌ Failed to attach Socket.IO mongo adapter:", error);
+    }
   })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
@@ -198,6 +220,7 @@ app.use(
       "Accept",
       "Origin",
       "Idempotency-Key",
+      "X-Device-Id",
     ],
     credentials: true,
     exposedHeaders: ["Cross-Origin-Resource-Policy"],
@@ -530,6 +553,9 @@ httpServer.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`💬 WebSocket server initialized`);
 
+  // Only the lease holder runs the schedulers below when several instances are up.
+  startLeaderLease();
+
   // Event auto-start scheduler - automatically starts events and executes raffles at scheduled times
   startScheduler();
   console.log(
@@ -538,4 +564,28 @@ httpServer.listen(PORT, () => {
 
   // Auto-delete ended ad media from GCS to reduce storage costs.
   startAdMediaCleanupJob();
+
+  // Deliver saved-search alert digests (daily/weekly batches).
+  startSavedSearchAlertJob();
+
+  // Membership renewal reminders, grace period and downgrade of lapsed tiers.
+  startMembershipLifecycleJob();
+
+  // Escalate support conversations that miss their SLA targets.
+  startSlaCheckerJob();
+
+  // Route queued support conversations to agents (language wait fallback).
+  startQueueDispatchJob();
+
+  // Settle stuck digital-service purchases from provider status; daily reconciliation report.
+  startDigitalServicesReconciliationJob();
+
+  // Place due scheduled / recurring airtime and data top-ups.
+  startScheduledTopupJob();
+
+  // Roll up listing engagement events into per-day analytics.
+  startListingAnalyticsRollupJob();
+
+  // Keep hourly / daily site traffic rollups before raw page views are purged (24h).
+  startPageViewRollupJob();
 });
@@ -0,0 +1,508 @@
+const mongoose = require("mongoose");
+const AdCampaign = require("../models/AdCampaign");
+const AdTargetingProfile = require("../models/AdTargetingProfile");
+const Advertisement = require("../models/Advertisement");
+const { BadRequestError, NotFoundError, ForbiddenError } = require("../utils/errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toRate = (numerator, denominator) =>
+  denominator > 0 ? parseFloat(((numerator / denominator) * 100).toFixed(2)) : 0;
+
+// Same ownership rule as getAdById/completeAdPayment in controllers/advertising.js
+const isAdOwner = (ad, user) =>
+  (ad.advertiser?.userId && String(ad.advertiser.userId) === String(user._id)) ||
+  ad.advertiser?.email === user.email;
+
+const ownedAdsQuery = (user) => ({
+  $or: [{ "advertiser.userId": user._id }, { "advertiser.email": user.email }],
+});
+
+const parseBudget = (budget) => {
+  const amount = typeof budget === "object" && budget !== null ? budget.amount : budget;
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new BadRequestError("Budget must be a positive amount");
+  }
+  return toMoney(value);
+};
+
+const parseAgeRange = (ageRange) => {
+  if (!ageRange) return undefined;
+  if (typeof ageRange === "object") {
+    return { min: Number(ageRange.min) || 18, max: Number(ageRange.max) || 65 };
+  }
+  const match = String(ageRange).match(/^\s*(\d{1,3})\s*-\s*(\d{1,3})\s*$/);
+  if (!match) {
+    throw new BadRequestError('Age range must look like "18-65"');
+  }
+  return { min: Number(match[1]), max: Number(match[2]) };
+};
+
+const loadOwnedCampaign = async (campaignId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(campaignId)) {
+    throw new BadRequestError("Invalid campaign ID");
+  }
+  const campaign = await AdCampaign.findById(campaignId);
+  if (!campaign || campaign.status === "archived") {
+    throw new NotFoundError("Campaign not found");
+  }
+  if (String(campaign.owner) !== String(user._id) && user.role !== "admin") {
+    throw new ForbiddenError("Not authorized to manage this campaign");
+  }
+  return campaign;
+};
+
+const loadOwnedTargetingProfile = async (profileId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(profileId)) {
+    throw new BadRequestError("Invalid targeting profile ID");
+  }
+  const profile = await AdTargetingProfile.findById(profileId);
+  if (!profile || profile.status === "archived") {
+    throw new NotFoundError("Targeting profile not found");
+  }
+  if (String(profile.owner) !== String(user._id) && user.role !== "admin") {
+    throw new ForbiddenError("Not authorized to use this targeting profile");
+  }
+  return profile;
+};
+
+/**
+ * Sum impressions, clicks, conversions and spend of the ads grouped under each campaign.
+ * Spend counts paid ads only; committed counts every attached ad's price.
+ */
+const aggregateCampaignPerformance = async (campaignIds) => {
+  if (campaignIds.length === 0) return new Map();
+
+  const rows = await Advertisement.aggregate([
+    { $match: { campaign: { $in: campaignIds } } },
+    {
+      $group: {
+        _id: "$campaign",
+        ads: { $sum: 1 },
+        activeAds: { $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] } },
+        impressions: { $sum: "$analytics.impressions" },
+        clicks: { $sum: "$analytics.clicks" },
+        conversions: { $sum: "$analytics.conversions" },
+        spend: {
+          $sum: { $cond: [{ $eq: ["$paymentStatus", "paid"] }, "$pricing.amount", 0] },
+        },
+        committed: { $sum: "$pricing.amount" },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [String(row._id), row]));
+};
+
+const serializeCampaign = (campaign, performance = {}) => {
+  const data = typeof campaign.toObject === "function" ? campaign.toObject() : campaign;
+  const impressions = performance.impressions || 0;
+  const clicks = performance.clicks || 0;
+  const conversions = performance.conversions || 0;
+  const spent = toMoney(performance.spend);
+
+  return {
+    ...data,
+    id: data._id,
+    budget: {
+      ...data.budget,
+      spent,
+      committed: toMoney(performance.committed),
+      remaining: toMoney(Math.max(0, (data.budget?.amount || 0) - spent)),
+    },
+    performance: {
+      ads: performance.ads || 0,
+      activeAds: performance.activeAds || 0,
+      impressions,
+      clicks,
+      conversions,
+      ctr: toRate(clicks, impressions),
+      conversionRate: toRate(conversions, clicks),
+    },
+  };
+};
+
+/**
+ * Attach the given ads to a campaign after checking ownership and that the
+ * combined ad prices stay within the campaign budget.
+ */
+const attachAdsToCampaign = async (campaign, adIds, user) => {
+  const ids = [...new Set((adIds || []).map(String))];
+  if (ids.length === 0) return;
+
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw new BadRequestError("Invalid advertisement ID");
+  }
+
+  const ads = await Advertisement.find({ _id: { $in: ids } }).select("advertiser pricing campaign");
+  if (ads.length !== ids.length) {
+    throw new NotFoundError("One or more advertisements were not found");
+  }
+  if (!ads.every((ad) => isAdOwner(ad, user))) {
+    throw new ForbiddenError("You can only add your own advertisements to a campaign");
+  }
+
+  const newAds = ads.filter((ad) => String(ad.campaign) !== String(campaign._id));
+  const performance = (await aggregateCampaignPerformance([campaign._id])).get(
+    String(campaign._id)
+  );
+  const committed =
+    (performance?.committed || 0) +
+    newAds.reduce((sum, ad) => sum + (Number(ad.pricing?.amount) || 0), 0);
+
+  if (committed > campaign.budget.amount) {
+    throw new BadRequestError(
+      `These ads would commit $${toMoney(committed)} which exceeds the campaign budget of $${campaign.budget.amount}`
+    );
+  }
+
+  await Advertisement.updateMany(
+    { _id: { $in: newAds.map((ad) => ad._id) } },
+    { $set: { campaign: campaign._id } }
+  );
+};
+
+/**
+ * GET /advertising/campaigns
+ * List the signed-in advertiser's campaigns with live performance
+ */
+exports.getCampaigns = async (req, res, next) => {
+  try {
+    const query = { owner: req.user._id, status: { $ne: "archived" } };
+    if (req.query.status) query.status = req.query.status;
+
+    const campaigns = await AdCampaign.find(query)
+      .populate("targetingProfile")
+      .sort({ createdAt: -1 });
+    const performance = await aggregateCampaignPerformance(campaigns.map((c) => c._id));
+
+    res.json({
+      success: true,
+      campaigns: campaigns.map((c) => serializeCampaign(c, performance.get(String(c._id)))),
+      count: campaigns.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /advertising/campaigns/:id
+ * Single campaign with its ads
+ */
+exports.getCampaignById = async (req, res, next) => {
+  try {
+    const campaign = await loadOwnedCampaign(req.params.id, req.user);
+    await campaign.populate("targetingProfile");
+
+    const [ads, performance] = await Promise.all([
+      Advertisement.find({ campaign: campaign._id }).sort({ createdAt: -1 }),
+      aggregateCampaignPerformance([campaign._id]),
+    ]);
+
+    res.json({
+      success: true,
+      campaign: serializeCampaign(campaign, performance.get(String(campaign._id))),
+      ads,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /advertising/campaigns
+ * Create a campaign, optionally grouping existing ads and a targeting profile
+ */
+exports.createCampaign = async (req, res, next) => {
+  try {
+    const {
+      name,
+      description,
+      budget,
+      targetAudience,
+      duration,
+      startDate,
+      platformPreferences,
+      targetingProfileId,
+      adIds,
+    } = req.body;
+
+    if (!name || !budget || !targetAudience || !duration) {
+      throw new BadRequestError("Name, budget, target audience, and duration are required");
+    }
+
+    const durationDays = parseInt(duration, 10);
+    if (!Number.isFinite(durationDays) || durationDays < 1) {
+      throw new BadRequestError("Duration must be a whole number of days");
+    }
+
+    let targetingProfile;
+    if (targetingProfileId) {
+      targetingProfile = await loadOwnedTargetingProfile(targetingProfileId, req.user);
+    }
+
+    const campaign = new AdCampaign({
+      owner: req.user._id,
+      name,
+      description,
+      budget: { amount: parseBudget(budget) },
+      targetAudience,
+      durationDays,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      platformPreferences: platformPreferences || {},
+      targetingProfile: targetingProfile?._id,
+    });
+    await campaign.save();
+
+    try {
+      await attachAdsToCampaign(campaign, adIds, req.user);
+    } catch (attachError) {
+      // Don't leave a half-configured campaign behind.
+      await AdCampaign.deleteOne({ _id: campaign._id });
+      throw attachError;
+    }
+
+    const performance = await aggregateCampaignPerformance([campaign._id]);
+    await campaign.populate("targetingProfile");
+
+    res.status(201).json({
+      success: true,
+      campaign: serializeCampaign(campaign, performance.get(String(campaign._id))),
+      message: "Ad campaign created successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /advertising/campaigns/:id
+ * Update a campaign the user owns. Pausing/resuming a campaign pauses/resumes its paid ads.
+ */
+exports.updateCampaign = async (req, res, next) => {
+  try {
+    const {
+      name,
+      description,
+      budget,
+      targetAudience,
+      status,
+      duration,
+      platformPreferences,
+      targetingProfileId,
+      adIds,
+      removeAdIds,
+    } = req.body;
+
+    const hasUpdate = [
+      name,
+      description,
+      budget,
+      targetAudience,
+      status,
+      duration,
+      platformPreferences,
+      targetingProfileId,
+      adIds,
+      removeAdIds,
+    ].some((value) => value !== undefined);
+    if (!hasUpdate) {
+      throw new BadRequestError("At least one field is required to update");
+    }
+
+    const campaign = await loadOwnedCampaign(req.params.id, req.user);
+    const previousStatus = campaign.status;
+
+    if (name !== undefined) campaign.name = name;
+    if (description !== undefined) campaign.description = description;
+    if (targetAudience !== undefined) campaign.targetAudience = targetAudience;
+    if (platformPreferences !== undefined) campaign.platformPreferences = platformPreferences;
+    if (status !== undefined) campaign.status = status;
+
+    if (budget !== undefined) {
+      const amount = parseBudget(budget);
+      const performance = (await aggregateCampaignPerformance([campaign._id])).get(
+        String(campaign._id)
+      );
+      if (amount < toMoney(performance?.spend)) {
+        throw new BadRequestError(
+          "Budget cannot be lower than what the campaign has already spent"
+        );
+      }
+      campaign.budget.amount = amount;
+    }
+
+    if (duration !== undefined) {
+      const durationDays = parseInt(duration, 10);
+      if (!Number.isFinite(durationDays) || durationDays < 1) {
+        throw new BadRequestError("Duration must be a whole number of days");
+      }
+      campaign.durationDays = durationDays;
+      campaign.endDate = new Date(campaign.startDate.getTime() + durationDays * DAY_MS);
+    }
+
+    if (targetingProfileId !== undefined) {
+      campaign.targetingProfile = targetingProfileId
+        ? (await loadOwnedTargetingProfile(targetingProfileId, req.user))._id
+        : undefined;
+    }
+
+    await campaign.save();
+
+    if (Array.isArray(removeAdIds) && removeAdIds.length > 0) {
+      await Advertisement.updateMany(
+        {
+          _id: { $in: removeAdIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) },
+          campaign: campaign._id,
+        },
+        { $unset: { campaign: 1 } }
+      );
+    }
+    await attachAdsToCampaign(campaign, adIds, req.user);
+
+    if (previousStatus !== campaign.status) {
+      if (campaign.status === "paused") {
+        await Advertisement.updateMany(
+          { campaign: campaign._id, status: "active" },
+          { $set: { status: "paused" } }
+        );
+      } else if (campaign.status === "active") {
+        await Advertisement.updateMany(
+          { campaign: campaign._id, status: "paused", paymentStatus: "paid" },
+          { $set: { status: "active" } }
+        );
+      }
+    }
+
+    const performance = await aggregateCampaignPerformance([campaign._id]);
+    await campaign.populate("targetingProfile");
+
+    res.json({
+      success: true,
+      campaign: serializeCampaign(campaign, performance.get(String(campaign._id))),
+      message: "Ad campaign updated successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /advertising/analytics
+ * Real impressions/clicks/spend across all of the user's ads, broken down by campaign
+ */
+exports.getAdvertisingAnalytics = async (req, res, next) => {
+  try {
+    const [totalsRows, campaigns] = await Promise.all([
+      Advertisement.aggregate([
+        { $match: ownedAdsQuery(req.user) },
+        {
+          $group: {
+            _id: null,
+            ads: { $sum: 1 },
+            impressions: { $sum: "$analytics.impressions" },
+            clicks: { $sum: "$analytics.clicks" },
+            conversions: { $sum: "$analytics.conversions" },
+            spend: {
+              $sum: { $cond: [{ $eq: ["$paymentStatus", "paid"] }, "$pricing.amount", 0] },
+            },
+          },
+        },
+      ]),
+      AdCampaign.find({ owner: req.user._id, status: { $ne: "archived" } }).sort({
+        createdAt: -1,
+      }),
+    ]);
+
+    const totals = totalsRows[0] || {};
+    const performance = await aggregateCampaignPerformance(campaigns.map((c) => c._id));
+    const totalImpressions = totals.impressions || 0;
+    const totalClicks = totals.clicks || 0;
+    const totalConversions = totals.conversions || 0;
+
+    res.json({
+      success: true,
+      analytics: {
+        totalAds: totals.ads || 0,
+        totalSpend: toMoney(totals.spend),
+        totalImpressions,
+        totalClicks,
+        totalConversions,
+        ctr: toRate(totalClicks, totalImpressions),
+        conversionRate: toRate(totalConversions, totalClicks),
+        campaigns: campaigns.map((c) => {
+          const {
+            _id,
+            name,
+            status,
+            budget,
+            performance: stats,
+          } = serializeCampaign(c, performance.get(String(c._id)));
+          return { _id, name, status, budget, ...stats };
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /advertising/targeting
+ * List the user's saved targeting profiles
+ */
+exports.getTargetingProfiles = async (req, res, next) => {
+  try {
+    const profiles = await AdTargetingProfile.find({
+      owner: req.user._id,
+      status: "active",
+    }).sort({ createdAt: -1 });
+
+    res.json({ success: true, targetingProfiles: profiles, count: profiles.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /advertising/targeting
+ * Persist an audience targeting profile, optionally attaching it to a campaign
+ */
+exports.createTargetingProfile = async (req, res, next) => {
+  try {
+    const { name, ageRange, locations, interests, behaviors, devices, campaignId } = req.body;
+
+    if (!Array.isArray(locations) || locations.length === 0) {
+      throw new BadRequestError("At least one location is required");
+    }
+
+    const campaign = campaignId ? await loadOwnedCampaign(campaignId, req.user) : null;
+
+    const profile = await AdTargetingProfile.create({
+      owner: req.user._id,
+      name,
+      ageRange: parseAgeRange(ageRange),
+      locations,
+      interests: interests || [],
+      behaviors: behaviors || [],
+      devices: devices || [],
+    });
+
+    if (campaign) {
+      campaign.targetingProfile = profile._id;
+      await campaign.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      targeting: { ...profile.toObject(), id: profile._id },
+      message: "Advanced targeting profile created",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,6 @@
+const mongoose = require("mongoose");
 const Advertisement = require("../models/Advertisement");
+const Listing = require("../models/Listing");
 const Payment = require("../models/Payment");
 const { BadRequestError, NotFoundError, ForbiddenError } = require("../utils/errors");
 const {
@@ -7,6 +9,14 @@ const {
   sendAdRejected,
   sendAdActivated,
 } = require("../utils/notifications");
+const {
+  getViewerContext,
+  matchesTargeting,
+  getAdWeight,
+  rotateByWeight,
+  getFrequencyCappedAdIds,
+  recordSessionImpression,
+} = require("../utils/adTargeting");
 
 // Cloud storage cleanup (GCS) is handled by bucket lifecycle/IAM policies.
 // Keep a no-op helper to preserve existing controller flow.
@@ -58,11 +68,20 @@ const normalizeMediaFiles = (mediaFiles = []) => {
 /**
  * Get active advertisements for a specific placement
  * Public route - used to display ads on frontend
- * Supports both single placement and package-based multiple placements
+ * Supports both single placement and package-based multiple placements.
+ * Honours per-ad targeting (country, device, page category, campaign targeting profile),
+ * rotates by package weight and applies per-session frequency caps.
  */
 exports.getActiveAds = async (req, res, next) => {
   try {
-    const { placement, category, limit = 5 } = req.query;
+    const { placement, listingId, limit = 5 } = req.query;
+    const context = getViewerContext(req);
+
+    // Resolve the page's listing category when the client sends the listing being viewed
+    if (!context.category && listingId && mongoose.Types.ObjectId.isValid(listingId)) {
+      const listing = await Listing.findById(listingId).select("category").lean();
+      context.category = listing?.category || "";
+    }
 
     const now = new Date();
     const query = {
@@ -79,67 +98,51 @@ exports.getActiveAds = async (req, res, next) => {
       ];
     }
 
-    if (category) {
+    if (context.category) {
       query.$and = query.$and || [];
       query.$and.push({
-        $or: [{ category: category }, { category: { $exists: false } }],
+        $or: [{ category: context.category }, { category: { $exists: false } }],
       });
     }
 
-    console.log("📢 [Ads] Fetching ads with query:", JSON.stringify(query));
-    console.log("📢 [Ads] Current time:", now);
+    const maxAds = Math.min(parseInt(limit) || 5, 50);
 
-    // Fetch ads sorted by priority (highest first), then by pricing tier
+    // Fetch a wider pool than requested; targeting and caps are applied in memory.
     const ads = await Advertisement.find(query)
+      .populate({
+        path: "campaign",
+        select: "status targetingProfile",
+        populate: { path: "targetingProfile" },
+      })
       .sort({
         "settings.priority": -1, // Priority first (10, 9, 8, 7...)
         "pricing.amount": -1, // Then by price (higher paying first)
         createdAt: -1, // Finally by recency
       })
-      .limit(parseInt(limit));
-
-    console.log(`📢 [Ads] Found ${ads.length} ads before filtering`);
+      .limit(Math.max(maxAds * 10, 50));
 
-    // Manual filter for impression/click caps (don't use isActive method)
-    const activeAds = ads.filter((ad) => {
+    const cappedAdIds = await getFrequencyCappedAdIds(ads, context.sessionId);
+    const eligibleAds = ads.filter((ad) => {
       const maxImpressions = ad.settings?.maxImpressions;
       const maxClicks = ad.settings?.maxClicks;
       const impressions = ad.analytics?.impressions || 0;
       const clicks = ad.analytics?.clicks || 0;
 
       return (
-        (!maxImpressions || impressions < maxImpressions) && (!maxClicks || clicks < maxClicks)
+        (!maxImpressions || impressions < maxImpressions) &&
+        (!maxClicks || clicks < maxClicks) &&
+        (!ad.campaign || ad.campaign.status === "active") &&
+        matchesTargeting(ad, context) &&
+        !cappedAdIds.has(String(ad._id))
       );
     });
 
-    console.log(`📢 [Ads] ${activeAds.length} ads after filtering caps`);
-    if (activeAds.length > 0) {
-      console.log(
-        "📢 [Ads] Returning ads:",
-        activeAds.map((ad) => ({
-          id: ad._id,
-          title: ad.title,
-          placement: ad.placement,
-          hasMedia: ad.mediaFiles?.length > 0,
-        }))
-      );
-    }
+    const activeAds = rotateByWeight(eligibleAds).slice(0, maxAds);
 
-    // Implement weighted rotation for premium ads
-    // Give premium ads (enterprise/professional) more weight
+    // Weighted array for client-side rotation: each ad repeated by its package weight
     const weightedAds = [];
     activeAds.forEach((ad) => {
-      const plan = ad.pricing?.plan || "starter";
-      let weight = 1;
-
-      // Weight based on pricing tier
-      if (plan === "enterprise" || plan === "custom") {
-        weight = 3; // Appear 3x more often
-      } else if (plan === "professional") {
-        weight = 2; // Appear 2x more often
-      }
-
-      // Add ad multiple times based on weight
+      const weight = getAdWeight(ad);
       for (let i = 0; i < weight; i++) {
         weightedAds.push(ad);
       }
@@ -149,9 +152,11 @@ exports.getActiveAds = async (req, res, next) => {
       if (!adDoc) return adDoc;
       const ad = typeof adDoc.toObject === "function" ? adDoc.toObject() : adDoc;
 
-      // Google Cloud Storage URLs are already public and safe to expose
+      // Google Cloud Storage URLs are already public and safe to expose.
+      // Campaign internals (targeting profile) stay private to the advertiser.
       return {
         ...ad,
+        campaign: ad.campaign?._id || ad.campaign,
         mediaFiles: ad.mediaFiles,
         imageUrl: ad.imageUrl,
         videoUrl: ad.videoUrl,
@@ -420,6 +425,7 @@ exports.trackImpression = async (req, res, next) => {
     }
 
     await ad.recordImpression();
+    await recordSessionImpression(ad, String(req.body?.sessionId || req.query.sessionId || ""));
 
     res.json({ success: true });
   } catch (error) {
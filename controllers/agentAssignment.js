@@ -1,65 +1,128 @@
 const Agent = require("../models/Agent");
 const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
 const User = require("../models/User");
 const NotFoundError = require("../utils/errors/NotFoundError");
 const BadRequestError = require("../utils/errors/BadRequestError");
 const ForbiddenError = require("../utils/errors/ForbiddenError");
+const { buildConversationSla } = require("../utils/supportSla");
+const {
+  resolveRoutingLanguage,
+  claimBestAgent,
+  reserveAgent,
+  findNextConversationForAgent,
+  assignQueuedConversation,
+  triggerQueueDispatch,
+} = require("../utils/agentRouting");
 
 /**
- * Assign an available agent to a user's request
- * Routes to the best available agent based on criteria
+ * Open a user-to-agent conversation for a user: routes to the best available agent by
+ * language, skills, load and idle time (see utils/agentRouting.js) or queues it.
+ * Shared by the support request endpoint and the AI assistant handoff.
  */
-exports.assignAgent = async (req, res, next) => {
-  try {
-    const { requestType, priority, tags, userMessage } = req.body;
-    const userId = req.user.id;
+exports.requestAgentSupport = async ({
+  userId,
+  requestType,
+  priority,
+  tags,
+  userMessage,
+  language,
+  transcript,
+}) => {
+  const user = await User.findById(userId);
+  const department = requestType || "customer_support";
+  const conversationTags = tags || [requestType || "general"];
+  const routingLanguage = resolveRoutingLanguage({
+    requested: language,
+    message: userMessage,
+    user,
+  });
+  const routing = {
+    language: routingLanguage.language,
+    languageSource: routingLanguage.source,
+    languageRequired: routingLanguage.required,
+    country: user?.country || null,
+    queuedAt: new Date(),
+  };
+  const sla = await buildConversationSla({
+    department,
+    priority: priority || "normal",
+  });
+
+  // Find best available agent (a chat slot is reserved on the returned agent)
+  const agent = await claimBestAgent({ department, tags: conversationTags, routing });
 
-    // Find best available agent
-    const criteria = {
-      department: requestType || "customer_support",
+  const conversation = await Conversation.create({
+    type: "user-to-agent",
+    participants: agent ? [userId, agent.userId._id] : [userId],
+    assignedAgent: agent ? agent._id : null,
+    agentJoinedAt: agent ? new Date() : null,
+    status: agent ? "active" : "queued",
+    priority: priority || "normal",
+    department,
+    routing: agent ? { ...routing, assignedAt: new Date() } : routing,
+    sla,
+    tags: conversationTags,
+    title: userMessage ? userMessage.substring(0, 100) : "Support Request",
+  });
+
+  // Give the agent the context gathered before the handoff (e.g. the AI assistant chat)
+  if (transcript) {
+    await Message.create({
+      conversation: conversation._id,
+      sender: userId,
+      text: transcript.slice(0, 4000),
+      readBy: [{ user: userId, readAt: new Date() }],
+    });
+    conversation.lastMessage = {
+      text: transcript.substring(0, 50) + (transcript.length > 50 ? "..." : ""),
+      sender: userId,
+      timestamp: new Date(),
     };
+    await conversation.save();
+  }
 
-    // Add user's country for geo-routing
-    const user = await User.findById(userId);
-    if (user && user.country) {
-      criteria.country = user.country;
-    }
+  if (!agent) {
+    return {
+      status: "queued",
+      conversation,
+      language: routing.language,
+      estimatedWaitTime: await getEstimatedWaitTime(),
+    };
+  }
 
-    const agent = await Agent.findAvailableAgent(criteria);
+  return { status: "assigned", conversation, agent };
+};
 
-    if (!agent) {
-      // No agents available - create queued conversation
-      const conversation = await Conversation.create({
-        type: "user-to-agent",
-        participants: [userId],
-        status: "queued",
-        priority: priority || "normal",
-        tags: tags || [requestType || "general"],
-        title: userMessage ? userMessage.substring(0, 100) : "Support Request",
-      });
+/**
+ * Assign an available agent to a user's request
+ */
+exports.assignAgent = async (req, res, next) => {
+  try {
+    const { requestType, priority, tags, userMessage, language } = req.body;
+
+    const result = await exports.requestAgentSupport({
+      userId: req.user.id,
+      requestType,
+      priority,
+      tags,
+      userMessage,
+      language,
+    });
 
+    if (result.status === "queued") {
+      // No suitable agent available - conversation was queued
       return res.status(200).json({
         success: true,
         status: "queued",
         message: "All agents are currently busy. You've been added to the queue.",
-        conversation: conversation._id,
-        estimatedWaitTime: await getEstimatedWaitTime(),
+        conversation: result.conversation._id,
+        language: result.language,
+        estimatedWaitTime: result.estimatedWaitTime,
       });
     }
 
-    // Agent available - assign and create conversation
-    await agent.acceptChat();
-
-    const conversation = await Conversation.create({
-      type: "user-to-agent",
-      participants: [userId, agent.userId],
-      assignedAgent: agent._id,
-      agentJoinedAt: new Date(),
-      status: "active",
-      priority: priority || "normal",
-      tags: tags || [requestType || "general"],
-      title: userMessage ? userMessage.substring(0, 100) : "Support Request",
-    });
+    const { conversation, agent } = result;
 
     // Populate agent user info
     await conversation.populate("assignedAgent");
@@ -75,6 +138,7 @@ exports.assignAgent = async (req, res, next) => {
         name: agent.userId.name,
         role: agent.role,
         department: agent.department,
+        languages: agent.languages,
         profilePhoto: agent.userId.profilePhoto,
       },
     });
@@ -116,6 +180,8 @@ exports.getQueue = async (req, res, next) => {
 
 /**
  * Agent accepts a queued conversation
+ * Agents take the next conversation routed to them; only agents who can access all
+ * chats (supervisors) may pick a specific one out of order
  */
 exports.acceptQueuedChat = async (req, res, next) => {
   try {
@@ -133,48 +199,52 @@ exports.acceptQueuedChat = async (req, res, next) => {
       throw new BadRequestError("You have reached your maximum chat capacity");
     }
 
-    // Get conversation
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      throw new NotFoundError("Conversation not found");
-    }
+    const nextConversation = await findNextConversationForAgent(agent);
 
-    if (conversation.status !== "queued") {
-      throw new BadRequestError("This conversation is not in the queue");
-    }
+    // Get conversation
+    let conversation = null;
+    if (conversationId) {
+      conversation = await Conversation.findById(conversationId);
+      if (!conversation) {
+        throw new NotFoundError("Conversation not found");
+      }
 
-    // Assign agent
-    conversation.assignedAgent = agent._id;
-    conversation.agentJoinedAt = new Date();
-    conversation.status = "active";
-    conversation.participants.push(agentUserId);
-    await conversation.save();
+      if (conversation.status !== "queued") {
+        throw new BadRequestError("This conversation is not in the queue");
+      }
 
-    // Update agent
-    await agent.acceptChat();
+      if (
+        !agent.permissions.canAccessAllChats &&
+        String(nextConversation?._id) !== String(conversation._id)
+      ) {
+        throw new ForbiddenError(
+          "Queued chats are handed out in routing order. Accept the next chat in your queue."
+        );
+      }
+    } else if (nextConversation) {
+      conversation = nextConversation;
+    } else {
+      throw new NotFoundError("There are no queued chats for you right now");
+    }
 
-    await conversation.populate("participants", "name profilePhoto");
+    // Reserve a chat slot and assign agent
+    const reserved = await reserveAgent(agent._id);
+    if (!reserved) {
+      throw new BadRequestError("You have reached your maximum chat capacity");
+    }
 
-    // Emit socket event to notify customer that agent joined
-    try {
-      const io = require("../utils/socket").getIO();
-      if (io) {
-        io.to(conversationId).emit("agent:joined", {
-          agentId: agent._id,
-          conversationId,
-          timestamp: new Date(),
-        });
-        console.log(`✅ Emitted agent:joined for conversation ${conversationId}`);
-      }
-    } catch (socketError) {
-      console.error("Error emitting socket event:", socketError);
-      // Continue even if socket fails
+    const io = require("../utils/socket").getIO();
+    const assigned = await assignQueuedConversation(conversation._id, reserved, { io });
+    if (!assigned) {
+      throw new BadRequestError("This conversation is not in the queue");
     }
 
+    await assigned.populate("participants", "name profilePhoto");
+
     res.status(200).json({
       success: true,
       message: "Chat accepted successfully",
-      conversation,
+      conversation: assigned,
     });
   } catch (error) {
     next(error);
@@ -239,6 +309,9 @@ exports.transferChat = async (req, res, next) => {
     await currentAgent.completeChat(false);
     await toAgent.acceptChat();
 
+    // The freed slot can go to the next queued conversation
+    triggerQueueDispatch("transfer");
+
     res.status(200).json({
       success: true,
       message: "Chat transferred successfully",
@@ -286,6 +359,7 @@ exports.closeConversation = async (req, res, next) => {
 
     // Update agent stats
     await agent.completeChat(true);
+    triggerQueueDispatch("chat closed");
 
     res.status(200).json({
       success: true,
@@ -415,6 +489,11 @@ exports.updateAgentStatus = async (req, res, next) => {
     const agent = await Agent.findById(user.agentProfile);
     await agent.updateStatus(status);
 
+    // Push waiting conversations to agents as they come online
+    if (status === "online" || status === "away") {
+      triggerQueueDispatch("agent online");
+    }
+
     res.status(200).json({
       success: true,
       message: `Status updated to ${status}`,
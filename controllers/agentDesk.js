@@ -0,0 +1,526 @@
+const mongoose = require("mongoose");
+const Agent = require("../models/Agent");
+const CannedResponse = require("../models/CannedResponse");
+const Conversation = require("../models/Conversation");
+const Listing = require("../models/Listing");
+const SlaPolicy = require("../models/SlaPolicy");
+const NotFoundError = require("../utils/errors/NotFoundError");
+const BadRequestError = require("../utils/errors/BadRequestError");
+const ForbiddenError = require("../utils/errors/ForbiddenError");
+const { getSlaOverview, getSlaStatus } = require("../utils/supportSla");
+const { escapeRegExp } = require("../utils/listingSearch");
+
+const DEPARTMENTS = ["customer_support", "sales", "technical", "billing", "moderation", "general"];
+const PRIORITIES = ["low", "normal", "high", "urgent"];
+// Variables agents can use in canned responses, e.g. "Hi {{userFirstName}}"
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Helper: active agent profile of the requester
+ */
+async function getRequestAgent(req) {
+  if (!req.user.isAgent || !req.user.agentProfile) {
+    return null;
+  }
+
+  const agent = await Agent.findById(req.user.agentProfile);
+  return agent && agent.isActive ? agent : null;
+}
+
+/**
+ * Helper: allow admins and supervisor agents
+ */
+async function assertSupervisorOrAdmin(req, message) {
+  if (req.user.role === "admin") return null;
+
+  const agent = await getRequestAgent(req);
+  if (!agent || agent.role !== "supervisor") {
+    throw new ForbiddenError(message);
+  }
+  return agent;
+}
+
+function pickOptionalEnum(value, allowed, label) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "" || value === "all") return null;
+  if (!allowed.includes(value)) {
+    throw new BadRequestError(`Invalid ${label}`);
+  }
+  return value;
+}
+
+function parseMinutes(value, label) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1) {
+    throw new BadRequestError(`${label} must be a whole number of minutes`);
+  }
+  return minutes;
+}
+
+function renderTemplate(body, variables) {
+  const missing = new Set();
+  const text = body.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => {
+    // Own keys only, so {{constructor}} or {{toString}} don't resolve to Object.prototype
+    const value = Object.hasOwn(variables, name) ? variables[name] : undefined;
+    if (value === undefined || value === null || value === "") {
+      missing.add(name);
+      return "";
+    }
+    return String(value);
+  });
+
+  return { text: text.replace(/[ \t]{2,}/g, " ").trim(), missingVariables: Array.from(missing) };
+}
+
+// ==================== SLA POLICIES ====================
+
+/**
+ * Get SLA policies (Admin/Supervisor only)
+ */
+exports.getSlaPolicies = async (req, res, next) => {
+  try {
+    await assertSupervisorOrAdmin(req, "Only supervisors and admins can view SLA policies");
+
+    const policies = await SlaPolicy.find()
+      .populate({ path: "escalateTo", populate: { path: "userId", select: "name email" } })
+      .sort({ department: 1, priority: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: policies,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: apply SLA policy fields from the request body
+ */
+async function applySlaPolicyInput(policy, body) {
+  const {
+    name,
+    department,
+    priority,
+    firstResponseMinutes,
+    resolutionMinutes,
+    escalateTo,
+    isActive,
+  } = body;
+
+  if (name !== undefined) policy.name = String(name).trim();
+
+  const nextDepartment = pickOptionalEnum(department, DEPARTMENTS, "department");
+  if (nextDepartment !== undefined) policy.department = nextDepartment;
+
+  const nextPriority = pickOptionalEnum(priority, PRIORITIES, "priority");
+  if (nextPriority !== undefined) policy.priority = nextPriority;
+
+  if (firstResponseMinutes !== undefined) {
+    policy.firstResponseMinutes = parseMinutes(firstResponseMinutes, "First response target");
+  }
+  if (resolutionMinutes !== undefined) {
+    policy.resolutionMinutes = parseMinutes(resolutionMinutes, "Resolution target");
+  }
+  if (policy.firstResponseMinutes > policy.resolutionMinutes) {
+    throw new BadRequestError("First response target cannot exceed the resolution target");
+  }
+
+  if (escalateTo !== undefined) {
+    if (!escalateTo) {
+      policy.escalateTo = null;
+    } else {
+      if (!mongoose.isValidObjectId(escalateTo)) {
+        throw new BadRequestError("Invalid supervisor ID");
+      }
+      const supervisor = await Agent.findById(escalateTo).select("role isActive");
+      if (!supervisor || supervisor.role !== "supervisor" || !supervisor.isActive) {
+        throw new BadRequestError("Escalation target must be an active supervisor");
+      }
+      policy.escalateTo = supervisor._id;
+    }
+  }
+
+  if (isActive !== undefined) policy.isActive = Boolean(isActive);
+}
+
+/**
+ * Create an SLA policy (Admin only)
+ */
+exports.createSlaPolicy = async (req, res, next) => {
+  try {
+    if (req.user.role !== "admin") {
+      throw new ForbiddenError("Only admins can manage SLA policies");
+    }
+
+    const { firstResponseMinutes, resolutionMinutes } = req.body;
+    if (firstResponseMinutes === undefined || resolutionMinutes === undefined) {
+      throw new BadRequestError("First response and resolution targets are required");
+    }
+
+    const policy = new SlaPolicy({ createdBy: req.user._id });
+    await applySlaPolicyInput(policy, req.body);
+
+    const duplicate = await SlaPolicy.exists({
+      department: policy.department,
+      priority: policy.priority,
+    });
+    if (duplicate) {
+      throw new BadRequestError("A policy for this department and priority already exists");
+    }
+
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: "SLA policy created successfully",
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an SLA policy (Admin only)
+ */
+exports.updateSlaPolicy = async (req, res, next) => {
+  try {
+    if (req.user.role !== "admin") {
+      throw new ForbiddenError("Only admins can manage SLA policies");
+    }
+
+    const policy = await SlaPolicy.findById(req.params.policyId);
+    if (!policy) {
+      throw new NotFoundError("SLA policy not found");
+    }
+
+    await applySlaPolicyInput(policy, req.body);
+
+    const duplicate = await SlaPolicy.exists({
+      _id: { $ne: policy._id },
+      department: policy.department,
+      priority: policy.priority,
+    });
+    if (duplicate) {
+      throw new BadRequestError("A policy for this department and priority already exists");
+    }
+
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: "SLA policy updated successfully",
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an SLA policy (Admin only)
+ */
+exports.deleteSlaPolicy = async (req, res, next) => {
+  try {
+    if (req.user.role !== "admin") {
+      throw new ForbiddenError("Only admins can manage SLA policies");
+    }
+
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.policyId);
+    if (!policy) {
+      throw new NotFoundError("SLA policy not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "SLA policy deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SLA overview: open, at-risk and breached conversations (Admin/Supervisor only)
+ */
+exports.getSlaDashboard = async (req, res, next) => {
+  try {
+    await assertSupervisorOrAdmin(req, "Only supervisors and admins can view SLA reports");
+
+    const department = pickOptionalEnum(req.query.department, DEPARTMENTS, "department");
+    const overview = await getSlaOverview({ department: department || null });
+
+    res.status(200).json({
+      success: true,
+      data: overview,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SLA state of one conversation (assigned agent, supervisors, admins)
+ */
+exports.getConversationSla = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findById(req.params.conversationId).select(
+      "type status priority department sla resolvedAt assignedAgent"
+    );
+    if (!conversation || conversation.type !== "user-to-agent") {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    if (req.user.role !== "admin") {
+      const agent = await getRequestAgent(req);
+      const isAssigned = agent && String(conversation.assignedAgent) === String(agent._id);
+      if (!agent || (!isAssigned && !agent.permissions.canAccessAllChats)) {
+        throw new ForbiddenError("You don't have access to this conversation");
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversationId: conversation._id,
+        sla: conversation.sla,
+        status: getSlaStatus(conversation),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==================== CANNED RESPONSES ====================
+
+/**
+ * Get canned responses for the requester's department (Agents only)
+ */
+exports.getCannedResponses = async (req, res, next) => {
+  try {
+    const agent = await getRequestAgent(req);
+    if (!agent && req.user.role !== "admin") {
+      throw new ForbiddenError("Only agents can access canned responses");
+    }
+
+    const { q, tag, includeInactive } = req.query;
+    const department = pickOptionalEnum(req.query.department, DEPARTMENTS, "department");
+
+    const query = {};
+    if (department) {
+      query.department = { $in: [department, null] };
+    } else if (agent && agent.role !== "supervisor" && department === undefined) {
+      query.department = { $in: [agent.department, null] };
+    }
+    if (String(includeInactive) !== "true") query.isActive = true;
+    if (tag) query.tags = String(tag).toLowerCase();
+    if (q) {
+      const pattern = escapeRegExp(q);
+      query.$or = [
+        { title: { $regex: pattern, $options: "i" } },
+        { shortcut: { $regex: pattern, $options: "i" } },
+        { body: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const responses = await CannedResponse.find(query)
+      .sort({ usageCount: -1, title: 1 })
+      .limit(200);
+
+    res.status(200).json({
+      success: true,
+      count: responses.length,
+      data: responses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: apply canned response fields from the request body
+ */
+function applyCannedResponseInput(response, body) {
+  const { title, shortcut, body: text, department, tags, isActive } = body;
+
+  if (title !== undefined) response.title = String(title).trim();
+  if (text !== undefined) response.body = String(text).trim();
+
+  if (shortcut !== undefined) {
+    const value = shortcut ? String(shortcut).trim().toLowerCase() : null;
+    if (value && !/^\/?[a-z0-9_-]{2,39}$/.test(value)) {
+      throw new BadRequestError("Shortcut may only contain letters, numbers, '-' and '_'");
+    }
+    response.shortcut = value;
+  }
+
+  const nextDepartment = pickOptionalEnum(department, DEPARTMENTS, "department");
+  if (nextDepartment !== undefined) response.department = nextDepartment;
+
+  if (tags !== undefined) {
+    response.tags = Array.from(
+      new Set(
+        (Array.isArray(tags) ? tags : String(tags).split(","))
+          .map((tag) => String(tag).trim().toLowerCase())
+          .filter(Boolean)
+      )
+    ).slice(0, 10);
+  }
+
+  if (isActive !== undefined) response.isActive = Boolean(isActive);
+}
+
+/**
+ * Create a canned response (Admin/Supervisor only)
+ */
+exports.createCannedResponse = async (req, res, next) => {
+  try {
+    await assertSupervisorOrAdmin(req, "Only supervisors and admins can manage canned responses");
+
+    if (!req.body.title || !req.body.body) {
+      throw new BadRequestError("Title and response text are required");
+    }
+
+    const response = new CannedResponse({ createdBy: req.user._id });
+    applyCannedResponseInput(response, req.body);
+
+    if (response.shortcut && (await CannedResponse.exists({ shortcut: response.shortcut }))) {
+      throw new BadRequestError("Shortcut is already in use");
+    }
+
+    await response.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Canned response created successfully",
+      data: response,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a canned response (Admin/Supervisor only)
+ */
+exports.updateCannedResponse = async (req, res, next) => {
+  try {
+    await assertSupervisorOrAdmin(req, "Only supervisors and admins can manage canned responses");
+
+    const response = await CannedResponse.findById(req.params.responseId);
+    if (!response) {
+      throw new NotFoundError("Canned response not found");
+    }
+
+    applyCannedResponseInput(response, req.body);
+
+    if (
+      response.shortcut &&
+      (await CannedResponse.exists({ _id: { $ne: response._id }, shortcut: response.shortcut }))
+    ) {
+      throw new BadRequestError("Shortcut is already in use");
+    }
+
+    await response.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Canned response updated successfully",
+      data: response,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a canned response (Admin/Supervisor only)
+ */
+exports.deleteCannedResponse = async (req, res, next) => {
+  try {
+    await assertSupervisorOrAdmin(req, "Only supervisors and admins can manage canned responses");
+
+    const response = await CannedResponse.findByIdAndDelete(req.params.responseId);
+    if (!response) {
+      throw new NotFoundError("Canned response not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Canned response deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Fill a canned response's variables for a conversation (Agents only)
+ * Variables: userName, userFirstName, agentName, listingTitle, conversationTitle
+ */
+exports.renderCannedResponse = async (req, res, next) => {
+  try {
+    const agent = await getRequestAgent(req);
+    if (!agent) {
+      throw new ForbiddenError("Only agents can use canned responses");
+    }
+
+    const { conversationId, listingId } = req.body;
+
+    const response = await CannedResponse.findById(req.params.responseId);
+    if (!response || !response.isActive) {
+      throw new NotFoundError("Canned response not found");
+    }
+
+    const variables = { agentName: req.user.name };
+
+    if (conversationId) {
+      const conversation = await Conversation.findById(conversationId).populate(
+        "participants",
+        "name"
+      );
+      if (!conversation) {
+        throw new NotFoundError("Conversation not found");
+      }
+
+      const isAssigned = String(conversation.assignedAgent) === String(agent._id);
+      if (!isAssigned && !agent.permissions.canAccessAllChats) {
+        throw new ForbiddenError("You are not assigned to this conversation");
+      }
+
+      // The customer is the participant who isn't on the agent desk
+      const customer = conversation.participants.find(
+        (participant) => String(participant._id) !== String(agent.userId)
+      );
+      variables.userName = customer?.name;
+      variables.userFirstName = customer?.name?.split(" ")[0];
+      variables.conversationTitle = conversation.title;
+
+      const listingRef = listingId || conversation.listing;
+      if (listingRef) {
+        if (!mongoose.isValidObjectId(listingRef)) {
+          throw new BadRequestError("Invalid listing ID");
+        }
+        const listing = await Listing.findById(listingRef).select("title");
+        variables.listingTitle = listing?.title;
+      }
+    }
+
+    const rendered = renderTemplate(response.body, variables);
+    await CannedResponse.updateOne({ _id: response._id }, { $inc: { usageCount: 1 } });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        responseId: response._id,
+        ...rendered,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
@@ -1,31 +1,233 @@
-const { queryHuggingFace, getQuickSuggestions, FALLBACK_URL } = require('../utils/aiSupport');
+const crypto = require("crypto");
+const AiSupportSession = require("../models/AiSupportSession");
+const { requestAgentSupport } = require("./agentAssignment");
+const {
+  HANDOFF_CONFIDENCE,
+  answerSupportQuestion,
+  getQuickSuggestions,
+  FALLBACK_URL,
+} = require("../utils/aiSupport");
+const { getAiProvider } = require("../utils/aiProviders");
+const { NotFoundError, ForbiddenError, BadRequestError } = require("../utils/errors");
+
+const SESSION_TTL_DAYS = Number(process.env.AI_SUPPORT_SESSION_TTL_DAYS) || 7;
+const MAX_STORED_MESSAGES = 50;
+// Consecutive low-confidence answers before the chat is handed to an agent
+const LOW_CONFIDENCE_HANDOFF_STREAK = 2;
+
+const getSessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Helper: load a session the requester may use (guests need the session key,
+ * signed-in sessions only open for their owner)
+ */
+async function findAccessibleSession(sessionId, user) {
+  if (!sessionId || typeof sessionId !== "string") return null;
+
+  const session = await AiSupportSession.findOne({ sessionKey: sessionId });
+  if (!session) return null;
+
+  if (session.user && String(session.user) !== String(user?._id)) {
+    throw new ForbiddenError("You don't have access to this chat");
+  }
+  return session;
+}
+
+function countLowConfidenceStreak(messages) {
+  let streak = 0;
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    const msg = messages[i];
+    if (msg.role === "assistant") {
+      if (msg.confidence === null || msg.confidence >= HANDOFF_CONFIDENCE) break;
+      streak += 1;
+    }
+  }
+  return streak;
+}
+
+function buildTranscript(messages) {
+  const lines = messages
+    .slice(-12)
+    .map((msg) => `${msg.role === "user" ? "Customer" : "AI assistant"}: ${msg.content}`);
+  return `[Chat with the AI assistant before handoff]\n${lines.join("\n")}`;
+}
+
+/**
+ * Helper: open an agent conversation for the session and mark it handed off
+ */
+async function handOffSession(session, { user, reason }) {
+  const lastQuestion = [...session.messages].reverse().find((msg) => msg.role === "user");
+
+  const result = await requestAgentSupport({
+    userId: user._id,
+    requestType: "customer_support",
+    tags: ["ai-handoff"],
+    userMessage: lastQuestion?.content,
+    transcript: buildTranscript(session.messages),
+  });
+
+  session.status = "handed_off";
+  session.handoffConversation = result.conversation._id;
+  session.handoffReason = reason;
+  await session.save();
+
+  return {
+    status: result.status,
+    reason,
+    conversation: result.conversation._id,
+    estimatedWaitTime: result.estimatedWaitTime,
+    agent: result.agent
+      ? {
+          _id: result.agent._id,
+          name: result.agent.userId.name,
+          profilePhoto: result.agent.userId.profilePhoto,
+        }
+      : null,
+  };
+}
 
 /**
  * Handle AI chat query
  */
 const chatQuery = async (req, res, next) => {
   try {
-    const { message, conversationHistory = [] } = req.body;
+    const { message, sessionId, conversationHistory = [] } = req.body;
+    const user = req.user || null;
 
-    if (!message || typeof message !== 'string') {
+    if (!message || typeof message !== "string") {
       return res.status(400).json({
         success: false,
-        error: 'Message is required',
+        error: "Message is required",
+      });
+    }
+
+    const question = message.trim().slice(0, 2000);
+
+    let session = await findAccessibleSession(sessionId, user);
+    if (!session) {
+      session = new AiSupportSession({
+        sessionKey: crypto.randomUUID(),
+        user: user?._id || null,
+        expiresAt: getSessionExpiry(),
+      });
+    } else if (!session.user && user) {
+      // Guest chat continued after signing in
+      session.user = user._id;
+    }
+
+    if (session.status === "handed_off") {
+      return res.json({
+        success: true,
+        sessionId: session.sessionKey,
+        response: "You're connected to our support team. Please continue in your support chat.",
+        handoff: { status: "handed_off", conversation: session.handoffConversation },
+        fallbackUrl: FALLBACK_URL,
       });
     }
 
-    // Query AI with conversation context
-    console.log('🤖 AI Support request:', message);
-    const response = await queryHuggingFace(message.trim(), conversationHistory);
-    console.log('🤖 AI Response:', response);
+    // Stored turns win; clients without a session can still send their own history
+    const history =
+      session.messages.length > 0
+        ? session.messages.map(({ role, content }) => ({ role, content }))
+        : (Array.isArray(conversationHistory) ? conversationHistory : [])
+            .filter((msg) => msg && ["user", "assistant"].includes(msg.role) && msg.content)
+            .map((msg) => ({ role: msg.role, content: String(msg.content).slice(0, 2000) }));
+
+    const answer = await answerSupportQuestion(question, { history, user });
+
+    session.messages.push({ role: "user", content: question });
+    session.messages.push({
+      role: "assistant",
+      content: answer.text,
+      sources: answer.sources,
+      confidence: answer.confidence,
+      provider: answer.provider,
+    });
+    if (session.messages.length > MAX_STORED_MESSAGES) {
+      session.messages = session.messages.slice(-MAX_STORED_MESSAGES);
+    }
+    session.lastActivityAt = new Date();
+    session.expiresAt = getSessionExpiry();
+    await session.save();
+
+    // Hand off on request, when the model can't answer, or after repeated weak answers
+    let handoff = null;
+    const { reason } = answer.handoff;
+    const shouldHandOff =
+      reason === "user_request" ||
+      reason === "model_unsure" ||
+      (reason === "low_confidence" &&
+        countLowConfidenceStreak(session.messages) >= LOW_CONFIDENCE_HANDOFF_STREAK);
+
+    if (shouldHandOff) {
+      handoff = user
+        ? await handOffSession(session, { user, reason })
+        : { status: "sign_in_required", reason, contactUrl: FALLBACK_URL };
+    }
 
     res.json({
       success: true,
-      response,
+      sessionId: session.sessionKey,
+      response: answer.text,
+      confidence: answer.confidence,
+      sources: answer.sources,
+      handoff,
       fallbackUrl: FALLBACK_URL,
     });
   } catch (error) {
-    console.error('AI Support Error:', error);
+    console.error("AI Support Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get a stored AI chat
+ */
+const getSession = async (req, res, next) => {
+  try {
+    const session = await findAccessibleSession(req.params.sessionId, req.user);
+    if (!session) {
+      throw new NotFoundError("Chat not found");
+    }
+
+    res.json({
+      success: true,
+      sessionId: session.sessionKey,
+      status: session.status,
+      handoffConversation: session.handoffConversation,
+      messages: session.messages,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand an AI chat over to a human agent
+ */
+const requestHandoff = async (req, res, next) => {
+  try {
+    const session = await findAccessibleSession(req.params.sessionId, req.user);
+    if (!session) {
+      throw new NotFoundError("Chat not found");
+    }
+
+    if (session.status === "handed_off") {
+      throw new BadRequestError("This chat has already been handed to our support team");
+    }
+
+    if (!session.user) {
+      session.user = req.user._id;
+    }
+
+    const handoff = await handOffSession(session, { user: req.user, reason: "user_request" });
+
+    res.json({
+      success: true,
+      sessionId: session.sessionKey,
+      handoff,
+    });
+  } catch (error) {
     next(error);
   }
 };
@@ -51,19 +253,21 @@ const getQuickActions = async (req, res, next) => {
  * Health check for AI service
  */
 const healthCheck = async (req, res) => {
-  const apiKeyConfigured = process.env.HUGGING_FACE_API_KEY &&
-                          process.env.HUGGING_FACE_API_KEY !== 'your_huggingface_token_here';
+  const provider = getAiProvider();
 
   res.json({
     success: true,
-    status: apiKeyConfigured ? 'configured' : 'fallback-mode',
-    model: process.env.HUGGING_FACE_MODEL || 'mistralai/Mistral-7B-Instruct-v0.2',
+    status: provider.isConfigured() ? "configured" : "fallback-mode",
+    provider: provider.name,
+    model: provider.model,
     fallbackUrl: FALLBACK_URL,
   });
 };
 
 module.exports = {
   chatQuery,
+  getSession,
+  requestHandoff,
   getQuickActions,
   healthCheck,
 };
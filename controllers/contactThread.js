@@ -4,6 +4,7 @@ const Listing = require("../models/Listing");
 const BadRequestError = require("../utils/errors/BadRequestError");
 const NotFoundError = require("../utils/errors/NotFoundError");
 const ForbiddenError = require("../utils/errors/ForbiddenError");
+const { recordListingEvent } = require("../utils/listingAnalytics");
 
 /**
  * ============================================
@@ -81,6 +82,13 @@ const createThread = async (req, res, next) => {
       } catch (incErr) {
         console.warn("⚠️  Failed to increment listing contacts:", incErr.message);
       }
+      recordListingEvent({
+        listing,
+        type: "contact",
+        req,
+        userId: req.user?._id,
+        referrer: req.body.referrer,
+      });
     }
 
     // Populate and return
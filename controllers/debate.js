@@ -4,7 +4,11 @@ const DebateVote = require("../models/DebateVote");
 const User = require("../models/User");
 const ContactMessage = require("../models/ContactMessage");
 const MessageNotification = require("../models/MessageNotification");
-const { performRaffle } = require("../utils/raffleSelection");
+const {
+  ensureRaffleCommitment,
+  drawCommittedRaffle,
+  getRaffleVerification,
+} = require("../utils/raffleCommitment");
 const {
   formatEventDateTimeForTimeZone,
   getValidEventTimeZone,
@@ -332,7 +336,12 @@ async function runDebateRaffleForEvent(event, requestedMaxParticipants) {
     throw error;
   }
 
-  const raffleResults = performRaffle(eligibleParticipants, maxParticipants);
+  const raffleResults = await drawCommittedRaffle({
+    eventType: "debate",
+    eventId: event._id,
+    entrants: eligibleParticipants,
+    maxSelected: maxParticipants,
+  });
   const selectedById = new Map(
     raffleResults.selected.map((entry) => [entry.contestant.toString(), entry])
   );
@@ -769,6 +778,9 @@ const createDebateEvent = async (req, res, next) => {
     }
 
     await event.save();
+    await ensureRaffleCommitment("debate", event._id, {
+      registrationClosesAt: event.eventStartsAt,
+    });
     return res.status(201).json({
       success: true,
       event: serializeEvent(event, req.user, true),
@@ -1055,6 +1067,10 @@ const registerForDebate = async (req, res, next) => {
       (participant) => participant.user?.toString() === req.user._id.toString()
     );
     if (!exists) {
+      // The seed commitment is published before the first participant joins
+      await ensureRaffleCommitment("debate", event._id, {
+        registrationClosesAt: event.eventStartsAt,
+      });
       const participant = event.participants.create({
         user: req.user._id,
         name: req.user.name || req.user.email,
@@ -1079,6 +1095,30 @@ const registerForDebate = async (req, res, next) => {
   }
 };
 
+/**
+ * Public: Seed commitment and verification of an event's raffle
+ */
+const verifyDebateRaffle = async (req, res, next) => {
+  try {
+    const event = await DebateEvent.findById(req.params.eventId);
+    if (!event) return res.status(404).json({ success: false, message: "Debate event not found" });
+
+    const verification = await getRaffleVerification("debate", event._id, {
+      recordedSeed: hasRaffleRun(event) ? event.raffleSeed : undefined,
+    });
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "No raffle commitment has been published for this event yet",
+      });
+    }
+
+    return res.json({ success: true, eventId: event._id, ...verification });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 const voteInDebate = async (req, res, next) => {
   try {
     const event = await getActiveEvent();
@@ -1348,6 +1388,7 @@ module.exports = {
   deleteDebateEvent,
   controlDebateEvent,
   registerForDebate,
+  verifyDebateRaffle,
   voteInDebate,
   markDebateParticipantReady,
   scoreDebateParticipant,
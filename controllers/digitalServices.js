@@ -1,17 +1,28 @@
 const mongoose = require("mongoose");
 const DigitalServiceTransaction = require("../models/DigitalServiceTransaction");
+const DigitalServiceReconciliationReport = require("../models/DigitalServiceReconciliationReport");
 const PlatformWallet = require("../models/PlatformWallet");
 const PlatformWalletLedger = require("../models/PlatformWalletLedger");
 const User = require("../models/User");
 const WalletLedger = require("../models/WalletLedger");
 const ServiceWalletLedger = require("../models/ServiceWalletLedger");
+const ScheduledTopup = require("../models/ScheduledTopup");
+const ServiceAgentPayout = require("../models/ServiceAgentPayout");
+const WalletFxConversion = require("../models/WalletFxConversion");
 const MessageNotification = require("../models/MessageNotification");
-const { getExchangeRate } = require("../utils/exchangeRates");
+const { getExchangeRate, getRateSnapshot, getRateHistory } = require("../utils/exchangeRates");
+const {
+  FREQUENCIES,
+  isValidTimeZone,
+  parseTimeOfDay,
+  computeNextRunAt,
+} = require("../utils/topupSchedule");
 const provider = require("../utils/digitalServicesProvider");
 const config = require("../utils/config");
-const { createPayout } = require("../utils/paypal");
+const { createPayout, getPayoutBatch, getDuplicatePayoutBatchId } = require("../utils/paypal");
+const { renderTextPdf } = require("../utils/textPdf");
 const { renderBrandedEmail, sendEmail } = require("../utils/notifications");
-const { BadRequestError, NotFoundError } = require("../utils/errors");
+const { BadRequestError, ConflictError, NotFoundError } = require("../utils/errors");
 
 const FUNDING_WALLET_KEY = "digital-services";
 const REVENUE_WALLET_KEY = "digital-services-revenue";
@@ -73,6 +84,46 @@ const DEFAULT_SERVICE_AGENT_COMMISSION_PERCENT = getPositiveConfig(
 const DEFAULT_SERVICE_AGENT_DISCOUNT_PERCENT = Number(
   process.env.SERVICE_AGENT_DISCOUNT_PERCENT || 0
 );
+// Reconciliation of processing / manual-review transactions against provider status
+const OPEN_TRANSACTION_STATUSES = ["processing", "manual-review"];
+const PROVIDER_PENDING_STATUSES = new Set(["PENDING", "PROCESSING", "SUBMITTED", "IN_PROGRESS"]);
+const RECONCILE_MIN_AGE_MS = getPositiveConfig(
+  "DIGITAL_SERVICES_RECONCILE_MIN_AGE_MS",
+  5 * 60 * 1000
+);
+const RECONCILE_RETRY_MS = getPositiveConfig("DIGITAL_SERVICES_RECONCILE_RETRY_MS", 5 * 60 * 1000);
+const RECONCILE_MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const RECONCILE_MAX_AGE_HOURS = getPositiveConfig("DIGITAL_SERVICES_RECONCILE_MAX_AGE_HOURS", 72);
+const RECONCILE_NOT_FOUND_GRACE_MS = getPositiveConfig(
+  "DIGITAL_SERVICES_RECONCILE_NOT_FOUND_GRACE_MS",
+  30 * 60 * 1000
+);
+const RECONCILE_LOCK_MS = 2 * 60 * 1000;
+const RECONCILIATION_TOLERANCE_USD = getPositiveConfig(
+  "DIGITAL_SERVICES_RECONCILIATION_TOLERANCE_USD",
+  1
+);
+const MAX_SCHEDULED_TOPUPS = getPositiveConfig("DIGITAL_SERVICES_MAX_SCHEDULED_TOPUPS", 10);
+// Share of a wallet currency conversion kept as platform revenue
+const FX_SPREAD_PERCENT = Math.min(
+  20,
+  Math.max(0, Number(process.env.DIGITAL_SERVICES_FX_SPREAD_PERCENT ?? 1.5) || 0)
+);
+const MAX_FX_CONVERSION_USD = getPositiveConfig("DIGITAL_SERVICES_MAX_FX_CONVERSION_USD", 1000);
+// Service agent commission payouts (PayPal)
+const SERVICE_AGENT_MIN_PAYOUT_USD = getPositiveConfig("SERVICE_AGENT_MIN_PAYOUT_USD", 20);
+const OPEN_PAYOUT_STATUSES = ["requested", "processing"];
+const PAYPAL_PAYOUT_FAILED_STATUSES = new Set([
+  "FAILED",
+  "RETURNED",
+  "BLOCKED",
+  "REFUNDED",
+  "REVERSED",
+  "DENIED",
+]);
+const PAYOUT_REFRESH_MS = 10 * 60 * 1000;
+// PayPal rejects a reused sender_batch_id for 30 days; resubmitting after that could pay twice
+const PAYOUT_RESUBMIT_WINDOW_MS = 25 * 24 * 60 * 60 * 1000;
 const RELOADLY_OPERATOR_PRICING = {
   NG: {
     340: { discountPercent: 6, fxRate: 1206 },
@@ -145,6 +196,18 @@ function toPositiveInteger(value, label) {
   return number;
 }
 
+// Reloadly operator IDs are numbers; other providers use short codes
+function normalizeOperatorId(value) {
+  const operatorId = String(value ?? "").trim();
+  if (/^\d+$/.test(operatorId)) {
+    return toPositiveInteger(operatorId, "Operator");
+  }
+  if (!/^[A-Za-z0-9_-]{2,40}$/.test(operatorId)) {
+    throw new BadRequestError("Operator is invalid");
+  }
+  return operatorId;
+}
+
 function normalizeCurrency(value) {
   const currency = String(value || "USD")
     .trim()
@@ -334,6 +397,61 @@ async function sendWalletCreditReceipt({
   }
 }
 
+const SERVICE_TYPE_LABELS = {
+  airtime: "Airtime top-up",
+  data: "Data bundle",
+  "gift-card": "Gift card",
+};
+
+async function sendTransactionReceipt(transaction) {
+  const recipient = await User.findById(transaction.user).select("name fullName email").lean();
+  const email = String(recipient?.email || "")
+    .trim()
+    .toLowerCase();
+  if (!email) {
+    return false;
+  }
+
+  const completed = transaction.status === "completed";
+  const label = SERVICE_TYPE_LABELS[transaction.serviceType] || "Digital service";
+  const displayName = recipient?.name || recipient?.fullName || "there";
+  const currency = normalizeCurrency(transaction.amount?.currency || "USD");
+  const html = renderBrandedEmail({
+    heading: completed ? `${label} delivered` : `${label} refunded`,
+    body: [
+      `Hello ${displayName},`,
+      completed
+        ? `Your ${label.toLowerCase()} has been confirmed by our provider.`
+        : `We could not complete your ${label.toLowerCase()}, so the amount has been returned to your ${config.APP_NAME} wallet.`,
+      transaction.recipient?.phone ? `Recipient: ${transaction.recipient.phone}` : "",
+      transaction.recipient?.email ? `Recipient: ${transaction.recipient.email}` : "",
+      completed
+        ? `Amount: ${currency} ${Number(transaction.amount?.value || 0).toFixed(2)}`
+        : `Refunded: ${currency} ${Number(transaction.wallet?.refunded || 0).toFixed(2)}`,
+      `Reference: ${transaction.reference}`,
+      `Date: ${new Date().toLocaleString()}`,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+  });
+
+  try {
+    const result = await sendEmail(
+      email,
+      `${completed ? `${label} receipt` : `${label} refund`} - ${config.APP_NAME}`,
+      html
+    );
+    if (!result?.success) {
+      console.error("Failed to send digital service receipt:", result?.error || email);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error("Failed to send digital service receipt:", error?.message || email);
+    return false;
+  }
+}
+
 function getOperatorDynamicPricing(operator) {
   if (!operator || typeof operator !== "object") {
     return null;
@@ -382,7 +500,7 @@ async function getReloadlyProviderPricing({ countryCode, operatorId }) {
   }
 
   try {
-    const operator = await provider.getOperator(operatorId);
+    const operator = await provider.getOperator(operatorId, { countryCode });
     const dynamicPricing = getOperatorDynamicPricing(operator);
     if (!dynamicPricing) {
       return fallbackPricing;
@@ -511,6 +629,10 @@ async function buildTransactionPricing({
     customerAmountUsd * (appliedProviderDiscountPercent / 100)
   );
   const providerCostUsd = roundAccountingValue(customerAmountUsd - platformFeeUsd);
+  const rateSnapshot =
+    walletCurrency !== "USD" || normalizedProviderCurrencyCode !== "USD"
+      ? await getRateSnapshot([walletCurrency, normalizedProviderCurrencyCode])
+      : null;
 
   return {
     customerAmount,
@@ -523,6 +645,33 @@ async function buildTransactionPricing({
     feePercent: 0,
     fixedFeeUsd: 0,
     minimumFeeUsd: 0,
+    fx: rateSnapshot && {
+      rateSnapshot: rateSnapshot.snapshotId,
+      ratesAsOf: rateSnapshot.fetchedAt,
+      walletCurrencyRate: rateSnapshot.rates[walletCurrency],
+      providerCurrencyRate: rateSnapshot.rates[normalizedProviderCurrencyCode],
+      providerFxRate: providerPricing?.fxRate || null,
+    },
+  };
+}
+
+/**
+ * Cost check for a failover provider, which can charge differently from the catalog
+ * provider the order was priced with. Accepts it only when its cost is no more than the
+ * priced provider cost, so the customer price and any agent profit stay covered, and
+ * returns the cost and platform fee to record instead.
+ */
+function acceptFailoverCost(pricing) {
+  const customerAmountUsd = roundAccountingValue(pricing.providerCostUsd + pricing.platformFeeUsd);
+  return async ({ amount, currencyCode }) => {
+    const providerCostUsd = await convertAmountToUsd(amount, currencyCode);
+    if (!(providerCostUsd > 0) || providerCostUsd > pricing.providerCostUsd) {
+      return null;
+    }
+    return {
+      providerCostUsd,
+      platformFeeUsd: roundAccountingValue(customerAmountUsd - providerCostUsd),
+    };
   };
 }
 
@@ -625,7 +774,7 @@ function getExpectedProviderCurrency(transaction) {
   return transaction?.amount?.currency;
 }
 
-function validateProviderResponse(result, transaction) {
+function validateProviderResponse(result, transaction, { operatorId } = {}) {
   const providerReference = getProviderReference(result);
   const providerStatus = normalizeProviderStatus(result);
   const reviewReasons = [];
@@ -656,8 +805,9 @@ function validateProviderResponse(result, transaction) {
     reviewReasons.push("Provider currency does not match the requested currency");
   }
 
+  // A failover provider reports the operator it resolved from the recipient's number
   const responseOperatorId = getResponseOperatorId(result);
-  if (!valuesMatch(responseOperatorId, transaction.recipient?.operatorId)) {
+  if (!valuesMatch(responseOperatorId, operatorId ?? transaction.recipient?.operatorId)) {
     reviewReasons.push("Provider operator does not match the requested operator");
   }
 
@@ -684,7 +834,15 @@ function validateProviderResponse(result, transaction) {
   };
 }
 
+// Definitive provider decline; the purchase can be retried with the next provider
+function isProviderDecline(result) {
+  return PROVIDER_FAILURE_STATUSES.has(normalizeProviderStatus(result));
+}
+
 function isAmbiguousProviderError(error) {
+  if (error.providerUnavailable) {
+    return false;
+  }
   const message = String(error.message || "").toLowerCase();
   if (message.includes("provider is not configured") || message.includes("authentication failed")) {
     return false;
@@ -714,8 +872,10 @@ async function getVerifiedUserWalletBalance(userId, currency = "USD") {
     const amount = Number(entry.amount || 0);
     const reference = String(entry.reference || "");
     if (entry.type === "credit") {
-      return reference.startsWith("payment_") || fundedReferences.has(reference)
-        || reference.startsWith("agent_profit_")
+      return reference.startsWith("payment_") ||
+        fundedReferences.has(reference) ||
+        reference.startsWith("agent_profit_") ||
+        reference.startsWith("fx_")
         ? balance + amount
         : balance;
     }
@@ -789,20 +949,20 @@ function getServiceAgentConfig(user) {
   };
 }
 
-function buildServiceAgentPricing({ req, pricing, currency }) {
+function buildServiceAgentPricing({ user, useAgentWallet, pricing, currency }) {
   const amount = Number(pricing?.customerAmount || 0);
-  if (!req.body.useAgentWallet) {
+  if (!useAgentWallet) {
     return {
       purchaseAmount: amount,
       serviceAgent: null,
     };
   }
 
-  if (!isServiceAgentUser(req.user)) {
+  if (!isServiceAgentUser(user)) {
     throw new BadRequestError("Service agent access required");
   }
 
-  const { commissionPercent, discountPercent } = getServiceAgentConfig(req.user);
+  const { commissionPercent, discountPercent } = getServiceAgentConfig(user);
   const platformRevenue = roundAccountingValue(
     amount * (Number(pricing?.providerDiscountPercent || 0) / 100),
     6
@@ -822,7 +982,7 @@ function buildServiceAgentPricing({ req, pricing, currency }) {
   return {
     purchaseAmount,
     serviceAgent: {
-      agent: req.user._id,
+      agent: user._id,
       commissionPercent,
       discountPercent,
       commissionAmount,
@@ -926,19 +1086,34 @@ async function assertWalletCanCover({ userId, amount, currency = "USD" }) {
   return wallet;
 }
 
-async function findExistingIdempotentTransaction(req) {
-  const idempotencyKey = getIdempotencyKey(req);
+async function findExistingIdempotentTransaction({ userId, idempotencyKey }) {
   if (!idempotencyKey) return null;
   return DigitalServiceTransaction.findOne({
-    user: req.user._id,
+    user: userId,
     idempotencyKey,
   });
 }
 
 async function getWallet(req, res, next) {
   try {
-    const user = await User.findById(req.user._id).select("digitalWallet digitalWallets").lean();
-    const requestedCurrency = req.query.currency || user?.digitalWallet?.currency || "USD";
+    const [user, ledgerCurrencies] = await Promise.all([
+      User.findById(req.user._id).select("digitalWallet digitalWallets").lean(),
+      WalletLedger.distinct("currency", { user: req.user._id }),
+    ]);
+    const requestedCurrency = normalizeCurrency(
+      req.query.currency || user?.digitalWallet?.currency || "USD"
+    );
+    const otherCurrencies = new Set([
+      ...(user?.digitalWallets || []).map((entry) => entry.currency),
+      ...ledgerCurrencies,
+    ]);
+    otherCurrencies.delete(requestedCurrency);
+    for (const currency of otherCurrencies) {
+      // Each sync saves the user document
+      // eslint-disable-next-line no-await-in-loop
+      await syncVerifiedUserWallet(req.user._id, currency);
+    }
+    // Synced last so it stays the user's current wallet
     const wallet = await syncVerifiedUserWallet(req.user._id, requestedCurrency);
     const refreshedUser = await User.findById(req.user._id).select("digitalWallets").lean();
     res.json({
@@ -1135,6 +1310,7 @@ async function createRevenueLedger({
   balanceAfter,
   reference,
   note = "",
+  user = null,
   createdBy = null,
 }) {
   return PlatformWalletLedger.create({
@@ -1145,6 +1321,7 @@ async function createRevenueLedger({
     balanceAfter,
     reference,
     note,
+    user,
     createdBy,
   });
 }
@@ -1541,7 +1718,8 @@ async function refundWallet({ transaction, reason }) {
 }
 
 async function createPendingTransaction({
-  req,
+  userId,
+  idempotencyKey,
   serviceType,
   reference,
   amount,
@@ -1551,11 +1729,11 @@ async function createPendingTransaction({
   recipient,
   product,
   serviceAgent = null,
+  scheduledTopup = null,
 }) {
-  const idempotencyKey = getIdempotencyKey(req);
   if (idempotencyKey) {
     const existing = await DigitalServiceTransaction.findOne({
-      user: req.user._id,
+      user: userId,
       idempotencyKey,
     });
     if (existing) {
@@ -1564,9 +1742,12 @@ async function createPendingTransaction({
   }
 
   const transaction = await DigitalServiceTransaction.create({
-    user: req.user._id,
+    user: userId,
     serviceType,
-    provider: provider.name,
+    provider: provider.getProviderChain({
+      countryCode: recipient?.countryCode,
+      operatorId: recipient?.operatorId,
+    })[0],
     reference,
     idempotencyKey,
     recipient,
@@ -1587,6 +1768,7 @@ async function createPendingTransaction({
           feePercent: pricing.feePercent,
           fixedFeeUsd: pricing.fixedFeeUsd,
           minimumFeeUsd: pricing.minimumFeeUsd,
+          fx: pricing.fx || undefined,
         }
       : {
           customerAmount: { value: amount, currency },
@@ -1600,6 +1782,7 @@ async function createPendingTransaction({
         },
     wallet: { currency },
     serviceAgent: serviceAgent || undefined,
+    scheduledTopup,
     product,
     requestPayload: payload,
     status: "pending",
@@ -1666,8 +1849,16 @@ async function chargeAndRunProvider({ transaction, providerCall, debitNote }) {
   await currentTransaction.save();
 
   try {
-    const result = await providerCall();
-    const validation = validateProviderResponse(result, currentTransaction);
+    const { result, providerName, operatorId, attempts, cost } = await providerCall();
+    currentTransaction.provider = providerName;
+    currentTransaction.providerOperatorId = operatorId ?? null;
+    currentTransaction.providerAttempts = attempts;
+    // Re-priced by a failover provider
+    if (cost) {
+      currentTransaction.pricing.providerCostUsd = cost.providerCostUsd;
+      currentTransaction.pricing.platformFeeUsd = cost.platformFeeUsd;
+    }
+    const validation = validateProviderResponse(result, currentTransaction, { operatorId });
     currentTransaction.status = validation.outcome;
     currentTransaction.failureMessage = validation.outcome === "failed" ? validation.message : null;
     currentTransaction.reviewNote =
@@ -1695,6 +1886,13 @@ async function chargeAndRunProvider({ transaction, providerCall, debitNote }) {
     if (error.providerFailureHandled) {
       throw error;
     }
+    if (error.providerName) {
+      currentTransaction.provider = error.providerName;
+      currentTransaction.providerOperatorId = error.providerOperatorId ?? null;
+    }
+    if (error.providerAttempts) {
+      currentTransaction.providerAttempts = error.providerAttempts;
+    }
     if (isAmbiguousProviderError(error)) {
       currentTransaction.status = "manual-review";
       currentTransaction.failureMessage = null;
@@ -1739,102 +1937,135 @@ async function listAirtimeOperators(req, res, next) {
   }
 }
 
-async function sendAirtime(req, res, next) {
-  try {
-    const {
-      operatorId,
-      amount,
-      localAmount,
-      localCurrencyCode,
-      recipientPhone,
-      senderPhone,
-      countryCode,
-    } = req.body;
-    required(operatorId, "Operator");
-    required(amount, "Amount");
-    required(recipientPhone, "Recipient phone");
-    const normalizedOperatorId = toPositiveInteger(operatorId, "Operator");
-    const normalizedCountryCode = normalizeCountryCode(countryCode);
-    const normalizedPhone = normalizePhone(recipientPhone);
-    const providerAmount =
-      localAmount === undefined || localAmount === null || localAmount === ""
-        ? toMoney(amount, "Amount")
-        : toMoney(localAmount, "Local amount");
-    const currency = normalizeCurrency(req.body.currency || "USD");
-    const normalizedLocalCurrencyCode = normalizeOptionalCurrencyCode(localCurrencyCode);
-    const pricing = await buildTransactionPricing({
+/**
+ * Airtime purchase for a user, shared by the API and scheduled top-ups.
+ * Returns { transaction, result, duplicate }.
+ */
+async function executeAirtimePurchase({
+  user,
+  body,
+  idempotencyKey = null,
+  scheduledTopup = null,
+}) {
+  const {
+    operatorId,
+    amount,
+    localAmount,
+    localCurrencyCode,
+    recipientPhone,
+    senderPhone,
+    countryCode,
+  } = body;
+  required(operatorId, "Operator");
+  required(amount, "Amount");
+  required(recipientPhone, "Recipient phone");
+  const normalizedOperatorId = normalizeOperatorId(operatorId);
+  const normalizedCountryCode = normalizeCountryCode(countryCode);
+  const normalizedPhone = normalizePhone(recipientPhone);
+  const providerAmount =
+    localAmount === undefined || localAmount === null || localAmount === ""
+      ? toMoney(amount, "Amount")
+      : toMoney(localAmount, "Local amount");
+  const currency = normalizeCurrency(body.currency || "USD");
+  const normalizedLocalCurrencyCode = normalizeOptionalCurrencyCode(localCurrencyCode);
+  const pricing = await buildTransactionPricing({
+    countryCode: normalizedCountryCode,
+    operatorId: normalizedOperatorId,
+    providerAmount,
+    providerCurrencyCode: normalizedLocalCurrencyCode || currency,
+    walletCurrency: currency,
+  });
+  const agentPricing = buildServiceAgentPricing({
+    user,
+    useAgentWallet: body.useAgentWallet,
+    pricing,
+    currency,
+  });
+  const purchaseAmount = agentPricing.purchaseAmount;
+  const existingTransaction = await findExistingIdempotentTransaction({
+    userId: user._id,
+    idempotencyKey,
+  });
+  if (existingTransaction) {
+    return {
+      transaction: existingTransaction,
+      result: existingTransaction.providerResponse,
+      duplicate: true,
+    };
+  }
+  await assertDailySpendLimit({
+    userId: user._id,
+    amount: purchaseAmount,
+    amountUsd: pricing.providerCostUsd + pricing.platformFeeUsd,
+    currency,
+  });
+  await assertWalletCanCover({
+    userId: user._id,
+    amount: purchaseAmount,
+    currency,
+  });
+
+  const reference = provider.buildReference("airtime");
+  const payload = {
+    operatorId: normalizedOperatorId,
+    amount: providerAmount,
+    useLocalAmount: true,
+    localCurrencyCode: normalizedLocalCurrencyCode,
+    customIdentifier: reference,
+    recipientPhone: { countryCode: normalizedCountryCode, number: normalizedPhone },
+    senderPhone: {
       countryCode: normalizedCountryCode,
-      operatorId: normalizedOperatorId,
-      providerAmount,
-      providerCurrencyCode: normalizedLocalCurrencyCode || currency,
-      walletCurrency: currency,
-    });
-    const agentPricing = buildServiceAgentPricing({
-      req,
-      pricing,
-      currency,
-    });
-    const purchaseAmount = agentPricing.purchaseAmount;
-    const existingTransaction = await findExistingIdempotentTransaction(req);
-    if (existingTransaction) {
-      return res.status(200).json({
-        success: true,
-        duplicate: true,
-        transaction: existingTransaction,
-      });
-    }
-    await assertDailySpendLimit({
-      userId: req.user._id,
-      amount: purchaseAmount,
-      amountUsd: pricing.providerCostUsd + pricing.platformFeeUsd,
-      currency,
-    });
-    await assertWalletCanCover({
-      userId: req.user._id,
-      amount: purchaseAmount,
-      currency,
-    });
+      number: senderPhone ? normalizePhone(senderPhone) : normalizedPhone,
+    },
+  };
 
-    const reference = provider.buildReference("airtime");
-    const payload = {
+  const { transaction, duplicate } = await createPendingTransaction({
+    userId: user._id,
+    idempotencyKey,
+    scheduledTopup,
+    serviceType: "airtime",
+    reference,
+    amount: purchaseAmount,
+    currency,
+    pricing,
+    payload,
+    serviceAgent: agentPricing.serviceAgent,
+    recipient: {
+      phone: normalizedPhone,
+      countryCode: normalizedCountryCode,
       operatorId: normalizedOperatorId,
-      amount: providerAmount,
-      useLocalAmount: true,
-      localCurrencyCode: normalizedLocalCurrencyCode,
-      customIdentifier: reference,
-      recipientPhone: { countryCode: normalizedCountryCode, number: normalizedPhone },
-      senderPhone: {
-        countryCode: normalizedCountryCode,
-        number: senderPhone ? normalizePhone(senderPhone) : normalizedPhone,
-      },
-    };
+    },
+  });
 
-    const { transaction, duplicate } = await createPendingTransaction({
-      req,
-      serviceType: "airtime",
-      reference,
-      amount: purchaseAmount,
-      currency,
-      pricing,
-      payload,
-      serviceAgent: agentPricing.serviceAgent,
-      recipient: {
-        phone: normalizedPhone,
+  if (duplicate) {
+    return { transaction, result: transaction.providerResponse, duplicate: true };
+  }
+
+  const { result } = await chargeAndRunProvider({
+    transaction,
+    providerCall: () =>
+      provider.purchase("airtime", payload, {
         countryCode: normalizedCountryCode,
         operatorId: normalizedOperatorId,
-      },
-    });
+        isDeclined: isProviderDecline,
+        acceptCost: acceptFailoverCost(pricing),
+      }),
+    debitNote: "Airtime purchase",
+  });
+
+  return { transaction, result, duplicate: false };
+}
 
+async function sendAirtime(req, res, next) {
+  try {
+    const { transaction, result, duplicate } = await executeAirtimePurchase({
+      user: req.user,
+      body: req.body,
+      idempotencyKey: getIdempotencyKey(req),
+    });
     if (duplicate) {
       return res.status(200).json({ success: true, duplicate: true, transaction });
     }
-
-    const { result } = await chargeAndRunProvider({
-      transaction,
-      providerCall: () => provider.sendAirtime(payload),
-      debitNote: "Airtime purchase",
-    });
-
     return res.status(201).json({ success: true, transaction, result });
   } catch (error) {
     return next(error);
@@ -1845,8 +2076,10 @@ async function listDataBundles(req, res, next) {
   try {
     const { operatorId } = req.query;
     required(operatorId, "Operator");
-    const normalizedOperatorId = toPositiveInteger(operatorId, "Operator");
-    const bundles = await provider.getDataBundles(normalizedOperatorId);
+    const normalizedOperatorId = normalizeOperatorId(operatorId);
+    const bundles = await provider.getDataBundles(normalizedOperatorId, {
+      countryCode: req.query.countryCode,
+    });
     return res.json({ success: true, bundles });
   } catch (error) {
     if (error.statusCode === 404) {
@@ -1860,119 +2093,147 @@ async function listDataBundles(req, res, next) {
   }
 }
 
-async function purchaseData(req, res, next) {
-  try {
-    const {
-      operatorId,
-      packageCode,
-      recipientPhone,
-      senderPhone,
-      countryCode,
-      amount,
-      localAmount,
-      localCurrencyCode,
-    } = req.body;
-    required(operatorId, "Operator");
-    required(recipientPhone, "Recipient phone");
-    required(amount, "Amount");
-    const normalizedOperatorId = toPositiveInteger(operatorId, "Operator");
-    const normalizedCountryCode = normalizeCountryCode(countryCode);
-    const normalizedPhone = normalizePhone(recipientPhone);
-    const currency = normalizeCurrency(req.body.currency || "USD");
-    const normalizedLocalCurrencyCode = normalizeOptionalCurrencyCode(localCurrencyCode);
-    const usesCatalogBundle = Boolean(packageCode);
-    const usesProviderPackage = Boolean(
-      packageCode && !String(packageCode).startsWith("amount:")
-    );
-    const providerAmount = usesCatalogBundle
+/**
+ * Data bundle purchase for a user, shared by the API and scheduled top-ups.
+ * Returns { transaction, result, duplicate }.
+ */
+async function executeDataPurchase({ user, body, idempotencyKey = null, scheduledTopup = null }) {
+  const {
+    operatorId,
+    packageCode,
+    recipientPhone,
+    senderPhone,
+    countryCode,
+    amount,
+    localAmount,
+    localCurrencyCode,
+  } = body;
+  required(operatorId, "Operator");
+  required(recipientPhone, "Recipient phone");
+  required(amount, "Amount");
+  const normalizedOperatorId = normalizeOperatorId(operatorId);
+  const normalizedCountryCode = normalizeCountryCode(countryCode);
+  const normalizedPhone = normalizePhone(recipientPhone);
+  const currency = normalizeCurrency(body.currency || "USD");
+  const normalizedLocalCurrencyCode = normalizeOptionalCurrencyCode(localCurrencyCode);
+  const usesCatalogBundle = Boolean(packageCode);
+  const usesProviderPackage = Boolean(
+    packageCode && !String(packageCode).startsWith("amount:")
+  );
+  const providerAmount = usesCatalogBundle
+    ? toMoney(amount, "Amount")
+    : localAmount === undefined || localAmount === null || localAmount === ""
       ? toMoney(amount, "Amount")
-      : localAmount === undefined || localAmount === null || localAmount === ""
-        ? toMoney(amount, "Amount")
-        : toMoney(localAmount, "Local amount");
-    const pricing = await buildTransactionPricing({
+      : toMoney(localAmount, "Local amount");
+  const pricing = await buildTransactionPricing({
+    countryCode: normalizedCountryCode,
+    operatorId: normalizedOperatorId,
+    providerAmount,
+    providerCurrencyCode: usesCatalogBundle
+      ? "USD"
+      : normalizedLocalCurrencyCode || currency,
+    walletCurrency: currency,
+  });
+  const agentPricing = buildServiceAgentPricing({
+    user,
+    useAgentWallet: body.useAgentWallet,
+    pricing,
+    currency,
+  });
+  const purchaseAmount = agentPricing.purchaseAmount;
+  const existingTransaction = await findExistingIdempotentTransaction({
+    userId: user._id,
+    idempotencyKey,
+  });
+  if (existingTransaction) {
+    return {
+      transaction: existingTransaction,
+      result: existingTransaction.providerResponse,
+      duplicate: true,
+    };
+  }
+  await assertDailySpendLimit({
+    userId: user._id,
+    amount: purchaseAmount,
+    amountUsd: pricing.providerCostUsd + pricing.platformFeeUsd,
+    currency,
+  });
+  await assertWalletCanCover({
+    userId: user._id,
+    amount: purchaseAmount,
+    currency,
+  });
+
+  const reference = provider.buildReference("data");
+  const payload = {
+    operatorId: normalizedOperatorId,
+    amount: providerAmount,
+    useLocalAmount: !usesCatalogBundle,
+    customIdentifier: reference,
+    recipientPhone: { countryCode: normalizedCountryCode, number: normalizedPhone },
+    senderPhone: {
       countryCode: normalizedCountryCode,
-      operatorId: normalizedOperatorId,
-      providerAmount,
-      providerCurrencyCode: usesCatalogBundle
-        ? "USD"
-        : normalizedLocalCurrencyCode || currency,
-      walletCurrency: currency,
-    });
-    const agentPricing = buildServiceAgentPricing({
-      req,
-      pricing,
-      currency,
-    });
-    const purchaseAmount = agentPricing.purchaseAmount;
-    const existingTransaction = await findExistingIdempotentTransaction(req);
-    if (existingTransaction) {
-      return res.status(200).json({
-        success: true,
-        duplicate: true,
-        transaction: existingTransaction,
-      });
-    }
-    await assertDailySpendLimit({
-      userId: req.user._id,
-      amount: purchaseAmount,
-      amountUsd: pricing.providerCostUsd + pricing.platformFeeUsd,
-      currency,
-    });
-    await assertWalletCanCover({
-      userId: req.user._id,
-      amount: purchaseAmount,
-      currency,
-    });
+      number: senderPhone ? normalizePhone(senderPhone) : normalizedPhone,
+    },
+  };
+  if (usesProviderPackage) {
+    payload.data = { packageCode };
+  } else if (!usesCatalogBundle && normalizedLocalCurrencyCode) {
+    payload.localCurrencyCode = normalizedLocalCurrencyCode;
+  }
 
-    const reference = provider.buildReference("data");
-    const payload = {
+  const { transaction, duplicate } = await createPendingTransaction({
+    userId: user._id,
+    idempotencyKey,
+    scheduledTopup,
+    serviceType: "data",
+    reference,
+    amount: purchaseAmount,
+    currency,
+    pricing,
+    payload,
+    serviceAgent: agentPricing.serviceAgent,
+    recipient: {
+      phone: normalizedPhone,
+      countryCode: normalizedCountryCode,
       operatorId: normalizedOperatorId,
-      amount: providerAmount,
-      useLocalAmount: !usesCatalogBundle,
-      customIdentifier: reference,
-      recipientPhone: { countryCode: normalizedCountryCode, number: normalizedPhone },
-      senderPhone: {
-        countryCode: normalizedCountryCode,
-        number: senderPhone ? normalizePhone(senderPhone) : normalizedPhone,
-      },
-    };
-    if (usesProviderPackage) {
-      payload.data = { packageCode };
-    } else if (!usesCatalogBundle && normalizedLocalCurrencyCode) {
-      payload.localCurrencyCode = normalizedLocalCurrencyCode;
-    }
+    },
+    product: {
+      id: packageCode || operatorId,
+      name: body.packageName || "Data bundle",
+      countryCode: normalizedCountryCode,
+    },
+  });
 
-    const { transaction, duplicate } = await createPendingTransaction({
-      req,
-      serviceType: "data",
-      reference,
-      amount: purchaseAmount,
-      currency,
-      pricing,
-      payload,
-      serviceAgent: agentPricing.serviceAgent,
-      recipient: {
-        phone: normalizedPhone,
+  if (duplicate) {
+    return { transaction, result: transaction.providerResponse, duplicate: true };
+  }
+
+  const { result } = await chargeAndRunProvider({
+    transaction,
+    providerCall: () =>
+      provider.purchase("data", payload, {
         countryCode: normalizedCountryCode,
         operatorId: normalizedOperatorId,
-      },
-      product: {
-        id: packageCode || operatorId,
-        name: req.body.packageName || "Data bundle",
-        countryCode: normalizedCountryCode,
-      },
-    });
+        isDeclined: isProviderDecline,
+        acceptCost: acceptFailoverCost(pricing),
+      }),
+    debitNote: "Data bundle purchase",
+  });
 
+  return { transaction, result, duplicate: false };
+}
+
+async function purchaseData(req, res, next) {
+  try {
+    const { transaction, result, duplicate } = await executeDataPurchase({
+      user: req.user,
+      body: req.body,
+      idempotencyKey: getIdempotencyKey(req),
+    });
     if (duplicate) {
       return res.status(200).json({ success: true, duplicate: true, transaction });
     }
-
-    const { result } = await chargeAndRunProvider({
-      transaction,
-      providerCall: () => provider.purchaseData(payload),
-      debitNote: "Data bundle purchase",
-    });
-
     return res.status(201).json({ success: true, transaction, result });
   } catch (error) {
     return next(error);
@@ -2023,12 +2284,16 @@ async function purchaseGiftCard(req, res, next) {
       providerDiscountPercent: providerPricing?.discountPercent || 0,
     });
     const agentPricing = buildServiceAgentPricing({
-      req,
+      user: req.user,
+      useAgentWallet: req.body.useAgentWallet,
       pricing,
       currency,
     });
     const purchaseAmount = agentPricing.purchaseAmount;
-    const existingTransaction = await findExistingIdempotentTransaction(req);
+    const existingTransaction = await findExistingIdempotentTransaction({
+      userId: req.user._id,
+      idempotencyKey: getIdempotencyKey(req),
+    });
     if (existingTransaction) {
       return res.status(200).json({
         success: true,
@@ -2059,7 +2324,8 @@ async function purchaseGiftCard(req, res, next) {
     };
 
     const { transaction, duplicate } = await createPendingTransaction({
-      req,
+      userId: req.user._id,
+      idempotencyKey: getIdempotencyKey(req),
       serviceType: "gift-card",
       reference,
       amount: purchaseAmount,
@@ -2077,7 +2343,11 @@ async function purchaseGiftCard(req, res, next) {
 
     const { result } = await chargeAndRunProvider({
       transaction,
-      providerCall: () => provider.purchaseGiftCard(payload),
+      providerCall: () =>
+        provider.purchase("giftCards", payload, {
+          countryCode: normalizedCountryCode,
+          isDeclined: isProviderDecline,
+        }),
       debitNote: "Gift card purchase",
     });
 
@@ -2100,6 +2370,413 @@ async function listTransactions(req, res, next) {
   }
 }
 
+/**
+ * Price a conversion between two wallet currencies from the current rate table.
+ * The target amount is rounded down; the spread (plus that rounding) stays with the platform.
+ */
+async function buildFxQuote({ fromCurrency, toCurrency, amount }) {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+  if (from === to) {
+    throw new BadRequestError("Choose two different wallet currencies");
+  }
+  const fromAmount = toMoney(amount);
+
+  const snapshot = await getRateSnapshot([from, to]);
+  const fromRate = snapshot.rates[from];
+  const toRate = snapshot.rates[to];
+  if (!fromRate || !toRate) {
+    throw new BadRequestError(`Exchange rate unavailable for ${fromRate ? to : from}`);
+  }
+  if (fromAmount / fromRate > MAX_FX_CONVERSION_USD) {
+    throw new BadRequestError(
+      `Conversions are limited to USD ${MAX_FX_CONVERSION_USD.toFixed(2)} at a time`
+    );
+  }
+
+  const midRate = toRate / fromRate;
+  const grossAmount = fromAmount * midRate;
+  const toAmount = Math.floor(grossAmount * (1 - FX_SPREAD_PERCENT / 100) * 100) / 100;
+  if (toAmount <= 0) {
+    throw new BadRequestError("Amount is too small to convert");
+  }
+  const spreadAmount = roundAccountingValue(grossAmount - toAmount);
+
+  return {
+    fromCurrency: from,
+    toCurrency: to,
+    fromAmount,
+    toAmount,
+    midRate: roundAccountingValue(midRate, 8),
+    appliedRate: roundAccountingValue(toAmount / fromAmount, 8),
+    spreadPercent: FX_SPREAD_PERCENT,
+    spreadAmount,
+    spreadUsd: roundAccountingValue(spreadAmount / toRate),
+    usdRates: { from: fromRate, to: toRate },
+    rateSnapshot: snapshot.snapshotId,
+    ratesAsOf: snapshot.fetchedAt,
+  };
+}
+
+async function getWalletFxQuote(req, res, next) {
+  try {
+    const quote = await buildFxQuote({
+      fromCurrency: req.query.fromCurrency,
+      toCurrency: req.query.toCurrency,
+      amount: req.query.amount,
+    });
+    res.json({ success: true, quote });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function convertWalletCurrency(req, res, next) {
+  try {
+    const idempotencyKey = getIdempotencyKey(req);
+    if (idempotencyKey) {
+      const existing = await WalletFxConversion.findOne({
+        user: req.user._id,
+        idempotencyKey,
+      }).lean();
+      if (existing) {
+        return res.json({ success: true, duplicate: true, conversion: existing });
+      }
+    }
+
+    const quote = await buildFxQuote({
+      fromCurrency: req.body.fromCurrency,
+      toCurrency: req.body.toCurrency,
+      amount: req.body.amount,
+    });
+    if (
+      req.body.minReceiveAmount !== undefined &&
+      quote.toAmount < toMoney(req.body.minReceiveAmount, "Minimum receive amount")
+    ) {
+      throw new BadRequestError(
+        `Rates have changed: you would receive ${quote.toCurrency} ${quote.toAmount.toFixed(2)}`
+      );
+    }
+
+    const reference = provider.buildReference("fx");
+    const conversion = await WalletFxConversion.create({
+      ...quote,
+      user: req.user._id,
+      reference,
+      idempotencyKey,
+    });
+
+    let debit;
+    try {
+      debit = await debitWallet({
+        userId: req.user._id,
+        amount: quote.fromAmount,
+        currency: quote.fromCurrency,
+        reference,
+        note: `Converted to ${quote.toCurrency}`,
+      });
+    } catch (error) {
+      conversion.status = "failed";
+      conversion.failureMessage = error.message;
+      await conversion.save();
+      throw error;
+    }
+    conversion.debitLedger = debit.ledger._id;
+
+    let credit;
+    try {
+      credit = await creditWallet({
+        userId: req.user._id,
+        amount: quote.toAmount,
+        currency: quote.toCurrency,
+        reference,
+        note: `Converted from ${quote.fromCurrency} at ${quote.appliedRate}`,
+      });
+    } catch (error) {
+      const refund = await creditWallet({
+        userId: req.user._id,
+        amount: quote.fromAmount,
+        currency: quote.fromCurrency,
+        type: "refund",
+        reference: `${reference}_refund`,
+        note: `Refund for failed conversion to ${quote.toCurrency}`,
+      });
+      conversion.status = "failed";
+      conversion.failureMessage = error.message;
+      conversion.refundLedger = refund.ledger._id;
+      await conversion.save();
+      throw error;
+    }
+    conversion.creditLedger = credit.ledger._id;
+    conversion.status = "completed";
+
+    const spreadUsd = roundAccountingValue(quote.spreadUsd, 2);
+    if (spreadUsd >= 0.01) {
+      const revenueWallet = await getRevenueWallet();
+      const revenueLedger = await createRevenueLedger({
+        type: "credit",
+        amount: spreadUsd,
+        currency: "USD",
+        balanceAfter: roundAccountingValue(Number(revenueWallet.balance || 0) + spreadUsd),
+        reference: `${reference}_spread`,
+        note: `FX spread on ${quote.fromCurrency} -> ${quote.toCurrency} conversion`,
+        user: req.user._id,
+      });
+      conversion.revenueLedger = revenueLedger._id;
+    }
+    await conversion.save();
+
+    res.status(201).json({
+      success: true,
+      conversion,
+      wallets: credit.user.digitalWallets,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function listWalletConversions(req, res, next) {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 25, 100);
+    const conversions = await WalletFxConversion.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, conversions });
+  } catch (error) {
+    next(error);
+  }
+}
+
+function normalizeTopupSchedule(input = {}) {
+  const frequency = String(input.frequency || "")
+    .trim()
+    .toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new BadRequestError(`Frequency must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+
+  const startAt = input.startAt ? new Date(input.startAt) : new Date();
+  if (Number.isNaN(startAt.getTime())) {
+    throw new BadRequestError("Start date is invalid");
+  }
+  if (frequency === "once" && startAt <= new Date()) {
+    throw new BadRequestError("A one-off top-up must be scheduled in the future");
+  }
+
+  const timeZone = String(input.timeZone || "UTC").trim();
+  if (!isValidTimeZone(timeZone)) {
+    throw new BadRequestError("Time zone is invalid");
+  }
+  const timeOfDay = String(input.timeOfDay || "09:00").trim();
+  if (!parseTimeOfDay(timeOfDay)) {
+    throw new BadRequestError("Time of day must be HH:mm");
+  }
+
+  let dayOfWeek = null;
+  if (frequency === "weekly") {
+    dayOfWeek = Number(input.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new BadRequestError("Day of week must be 0 (Sunday) to 6 (Saturday)");
+    }
+  }
+  let dayOfMonth = null;
+  if (frequency === "monthly") {
+    dayOfMonth = Number(input.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      throw new BadRequestError("Day of month must be 1 to 31");
+    }
+  }
+
+  const endsAt = input.endsAt ? new Date(input.endsAt) : null;
+  if (endsAt && (Number.isNaN(endsAt.getTime()) || endsAt <= startAt)) {
+    throw new BadRequestError("End date must be after the start date");
+  }
+
+  return { frequency, startAt, timeOfDay, timeZone, dayOfWeek, dayOfMonth, endsAt };
+}
+
+const TOPUP_PURCHASE_FIELDS = [
+  "amount",
+  "currency",
+  "localAmount",
+  "localCurrencyCode",
+  "packageCode",
+  "packageName",
+];
+
+function normalizeTopupPurchase(serviceType, input = {}) {
+  required(input.amount, "Amount");
+  const hasLocalAmount =
+    input.localAmount !== undefined && input.localAmount !== null && input.localAmount !== "";
+  const packageCode =
+    serviceType === "data" && input.packageCode ? String(input.packageCode) : null;
+
+  return {
+    amount: toMoney(input.amount, "Amount"),
+    currency: normalizeCurrency(input.currency || "USD"),
+    localAmount: hasLocalAmount && !packageCode ? toMoney(input.localAmount, "Local amount") : null,
+    localCurrencyCode: packageCode ? null : normalizeOptionalCurrencyCode(input.localCurrencyCode),
+    packageCode,
+    packageName: packageCode ? String(input.packageName || "").trim() || null : null,
+  };
+}
+
+function getNextTopupRun(schedule) {
+  const nextRunAt = computeNextRunAt(schedule, new Date());
+  if (!nextRunAt) {
+    throw new BadRequestError("This schedule has no upcoming top-ups");
+  }
+  return nextRunAt;
+}
+
+async function findOwnScheduledTopup(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.topupId)) {
+    throw new NotFoundError("Scheduled top-up not found");
+  }
+  const topup = await ScheduledTopup.findOne({ _id: req.params.topupId, user: req.user._id });
+  if (!topup) {
+    throw new NotFoundError("Scheduled top-up not found");
+  }
+  return topup;
+}
+
+async function listScheduledTopups(req, res, next) {
+  try {
+    const topups = await ScheduledTopup.find({
+      user: req.user._id,
+      status: { $ne: "cancelled" },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ success: true, topups });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function getScheduledTopup(req, res, next) {
+  try {
+    const topup = await findOwnScheduledTopup(req);
+    const transactions = await DigitalServiceTransaction.find({
+      user: req.user._id,
+      scheduledTopup: topup._id,
+    })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.json({ success: true, topup, transactions });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function createScheduledTopup(req, res, next) {
+  try {
+    const { serviceType, recipientPhone, countryCode, operatorId } = req.body;
+    if (!["airtime", "data"].includes(serviceType)) {
+      throw new BadRequestError("Service type must be airtime or data");
+    }
+    required(operatorId, "Operator");
+    required(recipientPhone, "Recipient phone");
+
+    const activeCount = await ScheduledTopup.countDocuments({
+      user: req.user._id,
+      status: { $in: ["active", "paused"] },
+    });
+    if (activeCount >= MAX_SCHEDULED_TOPUPS) {
+      throw new BadRequestError(`You can have up to ${MAX_SCHEDULED_TOPUPS} scheduled top-ups`);
+    }
+
+    const schedule = normalizeTopupSchedule(req.body.schedule);
+    const topup = await ScheduledTopup.create({
+      user: req.user._id,
+      serviceType,
+      nickname: String(req.body.nickname || "")
+        .trim()
+        .slice(0, 60),
+      recipient: {
+        phone: normalizePhone(recipientPhone),
+        countryCode: normalizeCountryCode(countryCode),
+        operatorId: normalizeOperatorId(operatorId),
+        operatorName: req.body.operatorName || null,
+      },
+      purchase: normalizeTopupPurchase(serviceType, req.body),
+      schedule,
+      nextRunAt: getNextTopupRun(schedule),
+    });
+
+    res.status(201).json({ success: true, topup });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function updateScheduledTopup(req, res, next) {
+  try {
+    const topup = await findOwnScheduledTopup(req);
+    if (["cancelled", "completed"].includes(topup.status)) {
+      throw new BadRequestError("This scheduled top-up has ended");
+    }
+
+    let reschedule = false;
+    if (req.body.nickname !== undefined) {
+      topup.nickname = String(req.body.nickname || "")
+        .trim()
+        .slice(0, 60);
+    }
+    if (TOPUP_PURCHASE_FIELDS.some((field) => req.body[field] !== undefined)) {
+      topup.purchase = normalizeTopupPurchase(topup.serviceType, {
+        ...topup.purchase.toObject(),
+        ...req.body,
+      });
+    }
+    if (req.body.schedule) {
+      topup.schedule = normalizeTopupSchedule({
+        ...topup.schedule.toObject(),
+        ...req.body.schedule,
+      });
+      reschedule = true;
+    }
+    if (req.body.status !== undefined) {
+      if (!["active", "paused"].includes(req.body.status)) {
+        throw new BadRequestError("Status must be active or paused");
+      }
+      if (req.body.status === "active" && topup.status !== "active") {
+        topup.consecutiveFailures = 0;
+        topup.pausedReason = null;
+        reschedule = true;
+      }
+      topup.status = req.body.status;
+    }
+
+    if (reschedule) {
+      topup.nextRunAt = getNextTopupRun(topup.schedule);
+      topup.retry = { scheduledFor: null, attempts: 0 };
+    }
+    await topup.save();
+
+    res.json({ success: true, topup });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function cancelScheduledTopup(req, res, next) {
+  try {
+    const topup = await findOwnScheduledTopup(req);
+    topup.status = "cancelled";
+    topup.nextRunAt = null;
+    topup.retry = { scheduledFor: null, attempts: 0 };
+    await topup.save();
+
+    res.json({ success: true, topup });
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function getServiceAgentDashboard(req, res, next) {
   try {
     if (!isServiceAgentUser(req.user)) {
@@ -2160,105 +2837,778 @@ async function getServiceAgentDashboard(req, res, next) {
       wallets.push(await syncVerifiedUserWallet(userId, currency));
     }
 
-    const totals = normalizedTransactions.reduce(
-      (acc, transaction) => {
-        if (transaction.status === "completed") {
-          acc.sales += 1;
-          acc.volume += Number(transaction.amount?.value || 0);
-          acc.profit += getServiceAgentProfit(transaction);
-        }
-        if (transaction.status === "failed" || transaction.status === "refunded") {
-          acc.failed += 1;
-        }
-        return acc;
-      },
-      { sales: 0, failed: 0, volume: 0, profit: 0 }
-    );
+    const totals = normalizedTransactions.reduce(
+      (acc, transaction) => {
+        if (transaction.status === "completed") {
+          acc.sales += 1;
+          acc.volume += Number(transaction.amount?.value || 0);
+          acc.profit += getServiceAgentProfit(transaction);
+        }
+        if (transaction.status === "failed" || transaction.status === "refunded") {
+          acc.failed += 1;
+        }
+        return acc;
+      },
+      { sales: 0, failed: 0, volume: 0, profit: 0 }
+    );
+
+    res.json({
+      success: true,
+      agent: {
+        _id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        serviceAgent: req.user.serviceAgent,
+      },
+      wallets,
+      transactions: normalizedTransactions,
+      ledger,
+      totals,
+      commission: await getAgentCommissionBalances(userId),
+      config: getServiceAgentConfig(req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function requestServiceAgentAccess(req, res, next) {
+  try {
+    if (isServiceAgentUser(req.user)) {
+      return res.json({
+        success: true,
+        status: "active",
+        message: "Your account is already active as a service agent.",
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        $set: {
+          isServiceAgent: false,
+          "serviceAgent.status": "pending",
+          "serviceAgent.requestedAt": new Date(),
+        },
+      },
+      { new: true }
+    ).select("name email phone role isServiceAgent serviceAgent");
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const admins = await User.find({ role: "admin" }).select("_id").lean();
+    const title = "Service agent request";
+    const body = `${user.name || user.email || "A user"} requested service agent activation. Open /admin/services to review and activate.`;
+
+    await Promise.all(
+      admins.map((admin) =>
+        MessageNotification.create({
+          user: admin._id,
+          sender: user._id,
+          type: "contact-form",
+          title,
+          body,
+          deliveryChannels: { inApp: true, email: false, push: false },
+        })
+      )
+    );
+
+    res.status(201).json({
+      success: true,
+      status: "pending",
+      message: "Your service agent request has been sent to admin.",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function listPendingServiceAgentRequests(req, res, next) {
+  try {
+    const users = await User.find({ "serviceAgent.status": "pending" })
+      .select("name fullName email phone role isServiceAgent serviceAgent digitalWallet digitalWallets")
+      .sort({ "serviceAgent.requestedAt": -1, createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({
+      success: true,
+      users,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+function getWalletBalance(user, currency) {
+  const wallet = user?.digitalWallets?.find((entry) => entry.currency === currency);
+  return Number(wallet?.balance || 0);
+}
+
+/**
+ * Commission an agent can still withdraw, per currency: commission earned (ServiceWalletLedger)
+ * less payouts requested, in progress or paid, capped at the wallet balance since commission
+ * lands in the agent's wallet and may have been spent.
+ */
+async function getAgentCommissionBalances(agentId) {
+  const [earned, payouts] = await Promise.all([
+    ServiceWalletLedger.aggregate([
+      { $match: { agent: new mongoose.Types.ObjectId(String(agentId)), type: "commission" } },
+      { $group: { _id: "$currency", total: { $sum: "$amount" } } },
+    ]),
+    ServiceAgentPayout.aggregate([
+      {
+        $match: {
+          agent: new mongoose.Types.ObjectId(String(agentId)),
+          status: { $in: [...OPEN_PAYOUT_STATUSES, "paid"] },
+        },
+      },
+      {
+        $group: {
+          _id: { currency: "$currency", paid: { $eq: ["$status", "paid"] } },
+          total: { $sum: "$amount" },
+        },
+      },
+    ]),
+  ]);
+
+  const balances = new Map();
+  const getBalance = (currency) => {
+    const key = normalizeCurrency(currency || "USD");
+    if (!balances.has(key)) {
+      balances.set(key, { currency: key, earned: 0, paidOut: 0, pending: 0 });
+    }
+    return balances.get(key);
+  };
+  earned.forEach((entry) => {
+    getBalance(entry._id).earned = roundAccountingValue(entry.total);
+  });
+  payouts.forEach((entry) => {
+    const balance = getBalance(entry._id.currency);
+    balance[entry._id.paid ? "paidOut" : "pending"] = roundAccountingValue(entry.total);
+  });
+
+  const results = [];
+  for (const balance of balances.values()) {
+    // eslint-disable-next-line no-await-in-loop
+    const wallet = await syncVerifiedUserWallet(agentId, balance.currency);
+    const unpaid = balance.earned - balance.paidOut - balance.pending;
+    results.push({
+      ...balance,
+      walletBalance: wallet.balance,
+      available: Math.max(0, Math.floor(Math.min(unpaid, wallet.balance) * 100) / 100),
+    });
+  }
+  return results.sort((a, b) => a.currency.localeCompare(b.currency));
+}
+
+// Move a payout out of one of `fromStatuses` and return the held amount to the agent's wallet
+async function releasePayoutHold(payoutId, { fromStatuses, status, reason, update = {} }) {
+  const payout = await ServiceAgentPayout.findOneAndUpdate(
+    { _id: payoutId, status: { $in: fromStatuses } },
+    { $set: { ...update, status } },
+    { new: true }
+  );
+  if (!payout) {
+    throw new BadRequestError("Payout can no longer be changed");
+  }
+
+  const reference = `${payout.reference}_release`;
+  const { user, ledger } = await creditWallet({
+    userId: payout.agent,
+    amount: payout.amount,
+    currency: payout.currency,
+    type: "refund",
+    reference,
+    note: reason,
+  });
+  await createServiceWalletLedger({
+    agentId: payout.agent,
+    type: "refund",
+    amount: payout.amount,
+    currency: payout.currency,
+    balanceAfter: getWalletBalance(user, payout.currency),
+    reference,
+    note: reason,
+  });
+
+  payout.releaseLedger = ledger._id;
+  await payout.save();
+  return payout;
+}
+
+async function requestServiceAgentPayout(req, res, next) {
+  try {
+    if (!isServiceAgentUser(req.user)) {
+      throw new BadRequestError("Service agent access required");
+    }
+
+    const currency = normalizeCurrency(req.body.currency || "USD");
+    const amount = toMoney(req.body.amount);
+    const recipientEmail = normalizeEmail(
+      req.body.recipientEmail || req.user.email,
+      "PayPal email"
+    );
+    const amountUsd = await convertAmountToUsd(amount, currency);
+    if (amountUsd < SERVICE_AGENT_MIN_PAYOUT_USD) {
+      throw new BadRequestError(
+        `Minimum payout is USD ${SERVICE_AGENT_MIN_PAYOUT_USD.toFixed(2)} or the equivalent`
+      );
+    }
+    const pendingRequestMessage = "You already have a payout request awaiting review";
+    if (await ServiceAgentPayout.exists({ agent: req.user._id, status: "requested" })) {
+      throw new ConflictError(pendingRequestMessage);
+    }
+
+    const balances = await getAgentCommissionBalances(req.user._id);
+    const available = balances.find((entry) => entry.currency === currency)?.available || 0;
+    if (amount > available) {
+      throw new BadRequestError(
+        `Only ${currency} ${available.toFixed(2)} of commission is available to withdraw`
+      );
+    }
+
+    const reference = provider.buildReference("agent_payout");
+    let payout;
+    try {
+      payout = await ServiceAgentPayout.create({
+        agent: req.user._id,
+        reference,
+        amount,
+        currency,
+        amountUsd,
+        recipientEmail,
+        note: String(req.body.note || "").slice(0, 500),
+      });
+    } catch (error) {
+      // A concurrent request got its payout in first (one "requested" payout per agent)
+      if (error?.code === 11000) throw new ConflictError(pendingRequestMessage);
+      throw error;
+    }
+
+    let hold;
+    try {
+      hold = await debitWallet({
+        userId: req.user._id,
+        amount,
+        currency,
+        reference,
+        note: "Commission payout request",
+      });
+    } catch (error) {
+      payout.status = "cancelled";
+      payout.failureMessage = error.message;
+      await payout.save();
+      throw error;
+    }
+    payout.holdLedger = hold.ledger._id;
+    await payout.save();
+    await createServiceWalletLedger({
+      agentId: req.user._id,
+      type: "payout",
+      amount,
+      currency,
+      balanceAfter: getWalletBalance(hold.user, currency),
+      reference,
+      note: `Commission payout to ${recipientEmail}`,
+    });
+
+    const admins = await User.find({ role: "admin" }).select("_id").lean();
+    await Promise.all(
+      admins.map((admin) =>
+        MessageNotification.create({
+          user: admin._id,
+          sender: req.user._id,
+          type: "service-agent-payout",
+          serviceAgentPayout: payout._id,
+          title: "Service agent payout request",
+          body: `${req.user.name || req.user.email || "A service agent"} requested a ${currency} ${amount.toFixed(2)} commission payout. Open /admin/services to review it.`,
+          deliveryChannels: { inApp: true, email: false, push: false },
+        })
+      )
+    );
+
+    res.status(201).json({ success: true, payout });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function listServiceAgentPayouts(req, res, next) {
+  try {
+    if (!isServiceAgentUser(req.user)) {
+      throw new BadRequestError("Service agent access required");
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 25, 100);
+    const [payouts, balances] = await Promise.all([
+      ServiceAgentPayout.find({ agent: req.user._id }).sort({ createdAt: -1 }).limit(limit).lean(),
+      getAgentCommissionBalances(req.user._id),
+    ]);
+    res.json({
+      success: true,
+      payouts,
+      balances,
+      minimumPayoutUsd: SERVICE_AGENT_MIN_PAYOUT_USD,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function cancelServiceAgentPayout(req, res, next) {
+  try {
+    const payout = await ServiceAgentPayout.findOne({
+      _id: req.params.payoutId,
+      agent: req.user._id,
+    }).lean();
+    if (!payout) {
+      throw new NotFoundError("Payout not found");
+    }
+
+    const cancelled = await releasePayoutHold(payout._id, {
+      fromStatuses: ["requested"],
+      status: "cancelled",
+      reason: "Commission payout request cancelled",
+    });
+    res.json({ success: true, payout: cancelled });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// The payout reference doubles as PayPal's sender_batch_id, so a resubmission can't pay twice
+function buildPayoutRequest(payout) {
+  return {
+    recipientEmail: payout.recipientEmail,
+    amount: payout.amount,
+    currency: payout.currency,
+    note: `${config.APP_NAME} service agent commission payout`,
+    senderBatchId: payout.reference,
+    senderItemId: `${payout.reference}_item`,
+    emailSubject: `Your ${config.APP_NAME} commission payout`,
+  };
+}
+
+// PayPal answered with a 4xx other than a timeout or a duplicate batch: no payout was created
+function isPayoutRejected(error) {
+  const status = Number(error?.statusCode);
+  return status >= 400 && status < 500 && status !== 408 && !getDuplicatePayoutBatchId(error);
+}
+
+/**
+ * PayPal batch id of a processing payout whose createPayout call had no clear outcome.
+ * The same sender_batch_id is submitted again: PayPal creates the batch if the first request
+ * never reached it, or rejects the duplicate with a link to the batch it already has.
+ * Returns null when PayPal rejected the payout (the hold is released) or it is too old to
+ * resubmit safely.
+ */
+async function resolvePayoutBatchId(payout) {
+  const submittedAt = payout.reviewedAt || payout.updatedAt;
+  if (Date.now() - new Date(submittedAt).getTime() > PAYOUT_RESUBMIT_WINDOW_MS) {
+    console.warn(`⚠️ Payout ${payout.reference} has no PayPal batch; check it in PayPal`);
+    return null;
+  }
+
+  try {
+    const result = await createPayout(buildPayoutRequest(payout));
+    return result?.batch_header?.payout_batch_id || null;
+  } catch (error) {
+    const duplicateBatchId = getDuplicatePayoutBatchId(error);
+    if (duplicateBatchId) return duplicateBatchId;
+    if (isPayoutRejected(error)) {
+      await releasePayoutHold(payout._id, {
+        fromStatuses: ["processing"],
+        status: "failed",
+        reason: `Commission payout failed: ${error.message}`,
+        update: { failureMessage: error.message },
+      });
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check a processing payout with PayPal and settle it when PayPal has a final status.
+ * Failed, returned or reversed payouts go back to the agent's wallet.
+ */
+async function refreshServiceAgentPayout(payoutId) {
+  const payout = await ServiceAgentPayout.findOne({ _id: payoutId, status: "processing" });
+  if (!payout) return payout;
+
+  if (!payout.paypal?.payoutBatchId) {
+    const payoutBatchId = await resolvePayoutBatchId(payout);
+    if (!payoutBatchId) {
+      await ServiceAgentPayout.updateOne(
+        { _id: payout._id, status: "processing" },
+        { $set: { "paypal.lastCheckedAt": new Date() } }
+      );
+      return ServiceAgentPayout.findById(payout._id);
+    }
+    payout.paypal.payoutBatchId = payoutBatchId;
+    await ServiceAgentPayout.updateOne(
+      { _id: payout._id },
+      { $set: { "paypal.payoutBatchId": payoutBatchId } }
+    );
+  }
+
+  const batch = await getPayoutBatch(payout.paypal.payoutBatchId);
+  const item = batch?.items?.[0];
+  const batchStatus = String(batch?.batch_header?.batch_status || "").toUpperCase();
+  const itemStatus = String(item?.transaction_status || "").toUpperCase();
+  const paypal = {
+    "paypal.status": itemStatus || batchStatus || null,
+    "paypal.payoutItemId": item?.payout_item_id || payout.paypal.payoutItemId,
+    "paypal.transactionId": item?.transaction_id || payout.paypal.transactionId,
+    "paypal.lastCheckedAt": new Date(),
+  };
+
+  if (itemStatus === "SUCCESS") {
+    return ServiceAgentPayout.findOneAndUpdate(
+      { _id: payout._id, status: "processing" },
+      { $set: { ...paypal, status: "paid", paidAt: new Date() } },
+      { new: true }
+    );
+  }
+  if (PAYPAL_PAYOUT_FAILED_STATUSES.has(itemStatus) || batchStatus === "DENIED") {
+    const failureMessage =
+      item?.errors?.message || `PayPal payout ${(itemStatus || batchStatus).toLowerCase()}`;
+    return releasePayoutHold(payout._id, {
+      fromStatuses: ["processing"],
+      status: "failed",
+      reason: `Commission payout failed: ${failureMessage}`,
+      update: { ...paypal, failureMessage },
+    });
+  }
+
+  await ServiceAgentPayout.updateOne({ _id: payout._id }, { $set: paypal });
+  return ServiceAgentPayout.findById(payout._id);
+}
+
+async function refreshProcessingServiceAgentPayouts({ limit = 20 } = {}) {
+  const payouts = await ServiceAgentPayout.find({
+    status: "processing",
+    $or: [
+      { "paypal.lastCheckedAt": null },
+      { "paypal.lastCheckedAt": { $lte: new Date(Date.now() - PAYOUT_REFRESH_MS) } },
+    ],
+  })
+    .sort({ "paypal.lastCheckedAt": 1 })
+    .limit(limit)
+    .select("_id")
+    .lean();
+
+  const summary = { checked: payouts.length, paid: 0, failed: 0, errors: 0 };
+  for (const { _id } of payouts) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const payout = await refreshServiceAgentPayout(_id);
+      if (payout?.status === "paid" || payout?.status === "failed") {
+        summary[payout.status] += 1;
+      }
+    } catch (error) {
+      summary.errors += 1;
+      console.error("Failed to refresh service agent payout:", error?.message || _id);
+    }
+  }
+  return summary;
+}
+
+function getStatementPeriod(month) {
+  const now = new Date();
+  const value = String(month || "").trim();
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value);
+  if (value && !match) {
+    throw new BadRequestError("Month must be in YYYY-MM format");
+  }
+  const year = match ? Number(match[1]) : now.getUTCFullYear();
+  const monthIndex = match ? Number(match[2]) - 1 : now.getUTCMonth();
+  const from = new Date(Date.UTC(year, monthIndex, 1));
+  return {
+    label: from.toISOString().slice(0, 7),
+    from,
+    to: new Date(Date.UTC(year, monthIndex + 1, 1)),
+  };
+}
+
+// Monthly commission statement for an agent, from ServiceWalletLedger
+async function buildServiceAgentStatement({ agentId, month }) {
+  const period = getStatementPeriod(month);
+  const agent = await User.findById(agentId).select("name fullName email serviceAgent").lean();
+  if (!agent) {
+    throw new NotFoundError("Service agent not found");
+  }
+
+  const entries = await ServiceWalletLedger.find({
+    agent: agentId,
+    createdAt: { $gte: period.from, $lt: period.to },
+  })
+    .populate("transaction", "serviceType reference")
+    .sort({ createdAt: 1 })
+    .limit(5000)
+    .lean();
+
+  const totals = new Map();
+  entries.forEach((entry) => {
+    const currency = entry.currency || "USD";
+    const total = totals.get(currency) || {
+      currency,
+      commission: 0,
+      payouts: 0,
+      payoutsReturned: 0,
+      adjustmentsIn: 0,
+      adjustmentsOut: 0,
+      sales: 0,
+    };
+    const amount = Number(entry.amount || 0);
+    if (entry.type === "commission") {
+      total.commission += amount;
+      total.sales += 1;
+    } else if (entry.type === "payout") {
+      total.payouts += amount;
+    } else if (entry.type === "refund") {
+      total.payoutsReturned += amount;
+    } else if (entry.type === "credit") {
+      total.adjustmentsIn += amount;
+    } else {
+      total.adjustmentsOut += amount;
+    }
+    totals.set(currency, total);
+  });
+
+  return {
+    agent: {
+      _id: agent._id,
+      name: agent.name || agent.fullName || "",
+      email: agent.email || "",
+      commissionPercent: agent.serviceAgent?.commissionPercent || 0,
+    },
+    period,
+    generatedAt: new Date(),
+    totals: Array.from(totals.values()).map((total) => ({
+      ...total,
+      commission: roundAccountingValue(total.commission, 2),
+      payouts: roundAccountingValue(total.payouts, 2),
+      payoutsReturned: roundAccountingValue(total.payoutsReturned, 2),
+      adjustmentsIn: roundAccountingValue(total.adjustmentsIn, 2),
+      adjustmentsOut: roundAccountingValue(total.adjustmentsOut, 2),
+    })),
+    entries: entries.map((entry) => ({
+      date: entry.createdAt,
+      type: entry.type,
+      reference: entry.reference,
+      serviceType: entry.transaction?.serviceType || null,
+      amount: entry.amount,
+      currency: entry.currency,
+      balanceAfter: entry.balanceAfter,
+      note: entry.note,
+    })),
+  };
+}
+
+const escapeCsvValue = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function serviceAgentStatementToCsv(statement) {
+  const columns = ["Date", "Type", "Reference", "Service", "Amount", "Currency", "Balance", "Note"];
+  const lines = statement.entries.map((entry) =>
+    [
+      new Date(entry.date).toISOString(),
+      entry.type,
+      entry.reference,
+      entry.serviceType || "",
+      Number(entry.amount || 0).toFixed(2),
+      entry.currency,
+      Number(entry.balanceAfter || 0).toFixed(2),
+      entry.note,
+    ]
+      .map(escapeCsvValue)
+      .join(",")
+  );
+  return [columns.join(","), ...lines].join("\n");
+}
+
+function serviceAgentStatementToPdf(statement) {
+  const formatMoney = (currency, amount) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+  const lines = [
+    `Agent: ${statement.agent.name} <${statement.agent.email}>`,
+    `Period: ${statement.period.label} (UTC)`,
+    `Generated: ${statement.generatedAt.toISOString()}`,
+    "",
+    "Summary",
+    ...(statement.totals.length
+      ? statement.totals.flatMap((total) => [
+          `  ${total.currency}: ${total.sales} sales, commission ${formatMoney(total.currency, total.commission)}`,
+          `    Payouts ${formatMoney(total.currency, total.payouts)}, returned ${formatMoney(total.currency, total.payoutsReturned)}`,
+          `    Adjustments +${formatMoney(total.currency, total.adjustmentsIn)} / -${formatMoney(total.currency, total.adjustmentsOut)}`,
+        ])
+      : ["  No activity in this period"]),
+    "",
+    "Entries",
+    ...statement.entries.map(
+      (entry) =>
+        `  ${new Date(entry.date).toISOString().slice(0, 16).replace("T", " ")}  ${entry.type.padEnd(10)} ${formatMoney(entry.currency, entry.amount).padStart(14)}  ${entry.serviceType || ""} ${entry.reference}`
+    ),
+  ];
+  return renderTextPdf({
+    title: `${config.APP_NAME} commission statement ${statement.period.label}`,
+    lines,
+  });
+}
 
-    res.json({
-      success: true,
-      agent: {
-        _id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        serviceAgent: req.user.serviceAgent,
-      },
-      wallets,
-      transactions: normalizedTransactions,
-      ledger,
-      totals,
-      config: getServiceAgentConfig(req.user),
+function sendServiceAgentStatement(res, statement, format) {
+  const fileName = `commission-statement-${statement.period.label}`;
+  const normalizedFormat = String(format || "json").toLowerCase();
+  if (normalizedFormat === "csv") {
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+    return res.send(serviceAgentStatementToCsv(statement));
+  }
+  if (normalizedFormat === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.pdf"`);
+    return res.send(serviceAgentStatementToPdf(statement));
+  }
+  return res.json({ success: true, statement });
+}
+
+async function getServiceAgentStatement(req, res, next) {
+  try {
+    if (!isServiceAgentUser(req.user)) {
+      throw new BadRequestError("Service agent access required");
+    }
+    const statement = await buildServiceAgentStatement({
+      agentId: req.user._id,
+      month: req.query.month,
     });
+    sendServiceAgentStatement(res, statement, req.query.format);
   } catch (error) {
     next(error);
   }
 }
 
-async function requestServiceAgentAccess(req, res, next) {
+async function adminGetServiceAgentStatement(req, res, next) {
   try {
-    if (isServiceAgentUser(req.user)) {
-      return res.json({
-        success: true,
-        status: "active",
-        message: "Your account is already active as a service agent.",
-      });
-    }
+    const statement = await buildServiceAgentStatement({
+      agentId: req.params.userId,
+      month: req.query.month,
+    });
+    sendServiceAgentStatement(res, statement, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+}
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
+async function adminListServiceAgentPayouts(req, res, next) {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const query = {};
+    if (req.query.status) query.status = String(req.query.status);
+    if (req.query.agent) query.agent = req.query.agent;
+
+    const payouts = await ServiceAgentPayout.find(query)
+      .populate("agent", "name fullName email phone")
+      .populate("reviewedBy", "name email")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, payouts });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function adminApproveServiceAgentPayout(req, res, next) {
+  try {
+    assertPayPalPayoutReadiness();
+    const payout = await ServiceAgentPayout.findOneAndUpdate(
+      { _id: req.params.payoutId, status: "requested" },
       {
         $set: {
-          isServiceAgent: false,
-          "serviceAgent.status": "pending",
-          "serviceAgent.requestedAt": new Date(),
+          status: "processing",
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          // Keeps the reconciliation job away while the PayPal request is in flight
+          "paypal.lastCheckedAt": new Date(),
         },
       },
       { new: true }
-    ).select("name email phone role isServiceAgent serviceAgent");
-
-    if (!user) {
-      throw new NotFoundError("User not found");
+    );
+    if (!payout) {
+      throw new BadRequestError("Payout is not awaiting review");
     }
 
-    const admins = await User.find({ role: "admin" }).select("_id").lean();
-    const title = "Service agent request";
-    const body = `${user.name || user.email || "A user"} requested service agent activation. Open /admin/services to review and activate.`;
+    let result;
+    try {
+      result = await createPayout(buildPayoutRequest(payout));
+    } catch (error) {
+      if (isPayoutRejected(error)) {
+        await releasePayoutHold(payout._id, {
+          fromStatuses: ["processing"],
+          status: "failed",
+          reason: `Commission payout failed: ${error.message}`,
+          update: { failureMessage: error.message },
+        });
+        throw new BadRequestError(`PayPal payout failed: ${error.message}`);
+      }
 
-    await Promise.all(
-      admins.map((admin) =>
-        MessageNotification.create({
-          user: admin._id,
-          sender: user._id,
-          type: "contact-form",
-          title,
-          body,
-          deliveryChannels: { inApp: true, email: false, push: false },
-        })
-      )
-    );
+      // Timeout, network or 5xx error: PayPal may have the payout, so the hold stays and
+      // the reconciliation job looks the batch up by its sender_batch_id
+      payout.paypal.lastCheckedAt = new Date();
+      await payout.save();
+      return res.status(202).json({
+        success: true,
+        payout,
+        message: "PayPal did not confirm the payout yet; it will be checked again shortly",
+      });
+    }
 
-    res.status(201).json({
-      success: true,
-      status: "pending",
-      message: "Your service agent request has been sent to admin.",
-      user,
+    payout.paypal = {
+      payoutBatchId: result?.batch_header?.payout_batch_id || null,
+      status: result?.batch_header?.batch_status || null,
+      lastCheckedAt: new Date(),
+    };
+    await payout.save();
+    return res.json({ success: true, payout });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function adminRejectServiceAgentPayout(req, res, next) {
+  try {
+    const reason =
+      String(req.body.reason || "")
+        .trim()
+        .slice(0, 500) || null;
+    const payout = await releasePayoutHold(req.params.payoutId, {
+      fromStatuses: ["requested"],
+      status: "rejected",
+      reason: `Commission payout rejected${reason ? `: ${reason}` : ""}`,
+      update: { reviewedBy: req.user._id, reviewedAt: new Date(), rejectionReason: reason },
     });
+    res.json({ success: true, payout });
   } catch (error) {
     next(error);
   }
 }
 
-async function listPendingServiceAgentRequests(req, res, next) {
+async function adminRefreshServiceAgentPayout(req, res, next) {
   try {
-    const users = await User.find({ "serviceAgent.status": "pending" })
-      .select("name fullName email phone role isServiceAgent serviceAgent digitalWallet digitalWallets")
-      .sort({ "serviceAgent.requestedAt": -1, createdAt: -1 })
-      .limit(100)
-      .lean();
-
+    const existing = await ServiceAgentPayout.exists({ _id: req.params.payoutId });
+    if (!existing) {
+      throw new NotFoundError("Payout not found");
+    }
+    const payout = await refreshServiceAgentPayout(req.params.payoutId);
     res.json({
       success: true,
-      users,
+      payout: payout || (await ServiceAgentPayout.findById(req.params.payoutId).lean()),
     });
   } catch (error) {
     next(error);
@@ -2619,6 +3969,468 @@ async function adminResolveTransaction(req, res, next) {
   }
 }
 
+function getReconcileRetryDelay(attempts) {
+  return Math.min(RECONCILE_RETRY_MS * 2 ** Math.max(0, attempts - 1), RECONCILE_MAX_RETRY_MS);
+}
+
+/**
+ * Ask the provider for the current state of a processing / manual-review transaction and
+ * settle it: completed (agent profit credited) or failed (wallet refunded). Still pending
+ * at the provider means another check later, with backoff, until
+ * DIGITAL_SERVICES_RECONCILE_MAX_AGE_HOURS; then the transaction is left to an admin.
+ * Provider answers that don't match the order also stop here for an admin.
+ */
+async function reconcileTransaction(transactionId) {
+  const now = new Date();
+  const transaction = await DigitalServiceTransaction.findOneAndUpdate(
+    {
+      _id: transactionId,
+      status: { $in: OPEN_TRANSACTION_STATUSES },
+      paymentStatus: "paid",
+      $or: [
+        { "reconciliation.lockedUntil": null },
+        { "reconciliation.lockedUntil": { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        "reconciliation.lockedUntil": new Date(now.getTime() + RECONCILE_LOCK_MS),
+        "reconciliation.lastCheckedAt": now,
+      },
+      $inc: { "reconciliation.attempts": 1 },
+    },
+    { new: true }
+  );
+  if (!transaction) {
+    return { outcome: "skipped", transaction: null };
+  }
+
+  const { reconciliation } = transaction;
+  const previousStatus = transaction.status;
+  const previousFailureMessage = transaction.failureMessage;
+  let outcome = "pending";
+  try {
+    const result = await provider.getTransactionStatus(transaction);
+    reconciliation.lastError = null;
+
+    if (!result) {
+      reconciliation.lastProviderStatus = "NOT_FOUND";
+      // No provider reference and no record under our reference: the order never got there
+      if (
+        !transaction.providerReference &&
+        now.getTime() - new Date(transaction.createdAt).getTime() > RECONCILE_NOT_FOUND_GRACE_MS
+      ) {
+        transaction.status = "failed";
+        transaction.failureMessage = "Provider has no record of this transaction";
+        outcome = "refunded";
+      }
+    } else {
+      reconciliation.lastProviderStatus = normalizeProviderStatus(result) || null;
+      const validation = validateProviderResponse(result, transaction, {
+        operatorId: transaction.providerOperatorId,
+      });
+
+      if (validation.outcome === "completed") {
+        transaction.status = "completed";
+        transaction.failureMessage = null;
+        outcome = "completed";
+      } else if (validation.outcome === "failed") {
+        transaction.status = "failed";
+        transaction.failureMessage = validation.message;
+        outcome = "refunded";
+      } else if (!PROVIDER_PENDING_STATUSES.has(reconciliation.lastProviderStatus)) {
+        transaction.status = "manual-review";
+        transaction.reviewNote = validation.message;
+        outcome = "manual-review";
+      }
+      transaction.providerReference = validation.providerReference || transaction.providerReference;
+      transaction.providerResponse = result;
+    }
+
+    if (outcome === "completed") {
+      transaction.paymentStatus = "paid";
+      await creditAgentProfitToWallet({ transaction });
+    }
+    if (outcome === "refunded") {
+      await refundWallet({ transaction, reason: transaction.failureMessage });
+    }
+  } catch (error) {
+    // Keep the transaction open so the next pass settles it; a terminal status saved
+    // without the credit or refund would never be retried
+    transaction.status = previousStatus;
+    transaction.failureMessage = previousFailureMessage;
+    reconciliation.lastError = error.message;
+    outcome = "error";
+  }
+
+  if (outcome === "completed" || outcome === "refunded") {
+    transaction.reviewNote = null;
+    transaction.resolutionNote = "Settled by provider status reconciliation";
+    transaction.resolvedAt = now;
+    reconciliation.resolvedAutomatically = true;
+    reconciliation.nextCheckAt = null;
+  } else if (outcome === "manual-review") {
+    reconciliation.stoppedAt = now;
+    reconciliation.nextCheckAt = null;
+  } else if (
+    now.getTime() - new Date(transaction.createdAt).getTime() >
+    RECONCILE_MAX_AGE_HOURS * 60 * 60 * 1000
+  ) {
+    transaction.status = "manual-review";
+    transaction.reviewNote = `Provider has not confirmed this transaction after ${RECONCILE_MAX_AGE_HOURS} hours`;
+    reconciliation.stoppedAt = now;
+    reconciliation.nextCheckAt = null;
+    outcome = "manual-review";
+  } else {
+    reconciliation.stoppedAt = null;
+    reconciliation.nextCheckAt = new Date(
+      now.getTime() + getReconcileRetryDelay(reconciliation.attempts)
+    );
+  }
+  reconciliation.lockedUntil = null;
+  await transaction.save();
+
+  if ((outcome === "completed" || outcome === "refunded") && !transaction.receiptSentAt) {
+    if (await sendTransactionReceipt(transaction)) {
+      transaction.receiptSentAt = new Date();
+      await transaction.save();
+    }
+  }
+
+  return { outcome, transaction };
+}
+
+/**
+ * One pass of the reconciliation worker (utils/digitalServicesReconciliation.js).
+ * Transactions touched in the last DIGITAL_SERVICES_RECONCILE_MIN_AGE_MS may still have a
+ * purchase request in flight and are left alone.
+ */
+async function reconcilePendingTransactions({ limit = 50 } = {}) {
+  const now = new Date();
+  const due = await DigitalServiceTransaction.find({
+    status: { $in: OPEN_TRANSACTION_STATUSES },
+    paymentStatus: "paid",
+    updatedAt: { $lte: new Date(now.getTime() - RECONCILE_MIN_AGE_MS) },
+    "reconciliation.stoppedAt": null,
+    $or: [{ "reconciliation.nextCheckAt": null }, { "reconciliation.nextCheckAt": { $lte: now } }],
+  })
+    .sort({ "reconciliation.nextCheckAt": 1, createdAt: 1 })
+    .limit(limit)
+    .select("_id")
+    .lean();
+
+  const summary = { checked: 0, completed: 0, refunded: 0, pending: 0, manualReview: 0, errors: 0 };
+  for (const { _id } of due) {
+    // Sequential on purpose: each check is a provider API call
+    // eslint-disable-next-line no-await-in-loop
+    const { outcome } = await reconcileTransaction(_id);
+    if (outcome === "skipped") continue;
+    summary.checked += 1;
+    if (outcome === "completed") summary.completed += 1;
+    if (outcome === "refunded") summary.refunded += 1;
+    if (outcome === "pending") summary.pending += 1;
+    if (outcome === "manual-review") summary.manualReview += 1;
+    if (outcome === "error") summary.errors += 1;
+  }
+  return summary;
+}
+
+function getReportDay(date) {
+  if (date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      throw new BadRequestError("Report date must be YYYY-MM-DD");
+    }
+    const day = new Date(`${date}T00:00:00.000Z`);
+    if (Number.isNaN(day.getTime())) {
+      throw new BadRequestError("Report date is invalid");
+    }
+    return day;
+  }
+  // Yesterday (UTC)
+  const today = new Date();
+  return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - 1));
+}
+
+async function toUsdOrNull(amount, currency) {
+  if (!Number.isFinite(amount)) return null;
+  if (amount <= 0) return roundAccountingValue(amount, 2);
+  try {
+    return await convertAmountToUsd(amount, currency);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Daily reconciliation report for a UTC day (default yesterday): transaction outcomes,
+ * wallet movements, and the funding wallet balance against the balances the providers
+ * report. Regenerating a day replaces its report.
+ */
+async function buildReconciliationReport({ date, generatedBy = null } = {}) {
+  const periodStart = getReportDay(date);
+  const periodEnd = new Date(periodStart.getTime() + 24 * 60 * 60 * 1000);
+  const inPeriod = { createdAt: { $gte: periodStart, $lt: periodEnd } };
+
+  const [
+    statusRows,
+    providerRows,
+    autoResolvedRows,
+    openRows,
+    walletRows,
+    missingReference,
+    unrefunded,
+    stuck,
+    fundingWallet,
+    providerBalances,
+  ] = await Promise.all([
+    DigitalServiceTransaction.aggregate([
+      { $match: inPeriod },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+    DigitalServiceTransaction.aggregate([
+      { $match: inPeriod },
+      {
+        $group: {
+          _id: "$provider",
+          completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+          open: { $sum: { $cond: [{ $in: ["$status", OPEN_TRANSACTION_STATUSES] }, 1, 0] } },
+          providerCostUsd: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "completed"] }, "$pricing.providerCostUsd", 0],
+            },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    DigitalServiceTransaction.aggregate([
+      {
+        $match: {
+          "reconciliation.resolvedAutomatically": true,
+          resolvedAt: { $gte: periodStart, $lt: periodEnd },
+        },
+      },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+    DigitalServiceTransaction.aggregate([
+      { $match: { status: { $in: OPEN_TRANSACTION_STATUSES } } },
+      { $group: { _id: null, count: { $sum: 1 }, oldestAt: { $min: "$createdAt" } } },
+    ]),
+    WalletLedger.aggregate([
+      { $match: { ...inPeriod, transaction: { $ne: null }, type: { $in: ["debit", "refund"] } } },
+      { $group: { _id: { type: "$type", currency: "$currency" }, amount: { $sum: "$amount" } } },
+    ]),
+    DigitalServiceTransaction.find({ ...inPeriod, status: "completed", providerReference: null })
+      .select("_id reference")
+      .limit(50)
+      .lean(),
+    DigitalServiceTransaction.find({
+      status: "failed",
+      $expr: { $gt: ["$wallet.debited", "$wallet.refunded"] },
+    })
+      .select("_id reference")
+      .limit(50)
+      .lean(),
+    DigitalServiceTransaction.find({
+      status: "manual-review",
+      "reconciliation.stoppedAt": { $ne: null },
+    })
+      .select("_id reference reviewNote")
+      .limit(50)
+      .lean(),
+    getFundingWallet(),
+    provider.getProviderBalances(),
+  ]);
+
+  const providers = await Promise.all(
+    providerBalances.map(async (entry) => ({
+      ...entry,
+      balanceUsd: entry.error ? null : await toUsdOrNull(entry.balance, entry.currency),
+    }))
+  );
+  const fundingBalancesUsd = await Promise.all(
+    fundingWallet.balances.map((entry) => toUsdOrNull(entry.balance, entry.currency))
+  );
+  const fundingBalanceUsd = roundAccountingValue(
+    fundingBalancesUsd.reduce((total, amount) => total + Number(amount || 0), 0),
+    2
+  );
+  const providerBalanceUsd = providers.every((entry) => entry.balanceUsd !== null)
+    ? roundAccountingValue(
+        providers.reduce((total, entry) => total + entry.balanceUsd, 0),
+        2
+      )
+    : null;
+  const balanceDifferenceUsd =
+    providerBalanceUsd === null
+      ? null
+      : roundAccountingValue(fundingBalanceUsd - providerBalanceUsd, 2);
+
+  const discrepancies = [
+    ...providers
+      .filter((entry) => entry.balanceUsd === null)
+      .map((entry) => ({
+        type: "provider-balance-unavailable",
+        message: `${entry.provider}: ${entry.error || `no USD rate for ${entry.currency}`}`,
+      })),
+    ...(balanceDifferenceUsd !== null &&
+    Math.abs(balanceDifferenceUsd) > RECONCILIATION_TOLERANCE_USD
+      ? [
+          {
+            type: "balance-mismatch",
+            message: `Funding wallet is USD ${fundingBalanceUsd.toFixed(
+              2
+            )}; providers report USD ${providerBalanceUsd.toFixed(2)}`,
+          },
+        ]
+      : []),
+    ...missingReference.map((entry) => ({
+      type: "completed-without-reference",
+      message: "Completed without a provider reference",
+      transaction: entry._id,
+      reference: entry.reference,
+    })),
+    ...unrefunded.map((entry) => ({
+      type: "failed-without-refund",
+      message: "Failed but the wallet debit was not fully refunded",
+      transaction: entry._id,
+      reference: entry.reference,
+    })),
+    ...stuck.map((entry) => ({
+      type: "stuck-transaction",
+      message: entry.reviewNote || "Waiting for admin review",
+      transaction: entry._id,
+      reference: entry.reference,
+    })),
+  ];
+
+  const byStatus = Object.fromEntries(statusRows.map((row) => [row._id, row.count]));
+  const autoResolved = Object.fromEntries(autoResolvedRows.map((row) => [row._id, row.count]));
+  const walletAmounts = (type) =>
+    walletRows
+      .filter((row) => row._id.type === type)
+      .map((row) => ({
+        currency: row._id.currency || "USD",
+        amount: roundAccountingValue(row.amount, 2),
+      }));
+  const reportDate = periodStart.toISOString().slice(0, 10);
+
+  return DigitalServiceReconciliationReport.findOneAndUpdate(
+    { date: reportDate },
+    {
+      $set: {
+        date: reportDate,
+        periodStart,
+        periodEnd,
+        transactions: {
+          total: statusRows.reduce((total, row) => total + row.count, 0),
+          byStatus,
+          byProvider: providerRows.map((row) => ({
+            provider: row._id,
+            completed: row.completed,
+            failed: row.failed,
+            open: row.open,
+            providerCostUsd: roundAccountingValue(row.providerCostUsd, 2),
+          })),
+          autoCompleted: autoResolved.completed || 0,
+          autoRefunded: autoResolved.failed || 0,
+          stillOpen: openRows[0]?.count || 0,
+          oldestOpenAt: openRows[0]?.oldestAt || null,
+        },
+        ledger: {
+          walletDebits: walletAmounts("debit"),
+          walletRefunds: walletAmounts("refund"),
+          fundingBalances: fundingWallet.balances.map((entry) => ({
+            currency: entry.currency,
+            amount: entry.balance,
+          })),
+          fundingBalanceUsd,
+        },
+        providers,
+        providerBalanceUsd,
+        balanceDifferenceUsd,
+        discrepancies,
+        generatedAt: new Date(),
+        generatedBy,
+      },
+    },
+    { new: true, upsert: true }
+  ).lean();
+}
+
+async function adminReconcileTransaction(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.transactionId)) {
+      throw new NotFoundError("Transaction not found");
+    }
+
+    const existing = await DigitalServiceTransaction.findById(req.params.transactionId)
+      .select("status")
+      .lean();
+    if (!existing) {
+      throw new NotFoundError("Transaction not found");
+    }
+    if (!OPEN_TRANSACTION_STATUSES.includes(existing.status)) {
+      throw new BadRequestError("Only processing or manual-review transactions can be reconciled");
+    }
+
+    const { outcome, transaction } = await reconcileTransaction(existing._id);
+    if (outcome === "skipped") {
+      throw new BadRequestError("Transaction is already being reconciled");
+    }
+
+    res.json({ success: true, outcome, transaction });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function adminListReconciliationReports(req, res, next) {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 30, 90);
+    const reports = await DigitalServiceReconciliationReport.find()
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, reports });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function adminGenerateReconciliationReport(req, res, next) {
+  try {
+    const report = await buildReconciliationReport({
+      date: req.body?.date,
+      generatedBy: req.user._id,
+    });
+
+    res.status(201).json({ success: true, report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function adminListExchangeRateHistory(req, res, next) {
+  try {
+    const currency = normalizeCurrency(req.query.currency);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      throw new BadRequestError("Date range is invalid");
+    }
+
+    const history = await getRateHistory(currency, from, to);
+    res.json({ success: true, base: "USD", currency, from, to, history });
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function adminDeleteTransactionEntry(req, res, next) {
   try {
     const { entryType, entryId } = req.params;
@@ -2936,16 +4748,43 @@ module.exports = {
   listGiftCards,
   purchaseGiftCard,
   listTransactions,
+  getWalletFxQuote,
+  convertWalletCurrency,
+  listWalletConversions,
+  listScheduledTopups,
+  getScheduledTopup,
+  createScheduledTopup,
+  updateScheduledTopup,
+  cancelScheduledTopup,
   getServiceAgentDashboard,
   requestServiceAgentAccess,
+  requestServiceAgentPayout,
+  listServiceAgentPayouts,
+  cancelServiceAgentPayout,
+  getServiceAgentStatement,
   listPendingServiceAgentRequests,
   listAdminServiceAgents,
   listAdminTransactions,
   adminResolveTransaction,
+  adminReconcileTransaction,
+  adminListReconciliationReports,
+  adminGenerateReconciliationReport,
+  adminListExchangeRateHistory,
   adminDeleteTransactionEntry,
   adminSetServiceAgent,
   adminRemoveServiceAgentFromMonitor,
   adminAdjustServiceAgentWallet,
+  adminGetServiceAgentStatement,
+  adminListServiceAgentPayouts,
+  adminApproveServiceAgentPayout,
+  adminRejectServiceAgentPayout,
+  adminRefreshServiceAgentPayout,
   adminCreditWallet,
   adminWithdrawRevenue,
+  // Used by the reconciliation and scheduled top-up workers
+  reconcilePendingTransactions,
+  buildReconciliationReport,
+  refreshProcessingServiceAgentPayouts,
+  executeAirtimePurchase,
+  executeDataPurchase,
 };
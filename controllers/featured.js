@@ -1,5 +1,6 @@
 const FeaturedPlacement = require("../models/FeaturedPlacement");
 const Listing = require("../models/Listing");
+const Payment = require("../models/Payment");
 const ShowcaseEventTimeline = require("../models/ShowcaseEventTimeline");
 const ShowcaseVote = require("../models/ShowcaseVote");
 const TalentContestant = require("../models/TalentContestant");
@@ -156,6 +157,33 @@ exports.requestPlacement = async (req, res, next) => {
   }
 };
 
+// Record a captured placement as a Payment, so it can be refunded like any other purchase
+// (refunds reverse the placement, see reversePaymentEffects in universalPayment)
+async function recordFeaturedPayment(placement, captureId) {
+  if (!placement.paymentOrderId || !(placement.amountPaid > 0)) return;
+  try {
+    await Payment.create({
+      user: placement.ownerId,
+      orderId: placement.paymentOrderId,
+      paypalOrderId: placement.paymentOrderId,
+      amount: { currency: placement.currency || "USD", value: placement.amountPaid },
+      paymentType: "featured",
+      paymentMethod: "paypal",
+      status: "completed",
+      paymentDetails: captureId ? { captureId } : undefined,
+      context: { placementId: placement._id, listingId: placement.listingId },
+    });
+  } catch (error) {
+    // Already recorded by another capture path (return page vs webhook)
+    if (error?.code !== 11000) {
+      console.error(
+        `❌ Failed to record payment for featured placement ${placement._id} (order ${placement.paymentOrderId}); it cannot be refunded until recorded:`,
+        error?.message || error
+      );
+    }
+  }
+}
+
 // Initiate PayPal payment for an existing pending placement (ensures price integrity)
 exports.initiatePaypal = async (req, res, next) => {
   try {
@@ -223,6 +251,7 @@ exports.capturePaypal = async (req, res, next) => {
       placement.approvedBy = req.user.role === "admin" ? req.user._id : null;
     }
     await placement.save();
+    await recordFeaturedPayment(placement, purchaseUnit?.payments?.captures?.[0]?.id);
     res.json({ ok: true, capture, placement });
   } catch (e) {
     next(e);
@@ -419,6 +448,7 @@ exports.capturePaypalByToken = async (req, res, next) => {
     }
     placement.capturing = false;
     await placement.save();
+    await recordFeaturedPayment(placement, purchaseUnit?.payments?.captures?.[0]?.id);
     res.json({ ok: true, capture, placement });
   } catch (e) {
     next(e);
@@ -490,6 +520,10 @@ exports.paypalWebhook = async (req, res, next) => {
           placement.status = "approved";
         }
         await placement.save();
+        await recordFeaturedPayment(
+          placement,
+          eventType === "PAYMENT.CAPTURE.COMPLETED" ? event.resource?.id : null
+        );
       }
     }
     res.status(200).json({ ok: true });
@@ -1,6 +1,15 @@
 const ForumPost = require("../models/ForumPost");
 const User = require("../models/User");
+const MessageNotification = require("../models/MessageNotification");
 const { BadRequestError, NotFoundError, ForbiddenError } = require("../utils/errors");
+const { QUESTION_CATEGORY_IDS } = require("../utils/forumCategories");
+const {
+  FORUM_NOTIFICATION_TYPES,
+  resolveMentions,
+  notifyForumActivity,
+  notifyAnswerAccepted,
+} = require("../utils/forumNotifications");
+const { assertNotForumSuspended } = require("./forumModeration");
 
 // Define post limits for each tier
 const POST_LIMITS = {
@@ -13,6 +22,82 @@ const POST_LIMITS = {
 
 const FORUM_USER_FIELDS = "name email tier role avatar profilePhoto settings";
 
+// Replies nest up to this depth; answers to the deepest replies are added beside them
+const MAX_REPLY_DEPTH = 5;
+
+const isVisibleReply = (reply) => (reply.status || "active") === "active";
+
+// Public shape of a post: no reports (reporters stay anonymous), no subscriber list, and no
+// replies that were hidden by reports or removed. A removed reply that still has visible
+// answers is kept as an empty placeholder so nested threads keep their shape.
+const toPublicPost = (post, userId = null) => {
+  const replies = post.replies || [];
+  const repliesById = new Map(replies.map((reply) => [String(reply._id), reply]));
+  const keep = new Set(replies.filter(isVisibleReply).map((reply) => String(reply._id)));
+  replies.filter(isVisibleReply).forEach((reply) => {
+    let parentId = reply.parentReply ? String(reply.parentReply) : null;
+    while (parentId && !keep.has(parentId) && repliesById.has(parentId)) {
+      keep.add(parentId);
+      const parent = repliesById.get(parentId);
+      parentId = parent.parentReply ? String(parent.parentReply) : null;
+    }
+  });
+
+  const publicPost = {
+    ...post,
+    replies: replies
+      .filter((reply) => keep.has(String(reply._id)))
+      .map((reply) => {
+        if (!isVisibleReply(reply)) {
+          return {
+            _id: reply._id,
+            parentReply: reply.parentReply || null,
+            depth: reply.depth || 0,
+            content: null,
+            author: null,
+            authorName: null,
+            likes: [],
+            isRemoved: true,
+            createdAt: reply.createdAt,
+          };
+        }
+        const publicReply = { ...reply };
+        delete publicReply.moderationFlags;
+        return publicReply;
+      }),
+    isSubscribed: userId
+      ? (post.subscribers || []).some((subscriber) => String(subscriber) === String(userId))
+      : false,
+    subscriberCount: (post.subscribers || []).length,
+  };
+  const accepted = post.acceptedAnswer?.reply
+    ? repliesById.get(String(post.acceptedAnswer.reply))
+    : null;
+  publicPost.acceptedAnswer = accepted && isVisibleReply(accepted) ? post.acceptedAnswer : null;
+  delete publicPost.moderationFlags;
+  delete publicPost.subscribers;
+  return publicPost;
+};
+
+// Nest public replies under their parents. Replies whose parent is gone are shown as top-level.
+const buildReplyTree = (replies) => {
+  const nodes = new Map(replies.map((reply) => [String(reply._id), { ...reply, children: [] }]));
+  const roots = [];
+  replies.forEach((reply) => {
+    const node = nodes.get(String(reply._id));
+    const parent = reply.parentReply ? nodes.get(String(reply.parentReply)) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+const countDescendants = (node) =>
+  node.children.reduce((total, child) => total + 1 + countDescendants(child), 0);
+
 const getUserForumTier = (user) => (user.role === "admin" || user.isAdmin ? "admin" : user.tier);
 
 const assertForumAccess = (user) => {
@@ -64,14 +149,16 @@ const getAllPosts = async (req, res, next) => {
 
     // Add user-specific data if authenticated
     const userId = req.user?._id;
-    const postsWithUserData = posts.map((post) => ({
-      ...post,
-      likes: post.likes?.length || 0,
-      hasLiked: userId
-        ? post.likes?.some((like) => like.user.toString() === userId.toString())
-        : false,
-      repliesCount: post.replies?.length || 0,
-    }));
+    const postsWithUserData = posts
+      .map((post) => toPublicPost(post, userId))
+      .map((post) => ({
+        ...post,
+        likes: post.likes?.length || 0,
+        hasLiked: userId
+          ? post.likes?.some((like) => like.user.toString() === userId.toString())
+          : false,
+        repliesCount: post.replies.filter((reply) => !reply.isRemoved).length,
+      }));
 
     const total = await ForumPost.countDocuments(query);
 
@@ -114,7 +201,74 @@ const getPostById = async (req, res, next) => {
 
     res.json({
       success: true,
-      post,
+      post: toPublicPost(post, req.user?._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a post's replies as a thread (public). Top-level replies are paginated; each carries
+// its nested answers in `children`, oldest first.
+const getPostReplies = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { sort = "oldest" } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const post = await ForumPost.findOne({ _id: id, status: "published" })
+      .select("author category replies subscribers acceptedAnswer")
+      .populate("replies.author", FORUM_USER_FIELDS)
+      .lean();
+
+    if (!post) {
+      throw new NotFoundError("Forum post not found");
+    }
+
+    const publicPost = toPublicPost(post, req.user?._id);
+    const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+    const sortChildren = (node) => {
+      node.children.sort(byDate);
+      node.children.forEach(sortChildren);
+    };
+    const threads = buildReplyTree(publicPost.replies).map((node) => {
+      sortChildren(node);
+      return { ...node, totalReplies: countDescendants(node) };
+    });
+
+    if (sort === "newest") {
+      threads.sort((a, b) => byDate(b, a));
+    } else if (sort === "top") {
+      threads.sort(
+        (a, b) =>
+          (b.likes?.length || 0) - (a.likes?.length || 0) ||
+          b.totalReplies - a.totalReplies ||
+          byDate(a, b)
+      );
+    } else {
+      threads.sort(byDate);
+    }
+
+    const acceptedId = publicPost.acceptedAnswer ? String(publicPost.acceptedAnswer.reply) : null;
+    const acceptedReply = acceptedId
+      ? publicPost.replies.find((reply) => String(reply._id) === acceptedId)
+      : null;
+    const skip = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      replies: threads.slice(skip, skip + limit),
+      acceptedAnswer: acceptedReply ? { ...publicPost.acceptedAnswer, reply: acceptedReply } : null,
+      totalReplies: publicPost.replies.filter((reply) => !reply.isRemoved).length,
+      isSubscribed: publicPost.isSubscribed,
+      pagination: {
+        current: page,
+        total: Math.ceil(threads.length / limit),
+        hasNext: skip + limit < threads.length,
+        hasPrev: page > 1,
+        totalItems: threads.length,
+      },
     });
   } catch (error) {
     next(error);
@@ -153,13 +307,14 @@ const incrementPostView = async (req, res, next) => {
 // Create new forum post (protected)
 const createPost = async (req, res, next) => {
   try {
-    const { title, content, category, tags } = req.body;
+    const { title, content, category, tags, mentions: mentionIds = [] } = req.body;
 
     // Check user tier for forum access
     const user = await User.findById(req.user._id);
 
     // Get post limit for user's tier
     const userTier = assertForumAccess(user);
+    assertNotForumSuspended(user);
     const postLimit = POST_LIMITS[userTier];
 
     if (postLimit === undefined) {
@@ -181,6 +336,7 @@ const createPost = async (req, res, next) => {
 
     // Get author display name - User model only has 'name' field
     const authorName = user.name || "Unknown User";
+    const mentioned = await resolveMentions({ text: content, mentionIds, authorId: user._id });
 
     const postData = {
       title,
@@ -190,6 +346,8 @@ const createPost = async (req, res, next) => {
       author: req.user._id,
       authorName, // Store author name for persistence after user deletion
       status: "published", // Auto-publish for now, can add moderation later
+      mentions: mentioned.map((mentionedUser) => mentionedUser._id),
+      subscribers: [req.user._id], // Authors follow replies to their own posts
     };
 
     const post = await ForumPost.create(postData);
@@ -200,6 +358,8 @@ const createPost = async (req, res, next) => {
       message: "Forum post created successfully",
       post,
     });
+
+    await notifyForumActivity({ post, author: user, mentioned });
   } catch (error) {
     next(error);
   }
@@ -222,17 +382,33 @@ const updatePost = async (req, res, next) => {
       throw new ForbiddenError("You can only update your own posts");
     }
 
+    // Hidden or removed posts are changed through the moderation queue
+    if (
+      req.user.role !== "admin" &&
+      (["flagged", "deleted"].includes(post.status) || updates.status === "flagged")
+    ) {
+      throw new ForbiddenError("This post is under moderation review");
+    }
+
     // Remove fields that shouldn't be updated directly
     delete updates.author;
     delete updates.views;
     delete updates.replies;
     delete updates.createdAt;
 
-    const updatedPost = await ForumPost.findByIdAndUpdate(
-      id,
-      { ...updates, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    ).populate("author", FORUM_USER_FIELDS);
+    delete updates.subscribers;
+    delete updates.acceptedAnswer;
+
+    const update = { ...updates, updatedAt: Date.now() };
+    // Moving a question out of a question category drops its accepted answer
+    if (updates.category && !QUESTION_CATEGORY_IDS.includes(updates.category)) {
+      update.$unset = { acceptedAnswer: 1 };
+    }
+
+    const updatedPost = await ForumPost.findByIdAndUpdate(id, update, {
+      new: true,
+      runValidators: true,
+    }).populate("author", FORUM_USER_FIELDS);
 
     res.json({
       success: true,
@@ -276,11 +452,12 @@ const deletePost = async (req, res, next) => {
 const addReply = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
+    const { content, parentReplyId, mentions: mentionIds = [] } = req.body;
 
     // Check user tier for forum access
     const user = await User.findById(req.user._id);
     assertForumAccess(user);
+    assertNotForumSuspended(user);
 
     const post = await ForumPost.findOne({
       _id: id,
@@ -291,17 +468,43 @@ const addReply = async (req, res, next) => {
       throw new NotFoundError("Forum post not found");
     }
 
+    // Answering another reply nests under it; past MAX_REPLY_DEPTH the answer is added
+    // beside that reply instead
+    let parentReply = null;
+    if (parentReplyId) {
+      parentReply = post.replies.id(parentReplyId);
+      if (!parentReply || !isVisibleReply(parentReply)) {
+        throw new NotFoundError("The reply you are answering was not found");
+      }
+    }
+    const parentDepth = parentReply?.depth || 0;
+    const parentAuthorId = parentReply?.author || null;
+    const threadParentId =
+      parentReply && parentDepth >= MAX_REPLY_DEPTH ? parentReply.parentReply : parentReply?._id;
+
     // Get reply author display name - User model only has 'name' field
     const authorName = user.name || "Unknown User";
+    const mentioned = await resolveMentions({
+      text: content,
+      post,
+      mentionIds,
+      authorId: user._id,
+    });
 
     const reply = {
       content,
       author: req.user._id,
       authorName, // Store author name for persistence after user deletion
+      parentReply: threadParentId || null,
+      depth: parentReply ? Math.min(parentDepth + 1, MAX_REPLY_DEPTH) : 0,
+      mentions: mentioned.map((mentionedUser) => mentionedUser._id),
       createdAt: new Date(),
     };
 
     post.replies.push(reply);
+    post.subscribers.addToSet(req.user._id); // Repliers follow the thread
+    post.lastReplyAt = reply.createdAt;
+    post.lastActivity = reply.createdAt;
     await post.save();
 
     // Populate the new reply
@@ -314,6 +517,8 @@ const addReply = async (req, res, next) => {
       message: "Reply added successfully",
       reply: newReply,
     });
+
+    await notifyForumActivity({ post, reply: newReply, parentAuthorId, author: user, mentioned });
   } catch (error) {
     next(error);
   }
@@ -388,7 +593,7 @@ const getMyPosts = async (req, res, next) => {
 
     res.json({
       success: true,
-      posts,
+      posts: posts.map((post) => toPublicPost(post, req.user._id)),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / limit),
@@ -425,8 +630,15 @@ const deleteReply = async (req, res, next) => {
       throw new ForbiddenError("You can only delete your own replies");
     }
 
-    // Remove reply from replies array
-    post.replies.id(replyId).deleteOne();
+    // A reply with answers is kept as a placeholder so the thread below it stays intact
+    const hasAnswers = post.replies.some(
+      (candidate) => candidate.parentReply && String(candidate.parentReply) === String(reply._id)
+    );
+    if (hasAnswers) {
+      reply.status = "deleted";
+    } else {
+      reply.deleteOne();
+    }
     await post.save();
 
     res.json({
@@ -467,20 +679,251 @@ const getUserPostStats = async (req, res, next) => {
   }
 };
 
+// Follow a thread: notified of every new reply (protected)
+const subscribeToPost = async (req, res, next) => {
+  try {
+    const post = await ForumPost.findOneAndUpdate(
+      { _id: req.params.id, status: "published" },
+      { $addToSet: { subscribers: req.user._id } },
+      { new: true, timestamps: false }
+    )
+      .select("_id")
+      .lean();
+
+    if (!post) {
+      throw new NotFoundError("Forum post not found");
+    }
+
+    res.json({
+      success: true,
+      message: "Subscribed to thread",
+      isSubscribed: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop following a thread; @mentions and answers to your replies still notify (protected)
+const unsubscribeFromPost = async (req, res, next) => {
+  try {
+    const post = await ForumPost.findOneAndUpdate(
+      { _id: req.params.id },
+      { $pull: { subscribers: req.user._id } },
+      { new: true, timestamps: false }
+    )
+      .select("_id")
+      .lean();
+
+    if (!post) {
+      throw new NotFoundError("Forum post not found");
+    }
+
+    res.json({
+      success: true,
+      message: "Unsubscribed from thread",
+      isSubscribed: false,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Threads the user follows, most recently active first (protected)
+const getMySubscriptions = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { subscribers: req.user._id, status: "published" };
+    const skip = (page - 1) * limit;
+
+    const [posts, total] = await Promise.all([
+      ForumPost.find(query)
+        .select(
+          "title category author authorName replyCount likeCount lastReplyAt lastActivity acceptedAnswer createdAt"
+        )
+        .populate("author", "name avatar profilePhoto")
+        .sort({ lastActivity: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ForumPost.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      posts: posts.map((post) => ({ ...post, isSubscribed: true })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + posts.length < total,
+        hasPrev: page > 1,
+        totalItems: total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper: load a published question the user may accept answers on
+const findQuestionForAnswer = async (postId, user) => {
+  const post = await ForumPost.findOne({ _id: postId, status: "published" });
+
+  if (!post) {
+    throw new NotFoundError("Forum post not found");
+  }
+  if (post.author.toString() !== user._id.toString() && user.role !== "admin") {
+    throw new ForbiddenError("Only the author of the question can accept an answer");
+  }
+  if (!QUESTION_CATEGORY_IDS.includes(post.category)) {
+    throw new BadRequestError("Answers can only be accepted in question categories");
+  }
+  return post;
+};
+
+// Mark a reply as the accepted answer, replacing any previous one (post author or admin)
+const acceptAnswer = async (req, res, next) => {
+  try {
+    const { id, replyId } = req.params;
+    const post = await findQuestionForAnswer(id, req.user);
+
+    const reply = post.replies.id(replyId);
+    if (!reply || !isVisibleReply(reply)) {
+      throw new NotFoundError("Reply not found");
+    }
+
+    post.acceptedAnswer = {
+      reply: reply._id,
+      acceptedBy: req.user._id,
+      acceptedAt: new Date(),
+    };
+    await post.save();
+
+    res.json({
+      success: true,
+      message: "Answer accepted",
+      acceptedAnswer: post.acceptedAnswer,
+    });
+
+    await notifyAnswerAccepted({ post, reply, acceptedBy: req.user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clear the accepted answer (post author or admin)
+const unacceptAnswer = async (req, res, next) => {
+  try {
+    const post = await findQuestionForAnswer(req.params.id, req.user);
+
+    if (!post.acceptedAnswer) {
+      throw new BadRequestError("This question has no accepted answer");
+    }
+
+    post.acceptedAnswer = undefined;
+    await post.save();
+
+    res.json({
+      success: true,
+      message: "Accepted answer cleared",
+      acceptedAnswer: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Forum notifications: replies in followed threads, @mentions and accepted answers (protected)
+const getForumNotifications = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = {
+      user: req.user._id,
+      type: { $in: FORUM_NOTIFICATION_TYPES },
+      isDismissed: false,
+    };
+    if (req.query.unreadOnly === "true") {
+      query.isRead = false;
+    }
+    const skip = (page - 1) * limit;
+
+    const [notifications, total] = await Promise.all([
+      MessageNotification.find(query)
+        .select("type title body isRead forumPost sender createdAt")
+        .populate("sender", "name avatar profilePhoto")
+        .populate("forumPost", "title category")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      MessageNotification.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + notifications.length < total,
+        hasPrev: page > 1,
+        totalItems: total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark the given forum notifications (or all of them) as read (protected)
+const markForumNotificationsRead = async (req, res, next) => {
+  try {
+    const { notificationIds } = req.body || {};
+    const query = {
+      user: req.user._id,
+      type: { $in: FORUM_NOTIFICATION_TYPES },
+      isRead: false,
+    };
+    if (notificationIds?.length) {
+      query._id = { $in: notificationIds };
+    }
+
+    const result = await MessageNotification.updateMany(query, { isRead: true });
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getForumUnreadCount = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id).select("lastForumViewedAt createdAt");
     const lastSeenAt = user?.lastForumViewedAt || user?.createdAt || new Date(0);
 
-    const unreadCount = await ForumPost.countDocuments({
-      status: "published",
-      author: { $ne: req.user._id },
-      createdAt: { $gt: lastSeenAt },
-    });
+    const [unreadCount, notificationCount] = await Promise.all([
+      ForumPost.countDocuments({
+        status: "published",
+        author: { $ne: req.user._id },
+        createdAt: { $gt: lastSeenAt },
+      }),
+      MessageNotification.countDocuments({
+        user: req.user._id,
+        type: { $in: FORUM_NOTIFICATION_TYPES },
+        isRead: false,
+        isDismissed: false,
+      }),
+    ]);
 
     res.json({
       success: true,
       unreadCount,
+      notificationCount,
       lastSeenAt,
     });
   } catch (error) {
@@ -509,6 +952,7 @@ const markForumAsSeen = async (req, res, next) => {
 module.exports = {
   getAllPosts,
   getPostById,
+  getPostReplies,
   incrementPostView,
   createPost,
   updatePost,
@@ -518,6 +962,13 @@ module.exports = {
   toggleLike,
   getMyPosts,
   getUserPostStats,
+  subscribeToPost,
+  unsubscribeFromPost,
+  getMySubscriptions,
+  acceptAnswer,
+  unacceptAnswer,
+  getForumNotifications,
+  markForumNotificationsRead,
   getForumUnreadCount,
   markForumAsSeen,
 };
@@ -0,0 +1,495 @@
+const ForumPost = require("../models/ForumPost");
+const User = require("../models/User");
+const Agent = require("../models/Agent");
+const MessageNotification = require("../models/MessageNotification");
+const { logActivity } = require("../utils/activityLogger");
+const { renderBrandedEmail, sendEmail } = require("../utils/notifications");
+const { APP_NAME, FRONTEND_URL } = require("../utils/config");
+const { getNumberEnv } = require("../utils/backgroundJobs");
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+} = require("../utils/errors");
+
+/**
+ * Forum reporting and moderation
+ * - Users report posts and replies; once FORUM_REPORT_HIDE_THRESHOLD different users have
+ *   pending reports on an item it is hidden ("flagged") until reviewed
+ * - Admins and moderator agents work the queue: "remove" upholds the reports, deletes the
+ *   item and gives its author a strike; "dismiss" rejects them and restores a hidden item
+ * - Strikes within FORUM_STRIKE_WINDOW_DAYS suspend the author from posting for
+ *   FORUM_SUSPENSION_DAYS at FORUM_STRIKES_TO_SUSPEND, and deactivate the account at
+ *   FORUM_STRIKES_TO_DEACTIVATE (0 = never)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getModerationConfig() {
+  return {
+    hideThreshold: Math.max(1, getNumberEnv("FORUM_REPORT_HIDE_THRESHOLD", 3)),
+    strikeWindowDays: getNumberEnv("FORUM_STRIKE_WINDOW_DAYS", 90),
+    strikesToSuspend: getNumberEnv("FORUM_STRIKES_TO_SUSPEND", 3),
+    suspensionDays: getNumberEnv("FORUM_SUSPENSION_DAYS", 7),
+    strikesToDeactivate: getNumberEnv("FORUM_STRIKES_TO_DEACTIVATE", 5),
+  };
+}
+
+/**
+ * Helper: allow admins and active moderator agents
+ */
+async function assertForumModerator(req) {
+  if (req.user.role === "admin") return;
+
+  const agent =
+    req.user.isAgent && req.user.agentProfile
+      ? await Agent.findById(req.user.agentProfile).select("role isActive").lean()
+      : null;
+  if (!agent || !agent.isActive || agent.role !== "moderator") {
+    throw new ForbiddenError("Forum moderator access required");
+  }
+}
+
+function countPendingReporters(flags = []) {
+  return new Set(
+    flags.filter((flag) => flag.status === "pending").map((flag) => String(flag.reporter))
+  ).size;
+}
+
+/**
+ * Helper: in-app notification and email to the author of a moderated post or reply
+ */
+async function notifyAuthor(authorId, { title, body }) {
+  try {
+    const author = await User.findById(authorId).select("email settings").lean();
+    if (!author) return;
+
+    await MessageNotification.create({
+      user: author._id,
+      type: "moderation",
+      title,
+      body,
+      deliveryChannels: { inApp: true, email: author.settings?.emailNotifications !== false },
+    });
+    if (author.email && author.settings?.emailNotifications !== false) {
+      await sendEmail(
+        author.email,
+        `${title} - ${APP_NAME}`,
+        renderBrandedEmail({ heading: title, body })
+      );
+    }
+  } catch (error) {
+    console.warn("⚠️ Failed to notify forum author:", error?.message || error);
+  }
+}
+
+function describeItem(post, reply) {
+  return reply ? `your reply on "${post.title}"` : `your post "${post.title}"`;
+}
+
+/**
+ * Helper: record a strike and apply forum suspension / account deactivation
+ */
+async function recordStrike({ authorId, reason, post, reply, issuedBy }) {
+  const config = getModerationConfig();
+  const now = new Date();
+  const author = await User.findByIdAndUpdate(
+    authorId,
+    {
+      $push: {
+        "forumModeration.strikes": {
+          reason,
+          post: post._id,
+          reply: reply?._id || null,
+          issuedBy: issuedBy._id,
+          issuedAt: now,
+        },
+      },
+    },
+    { new: true }
+  ).select("name email role isActive authSessionVersion forumModeration");
+  if (!author) return null;
+
+  const since = new Date(now.getTime() - config.strikeWindowDays * DAY_MS);
+  const strikes = (author.forumModeration?.strikes || []).filter(
+    (strike) => strike.issuedAt >= since
+  ).length;
+  const result = { strikes, suspendedUntil: null, deactivated: false };
+  if (author.role === "admin") return result;
+
+  if (config.strikesToDeactivate > 0 && strikes >= config.strikesToDeactivate && author.isActive) {
+    await User.updateOne(
+      { _id: author._id },
+      {
+        $set: { isActive: false },
+        $inc: { authSessionVersion: 1 },
+      }
+    );
+    await logActivity({
+      type: "user_suspended",
+      description: `User account suspended for ${author.email} after ${strikes} forum strikes`,
+      userId: issuedBy._id,
+      userName: issuedBy.name,
+      userEmail: issuedBy.email,
+      action: "suspend",
+      targetType: "user",
+      targetId: author._id,
+      details: { suspendedUserEmail: author.email, forumStrikes: strikes },
+    });
+    result.deactivated = true;
+  } else if (config.strikesToSuspend > 0 && strikes >= config.strikesToSuspend) {
+    result.suspendedUntil = new Date(now.getTime() + config.suspensionDays * DAY_MS);
+    await User.updateOne(
+      { _id: author._id },
+      { $set: { "forumModeration.suspendedUntil": result.suspendedUntil } }
+    );
+  }
+  return result;
+}
+
+// Report a forum post (protected)
+const reportPost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason, description } = req.body;
+    const userId = req.user._id;
+
+    const post = await ForumPost.findById(id).select("author title status moderationFlags");
+    if (!post || post.status !== "published") {
+      throw new NotFoundError("Forum post not found");
+    }
+    if (String(post.author) === String(userId)) {
+      throw new BadRequestError("You cannot report your own post");
+    }
+
+    const reported = await ForumPost.updateOne(
+      { _id: id, status: "published", "moderationFlags.reporter": { $ne: userId } },
+      { $push: { moderationFlags: { reporter: userId, reason, description } } }
+    );
+    if (reported.modifiedCount !== 1) {
+      throw new ConflictError("You have already reported this post");
+    }
+
+    const { hideThreshold } = getModerationConfig();
+    const updated = await ForumPost.findById(id).select("moderationFlags").lean();
+    let hidden = false;
+    if (countPendingReporters(updated.moderationFlags) >= hideThreshold) {
+      const hide = await ForumPost.updateOne(
+        { _id: id, status: "published" },
+        { $set: { status: "flagged", moderation: { hiddenAt: new Date(), hiddenBy: null } } }
+      );
+      hidden = hide.modifiedCount === 1;
+      if (hidden) {
+        await notifyAuthor(post.author, {
+          title: "Forum post hidden for review",
+          body: `We hid ${describeItem(post)} because several members reported it. A moderator will review it soon.`,
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Thank you. The post has been reported to the moderators.",
+      hidden,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Report a reply on a forum post (protected)
+const reportReply = async (req, res, next) => {
+  try {
+    const { id, replyId } = req.params;
+    const { reason, description } = req.body;
+    const userId = req.user._id;
+
+    const post = await ForumPost.findOne({ _id: id, status: "published" }).select(
+      "title replies._id replies.author replies.status replies.moderationFlags"
+    );
+    const reply = post?.replies.id(replyId);
+    if (!reply || reply.status !== "active") {
+      throw new NotFoundError("Reply not found");
+    }
+    if (String(reply.author) === String(userId)) {
+      throw new BadRequestError("You cannot report your own reply");
+    }
+    if ((reply.moderationFlags || []).some((flag) => String(flag.reporter) === String(userId))) {
+      throw new ConflictError("You have already reported this reply");
+    }
+
+    const reported = await ForumPost.updateOne(
+      { _id: id },
+      { $push: { "replies.$[reply].moderationFlags": { reporter: userId, reason, description } } },
+      {
+        arrayFilters: [
+          { "reply._id": reply._id, "reply.moderationFlags.reporter": { $ne: userId } },
+        ],
+      }
+    );
+    if (reported.modifiedCount !== 1) {
+      throw new ConflictError("You have already reported this reply");
+    }
+
+    const { hideThreshold } = getModerationConfig();
+    const updated = await ForumPost.findById(id).select("replies._id replies.moderationFlags");
+    let hidden = false;
+    if (countPendingReporters(updated.replies.id(replyId)?.moderationFlags) >= hideThreshold) {
+      const hide = await ForumPost.updateOne(
+        { _id: id, replies: { $elemMatch: { _id: reply._id, status: "active" } } },
+        {
+          $set: {
+            "replies.$.status": "flagged",
+            "replies.$.moderation": { hiddenAt: new Date(), hiddenBy: null },
+          },
+          $inc: { replyCount: -1 },
+        }
+      );
+      hidden = hide.modifiedCount === 1;
+      if (hidden) {
+        await notifyAuthor(reply.author, {
+          title: "Forum reply hidden for review",
+          body: `We hid ${describeItem(post, reply)} because several members reported it. A moderator will review it soon.`,
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Thank you. The reply has been reported to the moderators.",
+      hidden,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: queue entry for a post or reply with pending reports
+ */
+function toQueueItem(post, reply, strikeCounts) {
+  const item = reply || post;
+  const pending = (item.moderationFlags || []).filter((flag) => flag.status === "pending");
+  const reasons = pending.reduce((acc, flag) => {
+    acc[flag.reason] = (acc[flag.reason] || 0) + 1;
+    return acc;
+  }, {});
+  return {
+    type: reply ? "reply" : "post",
+    postId: post._id,
+    replyId: reply?._id || null,
+    postTitle: post.title,
+    content: item.content,
+    author: item.author,
+    authorName: item.authorName,
+    authorStrikes: strikeCounts.get(String(item.author)) || 0,
+    status: item.status,
+    hidden: item.status === "flagged",
+    reportCount: pending.length,
+    reasons,
+    reports: pending,
+    firstReportedAt: pending.reduce(
+      (earliest, flag) => (!earliest || flag.createdAt < earliest ? flag.createdAt : earliest),
+      null
+    ),
+    createdAt: item.createdAt,
+  };
+}
+
+// Moderation queue: posts and replies with pending reports (admin / moderator)
+const getModerationQueue = async (req, res, next) => {
+  try {
+    await assertForumModerator(req);
+    const { type = "all", hiddenOnly } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const posts = await ForumPost.find({
+      $or: [
+        { "moderationFlags.status": "pending" },
+        { "replies.moderationFlags.status": "pending" },
+      ],
+    })
+      .select(
+        "title content author authorName status moderationFlags createdAt replies._id replies.author replies.authorName replies.content replies.status replies.moderationFlags replies.createdAt"
+      )
+      .populate("moderationFlags.reporter", "name email")
+      .populate("replies.moderationFlags.reporter", "name email")
+      .lean();
+
+    const config = getModerationConfig();
+    const authorIds = new Set();
+    posts.forEach((post) => {
+      authorIds.add(String(post.author));
+      post.replies.forEach((reply) => authorIds.add(String(reply.author)));
+    });
+    const since = new Date(Date.now() - config.strikeWindowDays * DAY_MS);
+    const authors = await User.find({ _id: { $in: [...authorIds] } })
+      .select("forumModeration.strikes")
+      .lean();
+    const strikeCounts = new Map(
+      authors.map((author) => [
+        String(author._id),
+        (author.forumModeration?.strikes || []).filter((strike) => strike.issuedAt >= since).length,
+      ])
+    );
+
+    const items = [];
+    posts.forEach((post) => {
+      if (type !== "reply" && countPendingReporters(post.moderationFlags) > 0) {
+        items.push(toQueueItem(post, null, strikeCounts));
+      }
+      if (type !== "post") {
+        post.replies
+          .filter((reply) => countPendingReporters(reply.moderationFlags) > 0)
+          .forEach((reply) => items.push(toQueueItem(post, reply, strikeCounts)));
+      }
+    });
+
+    const queue = items
+      .filter((item) => String(hiddenOnly) !== "true" || item.hidden)
+      .sort((a, b) => b.reportCount - a.reportCount || a.firstReportedAt - b.firstReportedAt);
+    const skip = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      items: queue.slice(skip, skip + limit),
+      hideThreshold: config.hideThreshold,
+      pagination: {
+        current: page,
+        total: Math.ceil(queue.length / limit),
+        hasNext: skip + limit < queue.length,
+        hasPrev: page > 1,
+        totalItems: queue.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolve the pending reports on a post or reply (admin / moderator)
+const resolveReports = async (req, res, next) => {
+  try {
+    await assertForumModerator(req);
+    const { id, replyId } = req.params;
+    const { action, note = null, strike = true } = req.body;
+
+    const post = await ForumPost.findById(id);
+    if (!post) {
+      throw new NotFoundError("Forum post not found");
+    }
+    const reply = replyId ? post.replies.id(replyId) : null;
+    if (replyId && !reply) {
+      throw new NotFoundError("Reply not found");
+    }
+
+    const item = reply || post;
+    const pending = (item.moderationFlags || []).filter((flag) => flag.status === "pending");
+    if (pending.length === 0) {
+      throw new ConflictError("There are no pending reports to resolve");
+    }
+
+    const now = new Date();
+    const wasHidden = item.status === "flagged";
+    pending.forEach((flag) => {
+      flag.status = action === "remove" ? "reviewed" : "dismissed";
+    });
+    item.moderation = {
+      hiddenAt: item.moderation?.hiddenAt || null,
+      hiddenBy: item.moderation?.hiddenBy || null,
+      resolution: action === "remove" ? "removed" : "dismissed",
+      resolvedAt: now,
+      resolvedBy: req.user._id,
+      note,
+    };
+    if (action === "remove") {
+      item.status = "deleted";
+    } else if (wasHidden) {
+      item.status = reply ? "active" : "published";
+    }
+    await post.save();
+
+    const reasons = [...new Set(pending.map((flag) => flag.reason))].join(", ");
+    let strikeResult = null;
+    if (action === "remove") {
+      if (strike) {
+        strikeResult = await recordStrike({
+          authorId: item.author,
+          reason: reasons,
+          post,
+          reply,
+          issuedBy: req.user,
+        });
+      }
+      const consequences = [];
+      if (strikeResult?.deactivated) {
+        consequences.push("Your account has been suspended after repeated violations.");
+      } else if (strikeResult?.suspendedUntil) {
+        consequences.push(
+          `You cannot post in the forum until ${strikeResult.suspendedUntil.toUTCString()}.`
+        );
+      } else if (strikeResult) {
+        consequences.push(`This is strike ${strikeResult.strikes} on your account.`);
+      }
+      await notifyAuthor(item.author, {
+        title: reply ? "Forum reply removed" : "Forum post removed",
+        body: [
+          `A moderator removed ${describeItem(post, reply)} for: ${reasons}.`,
+          note ? `Moderator note: ${note}` : null,
+          ...consequences,
+          `Please review the community guidelines at ${FRONTEND_URL}/forum.`,
+        ]
+          .filter(Boolean)
+          .join("\n\n"),
+      });
+      await logActivity({
+        type: "forum_post",
+        description: `Forum ${reply ? "reply" : "post"} removed after reports (${reasons})`,
+        userId: req.user._id,
+        userName: req.user.name,
+        userEmail: req.user.email,
+        action: "delete",
+        targetType: "forum_post",
+        targetId: post._id,
+        details: { replyId: reply?._id || null, reports: pending.length, note },
+      });
+    } else if (wasHidden) {
+      await notifyAuthor(item.author, {
+        title: reply ? "Forum reply restored" : "Forum post restored",
+        body: `A moderator reviewed the reports on ${describeItem(post, reply)} and restored it.`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: action === "remove" ? "Content removed" : "Reports dismissed",
+      status: item.status,
+      resolvedReports: pending.length,
+      strike: strikeResult,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: reject new forum content from members with an active forum suspension
+ */
+const assertNotForumSuspended = (user) => {
+  const suspendedUntil = user?.forumModeration?.suspendedUntil;
+  if (suspendedUntil && new Date(suspendedUntil) > new Date()) {
+    throw new ForbiddenError(
+      `You are suspended from posting in the forum until ${new Date(suspendedUntil).toUTCString()}`
+    );
+  }
+};
+
+module.exports = {
+  reportPost,
+  reportReply,
+  getModerationQueue,
+  resolveReports,
+  assertNotForumSuspended,
+};
@@ -8,6 +8,8 @@ const path = require("path");
 const fs = require("fs").promises;
 const gcs = require("../utils/gcs");
 const { recordEngagementReward } = require("../utils/rewards");
+const { queueListingForSavedSearchAlerts } = require("../utils/savedSearchAlerts");
+const { recordListingEvent } = require("../utils/listingAnalytics");
 
 const escapeRegExp = (value) =>
   String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -285,6 +287,19 @@ const getListingById = async (req, res, next) => {
       listing.views = Number(listing.views || 0) + 1;
     }
 
+    // Every visit (not just the first per viewer) feeds the owner's time-series analytics
+    if (shouldTrackView && listing.status === "active") {
+      recordListingEvent({
+        listing,
+        type: "view",
+        req,
+        userId,
+        visitorId,
+        referrer: req.query.referrer,
+        medium: req.query.utmMedium,
+      });
+    }
+
     res.json({
       success: true,
       listing: addEngagementState(listing, userId),
@@ -660,6 +675,12 @@ const createListing = async (req, res, next) => {
     const listing = await Listing.create(listingData);
     await listing.populate("owner", "name email tier role");
 
+    if (listing.status === "active") {
+      queueListingForSavedSearchAlerts(listing._id).catch((e) =>
+        console.warn("Failed to queue saved search alerts:", e.message)
+      );
+    }
+
     res.status(201).json({
       success: true,
       message: "Listing created successfully",
@@ -1040,6 +1061,9 @@ const toggleLikeListing = async (req, res, next) => {
 
     await listing.save();
     await recordEngagementReward({ listing, actorId: userId, type: "like", active: isLiked });
+    if (isLiked) {
+      recordListingEvent({ listing, type: "like", req, userId });
+    }
 
     res.json({
       success: true,
@@ -1084,6 +1108,9 @@ const toggleFollowListing = async (req, res, next) => {
 
     await listing.save();
     await recordEngagementReward({ listing, actorId: userId, type: "follow", active: isFollowing });
+    if (isFollowing) {
+      recordListingEvent({ listing, type: "follow", req, userId });
+    }
 
     res.json({
       success: true,
@@ -1099,6 +1126,33 @@ const toggleFollowListing = async (req, res, next) => {
   }
 };
 
+// Record a website click or phone number reveal on a listing page (public)
+const trackListingInteraction = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type, visitorId, referrer, utmMedium } = req.body;
+
+    const listing = await Listing.findOne({ _id: id, status: "active" }).select("owner").lean();
+    if (!listing) {
+      throw new NotFoundError("Listing not found");
+    }
+
+    await recordListingEvent({
+      listing,
+      type,
+      req,
+      userId: req.user?._id,
+      visitorId,
+      referrer,
+      medium: utmMedium,
+    });
+
+    res.status(202).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllListings,
   getListingById,
@@ -1111,4 +1165,5 @@ module.exports = {
   toggleFeatureListing,
   toggleLikeListing,
   toggleFollowListing,
+  trackListingInteraction,
 };
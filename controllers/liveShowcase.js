@@ -1,6 +1,7 @@
 const ShowcaseEventTimeline = require("../models/ShowcaseEventTimeline");
 const TalentShowcase = require("../models/TalentShowcase");
 const TalentContestant = require("../models/TalentContestant");
+const { describeVoter, checkVote, applyVoteWeight } = require("../utils/voteIntegrity");
 
 const DEFAULT_VIEWER_COUNT_BASE = 2000;
 
@@ -952,36 +953,49 @@ exports.voteForContestant = async (req, res) => {
     const isPaidTier = req.user?.tier && req.user.tier !== "Free";
     const maxVotes = isPaidTier ? baseMax + bonus : baseMax;
 
-    const userVotes = await ShowcaseVote.countDocuments({ showcase: showcaseId, user: userId });
+    const userVotes = await ShowcaseVote.countDocuments({
+      showcase: showcaseId,
+      user: userId,
+      status: { $ne: "rejected" },
+    });
     if (userVotes >= maxVotes) {
       return res
         .status(400)
         .json({ message: `You have reached the maximum number of votes (${maxVotes})` });
     }
 
+    // Weight by membership tier and run device / velocity checks (utils/voteIntegrity.js)
+    const voter = describeVoter(req, showcase);
+    const integrityFlags = await checkVote({ showcaseId, contestantId, voter });
+
     // Create vote record (schema requires ipAddress)
-    await ShowcaseVote.create({
+    const vote = await ShowcaseVote.create({
       showcase: showcaseId,
       contestant: contestantId,
       user: userId,
       ipAddress,
+      ipPrefix: voter.ipPrefix,
+      deviceHash: voter.deviceHash,
       userAgent: req.get("user-agent"),
-      voteWeight: 1,
-      country: req.body?.country,
+      voteWeight: voter.voteWeight,
+      tier: voter.tier,
+      country: voter.country,
+      status: integrityFlags.length > 0 ? "quarantined" : "accepted",
+      integrityFlags,
     });
 
-    // Increment vote count
-    contestant.votes = (contestant.votes || 0) + 1;
-    await contestant.save();
-
-    // Keep showcase totalVotes in sync when available
-    if (typeof showcase.totalVotes === "number") {
-      showcase.totalVotes += 1;
-      await showcase.save();
+    // Quarantined votes only count once an admin accepts them
+    if (vote.status === "accepted") {
+      await applyVoteWeight(vote);
+      contestant.votes = (contestant.votes || 0) + vote.voteWeight;
     }
 
     res.json({
-      message: "Vote submitted successfully",
+      message:
+        vote.status === "accepted"
+          ? "Vote submitted successfully"
+          : "Vote received and pending review",
+      pendingReview: vote.status !== "accepted",
       votesRemaining: Math.max(0, maxVotes - (userVotes + 1)),
       contestant: {
         id: contestant._id,
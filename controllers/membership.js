@@ -7,6 +7,13 @@ const { createOrder, captureOrder, getOrder } = require("../utils/paypal");
 const PaymentModel = require("../models/Payment");
 const { NODE_ENV } = require("../utils/config");
 const { logActivity } = require("../utils/activityLogger");
+const { verifyWebhookSignature } = require("../utils/paypal");
+const {
+  startMembershipSubscription,
+  handleSubscriptionWebhookEvent,
+  syncMembershipSubscription,
+  cancelMembershipSubscription,
+} = require("../utils/membershipSubscriptions");
 
 // Get membership tiers (public)
 const getMembershipTiers = async (req, res, next) => {
@@ -139,7 +146,7 @@ const getMembershipTiers = async (req, res, next) => {
 const getCurrentMembership = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id)
-      .select("tier tierExpiresAt payments")
+      .select("tier tierExpiresAt payments membershipSubscription")
       .populate({
         path: "payments",
         match: { status: "completed" },
@@ -165,6 +172,16 @@ const getCurrentMembership = async (req, res, next) => {
         expiresAt: user.tierExpiresAt,
         isActive: user.tierExpiresAt ? user.tierExpiresAt > new Date() : user.tier === "Free",
         activeSubscription: activePayment,
+        subscription: user.membershipSubscription?.subscriptionId
+          ? {
+              id: user.membershipSubscription.subscriptionId,
+              tier: user.membershipSubscription.tier,
+              status: user.membershipSubscription.status,
+              autoRenew: user.membershipSubscription.status === "ACTIVE",
+              nextBillingAt: user.membershipSubscription.nextBillingAt,
+              failedPayments: user.membershipSubscription.failedPayments,
+            }
+          : null,
         recentPayments: user.payments,
       },
     });
@@ -491,6 +508,94 @@ const captureMembershipPayment = async (req, res, next) => {
   }
 };
 
+// Start a recurring membership subscription (protected)
+const subscribeMembership = async (req, res, next) => {
+  try {
+    const { tier } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const tierHierarchy = { Free: 0, Starter: 1, Premium: 2, Pro: 3 };
+    const subscription = user.membershipSubscription || {};
+    const hasLiveSubscription = ["ACTIVE", "SUSPENDED"].includes(subscription.status);
+    if (hasLiveSubscription && subscription.tier === tier) {
+      throw new BadRequestError(`You already have an active ${tier} subscription`);
+    }
+    // Switching an existing subscription to a cheaper tier still goes through support
+    if ((tierHierarchy[user.tier] || 0) > tierHierarchy[tier]) {
+      throw new BadRequestError(
+        "You cannot downgrade your membership tier. Please contact support for downgrades."
+      );
+    }
+
+    const result = await startMembershipSubscription(user, tier);
+    if (!result.approveLink) {
+      throw new BadRequestError("Failed to create PayPal subscription");
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "PayPal subscription created",
+      ...result,
+    });
+  } catch (error) {
+    console.error("❌ Membership subscription error:", error);
+    next(error);
+  }
+};
+
+// Confirm a subscription after PayPal approval (protected)
+const confirmMembershipSubscription = async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.body;
+
+    const user = await User.findById(req.user._id).select("membershipSubscription");
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    const state = user.membershipSubscription || {};
+    if (![state.subscriptionId, state.pendingSubscriptionId].includes(subscriptionId)) {
+      throw new ForbiddenError("This subscription does not belong to your account");
+    }
+
+    const subscription = await syncMembershipSubscription(subscriptionId);
+    const updatedUser = await User.findById(req.user._id).select(
+      "tier tierExpiresAt membershipSubscription"
+    );
+
+    res.json({
+      success: true,
+      status: subscription.status,
+      membership: {
+        tier: updatedUser.tier,
+        expiresAt: updatedUser.tierExpiresAt,
+        subscription: updatedUser.membershipSubscription,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PayPal subscription webhooks (public, verified by signature)
+const paypalSubscriptionWebhook = async (req, res, next) => {
+  try {
+    const verified = await verifyWebhookSignature(req);
+    if (!verified) {
+      console.warn("PayPal subscription webhook signature failed");
+      return res.status(400).json({ ok: false });
+    }
+
+    const result = await handleSubscriptionWebhookEvent(req.body);
+    res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Cancel membership (protected)
 const cancelMembership = async (req, res, next) => {
   try {
@@ -503,6 +608,28 @@ const cancelMembership = async (req, res, next) => {
       throw new BadRequestError("You are already on the free tier");
     }
 
+    // Recurring PayPal subscription: stop future renewals, keep access until expiry
+    const cancelledSubscription = await cancelMembershipSubscription(user, req.body?.reason);
+    if (cancelledSubscription) {
+      await logActivity({
+        type: "payment_processed",
+        description: `${user.email} cancelled their ${cancelledSubscription.tier} membership subscription`,
+        userId: user._id,
+        userName: user.name,
+        userEmail: user.email,
+        action: "update",
+        targetType: "user",
+        targetId: user._id,
+        details: { subscriptionId: cancelledSubscription.subscriptionId },
+      });
+
+      return res.json({
+        success: true,
+        message: "Membership cancelled successfully. Access will continue until expiration date.",
+        expiresAt: user.tierExpiresAt,
+      });
+    }
+
     // Find active subscription
     const activePayment = await Payment.findOne({
       user: req.user._id,
@@ -828,6 +955,9 @@ module.exports = {
   getCurrentMembership,
   upgradeMembership,
   captureMembershipPayment,
+  subscribeMembership,
+  confirmMembershipSubscription,
+  paypalSubscriptionWebhook,
   cancelMembership,
   getMembershipBenefits,
   getMembershipStats,
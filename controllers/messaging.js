@@ -7,6 +7,8 @@ const BadRequestError = require("../utils/errors/BadRequestError");
 const NotFoundError = require("../utils/errors/NotFoundError");
 const ForbiddenError = require("../utils/errors/ForbiddenError");
 const { sendEmail } = require("../utils/notifications");
+const { recordFirstResponse } = require("../utils/supportSla");
+const { recordListingEvent } = require("../utils/listingAnalytics");
 
 // ✅ Normalization helper - handles both old and new reply schemas
 const normalizeReply = (reply) => {
@@ -190,6 +192,9 @@ exports.sendMessage = async (req, res, next) => {
       updatedAt: new Date(),
     });
 
+    // First agent reply satisfies the first-response SLA of support conversations
+    await recordFirstResponse(conversation, req.user);
+
     // Create notifications for other participants
     const otherParticipants = conversation.participants.filter((p) => p.toString() !== req.user.id);
 
@@ -744,6 +749,16 @@ exports.sendContactMessage = async (req, res, next) => {
 
     console.log("✅ Contact message created:", contactMessage._id);
 
+    if (listing) {
+      recordListingEvent({
+        listing,
+        type: "contact",
+        req,
+        userId: req.user?._id,
+        referrer: req.body.referrer,
+      });
+    }
+
     // Create notification for business owner
     const notification = await MessageNotification.create({
       user: businessOwner,
@@ -1,11 +1,26 @@
 const QuizQuestion = require("../models/QuizQuestion");
 const QuizSession = require("../models/QuizSession");
 const QuizAnswer = require("../models/QuizAnswer");
+const QuizQuestionBank = require("../models/QuizQuestionBank");
 const User = require("../models/User");
 const ContactMessage = require("../models/ContactMessage");
 const MessageNotification = require("../models/MessageNotification");
-const { performRaffle } = require("../utils/raffleSelection");
+const {
+  ensureRaffleCommitment,
+  drawCommittedRaffle,
+  getRaffleVerification,
+} = require("../utils/raffleCommitment");
 const { EVENT_TIME_ZONE } = require("../utils/eventTime");
+const {
+  normalizeCorrectAnswer,
+  normalizeQuestionInput,
+  serializeBankQuestion,
+  usesQuestionBanks,
+  findSessionQuestion,
+  drawSessionQuestion,
+  countSessionQuestions,
+  listSessionQuestions,
+} = require("../utils/quizQuestionBanks");
 
 const MEETING_JOIN_WINDOW_SECONDS = 5 * 60;
 const MEETING_JOINABLE_PHASES = new Set([
@@ -380,7 +395,7 @@ const DEFAULT_QUESTIONS = [
 ];
 
 async function ensureDefaultQuestions() {
-  const existingCount = await QuizQuestion.countDocuments();
+  const existingCount = await QuizQuestion.countDocuments({ bank: null });
   if (existingCount > 0) {
     return;
   }
@@ -411,6 +426,10 @@ function getFreshSessionFields(overrides = {}) {
     currentTurnContestant: null,
     contestants: [],
     askedNumbers: [],
+    questionBanks: [],
+    randomizeQuestions: false,
+    questionDifficulties: [],
+    questionAssignments: [],
     bonusPending: false,
     raffleSeed: "",
     raffleExecutedAt: null,
@@ -527,6 +546,7 @@ function resetSessionCompetitionData(session) {
   const quizSession = session;
   quizSession.currentQuestionNumber = null;
   quizSession.askedNumbers = [];
+  quizSession.questionAssignments = [];
   quizSession.currentTurnContestant = null;
   quizSession.bonusPending = false;
   quizSession.raffleSeed = "";
@@ -554,7 +574,12 @@ async function runQuizRaffleForSession(session, maxContestants) {
     throw error;
   }
 
-  const raffleResults = performRaffle(eligibleContestants, contestantsNeeded);
+  const raffleResults = await drawCommittedRaffle({
+    eventType: "quiz",
+    eventId: quizSession._id,
+    entrants: eligibleContestants,
+    maxSelected: contestantsNeeded,
+  });
   const selectedById = new Map(
     raffleResults.selected.map((entry) => [entry.contestant.toString(), entry])
   );
@@ -651,11 +676,7 @@ function isQuestionInDisplayRange(session, questionNumber) {
 }
 
 async function getActiveQuestionCountForSession(session) {
-  const { start, end } = getQuestionDisplayRange(session);
-  return QuizQuestion.countDocuments({
-    active: true,
-    number: { $gte: start, $lte: end },
-  });
+  return countSessionQuestions(session, getQuestionDisplayRange(session));
 }
 
 function moveSessionToNextPhase(session) {
@@ -703,7 +724,8 @@ async function syncSessionPhase(session) {
     try {
       await runQuizRaffleForSession(quizSession, quizSession.maxSelectedContestants);
     } catch (error) {
-      if (error.statusCode !== 400) {
+      // 409: another request is already drawing this raffle
+      if (error.statusCode !== 400 && error.statusCode !== 409) {
         throw error;
       }
     }
@@ -831,6 +853,9 @@ function serializeSession(session, options = {}) {
     welcomeNote: session.welcomeNote,
     rules: normalizeSessionRules(session.rules),
     askedNumbers: session.askedNumbers,
+    questionBanks: session.questionBanks || [],
+    randomizeQuestions: Boolean(session.randomizeQuestions),
+    questionDifficulties: session.questionDifficulties || [],
     hasZoomMeeting,
     meetingLinks,
   };
@@ -964,6 +989,13 @@ function copySessionSettingsForNewEvent(sourceSession, overrides = {}) {
     welcomeNote:
       overrides.welcomeNote ?? sourceSession?.welcomeNote ?? getFreshSessionFields().welcomeNote,
     rules: normalizeSessionRules(overrides.rules ?? sourceSession?.rules),
+    // Only reusable banks carry over; banks owned by the previous event stay with it
+    questionBanks: overrides.questionBanks || [],
+    randomizeQuestions: Boolean(
+      overrides.randomizeQuestions ?? sourceSession?.randomizeQuestions ?? false
+    ),
+    questionDifficulties:
+      overrides.questionDifficulties ?? sourceSession?.questionDifficulties ?? [],
   });
 }
 
@@ -1143,7 +1175,8 @@ async function completeQuestionForContestant(
 ) {
   const quizSession = session;
   const answeredContestant = contestant;
-  const questionNumber = Number(question?.number || session.currentQuestionNumber);
+  // The picked number; with random draws it differs from the bank question's own number
+  const questionNumber = Number(session.currentQuestionNumber || question?.number);
   if (!questionNumber || !answeredContestant) {
     return { completed: false };
   }
@@ -1207,8 +1240,8 @@ async function completeExpiredQuestion(session) {
     return { completed: false };
   }
 
-  const question = await QuizQuestion.findOne({ number: questionNumber, active: true });
-  if (!question) {
+  const question = await findSessionQuestion(session, questionNumber);
+  if (!question?.active) {
     return { completed: false };
   }
 
@@ -1288,13 +1321,19 @@ async function sortRegisteredContestants(session) {
 }
 
 async function buildSessionPayload(session, options = {}) {
-  const currentQuestion =
+  const question =
     session.phase === "question" && session.currentQuestionNumber
-      ? await QuizQuestion.findOne({
-          number: session.currentQuestionNumber,
-          active: true,
-        }).select("number text type choices")
+      ? await findSessionQuestion(session, session.currentQuestionNumber)
       : null;
+  const currentQuestion = question?.active
+    ? {
+        _id: question._id,
+        number: session.currentQuestionNumber,
+        text: question.text,
+        type: question.type,
+        choices: question.choices,
+      }
+    : null;
 
   return {
     success: true,
@@ -1326,27 +1365,6 @@ async function moveSessionToWinnerIfComplete(session) {
   return quizSession;
 }
 
-function getChoiceLabel(choice) {
-  return String(choice || "")
-    .trim()
-    .slice(0, 1)
-    .toUpperCase();
-}
-
-function normalizeCorrectAnswer(correctAnswer, choices = []) {
-  const trimmedAnswer = String(correctAnswer || "").trim();
-  if (!trimmedAnswer) {
-    return "";
-  }
-
-  const directLabel = getChoiceLabel(trimmedAnswer);
-  const matchingChoice = choices.find(
-    (choice) => String(choice).trim().toUpperCase() === trimmedAnswer.toUpperCase()
-  );
-
-  return matchingChoice ? getChoiceLabel(matchingChoice) : directLabel;
-}
-
 function normalizeTextAnswer(value) {
   return String(value || "")
     .trim()
@@ -1441,10 +1459,19 @@ const createQuizEvent = async (req, res, next) => {
       });
     }
 
+    const reusableBanks = await QuizQuestionBank.find({
+      _id: { $in: activeSession.questionBanks || [] },
+      event: null,
+    }).distinct("_id");
+    const reusableBankIds = (activeSession.questionBanks || []).filter((bankId) =>
+      reusableBanks.some((reusableId) => reusableId.equals(bankId))
+    );
+
     await QuizSession.updateMany({ active: true }, { $set: { active: false } });
     const session = await QuizSession.create(
       copySessionSettingsForNewEvent(activeSession, {
         title,
+        questionBanks: reusableBankIds,
         eventStartsAt,
         eventStartsAtLabel: req.body?.eventStartsAtLabel,
         eventEndsAt,
@@ -1452,6 +1479,7 @@ const createQuizEvent = async (req, res, next) => {
         meetingLinks: req.body?.meetingLinks,
       })
     );
+    await ensureRaffleCommitment("quiz", session._id);
 
     return res.status(201).json({
       ...(await buildSessionPayload(session, {
@@ -1903,9 +1931,8 @@ const advanceExpiredQuizSession = async (req, res, next) => {
 const getQuizQuestions = async (req, res, next) => {
   try {
     await ensureDefaultQuestions();
-    const questions = await QuizQuestion.find({ active: true })
-      .sort({ number: 1 })
-      .select("number type choices text");
+    const session = await getActiveSession();
+    const questions = await listSessionQuestions(session, getQuestionDisplayRange(session));
     return res.status(200).json({ success: true, questions });
   } catch (error) {
     return next(error);
@@ -1915,12 +1942,14 @@ const getQuizQuestions = async (req, res, next) => {
 const getQuizQuestionByNumber = async (req, res, next) => {
   try {
     const questionNumber = Number(req.params.number);
-    const question = await QuizQuestion.findOne({ number: questionNumber, active: true });
-    if (!question) {
+    const session = await syncSessionPhase(await getActiveSession());
+    const question = await findSessionQuestion(session, questionNumber);
+    // Random-draw events pick the actual question once the number is claimed
+    const drawsQuestion = !question && session.randomizeQuestions && usesQuestionBanks(session);
+    if (!question && !drawsQuestion) {
       return res.status(404).json({ success: false, message: "Question not found" });
     }
 
-    const session = await syncSessionPhase(await getActiveSession());
     const displayRange = getQuestionDisplayRange(session);
     if (!isQuestionInDisplayRange(session, questionNumber)) {
       return res.status(400).json({
@@ -2024,13 +2053,17 @@ const getQuizQuestionByNumber = async (req, res, next) => {
       });
     }
 
-    if (session.phase === "question" && session.currentQuestionNumber === questionNumber) {
+    if (
+      question &&
+      session.phase === "question" &&
+      session.currentQuestionNumber === questionNumber
+    ) {
       res.set("Cache-Control", "no-store");
       return res.status(200).json({
         success: true,
         session: serializeSession(session),
         question: {
-          number: question.number,
+          number: questionNumber,
           text: question.text,
           type: question.type,
           choices: question.choices,
@@ -2038,6 +2071,32 @@ const getQuizQuestionByNumber = async (req, res, next) => {
       });
     }
 
+    let pickedQuestion = question;
+    const activation = {
+      $set: {
+        phase: "question",
+        phaseStartedAt: new Date(),
+        currentQuestionNumber: questionNumber,
+      },
+    };
+    if (drawsQuestion) {
+      pickedQuestion = await drawSessionQuestion(session);
+      if (!pickedQuestion) {
+        return res.status(404).json({
+          success: false,
+          message: "No unused questions are left in this event's question banks.",
+        });
+      }
+      activation.$push = {
+        questionAssignments: {
+          number: questionNumber,
+          question: pickedQuestion._id,
+          contestant: contestant?._id || null,
+          assignedAt: new Date(),
+        },
+      };
+    }
+
     const activatedSession = await QuizSession.findOneAndUpdate(
       {
         _id: session._id,
@@ -2045,13 +2104,7 @@ const getQuizQuestionByNumber = async (req, res, next) => {
         currentQuestionNumber: null,
         askedNumbers: { $ne: questionNumber },
       },
-      {
-        $set: {
-          phase: "question",
-          phaseStartedAt: new Date(),
-          currentQuestionNumber: questionNumber,
-        },
-      },
+      activation,
       { new: true }
     );
 
@@ -2068,6 +2121,10 @@ const getQuizQuestionByNumber = async (req, res, next) => {
         });
       }
       activeSession = latestSession;
+      pickedQuestion = await findSessionQuestion(latestSession, questionNumber);
+      if (!pickedQuestion) {
+        return res.status(404).json({ success: false, message: "Question not found" });
+      }
     }
 
     res.set("Cache-Control", "no-store");
@@ -2075,10 +2132,10 @@ const getQuizQuestionByNumber = async (req, res, next) => {
       success: true,
       session: serializeSession(activeSession),
       question: {
-        number: question.number,
-        text: question.text,
-        type: question.type,
-        choices: question.choices,
+        number: questionNumber,
+        text: pickedQuestion.text,
+        type: pickedQuestion.type,
+        choices: pickedQuestion.choices,
       },
     });
   } catch (error) {
@@ -2109,12 +2166,12 @@ const submitQuizAnswer = async (req, res, next) => {
       });
     }
 
-    const question = await QuizQuestion.findOne({ number: questionNumber, active: true });
+    const session = await syncSessionPhase(await getActiveSession());
+    const question = await findSessionQuestion(session, questionNumber);
     if (!question) {
       return res.status(404).json({ success: false, message: "Question not found" });
     }
 
-    const session = await syncSessionPhase(await getActiveSession());
     const contestant = findContestantByUser(session, req.user);
 
     if (!contestant) {
@@ -2975,7 +3032,8 @@ const contactQuizContestants = async (req, res, next) => {
 };
 
 /**
- * Admin-only: Set or update a quiz question for a specific number
+ * Admin-only: Set or update a quiz question for a specific number.
+ * Pass `bankId` to edit a question bank; without it the legacy shared set is edited.
  */
 const setQuizQuestion = async (req, res, next) => {
   try {
@@ -2984,65 +3042,30 @@ const setQuizQuestion = async (req, res, next) => {
       return res.status(403).json({ success: false, message: "Admin access required" });
     }
 
-    const { number, text, type, choices, correctAnswer } = req.body;
-
-    // Validate required fields
-    if (!number || number < 1 || number > 200) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Question number must be between 1 and 200" });
+    const { bankId } = req.body;
+    const { question: input, error } = normalizeQuestionInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    if (!text || typeof text !== "string" || text.trim().length === 0) {
-      return res.status(400).json({ success: false, message: "Question text is required" });
-    }
-
-    if (!type || !["multiple-choice", "text"].includes(type)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Type must be 'multiple-choice' or 'text'" });
-    }
-
-    if (type === "multiple-choice") {
-      if (!choices || !Array.isArray(choices) || choices.length === 0) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Choices are required for multiple-choice questions" });
-      }
-      if (!correctAnswer || typeof correctAnswer !== "string") {
-        return res.status(400).json({
-          success: false,
-          message: "Correct answer is required for multiple-choice questions",
-        });
-      }
-    }
-
-    if (
-      type === "text" &&
-      (!correctAnswer || typeof correctAnswer !== "string" || !correctAnswer.trim())
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "Correct answer is required for text questions",
-      });
+    if (bankId && !(await QuizQuestionBank.exists({ _id: bankId }))) {
+      return res.status(404).json({ success: false, message: "Question bank not found" });
     }
 
     // Find or create question
-    let question = await QuizQuestion.findOne({ number });
+    const bank = bankId || null;
+    let question = await QuizQuestion.findOne({ bank, number: input.number });
 
     if (!question) {
-      question = new QuizQuestion({ number });
+      question = new QuizQuestion({ bank, number: input.number });
     }
 
-    const trimmedChoices = type === "multiple-choice" ? choices.map((c) => c.trim()) : [];
-
-    question.text = text.trim();
-    question.type = type;
-    question.correctAnswer =
-      type === "multiple-choice"
-        ? normalizeCorrectAnswer(correctAnswer, trimmedChoices)
-        : correctAnswer.trim();
-    question.choices = trimmedChoices;
+    question.text = input.text;
+    question.type = input.type;
+    question.correctAnswer = input.correctAnswer;
+    question.choices = input.choices;
+    question.difficulty = input.difficulty;
+    question.tags = input.tags;
     question.active = true;
 
     await question.save();
@@ -3050,13 +3073,7 @@ const setQuizQuestion = async (req, res, next) => {
     return res.status(200).json({
       success: true,
       message: "Question updated successfully",
-      question: {
-        number: question.number,
-        text: question.text,
-        type: question.type,
-        choices: question.choices,
-        correctAnswer: question.correctAnswer,
-      },
+      question: serializeBankQuestion(question),
     });
   } catch (error) {
     return next(error);
@@ -3158,6 +3175,9 @@ const registerContestant = async (req, res, next) => {
       });
     }
 
+    // The seed commitment is published before the first entrant joins
+    await ensureRaffleCommitment("quiz", session._id);
+
     session.contestants.push({
       user: req.user._id,
       name: profileName,
@@ -3194,7 +3214,33 @@ const registerContestant = async (req, res, next) => {
 };
 
 /**
- * Admin-only: Get all quiz questions (including inactive ones)
+ * Public: Seed commitment and verification of an event's raffle
+ */
+const verifyQuizRaffle = async (req, res, next) => {
+  try {
+    const session = await QuizSession.findById(req.params.eventId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Quiz event not found" });
+    }
+
+    const verification = await getRaffleVerification("quiz", session._id, {
+      recordedSeed: hasRaffleRun(session) ? session.raffleSeed : undefined,
+    });
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "No raffle commitment has been published for this event yet",
+      });
+    }
+
+    return res.status(200).json({ success: true, eventId: session._id, ...verification });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Admin-only: Get all quiz questions (including inactive ones), optionally of one bank
  */
 const getAllQuizQuestions = async (req, res, next) => {
   try {
@@ -3203,18 +3249,13 @@ const getAllQuizQuestions = async (req, res, next) => {
       return res.status(403).json({ success: false, message: "Admin access required" });
     }
 
-    const questions = await QuizQuestion.find().sort({ number: 1 });
+    const questions = await QuizQuestion.find({ bank: req.query.bankId || null }).sort({
+      number: 1,
+    });
 
     return res.status(200).json({
       success: true,
-      questions: questions.map((q) => ({
-        number: q.number,
-        text: q.text,
-        type: q.type,
-        choices: q.choices,
-        correctAnswer: q.correctAnswer,
-        active: q.active,
-      })),
+      questions: questions.map(serializeBankQuestion),
     });
   } catch (error) {
     return next(error);
@@ -3245,5 +3286,6 @@ module.exports = {
   contactQuizContestants,
   setQuizQuestion,
   registerContestant,
+  verifyQuizRaffle,
   getAllQuizQuestions,
 };
@@ -0,0 +1,431 @@
+const mongoose = require("mongoose");
+const QuizQuestion = require("../models/QuizQuestion");
+const QuizQuestionBank = require("../models/QuizQuestionBank");
+const QuizSession = require("../models/QuizSession");
+const {
+  QUESTION_DIFFICULTIES,
+  MAX_IMPORT_QUESTIONS,
+  normalizeQuestionInput,
+  questionsFromCsv,
+  questionsToCsv,
+  serializeBankQuestion,
+} = require("../utils/quizQuestionBanks");
+
+const requireAdmin = (req, res) => {
+  if (req.user.role !== "admin") {
+    res.status(403).json({ success: false, message: "Admin access required" });
+    return false;
+  }
+  return true;
+};
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ""));
+
+function serializeBank(bank, stats = {}) {
+  return {
+    id: bank._id,
+    name: bank.name,
+    description: bank.description,
+    event: bank.event,
+    reusable: !bank.event,
+    questionCount: stats.questionCount || 0,
+    difficulties: stats.difficulties || {},
+    createdAt: bank.createdAt,
+    updatedAt: bank.updatedAt,
+  };
+}
+
+async function getBankStats(bankIds) {
+  const rows = await QuizQuestion.aggregate([
+    { $match: { bank: { $in: bankIds }, active: true } },
+    { $group: { _id: { bank: "$bank", difficulty: "$difficulty" }, count: { $sum: 1 } } },
+  ]);
+
+  return rows.reduce((stats, row) => {
+    const key = String(row._id.bank);
+    const entry = stats.get(key) || { questionCount: 0, difficulties: {} };
+    entry.questionCount += row.count;
+    entry.difficulties[row._id.difficulty || "medium"] = row.count;
+    stats.set(key, entry);
+    return stats;
+  }, new Map());
+}
+
+function getImportRows(body = {}) {
+  const format = String(body.format || "json").toLowerCase();
+
+  if (format === "csv") {
+    if (typeof body.content !== "string" || !body.content.trim()) {
+      return { error: "CSV content is required" };
+    }
+    return { rows: questionsFromCsv(body.content) };
+  }
+
+  if (format !== "json") {
+    return { error: "Format must be 'json' or 'csv'" };
+  }
+
+  let payload = body.questions;
+  if (!payload && typeof body.content === "string") {
+    try {
+      payload = JSON.parse(body.content);
+    } catch (error) {
+      return { error: "Content is not valid JSON" };
+    }
+  }
+
+  const rows = Array.isArray(payload) ? payload : payload?.questions;
+  if (!Array.isArray(rows)) {
+    return { error: "JSON import must be an array of questions or { questions: [...] }" };
+  }
+  return { rows };
+}
+
+/**
+ * Admin-only: List question banks (optionally only those owned by one event)
+ */
+const getQuestionBanks = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const filter = {};
+    if (req.query.eventId) {
+      filter.event = req.query.eventId;
+    } else if (req.query.reusable === "true") {
+      filter.event = null;
+    }
+
+    const banks = await QuizQuestionBank.find(filter).sort({ createdAt: -1 });
+    const stats = await getBankStats(banks.map((bank) => bank._id));
+
+    return res.status(200).json({
+      success: true,
+      difficulties: QUESTION_DIFFICULTIES,
+      banks: banks.map((bank) => serializeBank(bank, stats.get(String(bank._id)))),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Admin-only: Create a bank. With `eventId` the bank is owned by and attached to that event.
+ */
+const createQuestionBank = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const name = String(req.body?.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ success: false, message: "Bank name is required" });
+    }
+
+    const { eventId } = req.body;
+    if (eventId && (!isObjectId(eventId) || !(await QuizSession.exists({ _id: eventId })))) {
+      return res.status(404).json({ success: false, message: "Quiz event not found" });
+    }
+
+    const bank = await QuizQuestionBank.create({
+      name: name.slice(0, 120),
+      description: String(req.body?.description || "")
+        .trim()
+        .slice(0, 500),
+      event: eventId || null,
+      createdBy: req.user._id,
+    });
+
+    if (eventId) {
+      await QuizSession.updateOne({ _id: eventId }, { $addToSet: { questionBanks: bank._id } });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Question bank created",
+      bank: serializeBank(bank),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const updateQuestionBank = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const bank = await QuizQuestionBank.findById(req.params.bankId);
+    if (!bank) {
+      return res.status(404).json({ success: false, message: "Question bank not found" });
+    }
+
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name || "").trim();
+      if (!name) {
+        return res.status(400).json({ success: false, message: "Bank name is required" });
+      }
+      bank.name = name.slice(0, 120);
+    }
+    if (req.body?.description !== undefined) {
+      bank.description = String(req.body.description || "")
+        .trim()
+        .slice(0, 500);
+    }
+
+    await bank.save();
+    const stats = await getBankStats([bank._id]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Question bank updated",
+      bank: serializeBank(bank, stats.get(String(bank._id))),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const deleteQuestionBank = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const bank = await QuizQuestionBank.findById(req.params.bankId);
+    if (!bank) {
+      return res.status(404).json({ success: false, message: "Question bank not found" });
+    }
+
+    const activeEvent = await QuizSession.exists({ active: true, questionBanks: bank._id });
+    if (activeEvent) {
+      return res.status(409).json({
+        success: false,
+        message: "This bank is used by the active event. Detach it before deleting.",
+      });
+    }
+
+    await QuizQuestion.deleteMany({ bank: bank._id });
+    await QuizSession.updateMany(
+      { questionBanks: bank._id },
+      { $pull: { questionBanks: bank._id } }
+    );
+    await bank.deleteOne();
+
+    return res.status(200).json({ success: true, message: "Question bank deleted" });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Admin-only: Import questions into a bank from JSON or CSV.
+ * Body: { format: "json" | "csv", content?, questions?, mode: "merge" | "replace" }
+ * Rows without a number are numbered after the highest existing one. Nothing is written
+ * unless every row is valid.
+ */
+const importQuestionBank = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const bank = await QuizQuestionBank.findById(req.params.bankId);
+    if (!bank) {
+      return res.status(404).json({ success: false, message: "Question bank not found" });
+    }
+
+    const mode = String(req.body?.mode || "merge").toLowerCase();
+    if (!["merge", "replace"].includes(mode)) {
+      return res.status(400).json({ success: false, message: "Mode must be 'merge' or 'replace'" });
+    }
+
+    const { rows, error } = getImportRows(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: "No questions found to import" });
+    }
+    if (rows.length > MAX_IMPORT_QUESTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A bank can hold at most ${MAX_IMPORT_QUESTIONS} questions per import`,
+      });
+    }
+
+    const existingNumbers =
+      mode === "merge" ? await QuizQuestion.distinct("number", { bank: bank._id }) : [];
+    let nextNumber = Math.max(
+      0,
+      ...existingNumbers,
+      ...rows.map((row) => Number(row?.number) || 0)
+    );
+
+    const seenNumbers = new Set();
+    const errors = [];
+    const questions = [];
+    rows.forEach((row, index) => {
+      const raw = { ...(row || {}) };
+      if (raw.number === undefined || raw.number === null || raw.number === "") {
+        nextNumber += 1;
+        raw.number = nextNumber;
+      }
+
+      const { question, error: rowError } = normalizeQuestionInput(raw);
+      if (rowError) {
+        errors.push({ row: index + 1, message: rowError });
+      } else if (seenNumbers.has(question.number)) {
+        errors.push({ row: index + 1, message: `Duplicate question number ${question.number}` });
+      } else {
+        seenNumbers.add(question.number);
+        questions.push(question);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} question(s) are invalid. Nothing was imported.`,
+        errors: errors.slice(0, 50),
+      });
+    }
+
+    if (mode === "replace") {
+      await QuizQuestion.deleteMany({ bank: bank._id });
+    }
+
+    const result = await QuizQuestion.bulkWrite(
+      questions.map((question) => ({
+        updateOne: {
+          filter: { bank: bank._id, number: question.number },
+          update: { $set: { ...question, bank: bank._id } },
+          upsert: true,
+        },
+      }))
+    );
+
+    const stats = await getBankStats([bank._id]);
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${questions.length} question(s) into ${bank.name}`,
+      created: result.upsertedCount || 0,
+      updated: result.modifiedCount || 0,
+      bank: serializeBank(bank, stats.get(String(bank._id))),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Admin-only: Export a bank as JSON (default) or CSV (?format=csv)
+ */
+const exportQuestionBank = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const bank = await QuizQuestionBank.findById(req.params.bankId);
+    if (!bank) {
+      return res.status(404).json({ success: false, message: "Question bank not found" });
+    }
+
+    const questions = await QuizQuestion.find({ bank: bank._id }).sort({ number: 1 });
+    const fileName = `${bank.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase() || "question-bank"}`;
+
+    if (String(req.query.format || "json").toLowerCase() === "csv") {
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+      return res.send(questionsToCsv(questions));
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.json"`);
+    return res.status(200).json({
+      name: bank.name,
+      description: bank.description,
+      exportedAt: new Date(),
+      questions: questions.map(serializeBankQuestion),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Admin-only: Choose which banks an event draws from and how.
+ * Body: { bankIds: [], randomizeQuestions, questionDifficulties }
+ * Bank order matters for fixed numbering: the first bank with a number wins.
+ */
+const setQuizEventQuestionBanks = async (req, res, next) => {
+  try {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const session = await QuizSession.findById(req.params.eventId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Quiz event not found" });
+    }
+
+    if ((session.askedNumbers || []).length > 0 || session.phase === "question") {
+      return res.status(409).json({
+        success: false,
+        message: "Question banks cannot change after questions have been played in this event.",
+      });
+    }
+
+    const { bankIds, randomizeQuestions, questionDifficulties } = req.body || {};
+
+    if (bankIds !== undefined) {
+      if (!Array.isArray(bankIds) || !bankIds.every(isObjectId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "bankIds must be a list of bank IDs" });
+      }
+
+      const uniqueIds = Array.from(new Set(bankIds.map(String)));
+      const banks = await QuizQuestionBank.find({ _id: { $in: uniqueIds } }).select("event");
+      const unusable = banks.filter((bank) => bank.event && !bank.event.equals(session._id));
+      if (banks.length !== uniqueIds.length || unusable.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Banks must exist and be reusable or owned by this event",
+        });
+      }
+      session.questionBanks = uniqueIds;
+    }
+
+    if (randomizeQuestions !== undefined) {
+      session.randomizeQuestions = Boolean(randomizeQuestions);
+    }
+
+    if (questionDifficulties !== undefined) {
+      if (
+        !Array.isArray(questionDifficulties) ||
+        !questionDifficulties.every((level) => QUESTION_DIFFICULTIES.includes(level))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Difficulties must be any of: ${QUESTION_DIFFICULTIES.join(", ")}`,
+        });
+      }
+      session.questionDifficulties = Array.from(new Set(questionDifficulties));
+    }
+
+    await session.save();
+
+    const stats = await getBankStats(session.questionBanks);
+    const banks = await QuizQuestionBank.find({ _id: { $in: session.questionBanks } });
+    return res.status(200).json({
+      success: true,
+      message: "Event question banks updated",
+      questionBanks: session.questionBanks,
+      randomizeQuestions: session.randomizeQuestions,
+      questionDifficulties: session.questionDifficulties,
+      banks: banks.map((bank) => serializeBank(bank, stats.get(String(bank._id)))),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  getQuestionBanks,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  importQuestionBank,
+  exportQuestionBank,
+  setQuizEventQuestionBanks,
+};
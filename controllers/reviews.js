@@ -1,23 +1,94 @@
 const Review = require("../models/Review");
 const Listing = require("../models/Listing");
-const { BadRequestError, ForbiddenError } = require("../utils/errors");
+const ContactMessage = require("../models/ContactMessage");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errors");
 const User = require("../models/User");
 const notifications = require("../utils/notifications");
 
+const REVIEWER_FIELDS = 'name verifiedBadge tier';
+
+// Weighted average contribution: verified-badge reviewers count 1.5x, verified customers
+// another +1 (a verified customer with a badge counts 2.5x)
+const reviewWeight = ({ verifiedBadge, verifiedCustomer }) =>
+  1 + (verifiedBadge ? 0.5 : 0) + (verifiedCustomer ? 1 : 0);
+
+// A reviewer is a verified customer when they had a two-way exchange with the listing owner:
+// a contact message the owner replied to, or a listing conversation the owner wrote in
+async function findCustomerInteraction(listing, user) {
+  const senderMatch = [{ sender: user._id }];
+  if (user.email) senderMatch.push({ senderEmail: String(user.email).toLowerCase() });
+
+  const contact = await ContactMessage.findOne({
+    businessOwner: listing.owner,
+    listing: listing._id,
+    $or: senderMatch,
+    'replies.author': listing.owner,
+  }).select('_id').lean();
+  if (contact) return { source: 'contact-message', reference: contact._id, verifiedAt: new Date() };
+
+  const conversations = await Conversation.find({
+    type: 'user-to-listing',
+    listing: listing._id,
+    participants: user._id,
+  }).select('_id').lean();
+  if (!conversations.length) return null;
+
+  const ownerMessage = await Message.findOne({
+    conversation: { $in: conversations.map((c) => c._id) },
+    sender: listing.owner,
+  }).select('conversation').lean();
+  if (ownerMessage) {
+    return { source: 'conversation', reference: ownerMessage.conversation, verifiedAt: new Date() };
+  }
+  return null;
+}
+
+// Public shape of a review: vote counts and the viewer's own vote, never the voter list
+function toPublicReview(review, viewerId) {
+  const obj = typeof review.toObject === 'function' ? review.toObject() : { ...review };
+  let myVote = null;
+  const vote = viewerId ? (obj.votes || []).find((v) => String(v.user) === String(viewerId)) : null;
+  if (vote) myVote = vote.value === 1 ? 'helpful' : 'unhelpful';
+  delete obj.votes;
+  // Which conversation or contact message verified the reviewer stays private
+  obj.verification = obj.verification && obj.verification.source
+    ? { source: obj.verification.source, verifiedAt: obj.verification.verifiedAt }
+    : null;
+  if (!obj.response || !obj.response.text) obj.response = null;
+  return { ...obj, myVote };
+}
+
 exports.createReview = async (req, res, next) => {
   try {
     const { listingId } = req.params;
     const { rating, text } = req.body;
     if (!rating || rating < 1 || rating > 5) throw new BadRequestError('Rating must be 1-5');
 
-    const listing = await Listing.findById(listingId).select('owner');
+    const listing = await Listing.findById(listingId).select('owner title');
     if (!listing) throw new BadRequestError('Listing not found');
     if (String(listing.owner) === String(req.user._id)) {
       throw new ForbiddenError('You cannot review your own listing');
     }
 
-    const weight = req.user.verifiedBadge ? 1.5 : 1.0;
-    const review = await Review.create({ listingId, reviewerId: req.user._id, rating, text: text || '', weight, status: 'pending' });
+    const verification = await findCustomerInteraction(listing, req.user);
+    const weight = reviewWeight({ verifiedBadge: req.user.verifiedBadge, verifiedCustomer: !!verification });
+    const review = await Review.create({
+      listingId,
+      reviewerId: req.user._id,
+      rating,
+      text: text || '',
+      weight,
+      status: 'pending',
+      verifiedCustomer: !!verification,
+      verification: verification || undefined,
+    });
 
     // Notify listing owner of a new pending review (non-blocking)
     try {
@@ -39,32 +110,54 @@ exports.createReview = async (req, res, next) => {
   }
 };
 
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
 exports.getListingReviews = async (req, res, next) => {
   try {
     const { listingId } = req.params;
+    const viewerId = req.user ? req.user._id : null;
+    const sort = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.recent;
 
     // Always return approved reviews to everyone
-    const approvedDocs = await Review.find({ listingId, status: 'approved' })
-      .sort({ createdAt: -1 })
-      .populate('reviewerId', 'name verifiedBadge tier');
+    let approvedQuery = Review.find({ listingId, status: 'approved' })
+      .sort(sort)
+      .populate('reviewerId', REVIEWER_FIELDS);
+    if (viewerId) approvedQuery = approvedQuery.select('+votes');
+    const approvedDocs = await approvedQuery;
 
     // Compute weighted average using approved only
     let totalWeight = 0; let sum = 0;
     for (const r of approvedDocs) { const w = r.weight || 1; totalWeight += w; sum += (r.rating || 0) * w; }
     const average = totalWeight > 0 ? (sum / totalWeight) : 0;
 
+    // Star breakdown of approved reviews (plain counts, not weighted)
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    approvedDocs.forEach((r) => { const stars = Math.round(r.rating || 0); if (counts[stars] !== undefined) counts[stars] += 1; });
+    const totalReviews = approvedDocs.length;
+    const distribution = [5, 4, 3, 2, 1].map((stars) => ({
+      stars,
+      count: counts[stars],
+      percent: totalReviews > 0 ? Math.round((counts[stars] / totalReviews) * 100) : 0,
+    }));
+    const verifiedCount = approvedDocs.filter((r) => r.verifiedCustomer).length;
+
     // Start with approved reviews, mark as not pending
-    const merged = approvedDocs.map(r => ({ ...r.toObject(), isPending: false }));
+    const merged = approvedDocs.map(r => ({ ...toPublicReview(r, viewerId), isPending: false }));
 
     // If there is a logged-in viewer, optionally include pending
     if (req.user) {
       // Include the viewer's own pending review, if any
       const minePending = await Review.find({ listingId, status: 'pending', reviewerId: req.user._id })
         .sort({ createdAt: -1 })
-        .populate('reviewerId', 'name verifiedBadge tier');
+        .populate('reviewerId', REVIEWER_FIELDS);
       for (const r of minePending) {
         if (!merged.find(x => String(x._id) === String(r._id))) {
-          merged.unshift({ ...r.toObject(), isPending: true, visibility: 'me' });
+          merged.unshift({ ...toPublicReview(r), isPending: true, visibility: 'me' });
         }
       }
 
@@ -74,16 +167,150 @@ exports.getListingReviews = async (req, res, next) => {
       if (isOwner) {
         const allPending = await Review.find({ listingId, status: 'pending' })
           .sort({ createdAt: -1 })
-          .populate('reviewerId', 'name verifiedBadge tier');
+          .populate('reviewerId', REVIEWER_FIELDS);
         for (const r of allPending) {
           if (!merged.find(x => String(x._id) === String(r._id))) {
-            merged.push({ ...r.toObject(), isPending: true, visibility: 'owner' });
+            merged.push({ ...toPublicReview(r), isPending: true, visibility: 'owner' });
           }
         }
       }
     }
 
-    res.json({ ok: true, reviews: merged, average });
+    res.json({ ok: true, reviews: merged, average, totalReviews, verifiedCount, distribution });
+  } catch (e) { next(e); }
+};
+
+// Listing owner posts or edits a public response to a review
+exports.respondToReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) throw new BadRequestError('Response text is required');
+    if (text.length > 2000) throw new BadRequestError('Response cannot exceed 2000 characters');
+
+    const review = await Review.findById(id);
+    if (!review) throw new NotFoundError('Review not found');
+    const listing = await Listing.findById(review.listingId).select('owner title');
+    if (!listing || String(listing.owner) !== String(req.user._id)) {
+      throw new ForbiddenError('Only the listing owner can respond to this review');
+    }
+    if (review.status === 'rejected') throw new BadRequestError('You cannot respond to a rejected review');
+
+    const now = new Date();
+    const isFirstResponse = !(review.response && review.response.text);
+    review.response = {
+      text,
+      respondedBy: req.user._id,
+      respondedAt: isFirstResponse ? now : review.response.respondedAt,
+      updatedAt: now,
+    };
+    await review.save();
+
+    // Let the reviewer know the first time the business responds (non-blocking)
+    if (isFirstResponse) {
+      try {
+        const reviewer = await User.findById(review.reviewerId).select('email name settings');
+        if (reviewer) notifications.sendReviewResponse(reviewer, { _id: listing._id, title: listing.title }, review);
+      } catch (notifyErr) {
+        console.warn('Failed to send review response notification:', notifyErr.message);
+      }
+    }
+
+    res.json({ ok: true, review: toPublicReview(review) });
+  } catch (e) { next(e); }
+};
+
+// Listing owner or admin removes the response
+exports.deleteReviewResponse = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) throw new NotFoundError('Review not found');
+    if (req.user.role !== 'admin') {
+      const listing = await Listing.findById(review.listingId).select('owner');
+      if (!listing || String(listing.owner) !== String(req.user._id)) {
+        throw new ForbiddenError('Only the listing owner can remove this response');
+      }
+    }
+    if (!(review.response && review.response.text)) throw new BadRequestError('This review has no response');
+
+    review.response = undefined;
+    await review.save();
+    res.json({ ok: true, review: toPublicReview(review) });
+  } catch (e) { next(e); }
+};
+
+// Vote an approved review helpful or unhelpful; repeating the same vote clears it
+const VOTE_COUNT_FIELDS = { 1: 'helpfulCount', '-1': 'unhelpfulCount' };
+
+// Apply a vote with single-document updates matched on the voter's existing vote, so concurrent
+// votes never overwrite each other and the counts change in the same write as the array.
+// Returns the voter's vote value afterwards (null when withdrawn), or undefined when another
+// request changed their vote in between and no update matched.
+async function applyReviewVote(reviewId, userId, value) {
+  const filter = { _id: reviewId, status: 'approved' };
+  const countField = VOTE_COUNT_FIELDS[value];
+  const oppositeField = VOTE_COUNT_FIELDS[-value];
+
+  // Same vote again withdraws it
+  const withdrawn = await Review.updateOne(
+    { ...filter, votes: { $elemMatch: { user: userId, value } } },
+    { $pull: { votes: { user: userId } }, $inc: { [countField]: -1 } }
+  );
+  if (withdrawn.modifiedCount) return null;
+
+  const switched = await Review.updateOne(
+    { ...filter, votes: { $elemMatch: { user: userId, value: -value } } },
+    {
+      $set: { 'votes.$.value': value, 'votes.$.createdAt': new Date() },
+      $inc: { [countField]: 1, [oppositeField]: -1 },
+    }
+  );
+  if (switched.modifiedCount) return value;
+
+  const added = await Review.updateOne(
+    { ...filter, 'votes.user': { $ne: userId } },
+    { $push: { votes: { user: userId, value } }, $inc: { [countField]: 1 } }
+  );
+  if (added.modifiedCount) return value;
+
+  return undefined;
+}
+
+exports.voteReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { vote } = req.body;
+    if (!['helpful', 'unhelpful'].includes(vote)) throw new BadRequestError('Vote must be helpful or unhelpful');
+
+    const review = await Review.findOne({ _id: id, status: 'approved' }).select('reviewerId listingId');
+    if (!review) throw new NotFoundError('Review not found');
+    if (String(review.reviewerId) === String(req.user._id)) {
+      throw new ForbiddenError('You cannot vote on your own review');
+    }
+    const listing = await Listing.findById(review.listingId).select('owner');
+    if (listing && String(listing.owner) === String(req.user._id)) {
+      throw new ForbiddenError('You cannot vote on reviews of your own listing');
+    }
+
+    const value = vote === 'helpful' ? 1 : -1;
+    let myVote;
+    for (let attempt = 0; attempt < 3 && myVote === undefined; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      myVote = await applyReviewVote(review._id, req.user._id, value);
+    }
+    if (myVote === undefined) {
+      throw new ConflictError('Your vote changed in the meantime, please try again');
+    }
+
+    const counts = await Review.findById(review._id).select('helpfulCount unhelpfulCount').lean();
+    if (!counts) throw new NotFoundError('Review not found');
+
+    res.json({
+      ok: true,
+      helpfulCount: counts.helpfulCount,
+      unhelpfulCount: counts.unhelpfulCount,
+      myVote: myVote === null ? null : vote,
+    });
   } catch (e) { next(e); }
 };
 
@@ -113,6 +340,25 @@ exports.adminSetStatus = async (req, res, next) => {
     const { id } = req.params; const { status, reason } = req.body;
     if (!['approved','rejected','pending'].includes(status)) throw new BadRequestError('Invalid status');
     const update = { status };
+
+    // The reviewer may have dealt with the business after writing the review
+    if (status === 'approved') {
+      const existing = await Review.findById(id).select('listingId reviewerId verifiedCustomer');
+      if (existing && !existing.verifiedCustomer) {
+        const [listing, reviewer] = await Promise.all([
+          Listing.findById(existing.listingId).select('owner'),
+          User.findById(existing.reviewerId).select('email verifiedBadge'),
+        ]);
+        const verification = listing && reviewer ? await findCustomerInteraction(listing, reviewer) : null;
+        if (verification) {
+          Object.assign(update, {
+            verifiedCustomer: true,
+            verification,
+            weight: reviewWeight({ verifiedBadge: reviewer.verifiedBadge, verifiedCustomer: true }),
+          });
+        }
+      }
+    }
     if (status !== 'pending') {
       update.moderationNote = reason || '';
       update.moderationBy = req.user._id;
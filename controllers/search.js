@@ -1,7 +1,13 @@
 const Listing = require("../models/Listing");
 const SavedSearch = require("../models/SavedSearch");
 const User = require("../models/User");
+const MessageNotification = require("../models/MessageNotification");
 const { BadRequestError, NotFoundError, ForbiddenError } = require("../utils/errors");
+const {
+  escapeRegExp,
+  tokenizeSearchQuery,
+  searchListingsByText,
+} = require("../utils/listingSearch");
 
 // Advanced search listings (public)
 const searchListings = async (req, res, next) => {
@@ -21,19 +27,9 @@ const searchListings = async (req, res, next) => {
       status = "active",
     } = req.query;
 
-    // Build search query
+    // Build search query (free text is handled by utils/listingSearch.js)
     const searchFilter = { status };
 
-    // Text search
-    if (searchQuery) {
-      searchFilter.$or = [
-        { title: { $regex: searchQuery, $options: "i" } },
-        { description: { $regex: searchQuery, $options: "i" } },
-        { category: { $regex: searchQuery, $options: "i" } },
-        { location: { $regex: searchQuery, $options: "i" } },
-      ];
-    }
-
     // Category filter
     if (category && category !== "all") {
       if (Array.isArray(category)) {
@@ -45,7 +41,7 @@ const searchListings = async (req, res, next) => {
 
     // Location filter
     if (location) {
-      searchFilter.location = { $regex: location, $options: "i" };
+      searchFilter.location = { $regex: escapeRegExp(location), $options: "i" };
     }
 
     // Tier filter
@@ -59,7 +55,7 @@ const searchListings = async (req, res, next) => {
 
     // Featured filter
     if (featured !== undefined) {
-      searchFilter.featured = featured === "true";
+      searchFilter.featured = String(featured) === "true";
     }
 
     // Date range filter
@@ -73,54 +69,60 @@ const searchListings = async (req, res, next) => {
     }
 
     // Pagination
-    const skip = (page - 1) * limit;
-
-    // Sort options
-    let sortOptions = {};
-    switch (sortBy) {
-      case "relevance":
-        if (searchQuery) {
-          // Use text score for relevance when there's a search query
-          sortOptions = { score: { $meta: "textScore" } };
-        } else {
-          // Default to featured first, then newest
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = Math.min(parseInt(limit) || 20, 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    let listings;
+    let total;
+    let fuzzy = false;
+    let terms = [];
+
+    if (searchQuery && tokenizeSearchQuery(searchQuery).length > 0) {
+      // Ranked text search with typo tolerance, boosting and highlights
+      ({ listings, total, fuzzy, terms } = await searchListingsByText({
+        query: searchQuery,
+        filter: searchFilter,
+        sortBy,
+        sortOrder,
+        skip,
+        limit: pageSize,
+      }));
+    } else {
+      // Sort options
+      let sortOptions = {};
+      switch (sortBy) {
+        case "relevance":
+          // Without a query, featured first, then newest
           sortOptions = { featured: -1, createdAt: -1 };
-        }
-        break;
-      case "date":
-        sortOptions.createdAt = sortOrder === "desc" ? -1 : 1;
-        break;
-      case "views":
-        sortOptions.views = sortOrder === "desc" ? -1 : 1;
-        break;
-      case "tier":
-        // Custom tier sorting: Pro > Premium > Free
-        sortOptions = {
-          tier: sortOrder === "desc" ? -1 : 1,
-          createdAt: -1,
-        };
-        break;
-      default:
-        sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
-    }
+          break;
+        case "date":
+          sortOptions.createdAt = sortOrder === "desc" ? -1 : 1;
+          break;
+        case "views":
+          sortOptions.views = sortOrder === "desc" ? -1 : 1;
+          break;
+        case "tier":
+          // Custom tier sorting: Pro > Premium > Free
+          sortOptions = {
+            tier: sortOrder === "desc" ? -1 : 1,
+            createdAt: -1,
+          };
+          break;
+        default:
+          sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+      }
 
-    // Execute search
-    let query = Listing.find(searchFilter);
+      listings = await Listing.find(searchFilter)
+        .populate("owner", "name email tier role")
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(pageSize)
+        .lean();
 
-    // Add text score projection if using text search
-    if (searchQuery && sortBy === "relevance") {
-      query = query.select({ score: { $meta: "textScore" } });
+      total = await Listing.countDocuments(searchFilter);
     }
 
-    const listings = await query
-      .populate("owner", "name email tier role")
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    const total = await Listing.countDocuments(searchFilter);
-
     // Get search suggestions based on categories and locations
     const suggestions = await Listing.aggregate([
       { $match: { status: "active" } },
@@ -137,10 +139,10 @@ const searchListings = async (req, res, next) => {
       success: true,
       listings,
       pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / limit),
+        current: pageNumber,
+        total: Math.ceil(total / pageSize),
         hasNext: skip + listings.length < total,
-        hasPrev: page > 1,
+        hasPrev: pageNumber > 1,
         totalItems: total,
       },
       suggestions: suggestions[0] || { categories: [], locations: [] },
@@ -155,6 +157,8 @@ const searchListings = async (req, res, next) => {
         },
         sortBy,
         sortOrder,
+        terms,
+        fuzzy,
       },
     });
   } catch (error) {
@@ -162,10 +166,40 @@ const searchListings = async (req, res, next) => {
   }
 };
 
+const SAVED_SEARCH_SORTS = ["relevance", "date", "price", "location", "tier"];
+
+// Map the public save/update payload onto the SavedSearch schema so the alert
+// engine (utils/savedSearchAlerts.js) can evaluate the stored criteria.
+const buildSavedSearchFields = (body = {}) => {
+  const fields = {};
+  const criteria = {};
+  const { searchQuery, filters, sortBy, sortOrder, notificationEnabled, alertFrequency } = body;
+
+  if (searchQuery !== undefined) criteria.query = searchQuery;
+  if (filters) {
+    const categories = [].concat(filters.category || []);
+    criteria.category = categories.length === 1 ? categories[0] : "all";
+    if (filters.location !== undefined) criteria.location = filters.location;
+    if (filters.tier !== undefined) criteria.tier = [].concat(filters.tier);
+  }
+  if (sortBy !== undefined) {
+    criteria.sortBy = SAVED_SEARCH_SORTS.includes(sortBy) ? sortBy : "relevance";
+  }
+  if (sortOrder !== undefined) criteria.sortOrder = sortOrder;
+
+  Object.entries(criteria).forEach(([key, value]) => {
+    fields[`searchCriteria.${key}`] = value;
+  });
+  if (notificationEnabled !== undefined) fields.alertsEnabled = notificationEnabled;
+  if (alertFrequency !== undefined) fields.alertFrequency = alertFrequency;
+
+  return fields;
+};
+
 // Save search (protected)
 const saveSearch = async (req, res, next) => {
   try {
-    const { name, searchQuery, filters, sortBy, sortOrder, notificationEnabled = false } = req.body;
+    const { name, notificationEnabled = false } = req.body;
 
     if (!name) {
       throw new BadRequestError("Search name is required");
@@ -201,15 +235,9 @@ const saveSearch = async (req, res, next) => {
       );
     }
 
-    const savedSearch = await SavedSearch.create({
-      user: req.user._id,
-      name,
-      searchQuery,
-      filters: filters || {},
-      sortBy: sortBy || "relevance",
-      sortOrder: sortOrder || "desc",
-      notificationEnabled,
-    });
+    const savedSearch = new SavedSearch({ user: req.user._id, name });
+    savedSearch.set(buildSavedSearchFields({ ...req.body, notificationEnabled }));
+    await savedSearch.save();
 
     res.status(201).json({
       success: true,
@@ -253,16 +281,19 @@ const executeSavedSearch = async (req, res, next) => {
     }
 
     // Update last used
-    savedSearch.lastUsed = new Date();
-    savedSearch.usageCount += 1;
+    savedSearch.lastRun = new Date();
+    savedSearch.totalRuns += 1;
     await savedSearch.save();
 
     // Execute the search with saved parameters
+    const criteria = savedSearch.searchCriteria || {};
     const searchParams = {
-      query: savedSearch.searchQuery,
-      ...savedSearch.filters,
-      sortBy: savedSearch.sortBy,
-      sortOrder: savedSearch.sortOrder,
+      query: criteria.query,
+      category: criteria.category,
+      location: criteria.location,
+      tier: criteria.tier && criteria.tier.length > 0 ? criteria.tier : undefined,
+      sortBy: ["relevance", "date", "tier"].includes(criteria.sortBy) ? criteria.sortBy : undefined,
+      sortOrder: criteria.sortOrder,
       page,
       limit,
     };
@@ -290,14 +321,12 @@ const updateSavedSearch = async (req, res, next) => {
       throw new NotFoundError("Saved search not found");
     }
 
-    // Remove fields that shouldn't be updated
-    delete updates.user;
-    delete updates.createdAt;
-    delete updates.usageCount;
+    const fields = buildSavedSearchFields(updates);
+    if (updates.name !== undefined) fields.name = updates.name;
 
     const updatedSearch = await SavedSearch.findByIdAndUpdate(
       id,
-      { ...updates, updatedAt: Date.now() },
+      { $set: { ...fields, updatedAt: Date.now() } },
       { new: true, runValidators: true }
     );
 
@@ -336,6 +365,71 @@ const deleteSavedSearch = async (req, res, next) => {
   }
 };
 
+// Get saved-search alert notifications, newest first (protected)
+const getSavedSearchAlerts = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { user: req.user._id, type: "saved-search", isDismissed: false };
+    if (req.query.unreadOnly === "true") {
+      query.isRead = false;
+    }
+    const skip = (page - 1) * limit;
+
+    const [alerts, total, unreadCount] = await Promise.all([
+      MessageNotification.find(query)
+        .select("title body isRead savedSearch createdAt")
+        .populate("savedSearch", "name searchUrl")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      MessageNotification.countDocuments(query),
+      MessageNotification.countDocuments({
+        user: req.user._id,
+        type: "saved-search",
+        isDismissed: false,
+        isRead: false,
+      }),
+    ]);
+
+    res.json({
+      success: true,
+      alerts,
+      unreadCount,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + alerts.length < total,
+        hasPrev: page > 1,
+        totalItems: total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark the given saved-search alerts (or all of them) as read (protected)
+const markSavedSearchAlertsRead = async (req, res, next) => {
+  try {
+    const { alertIds } = req.body || {};
+    const query = { user: req.user._id, type: "saved-search", isRead: false };
+    if (alertIds?.length) {
+      query._id = { $in: alertIds };
+    }
+
+    const result = await MessageNotification.updateMany(query, { isRead: true });
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get search suggestions (public)
 const getSearchSuggestions = async (req, res, next) => {
   try {
@@ -349,11 +443,12 @@ const getSearchSuggestions = async (req, res, next) => {
     }
 
     const suggestions = {};
+    const pattern = escapeRegExp(q);
 
     if (type === "all" || type === "categories") {
       // Get category suggestions
       const categories = await Listing.distinct("category", {
-        category: { $regex: q, $options: "i" },
+        category: { $regex: pattern, $options: "i" },
         status: "active",
       });
       suggestions.categories = categories.slice(0, 5);
@@ -362,7 +457,7 @@ const getSearchSuggestions = async (req, res, next) => {
     if (type === "all" || type === "locations") {
       // Get location suggestions
       const locations = await Listing.distinct("location", {
-        location: { $regex: q, $options: "i" },
+        location: { $regex: pattern, $options: "i" },
         status: "active",
       });
       suggestions.locations = locations.slice(0, 5);
@@ -371,7 +466,7 @@ const getSearchSuggestions = async (req, res, next) => {
     if (type === "all" || type === "titles") {
       // Get title suggestions
       const titles = await Listing.find({
-        title: { $regex: q, $options: "i" },
+        title: { $regex: pattern, $options: "i" },
         status: "active",
       })
         .select("title")
@@ -402,8 +497,8 @@ const getSearchAnalytics = async (req, res, next) => {
     const popularSearches = await SavedSearch.aggregate([
       {
         $group: {
-          _id: "$searchQuery",
-          count: { $sum: "$usageCount" },
+          _id: "$searchCriteria.query",
+          count: { $sum: "$totalRuns" },
           users: { $addToSet: "$user" },
         },
       },
@@ -466,6 +561,8 @@ module.exports = {
   executeSavedSearch,
   updateSavedSearch,
   deleteSavedSearch,
+  getSavedSearchAlerts,
+  markSavedSearchAlertsRead,
   getSearchSuggestions,
   getSearchAnalytics,
 };
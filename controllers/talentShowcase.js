@@ -4,7 +4,19 @@ const ShowcaseVote = require("../models/ShowcaseVote");
 const ShowcaseEventTimeline = require("../models/ShowcaseEventTimeline");
 const User = require("../models/User");
 const SponsorshipRequest = require("../models/SponsorshipRequest");
-const { performRaffle, verifyRaffle, generatePublicReport } = require("../utils/raffleSelection");
+const { verifyRaffle, generatePublicReport } = require("../utils/raffleSelection");
+const {
+  COUNTED_VOTE_FILTER,
+  describeVoter,
+  checkVote,
+  applyVoteWeight,
+  reviewVote,
+} = require("../utils/voteIntegrity");
+const {
+  ensureRaffleCommitment,
+  drawCommittedRaffle,
+  getRaffleVerification,
+} = require("../utils/raffleCommitment");
 const path = require("path");
 const fsSync = require("fs");
 const fs = require("fs").promises;
@@ -114,7 +126,7 @@ async function ensureWinnerAnnouncement(timeline, showcaseId) {
     .populate("listing");
 
   const voteTotals = await ShowcaseVote.aggregate([
-    { $match: { showcase: showcase._id } },
+    { $match: { showcase: showcase._id, ...COUNTED_VOTE_FILTER } },
     {
       $group: {
         _id: "$contestant",
@@ -524,6 +536,9 @@ exports.createShowcase = async (req, res) => {
     }
 
     await showcase.save();
+    await ensureRaffleCommitment("showcase", showcase._id, {
+      registrationClosesAt: showcase.registrationEndDate,
+    });
 
     // If this is a LIVE event, automatically create the event timeline
     if (req.body.title && req.body.title.includes("LIVE")) {
@@ -1477,6 +1492,11 @@ exports.registerContestant = async (req, res) => {
       entryFeeData.paidAt = new Date();
     }
 
+    // Showcases created before commitments existed get theirs on the next registration
+    await ensureRaffleCommitment("showcase", showcase._id, {
+      registrationClosesAt: showcase.registrationEndDate,
+    });
+
     // Create contestant with provided duration
     const contestant = new TalentContestant({
       showcase: showcaseId,
@@ -2187,63 +2207,59 @@ exports.castVote = async (req, res) => {
       });
     }
 
-    // Check if user or IP already voted
-    const existingVote = userId
-      ? await ShowcaseVote.findOne({ showcase: showcaseId, user: userId })
-      : await ShowcaseVote.findOne({ showcase: showcaseId, ipAddress });
-
-    if (existingVote) {
-      // Check max votes rule
-      const userVotes = userId
-        ? await ShowcaseVote.countDocuments({ showcase: showcaseId, user: userId })
-        : await ShowcaseVote.countDocuments({ showcase: showcaseId, ipAddress });
+    // Count the user's (or IP's) votes, ignoring any an admin rejected
+    const voterQuery = userId
+      ? { showcase: showcaseId, user: userId }
+      : { showcase: showcaseId, ipAddress };
+    const userVotes = await ShowcaseVote.countDocuments({
+      ...voterQuery,
+      status: { $ne: "rejected" },
+    });
 
-      const maxVotes =
-        userId && req.user.tier && req.user.tier !== "Free"
-          ? showcase.rules.maxVotesPerUser + showcase.rules.premiumBonusVotes
-          : showcase.rules.maxVotesPerUser;
+    const maxVotes =
+      userId && req.user.tier && req.user.tier !== "Free"
+        ? showcase.rules.maxVotesPerUser + showcase.rules.premiumBonusVotes
+        : showcase.rules.maxVotesPerUser;
 
-      if (userVotes >= maxVotes) {
-        return res.status(400).json({
-          success: false,
-          message: `You have reached the maximum number of votes (${maxVotes})`,
-        });
-      }
+    if (userVotes >= maxVotes) {
+      return res.status(400).json({
+        success: false,
+        message: `You have reached the maximum number of votes (${maxVotes})`,
+      });
     }
 
-    // Determine vote weight - everyone gets 1 vote weight for fair voting
-    let voteWeight = 1;
+    // Weight by membership tier and run device / velocity checks
+    const voter = describeVoter(req, showcase);
+    const integrityFlags = await checkVote({ showcaseId, contestantId, voter });
 
-    // Create vote
     const vote = new ShowcaseVote({
       showcase: showcaseId,
       contestant: contestantId,
       user: userId,
       ipAddress,
+      ipPrefix: voter.ipPrefix,
+      deviceHash: voter.deviceHash,
       userAgent: req.get("user-agent"),
-      voteWeight,
-      country: req.body.country,
+      voteWeight: voter.voteWeight,
+      tier: voter.tier,
+      country: voter.country,
+      status: integrityFlags.length > 0 ? "quarantined" : "accepted",
+      integrityFlags,
     });
 
     await vote.save();
 
-    // Update contestant votes
-    contestant.votes += voteWeight;
-    await contestant.save();
-
-    // Update showcase total votes
-    showcase.totalVotes += voteWeight;
-    await showcase.save();
+    // Quarantined votes only count once an admin accepts them
+    if (vote.status === "accepted") {
+      await applyVoteWeight(vote);
+    }
 
     res.json({
       success: true,
-      message: "Vote cast successfully",
-      votesRemaining:
-        userId && req.user.tier && req.user.tier !== "Free"
-          ? showcase.rules.maxVotesPerUser +
-            showcase.rules.premiumBonusVotes -
-            (existingVote ? userVotes + 1 : 1)
-          : showcase.rules.maxVotesPerUser - (existingVote ? userVotes + 1 : 1),
+      message:
+        vote.status === "accepted" ? "Vote cast successfully" : "Vote received and pending review",
+      pendingReview: vote.status !== "accepted",
+      votesRemaining: Math.max(0, maxVotes - (userVotes + 1)),
     });
   } catch (error) {
     console.error("Error casting vote:", error);
@@ -2479,6 +2495,210 @@ exports.getShowcaseAnalytics = async (req, res) => {
   }
 };
 
+// Vote integrity audit: vote status, integrity flags and suspicious clusters for one showcase
+exports.getVoteIntegrityReport = async (req, res) => {
+  try {
+    const { showcaseId } = req.params;
+
+    const showcase = await TalentShowcase.findById(showcaseId);
+    if (!showcase) {
+      return res.status(404).json({
+        success: false,
+        message: "Showcase not found",
+      });
+    }
+
+    const match = { $match: { showcase: showcase._id } };
+    const status = { $ifNull: ["$status", "accepted"] };
+    const weight = { $ifNull: ["$voteWeight", 1] };
+    const isQuarantined = { $cond: [{ $eq: [status, "quarantined"] }, 1, 0] };
+
+    const [byStatus, flags, byContestant, networks, sharedDevices, byCountry, byTier, peaks] =
+      await Promise.all([
+        ShowcaseVote.aggregate([
+          match,
+          { $group: { _id: status, votes: { $sum: 1 }, weight: { $sum: weight } } },
+        ]),
+        ShowcaseVote.aggregate([
+          match,
+          { $unwind: "$integrityFlags" },
+          { $group: { _id: "$integrityFlags.code", votes: { $sum: 1 } } },
+          { $sort: { votes: -1 } },
+        ]),
+        ShowcaseVote.aggregate([
+          match,
+          {
+            $group: {
+              _id: { contestant: "$contestant", status },
+              votes: { $sum: 1 },
+              weight: { $sum: weight },
+            },
+          },
+        ]),
+        ShowcaseVote.aggregate([
+          { $match: { showcase: showcase._id, ipPrefix: { $ne: null } } },
+          {
+            $group: {
+              _id: "$ipPrefix",
+              votes: { $sum: 1 },
+              quarantined: { $sum: isQuarantined },
+              users: { $addToSet: "$user" },
+              contestants: { $addToSet: "$contestant" },
+            },
+          },
+          { $sort: { votes: -1 } },
+          { $limit: 10 },
+        ]),
+        ShowcaseVote.aggregate([
+          { $match: { showcase: showcase._id, deviceHash: { $ne: null } } },
+          {
+            $group: {
+              _id: "$deviceHash",
+              votes: { $sum: 1 },
+              quarantined: { $sum: isQuarantined },
+              users: { $addToSet: "$user" },
+            },
+          },
+          { $match: { "users.1": { $exists: true } } },
+          { $sort: { votes: -1 } },
+          { $limit: 20 },
+        ]),
+        ShowcaseVote.aggregate([
+          match,
+          {
+            $group: {
+              _id: "$country",
+              votes: { $sum: 1 },
+              quarantined: { $sum: isQuarantined },
+            },
+          },
+          { $sort: { votes: -1 } },
+        ]),
+        ShowcaseVote.aggregate([
+          match,
+          { $group: { _id: "$tier", votes: { $sum: 1 }, weight: { $sum: weight } } },
+        ]),
+        ShowcaseVote.aggregate([
+          match,
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m-%d %H:%M", date: "$votedAt" } },
+              votes: { $sum: 1 },
+            },
+          },
+          { $sort: { votes: -1 } },
+          { $limit: 10 },
+        ]),
+      ]);
+
+    const contestants = await TalentContestant.find({ showcase: showcase._id })
+      .select("performanceTitle votes status user")
+      .populate("user", "name username")
+      .lean();
+    const contestantRows = contestants
+      .map((contestant) => {
+        const rows = byContestant.filter(
+          (row) => String(row._id.contestant) === String(contestant._id)
+        );
+        const totals = Object.fromEntries(
+          ["accepted", "quarantined", "rejected"].map((key) => {
+            const row = rows.find((entry) => entry._id.status === key);
+            return [key, { votes: row?.votes || 0, weight: row?.weight || 0 }];
+          })
+        );
+        return {
+          _id: contestant._id,
+          performanceTitle: contestant.performanceTitle,
+          user: contestant.user,
+          status: contestant.status,
+          tally: contestant.votes || 0,
+          ...totals,
+          // Non-zero when contestant.votes disagrees with the accepted vote records
+          tallyDrift: (contestant.votes || 0) - totals.accepted.weight,
+        };
+      })
+      .sort((a, b) => b.accepted.weight - a.accepted.weight);
+
+    const quarantined = await ShowcaseVote.find({ showcase: showcase._id, status: "quarantined" })
+      .populate("user", "name email tier")
+      .populate("contestant", "performanceTitle")
+      .sort({ votedAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({
+      success: true,
+      report: {
+        showcase: { _id: showcase._id, title: showcase.title, totalVotes: showcase.totalVotes },
+        generatedAt: new Date(),
+        byStatus,
+        flags,
+        contestants: contestantRows,
+        networks: networks.map((network) => ({
+          ...network,
+          users: network.users.filter(Boolean).length,
+          contestants: network.contestants.length,
+        })),
+        sharedDevices: sharedDevices.map((device) => ({
+          ...device,
+          _id: device._id.slice(0, 12),
+          users: device.users.length,
+        })),
+        byCountry,
+        byTier,
+        peakMinutes: peaks,
+        quarantined: quarantined.map((vote) => ({
+          ...vote,
+          deviceHash: vote.deviceHash ? vote.deviceHash.slice(0, 12) : null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error building vote integrity report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build vote integrity report",
+      error: error.message,
+    });
+  }
+};
+
+// Accept or reject quarantined votes (reject also removes accepted votes from the tally)
+exports.reviewShowcaseVotes = async (req, res) => {
+  try {
+    const { showcaseId } = req.params;
+    const { voteIds, action, note } = req.body;
+
+    const reviewed = [];
+    for (const voteId of voteIds) {
+      // Sequential so each vote's tally change is applied once
+      // eslint-disable-next-line no-await-in-loop
+      const result = await reviewVote({
+        voteId,
+        showcaseId,
+        action,
+        reviewedBy: req.user._id,
+        note: note || null,
+      });
+      if (result) reviewed.push(result);
+    }
+
+    res.json({
+      success: true,
+      message: `${reviewed.length} vote(s) ${action === "accept" ? "accepted" : "rejected"}`,
+      reviewed,
+      skipped: voteIds.length - reviewed.length,
+    });
+  } catch (error) {
+    console.error("Error reviewing votes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review votes",
+      error: error.message,
+    });
+  }
+};
+
 // Submit sponsorship request
 exports.submitSponsorshipRequest = async (req, res) => {
   try {
@@ -2824,7 +3044,6 @@ exports.createEntryFeePayPalOrder = async (req, res) => {
 exports.executeRaffle = async (req, res) => {
   try {
     const { showcaseId } = req.params;
-    const { customSeed } = req.body; // Optional: for testing/verification
 
     // Verify admin
     if (req.user?.role !== "admin") {
@@ -2879,8 +3098,13 @@ exports.executeRaffle = async (req, res) => {
     // Check if enough contestants
     const maxContestants = showcase.maxContestants || 5;
 
-    // Perform raffle
-    const raffleResults = performRaffle(contestants, maxContestants, customSeed);
+    // Draw with the seed committed before registration closed
+    const raffleResults = await drawCommittedRaffle({
+      eventType: "showcase",
+      eventId: showcase._id,
+      entrants: contestants,
+      maxSelected: maxContestants,
+    });
 
     // Update showcase with raffle results
     showcase.raffleSeed = raffleResults.raffleSeed;
@@ -3176,7 +3400,9 @@ exports.getRaffleResults = async (req, res) => {
 
 /**
  * Verify raffle results (Public)
- * Allows anyone to independently verify the raffle was fair
+ * Allows anyone to independently verify the raffle was fair: the revealed seed against
+ * the commitment published before registration closed, and the frozen entrant list
+ * against its hash. Before the draw this returns the published commitment.
  */
 exports.verifyRaffleResults = async (req, res) => {
   try {
@@ -3190,13 +3416,42 @@ exports.verifyRaffleResults = async (req, res) => {
       });
     }
 
+    const commitmentVerification = await getRaffleVerification("showcase", showcase._id, {
+      recordedSeed: showcase.raffleExecutedDate ? showcase.raffleSeed : undefined,
+      recordedSelectedIds: showcase.raffleExecutedDate
+        ? [...showcase.raffleResults]
+            .sort((a, b) => a.position - b.position)
+            .map((result) => result.contestant.toString())
+        : undefined,
+    });
+
+    if (commitmentVerification && commitmentVerification.commitment.status === "revealed") {
+      return res.json({
+        success: true,
+        verified: commitmentVerification.verified,
+        message: commitmentVerification.verified
+          ? "Raffle results are valid and verifiable"
+          : "Raffle results verification failed",
+        details: {
+          raffleSeed: showcase.raffleSeed,
+          totalContestants: commitmentVerification.commitment.entrantIds.length,
+          selectedContestants: commitmentVerification.commitment.selectedIds.length,
+          executedDate: showcase.raffleExecutedDate,
+        },
+        ...commitmentVerification,
+      });
+    }
+
     if (!showcase.raffleExecutedDate) {
       return res.status(400).json({
         success: false,
         message: "Raffle has not been executed yet",
+        ...(commitmentVerification || {}),
       });
     }
 
+    // Raffles drawn before commitments existed: only the seed can be checked
+
     // Get all contestants (both selected and waitlisted)
     // We need ALL contestants who were part of the raffle, not just selected/waitlisted
     const allContestants = await TalentContestant.find({
@@ -3267,6 +3522,7 @@ exports.getRaffleStatus = async (req, res) => {
       showcase: showcaseId,
       status: { $in: ["submitted", "pending-raffle", "selected", "waitlisted"] },
     });
+    const raffleVerification = await getRaffleVerification("showcase", showcase._id);
 
     const status = {
       showcase: {
@@ -3288,6 +3544,7 @@ exports.getRaffleStatus = async (req, res) => {
         executedDate: showcase.raffleExecutedDate,
         isExecuted: !!showcase.raffleExecutedDate,
         isPending: now > showcase.registrationEndDate && !showcase.raffleExecutedDate,
+        commitment: raffleVerification?.commitment || null,
       },
       timeline: {
         current: now,
@@ -10,8 +10,18 @@ const PlatformWalletLedger = require("../models/PlatformWalletLedger");
 const User = require("../models/User");
 const WalletLedger = require("../models/WalletLedger");
 const PricingSettings = require("../models/PricingSettings");
-const { createOrder, captureOrder, getOrder, getFrontendUrl } = require("../utils/paypal");
+const {
+  createOrder,
+  captureOrder,
+  getOrder,
+  getOrderCaptureId,
+  refundCapture,
+  getFrontendUrl,
+} = require("../utils/paypal");
 const { getExchangeRate } = require("../utils/exchangeRates");
+const { sendPaymentRefunded } = require("../utils/notifications");
+const { logActivity } = require("../utils/activityLogger");
+const { BadRequestError } = require("../utils/errors");
 
 const normalizeMediaFiles = (mediaFiles = []) => {
   if (!Array.isArray(mediaFiles)) return [];
@@ -780,6 +790,7 @@ const captureUniversalOrder = async (req, res) => {
     payment.paymentDetails = {
       ...(payment.paymentDetails || {}),
       transactionId: captureResult.id,
+      captureId: purchaseUnit?.payments?.captures?.[0]?.id,
       payerInfo: {
         email: captureResult.payer?.email_address,
         payerId: captureResult.payer?.payer_id,
@@ -1088,6 +1099,513 @@ async function applyPaymentEffects(payment, user, metadata) {
   }
 }
 
+const REFUND_REASONS = ["user_request", "dispute", "fraud", "technical_error", "other"];
+const WALLET_PAYMENT_TYPES = ["digital-wallet", "digital-funding-wallet"];
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Wallet credit to claw back for a refund. Top-ups may credit a different currency
+ * than the charge, so the reversal is proportional to the refunded share.
+ */
+function getWalletReversal(payment, refundAmount) {
+  const walletContext = payment.context?.wallet || {};
+  const isFunding = payment.paymentType === "digital-funding-wallet";
+  const currency = normalizeWalletCurrency(
+    walletContext.creditCurrency || (isFunding ? "USD" : payment.amount?.currency || "USD")
+  );
+  const creditAmount = Number(walletContext.creditAmount || payment.amount?.value || 0);
+  const share = payment.amount?.value ? refundAmount / payment.amount.value : 1;
+  return { currency, amount: roundMoney(creditAmount * share), balanceAfter: 0 };
+}
+
+// Debit the wallet before calling PayPal so credit that was already spent can't be refunded
+async function reserveWalletReversal(payment, reversal) {
+  const now = new Date();
+  if (payment.paymentType === "digital-wallet") {
+    const updatedUser = await User.findOneAndUpdate(
+      {
+        _id: payment.user,
+        digitalWallets: {
+          $elemMatch: { currency: reversal.currency, balance: { $gte: reversal.amount } },
+        },
+      },
+      {
+        $inc: { "digitalWallets.$.balance": -reversal.amount },
+        $set: { "digitalWallets.$.updatedAt": now },
+      },
+      { new: true }
+    ).select("digitalWallet digitalWallets");
+    if (!updatedUser) {
+      throw new BadRequestError("User wallet balance is lower than the credit being refunded");
+    }
+
+    const balance = Number(
+      updatedUser.digitalWallets.find((entry) => entry.currency === reversal.currency)?.balance || 0
+    );
+    updatedUser.digitalWallet = { balance, currency: reversal.currency, updatedAt: now };
+    await updatedUser.save();
+    return balance;
+  }
+
+  const wallet = await PlatformWallet.findOneAndUpdate(
+    {
+      key: DIGITAL_FUNDING_WALLET_KEY,
+      balances: {
+        $elemMatch: { currency: reversal.currency, balance: { $gte: reversal.amount } },
+      },
+    },
+    {
+      $inc: { "balances.$.balance": -reversal.amount },
+      $set: { "balances.$.updatedAt": now, updatedAt: now },
+    },
+    { new: true }
+  );
+  if (!wallet) {
+    throw new BadRequestError("Funding wallet balance is lower than the credit being refunded");
+  }
+
+  const usdBalance = Number(
+    wallet.balances?.find((entry) => entry.currency === "USD")?.balance || 0
+  );
+  await PlatformWallet.updateOne(
+    { key: DIGITAL_FUNDING_WALLET_KEY },
+    { $set: { balance: usdBalance, updatedAt: now } }
+  );
+  return Number(
+    wallet.balances?.find((entry) => entry.currency === reversal.currency)?.balance || 0
+  );
+}
+
+// Undo a reservation when the PayPal refund fails
+async function releaseWalletReversal(payment, reversal) {
+  const now = new Date();
+  if (payment.paymentType === "digital-wallet") {
+    await User.updateOne(
+      { _id: payment.user, "digitalWallets.currency": reversal.currency },
+      {
+        $inc: { "digitalWallets.$.balance": reversal.amount },
+        $set: { "digitalWallets.$.updatedAt": now },
+      }
+    );
+    return;
+  }
+
+  await PlatformWallet.updateOne(
+    { key: DIGITAL_FUNDING_WALLET_KEY, "balances.currency": reversal.currency },
+    {
+      $inc: { "balances.$.balance": reversal.amount },
+      $set: { "balances.$.updatedAt": now, updatedAt: now },
+    }
+  );
+}
+
+async function recordWalletReversal(payment, reversal, { refundId, performedBy }) {
+  const reference = `payment_${payment.orderId}_refund_${refundId}`;
+  if (payment.paymentType === "digital-wallet") {
+    return WalletLedger.create({
+      user: payment.user,
+      type: "debit",
+      amount: reversal.amount,
+      currency: reversal.currency,
+      balanceAfter: Math.max(0, reversal.balanceAfter),
+      reference,
+      note: "Wallet top-up refunded to card",
+      createdBy: performedBy,
+    });
+  }
+
+  return PlatformWalletLedger.create({
+    walletKey: DIGITAL_FUNDING_WALLET_KEY,
+    type: "debit",
+    amount: reversal.amount,
+    currency: reversal.currency,
+    balanceAfter: Math.max(0, reversal.balanceAfter),
+    reference,
+    note: "Funding wallet top-up refunded to card",
+    user: payment.user || null,
+    createdBy: performedBy,
+  });
+}
+
+/**
+ * Undo the non-monetary effects applied by applyPaymentEffects.
+ * Wallet top-ups are reversed separately through the ledgers.
+ */
+async function reversePaymentEffects(payment) {
+  switch (payment.paymentType) {
+    case "membership": {
+      if (!payment.user || !payment.tierUpgrade?.to) return null;
+      const user = await User.findById(payment.user);
+      // Leave the account alone if it has since moved to another tier
+      if (!user || user.tier !== payment.tierUpgrade.to) return { tier: user?.tier || null };
+
+      const previousTier = payment.tierUpgrade.from || "Free";
+      user.tier = previousTier;
+      if (previousTier === "Free") {
+        user.tierExpiresAt = null;
+      }
+      await user.save();
+
+      const Listing = require("../models/Listing");
+      await Listing.updateMany({ owner: user._id }, { $set: { tier: previousTier } });
+      console.log(`↩️ User ${user.email} downgraded to ${previousTier} after refund`);
+      return { tier: previousTier };
+    }
+
+    case "advertising": {
+      const Advertisement = require("../models/Advertisement");
+      const result = await Advertisement.updateMany(
+        { "paymentDetails.transactionId": payment.orderId },
+        { $set: { status: "paused", paymentStatus: "refunded" } }
+      );
+      return { adsDeactivated: result.modifiedCount };
+    }
+
+    case "featured": {
+      const FeaturedPlacement = require("../models/FeaturedPlacement");
+      const result = await FeaturedPlacement.updateMany(
+        { paymentOrderId: payment.orderId, status: { $ne: "rejected" } },
+        { $set: { status: "rejected", paymentStatus: "refunded" } }
+      );
+      return { placementsCancelled: result.modifiedCount };
+    }
+
+    // Showcase payments are registrations (TalentShowcase participants), entry fees
+    // (TalentContestant) or sponsorships (SponsorshipRequest)
+    case "showcase": {
+      const TalentShowcase = require("../models/TalentShowcase");
+      const TalentContestant = require("../models/TalentContestant");
+      const SponsorshipRequest = require("../models/SponsorshipRequest");
+      const [showcases, contestants, sponsorships] = await Promise.all([
+        TalentShowcase.updateMany(
+          { "participants.transactionId": payment.orderId },
+          { $pull: { participants: { transactionId: payment.orderId } } }
+        ),
+        TalentContestant.updateMany(
+          { "entryFee.transactionId": payment.orderId, status: { $ne: "withdrawn" } },
+          { $set: { status: "withdrawn", "entryFee.paid": false } }
+        ),
+        SponsorshipRequest.updateMany(
+          { paymentOrderId: payment.orderId, status: { $ne: "refunded" } },
+          { $set: { status: "refunded" } }
+        ),
+      ]);
+      return {
+        registrationsRemoved: showcases.modifiedCount,
+        contestantsWithdrawn: contestants.modifiedCount,
+        sponsorshipsRefunded: sponsorships.modifiedCount,
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record a completed (or pending) refund on the payment, write the wallet ledgers,
+ * reverse effects and release the refund lock.
+ */
+async function finalizeRefund(
+  payment,
+  { amount, reason, note, refundId, status, performedBy, isFullRefund, reverseEffects, reversal }
+) {
+  const processedAt = new Date();
+  const currency = payment.amount.currency;
+
+  if (reversal) {
+    await recordWalletReversal(payment, reversal, { refundId, performedBy });
+  }
+  const effects = reverseEffects ? await reversePaymentEffects(payment) : null;
+
+  payment.refund.amount = amount;
+  payment.refund.reason = reason;
+  payment.refund.processedAt = processedAt;
+  payment.refund.refundId = refundId;
+  payment.refund.status = status;
+  payment.refund.totalRefunded = roundMoney((payment.refund.totalRefunded || 0) + amount);
+  payment.refund.history.push({
+    amount,
+    currency,
+    reason,
+    note,
+    refundId,
+    status,
+    processedAt,
+    performedBy,
+  });
+  payment.paymentDetails.refundId = refundId;
+
+  if (isFullRefund) {
+    payment.status = "refunded";
+    payment.isActive = false;
+  }
+  payment.refunding = false;
+  payment.auditLog.push({
+    action: "refunded",
+    details: {
+      amount,
+      currency,
+      reason,
+      refundId,
+      partial: !isFullRefund,
+      walletReversal: reversal ? { amount: reversal.amount, currency: reversal.currency } : null,
+      effects,
+    },
+    timestamp: processedAt,
+    performedBy,
+  });
+  await payment.save();
+
+  return { amount, currency, reason, note, refundId, status, processedAt, effects };
+}
+
+async function notifyPayerOfRefund(payment, refund) {
+  const recipient = payment.user
+    ? await User.findById(payment.user).select("name email settings")
+    : {
+        name: payment.paymentDetails?.payerInfo?.firstName,
+        email: payment.paymentDetails?.payerInfo?.email,
+      };
+  if (!recipient?.email) return;
+  await sendPaymentRefunded(recipient, payment, refund);
+}
+
+/**
+ * Admin: refund a captured payment through PayPal (full or partial)
+ */
+const refundPayment = async (req, res) => {
+  let payment = null;
+  let reversal = null;
+  let walletReserved = false;
+
+  try {
+    const { id } = req.params;
+    const { reason = "user_request", note = "", reverseEffects } = req.body || {};
+
+    if (!REFUND_REASONS.includes(reason)) {
+      return res.status(400).json({ error: "Invalid refund reason" });
+    }
+
+    // Idempotency guard: only one refund per payment at a time
+    payment = await Payment.findOneAndUpdate(
+      { _id: id, status: { $in: ["completed", "disputed"] }, refunding: { $ne: true } },
+      { $set: { refunding: true } },
+      { new: true }
+    );
+
+    if (!payment) {
+      const existing = await Payment.findById(id).select("status refunding");
+      if (!existing) {
+        return res.status(404).json({ error: "Payment not found" });
+      }
+      if (existing.refunding) {
+        return res.status(409).json({ error: "A refund for this payment is already in progress" });
+      }
+      return res
+        .status(400)
+        .json({ error: `Only completed payments can be refunded (status: ${existing.status})` });
+    }
+
+    const remaining = roundMoney(payment.amount.value - (payment.refund?.totalRefunded || 0));
+    const amount =
+      req.body?.amount === undefined || req.body?.amount === null
+        ? remaining
+        : roundMoney(req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > remaining) {
+      throw new BadRequestError(`Refund amount must be between 0.01 and ${remaining.toFixed(2)}`);
+    }
+    const isFullRefund = amount >= remaining;
+
+    if (WALLET_PAYMENT_TYPES.includes(payment.paymentType)) {
+      reversal = getWalletReversal(payment, amount);
+      if (reversal.amount > 0) {
+        reversal.balanceAfter = await reserveWalletReversal(payment, reversal);
+        walletReserved = true;
+      } else {
+        reversal = null;
+      }
+    }
+
+    // Admin bypass orders never went through PayPal
+    let paypalRefund = { id: `ADMIN-REFUND-${Date.now()}`, status: "COMPLETED" };
+    if (!payment.orderId.startsWith("ADMIN-")) {
+      if (!payment.paymentDetails?.captureId) {
+        payment.paymentDetails.captureId = await getOrderCaptureId(payment.orderId);
+      }
+      paypalRefund = await refundCapture(payment.paymentDetails.captureId, {
+        amount,
+        currency: payment.amount.currency,
+        note,
+        requestId: `refund-${payment._id}-${payment.refund?.history?.length || 0}`,
+      });
+      if (["FAILED", "CANCELLED"].includes(paypalRefund.status)) {
+        throw new Error(`PayPal refund ${paypalRefund.status.toLowerCase()}`);
+      }
+    }
+    // Money has left PayPal from here on; keep the wallet debit even if bookkeeping fails
+    walletReserved = false;
+
+    const refund = await finalizeRefund(payment, {
+      amount,
+      reason,
+      note,
+      refundId: paypalRefund.id,
+      status: paypalRefund.status === "PENDING" ? "pending" : "completed",
+      performedBy: req.user._id,
+      isFullRefund,
+      reverseEffects: typeof reverseEffects === "boolean" ? reverseEffects : isFullRefund,
+      reversal,
+    });
+
+    notifyPayerOfRefund(payment, refund).catch((e) =>
+      console.warn("Failed to send refund email:", e.message)
+    );
+    logActivity({
+      type: "payment_refunded",
+      description: `Refunded ${refund.currency} ${amount.toFixed(2)} on order ${payment.orderId}`,
+      userId: req.user._id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      action: "update",
+      targetType: "payment",
+      targetId: payment._id,
+      details: { refundId: refund.refundId, reason, partial: !isFullRefund },
+    });
+
+    console.log(`✅ Refunded ${refund.currency} ${amount} on order ${payment.orderId}`);
+    res.json({ message: "Payment refunded successfully", refund, payment });
+  } catch (error) {
+    if (walletReserved) {
+      await releaseWalletReversal(payment, reversal).catch((e) =>
+        console.error("❌ Failed to release wallet reversal:", e)
+      );
+    }
+    if (payment) {
+      await Payment.updateOne({ _id: payment._id }, { $set: { refunding: false } }).catch(() => {});
+    }
+    console.error("❌ Refund error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.message || "Failed to refund payment",
+    });
+  }
+};
+
+/**
+ * Admin: open or resolve a PayPal dispute on a payment.
+ * A lost dispute means PayPal already returned the funds, so it is booked as a refund.
+ */
+const updatePaymentDispute = async (req, res) => {
+  let payment = null;
+
+  try {
+    const { id } = req.params;
+    const { status, disputeId, reason } = req.body || {};
+
+    if (!["open", "won", "lost"].includes(status)) {
+      return res.status(400).json({ error: "Dispute status must be open, won or lost" });
+    }
+
+    payment = await Payment.findOneAndUpdate(
+      { _id: id, refunding: { $ne: true } },
+      { $set: { refunding: true } },
+      { new: true }
+    );
+    if (!payment) {
+      const exists = await Payment.exists({ _id: id });
+      return exists
+        ? res.status(409).json({ error: "A refund for this payment is already in progress" })
+        : res.status(404).json({ error: "Payment not found" });
+    }
+
+    const now = new Date();
+    let refund = null;
+
+    if (status === "open") {
+      if (!["completed", "disputed"].includes(payment.status)) {
+        throw new BadRequestError("Only completed payments can be disputed");
+      }
+      payment.status = "disputed";
+      payment.dispute = {
+        disputeId: disputeId || payment.dispute?.disputeId,
+        status: "open",
+        reason,
+        openedAt: payment.dispute?.openedAt || now,
+      };
+    } else {
+      if (payment.status !== "disputed") {
+        throw new BadRequestError("Payment has no open dispute");
+      }
+      payment.dispute.status = status;
+      payment.dispute.resolvedAt = now;
+      if (disputeId) payment.dispute.disputeId = disputeId;
+      if (status === "won") {
+        payment.status = "completed";
+      }
+    }
+
+    payment.auditLog.push({
+      action: "disputed",
+      details: { status, disputeId: payment.dispute.disputeId, reason },
+      timestamp: now,
+      performedBy: req.user._id,
+    });
+
+    if (status === "lost") {
+      const amount = roundMoney(payment.amount.value - (payment.refund?.totalRefunded || 0));
+      let reversal = null;
+      if (amount > 0 && WALLET_PAYMENT_TYPES.includes(payment.paymentType)) {
+        reversal = getWalletReversal(payment, amount);
+        try {
+          reversal.balanceAfter = await reserveWalletReversal(payment, reversal);
+        } catch (walletError) {
+          // The chargeback stands either way; flag the shortfall for manual follow-up
+          console.warn("⚠️ Could not reverse wallet credit for lost dispute:", walletError.message);
+          reversal = null;
+        }
+      }
+
+      refund = await finalizeRefund(payment, {
+        amount,
+        reason: "dispute",
+        note: reason || "",
+        refundId: payment.dispute.disputeId || `DISPUTE-${payment.orderId}`,
+        status: "completed",
+        performedBy: req.user._id,
+        isFullRefund: true,
+        reverseEffects: true,
+        reversal,
+      });
+    } else {
+      payment.refunding = false;
+      await payment.save();
+    }
+
+    logActivity({
+      type: status === "lost" ? "payment_refunded" : "payment_processed",
+      description: `Dispute ${status} on order ${payment.orderId}`,
+      userId: req.user._id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      action: "update",
+      targetType: "payment",
+      targetId: payment._id,
+      details: { disputeId: payment.dispute.disputeId, status },
+    });
+
+    res.json({ message: `Dispute marked as ${status}`, refund, payment });
+  } catch (error) {
+    if (payment) {
+      await Payment.updateOne({ _id: payment._id }, { $set: { refunding: false } }).catch(() => {});
+    }
+    console.error("❌ Dispute update error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.message || "Failed to update dispute",
+    });
+  }
+};
+
 /**
  * Get all donations for admin dashboard
  */
@@ -1240,4 +1758,6 @@ module.exports = {
   getAdminAdvertising,
   deleteDonation,
   deleteAdvertising,
+  refundPayment,
+  updatePaymentDispute,
 };
@@ -813,7 +813,7 @@ const verifyLoginOtp = async (req, res, next) => {
 
 // PATCH /users/me - Update user profile
 const updateUser = (req, res, next) => {
-  const { name, phone, country, location } = req.body;
+  const { name, phone, country, location, preferredLanguage } = req.body;
 
   if (!name) {
     return next(new BadRequestError("Name is required"));
@@ -824,6 +824,7 @@ const updateUser = (req, res, next) => {
   if (phone !== undefined) updateFields.phone = phone;
   if (country !== undefined) updateFields.country = country;
   if (location !== undefined) updateFields.location = location;
+  if (preferredLanguage !== undefined) updateFields.preferredLanguage = preferredLanguage || null;
 
   return User.findByIdAndUpdate(req.user._id, updateFields, { new: true, runValidators: true })
     .orFail(() => new NotFoundError("User not found"))
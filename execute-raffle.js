@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 const TalentShowcase = require('./models/TalentShowcase');
 const TalentContestant = require('./models/TalentContestant');
 const User = require('./models/User'); // Need to load User model for populate
-const { performRaffle } = require('./utils/raffleSelection');
+const { drawCommittedRaffle } = require('./utils/raffleCommitment');
 
 mongoose.connect('mongodb://127.0.0.1:27017/afri-connect_db');
 
@@ -22,7 +22,12 @@ setTimeout(async () => {
     const maxContestants = showcase.maxContestants || 2;
     console.log('Max contestants:', maxContestants);
 
-    const raffleResults = performRaffle(contestants, maxContestants);
+    const raffleResults = await drawCommittedRaffle({
+      eventType: 'showcase',
+      eventId: showcase._id,
+      entrants: contestants,
+      maxSelected: maxContestants
+    });
 
     console.log('\n✅ Raffle results:');
     console.log('Selected:', raffleResults.selected.length);
@@ -70,6 +70,18 @@ const voteLimiter =
       })
     : (req, res, next) => next();
 
+// Public listing click / phone-reveal tracking (per IP)
+const listingEventLimiter =
+  process.env.NODE_ENV === "production"
+    ? rateLimit({
+        windowMs: 60 * 1000, // 1 minute
+        max: 30,
+        message: "Too many listing events, please slow down",
+        standardHeaders: true,
+        legacyHeaders: false,
+      })
+    : (req, res, next) => next();
+
 // Payment rate limiting (separate from general and auth)
 // Goal: prevent abuse on payment endpoints without affecting normal app usage.
 const paymentCreateLimiter =
@@ -137,3 +149,4 @@ module.exports.digitalServicesPurchaseUserLimiter = digitalServicesPurchaseUserL
 
 module.exports.liveEventLimiter = liveEventLimiter;
 module.exports.voteLimiter = voteLimiter;
+module.exports.listingEventLimiter = listingEventLimiter;
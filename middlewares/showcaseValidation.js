@@ -242,6 +242,25 @@ const validateVote = [
   validate,
 ];
 
+// Admin review of quarantined votes
+const validateVoteReview = [
+  param("showcaseId")
+    .notEmpty()
+    .withMessage("Showcase ID is required")
+    .isMongoId()
+    .withMessage("Invalid showcase ID"),
+
+  body("action").isIn(["accept", "reject"]).withMessage("Action must be accept or reject"),
+
+  body("voteIds").isArray({ min: 1, max: 500 }).withMessage("Provide between 1 and 500 vote IDs"),
+
+  body("voteIds.*").isMongoId().withMessage("Invalid vote ID"),
+
+  body("note").optional().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+
+  validate,
+];
+
 // Query validation for listing showcases
 const validateShowcaseQuery = [
   query("status")
@@ -365,6 +384,7 @@ module.exports = {
   validateContestantRegistration,
   validateContestantUpdate,
   validateVote,
+  validateVoteReview,
   validateShowcaseQuery,
   validateShowcaseId,
   validateContestantId,
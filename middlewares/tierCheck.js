@@ -7,8 +7,8 @@
  * Users retain their tier benefits (stored in user.tier) until explicitly downgraded.
  * The tierExpiresAt field is used only for billing/renewal tracking, NOT for access control.
  * This means:
- * - If a user's subscription expires, they keep their tier benefits until they choose to downgrade
- * - Automatic downgrades should be handled by a background job if needed
+ * - If a user's subscription expires, they keep their tier benefits through the grace period
+ * - Automatic downgrades are handled by the membership lifecycle job (utils/membershipLifecycle.js)
  * - All tier checks use user.tier directly without checking tierExpiresAt
  * - This provides a better user experience (no sudden loss of access)
  */
@@ -266,6 +266,9 @@ module.exports.validateUpdateUser = celebrate({
     location: Joi.string().allow(null, "").messages({
       "string.base": 'The "location" field must be a string',
     }),
+    preferredLanguage: Joi.string().trim().max(40).allow(null, "").messages({
+      "string.max": 'The maximum length of the "preferredLanguage" field is 40',
+    }),
     tier: Joi.string().valid("Free", "Starter", "Premium", "Pro").messages({
       "any.only": 'The "tier" field must be one of: Free, Starter, Premium, Pro',
     }),
@@ -16,6 +16,8 @@ const activityLogSchema = new mongoose.Schema(
         "listing_rejected",
         "listing_suspended",
         "payment_processed",
+        "payment_refunded",
+        "membership_downgraded",
         "user_verified",
         "user_suspended",
         "api_key_created",
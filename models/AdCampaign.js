@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+/**
+ * Ad Campaign Model
+ * Groups a Pro advertiser's Advertisement documents under one budget and targeting profile.
+ * Spend and performance are derived from the grouped ads (see controllers/adCampaigns.js).
+ */
+const adCampaignSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, trim: true, maxlength: 500 },
+
+    // Budget (USD by default, matching Advertisement.pricing.currency)
+    budget: {
+      amount: { type: Number, required: true, min: 0 },
+      currency: { type: String, default: "USD" },
+    },
+
+    // Scheduling
+    startDate: { type: Date, default: Date.now },
+    endDate: { type: Date },
+    durationDays: { type: Number, min: 1 },
+
+    // Audience
+    targetAudience: { type: String, trim: true, maxlength: 500 },
+    targetingProfile: { type: mongoose.Schema.Types.ObjectId, ref: "AdTargetingProfile" },
+    platformPreferences: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: ["draft", "active", "paused", "completed", "archived"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adCampaignSchema.index({ owner: 1, status: 1, createdAt: -1 });
+
+adCampaignSchema.pre("validate", function (next) {
+  if (!this.endDate && this.startDate && this.durationDays) {
+    this.endDate = new Date(this.startDate.getTime() + this.durationDays * 24 * 60 * 60 * 1000);
+  }
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error("Campaign end date must be after the start date"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("AdCampaign", adCampaignSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+/**
+ * Ad Frequency Cap Model
+ * Impressions of one ad served to one viewer session within the ad's frequency-cap window
+ * (see utils/adTargeting.js). Shared by every API instance; rows expire with their window.
+ */
+const adFrequencyCapSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      maxlength: 120,
+    },
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Advertisement",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: false }
+);
+
+adFrequencyCapSchema.index({ sessionId: 1, ad: 1 }, { unique: true });
+adFrequencyCapSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AdFrequencyCap", adFrequencyCapSchema);
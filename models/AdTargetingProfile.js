@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * Ad Targeting Profile Model
+ * Reusable audience definition owned by a Pro advertiser and attached to campaigns
+ */
+const adTargetingProfileSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, trim: true, maxlength: 100, default: "Targeting profile" },
+
+    // Audience
+    ageRange: {
+      min: { type: Number, min: 13, max: 100, default: 18 },
+      max: { type: Number, min: 13, max: 100, default: 65 },
+    },
+    locations: {
+      type: [{ type: String, trim: true, maxlength: 100 }],
+      validate: {
+        validator(arr) {
+          return Array.isArray(arr) && arr.length > 0;
+        },
+        message: "At least one location is required",
+      },
+    },
+    interests: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+    behaviors: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+    devices: [{ type: String, enum: ["mobile", "tablet", "desktop"] }],
+
+    status: {
+      type: String,
+      enum: ["active", "archived"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adTargetingProfileSchema.index({ owner: 1, status: 1, createdAt: -1 });
+
+adTargetingProfileSchema.pre("validate", function (next) {
+  if (this.ageRange && this.ageRange.min > this.ageRange.max) {
+    return next(new Error("Minimum age must not exceed maximum age"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("AdTargetingProfile", adTargetingProfileSchema);
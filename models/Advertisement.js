@@ -90,6 +90,9 @@ const advertisementSchema = new mongoose.Schema(
     },
     category: { type: String }, // For category-specific ads (e.g., 'Tech', 'Arts')
 
+    // Pro campaign grouping (optional) - see models/AdCampaign.js
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: "AdCampaign" },
+
     // Scheduling
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
@@ -146,10 +149,16 @@ const advertisementSchema = new mongoose.Schema(
       maxImpressions: Number, // Optional impression cap
       maxClicks: Number, // Optional click cap
       targeting: {
-        countries: [String], // Show only in specific countries
+        countries: [String], // Show only in specific countries (ISO code, country or city name)
         devices: [{ type: String, enum: ["mobile", "tablet", "desktop"] }],
+        categories: [String], // Show only on pages for these listing categories
         excludeLoggedIn: { type: Boolean, default: false },
       },
+      // Per-viewer-session cap (defaults: AD_FREQUENCY_CAP / AD_FREQUENCY_CAP_WINDOW_HOURS)
+      frequencyCap: {
+        maxImpressions: Number,
+        windowHours: Number,
+      },
     },
 
     // Admin Notes
@@ -179,6 +188,7 @@ advertisementSchema.index({ status: 1, startDate: 1, endDate: 1 });
 advertisementSchema.index({ placement: 1, status: 1 });
 advertisementSchema.index({ "advertiser.email": 1 });
 advertisementSchema.index({ "analytics.impressions": -1 });
+advertisementSchema.index({ campaign: 1 });
 
 // Virtual for CTR (Click-Through Rate)
 advertisementSchema.virtual("ctr").get(function () {
@@ -151,6 +151,12 @@ const agentSchema = new mongoose.Schema(
       default: Date.now,
     },
 
+    // Last time a chat was routed to this agent (fair load balancing)
+    lastAssignedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Agent permissions/access levels
     permissions: {
       canTransferChats: {
@@ -278,6 +284,7 @@ agentSchema.methods.acceptChat = function () {
   this.activeChats += 1;
   this.totalChats += 1;
   this.lastActiveAt = new Date();
+  this.lastAssignedAt = new Date();
   return this.save();
 };
 
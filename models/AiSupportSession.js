@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+/**
+ * AI Support Session Model
+ * Multi-turn chat with the support assistant. Guests are identified by the random
+ * sessionKey returned on their first message; signed-in users by `user` as well.
+ */
+const aiSupportMessageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["user", "assistant"],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 4000,
+    },
+    // Retrieval sources the answer was grounded on (assistant messages)
+    sources: [
+      {
+        _id: false,
+        type: { type: String },
+        title: String,
+      },
+    ],
+    confidence: {
+      type: Number,
+      default: null,
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const aiSupportSessionSchema = new mongoose.Schema(
+  {
+    sessionKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    messages: {
+      type: [aiSupportMessageSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["active", "handed_off", "closed"],
+      default: "active",
+    },
+    // Agent conversation created on handoff
+    handoffConversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
+    },
+    handoffReason: {
+      type: String,
+      default: null,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Idle sessions are removed by the TTL index
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+aiSupportSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AiSupportSession", aiSupportSessionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Canned Response Model
+ * Reusable agent replies. The body may contain variables such as {{userName}} or
+ * {{listingTitle}} that are filled in when an agent inserts the reply into a conversation.
+ */
+const cannedResponseSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Quick-insert keyword typed by agents, e.g. "/refund"
+    shortcut: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 40,
+      default: null,
+    },
+
+    body: {
+      type: String,
+      required: [true, "Response text is required"],
+      trim: true,
+      maxlength: 4000,
+    },
+
+    // Department this reply belongs to (null = shared by all departments)
+    department: {
+      type: String,
+      enum: ["customer_support", "sales", "technical", "billing", "moderation", "general", null],
+      default: null,
+    },
+
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cannedResponseSchema.index({ department: 1, isActive: 1 });
+cannedResponseSchema.index(
+  { shortcut: 1 },
+  { unique: true, partialFilterExpression: { shortcut: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("CannedResponse", cannedResponseSchema);
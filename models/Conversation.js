@@ -75,6 +75,33 @@ const conversationSchema = new mongoose.Schema(
       default: "normal",
     },
     tags: [String], // ['billing', 'technical', 'sales', 'complaint']
+    // Agent department the request was routed to
+    department: {
+      type: String,
+      default: null,
+    },
+    // Routing inputs for the support queue (see utils/agentRouting.js)
+    routing: {
+      language: { type: String, default: null },
+      // request | message | profile | country
+      languageSource: { type: String, default: null },
+      // Wait for an agent who speaks the language before falling back to anyone
+      languageRequired: { type: Boolean, default: false },
+      country: { type: String, default: null },
+      queuedAt: { type: Date, default: null },
+      assignedAt: { type: Date, default: null },
+    },
+    // Response-time targets (see utils/supportSla.js)
+    sla: {
+      policy: { type: mongoose.Schema.Types.ObjectId, ref: "SlaPolicy", default: null },
+      firstResponseDueAt: { type: Date, default: null },
+      resolutionDueAt: { type: Date, default: null },
+      firstResponseAt: { type: Date, default: null },
+      firstResponseBreachedAt: { type: Date, default: null },
+      resolutionBreachedAt: { type: Date, default: null },
+      escalatedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", default: null },
+      escalatedAt: { type: Date, default: null },
+    },
     customerSatisfaction: {
       rating: { type: Number, min: 1, max: 5, default: null },
       feedback: { type: String, default: null },
@@ -107,5 +134,7 @@ const conversationSchema = new mongoose.Schema(
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ type: 1, listing: 1 });
 conversationSchema.index({ createdAt: -1 });
+conversationSchema.index({ type: 1, status: 1, "sla.firstResponseDueAt": 1 });
+conversationSchema.index({ type: 1, status: 1, "sla.resolutionDueAt": 1 });
 
 module.exports = mongoose.model("Conversation", conversationSchema);
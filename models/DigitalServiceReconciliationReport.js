@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+const amountSchema = new mongoose.Schema(
+  {
+    currency: { type: String, uppercase: true, default: "USD" },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// One report per UTC day, comparing our ledgers with what the providers report
+const digitalServiceReconciliationReportSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String, // YYYY-MM-DD (UTC)
+      required: true,
+      unique: true,
+      index: true,
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    transactions: {
+      total: { type: Number, default: 0 },
+      byStatus: { type: mongoose.Schema.Types.Mixed, default: {} },
+      byProvider: [
+        {
+          _id: false,
+          provider: String,
+          completed: { type: Number, default: 0 },
+          failed: { type: Number, default: 0 },
+          open: { type: Number, default: 0 },
+          providerCostUsd: { type: Number, default: 0 },
+        },
+      ],
+      autoCompleted: { type: Number, default: 0 },
+      autoRefunded: { type: Number, default: 0 },
+      stillOpen: { type: Number, default: 0 },
+      oldestOpenAt: { type: Date, default: null },
+    },
+    ledger: {
+      walletDebits: [amountSchema],
+      walletRefunds: [amountSchema],
+      fundingBalances: [amountSchema],
+      fundingBalanceUsd: { type: Number, default: 0 },
+    },
+    providers: [
+      {
+        _id: false,
+        provider: String,
+        balance: { type: Number, default: null },
+        currency: { type: String, default: null },
+        balanceUsd: { type: Number, default: null },
+        error: { type: String, default: null },
+      },
+    ],
+    providerBalanceUsd: { type: Number, default: null },
+    // fundingBalanceUsd - providerBalanceUsd
+    balanceDifferenceUsd: { type: Number, default: null },
+    discrepancies: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: [
+            "balance-mismatch",
+            "provider-balance-unavailable",
+            "completed-without-reference",
+            "failed-without-refund",
+            "stuck-transaction",
+          ],
+        },
+        message: String,
+        transaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "DigitalServiceTransaction",
+          default: null,
+        },
+        reference: { type: String, default: null },
+      },
+    ],
+    generatedAt: { type: Date, default: Date.now },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model(
+  "DigitalServiceReconciliationReport",
+  digitalServiceReconciliationReportSchema
+);
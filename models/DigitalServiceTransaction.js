@@ -47,11 +47,30 @@ const digitalServiceTransactionSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Providers tried for this purchase, in order (failover trail)
+    providerAttempts: [
+      {
+        _id: false,
+        provider: String,
+        outcome: {
+          type: String,
+          enum: ["accepted", "declined", "unavailable", "skipped", "error"],
+        },
+        message: String,
+        at: Date,
+      },
+    ],
+    // Operator ID at the provider that handled the purchase (differs after failover)
+    providerOperatorId: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
     recipient: {
       phone: String,
       email: String,
       countryCode: String,
-      operatorId: Number,
+      // Number for Reloadly, provider code for other aggregators
+      operatorId: mongoose.Schema.Types.Mixed,
     },
     amount: {
       value: {
@@ -80,6 +99,19 @@ const digitalServiceTransactionSchema = new mongoose.Schema(
       feePercent: { type: Number, min: 0, default: 0 },
       fixedFeeUsd: { type: Number, min: 0, default: 0 },
       minimumFeeUsd: { type: Number, min: 0, default: 0 },
+      // USD rates used to price a non-USD purchase (units per 1 USD)
+      fx: {
+        rateSnapshot: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ExchangeRateSnapshot",
+          default: null,
+        },
+        ratesAsOf: { type: Date, default: null },
+        walletCurrencyRate: { type: Number, min: 0, default: null },
+        providerCurrencyRate: { type: Number, min: 0, default: null },
+        // Operator rate from the provider, used instead of the table when present
+        providerFxRate: { type: Number, min: 0, default: null },
+      },
     },
     wallet: {
       debited: { type: Number, min: 0, default: 0 },
@@ -115,6 +147,13 @@ const digitalServiceTransactionSchema = new mongoose.Schema(
         default: null,
       },
     },
+    // Set when a scheduled / recurring top-up placed this purchase
+    scheduledTopup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledTopup",
+      default: null,
+      index: true,
+    },
     product: {
       id: mongoose.Schema.Types.Mixed,
       name: String,
@@ -149,6 +188,22 @@ const digitalServiceTransactionSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Provider status polling for processing / manual-review transactions
+    reconciliation: {
+      attempts: { type: Number, min: 0, default: 0 },
+      lastCheckedAt: { type: Date, default: null },
+      nextCheckAt: { type: Date, default: null },
+      lockedUntil: { type: Date, default: null },
+      lastProviderStatus: { type: String, default: null },
+      lastError: { type: String, default: null },
+      // Set when the worker stops polling and leaves the transaction to an admin
+      stoppedAt: { type: Date, default: null },
+      resolvedAutomatically: { type: Boolean, default: false },
+    },
+    receiptSentAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -156,6 +211,7 @@ const digitalServiceTransactionSchema = new mongoose.Schema(
 digitalServiceTransactionSchema.index({ user: 1, createdAt: -1 });
 digitalServiceTransactionSchema.index({ "serviceAgent.agent": 1, createdAt: -1 });
 digitalServiceTransactionSchema.index({ serviceType: 1, status: 1, createdAt: -1 });
+digitalServiceTransactionSchema.index({ status: 1, "reconciliation.nextCheckAt": 1 });
 digitalServiceTransactionSchema.index(
   { user: 1, idempotencyKey: 1 },
   { unique: true, sparse: true }
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// USD exchange rate table as fetched, kept for auditing conversions and priced purchases
+const exchangeRateSnapshotSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+    // Units of each currency per 1 USD
+    rates: {
+      type: Map,
+      of: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      default: "exchangerate-api.com",
+    },
+    fetchedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSnapshotSchema.index({ fetchedAt: -1 });
+
+module.exports = mongoose.model("ExchangeRateSnapshot", exchangeRateSnapshotSchema);
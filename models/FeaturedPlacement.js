@@ -29,7 +29,13 @@ const featuredPlacementSchema = new mongoose.Schema(
     offerType: { type: String, enum: ["basic", "standard", "premium"], default: "basic" },
     quotedPriceClient: { type: Number }, // price the client calculated (for audit)
     priceBooked: { type: Number }, // authoritative server computed price
-    currency: { type: String, default: "USD" },
+    // Same currencies as Payment.amount.currency, so a captured placement can always be recorded
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: ["USD", "EUR", "GBP", "CAD", "AUD", "ILS"],
+      default: "USD",
+    },
     billingMode: { type: String, enum: ["fixed", "subscription"], default: "fixed" },
     slotType: { type: String }, // e.g. standard|prime|subscription (alias for offerType if needed)
     capacitySnapshot: { type: Object }, // store occupancy ratios at booking time
@@ -38,7 +44,7 @@ const featuredPlacementSchema = new mongoose.Schema(
     paymentOrderId: { type: String },
     paymentStatus: {
       type: String,
-      enum: ["initiated", "approved", "captured", "failed", "cancelled", null],
+      enum: ["initiated", "approved", "captured", "failed", "cancelled", "refunded", null],
       default: null,
     },
     paidAt: { type: Date },
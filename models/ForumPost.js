@@ -1,6 +1,76 @@
 const mongoose = require("mongoose");
 const { FORUM_CATEGORY_IDS } = require("../utils/forumCategories");
 
+// A user's report on a post or reply, reviewed in the moderation queue
+const moderationFlagSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ["spam", "inappropriate", "harassment", "off-topic", "duplicate", "other"],
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "reviewed", "dismissed"],
+    default: "pending",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Hiding and review outcome of a post or reply
+const moderationStateSchema = new mongoose.Schema(
+  {
+    // Set when hidden; hiddenBy is null when reports hid it automatically
+    hiddenAt: { type: Date, default: null },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolution: {
+      type: String,
+      enum: ["removed", "dismissed", null],
+      default: null,
+    },
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: { type: String, default: null, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+// Reply the post author (or an admin) marked as the answer, in question categories
+const acceptedAnswerSchema = new mongoose.Schema(
+  {
+    reply: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    acceptedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const forumPostSchema = new mongoose.Schema(
   {
     title: {
@@ -95,6 +165,24 @@ const forumPostSchema = new mongoose.Schema(
           minlength: 1,
           maxlength: 4000,
         },
+        // Reply this one answers; null for a reply to the post itself
+        parentReply: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        // Nesting level: 0 for replies to the post
+        depth: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Users notified because they were @mentioned
+        mentions: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
         likes: [
           {
             user: {
@@ -126,6 +214,11 @@ const forumPostSchema = new mongoose.Schema(
           enum: ["active", "deleted", "flagged"],
           default: "active",
         },
+        moderationFlags: [moderationFlagSchema],
+        moderation: {
+          type: moderationStateSchema,
+          default: undefined,
+        },
         createdAt: {
           type: Date,
           default: Date.now,
@@ -168,33 +261,29 @@ const forumPostSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
-    moderationFlags: [
+    // Users @mentioned in the post body
+    mentions: [
       {
-        reporter: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        reason: {
-          type: String,
-          required: true,
-          enum: ["spam", "inappropriate", "harassment", "off-topic", "duplicate", "other"],
-        },
-        description: {
-          type: String,
-          maxlength: 500,
-        },
-        status: {
-          type: String,
-          enum: ["pending", "reviewed", "dismissed"],
-          default: "pending",
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Users notified of new replies (the author and everyone who replies are added)
+    subscribers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
       },
     ],
+    acceptedAnswer: {
+      type: acceptedAnswerSchema,
+      default: undefined,
+    },
+    moderationFlags: [moderationFlagSchema],
+    moderation: {
+      type: moderationStateSchema,
+      default: undefined,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -215,6 +304,9 @@ forumPostSchema.index({ author: 1, status: 1, createdAt: -1 });
 forumPostSchema.index({ tags: 1, status: 1 });
 forumPostSchema.index({ isPinned: -1, lastActivity: -1 });
 forumPostSchema.index({ title: "text", content: "text" }); // Text search
+forumPostSchema.index({ "moderationFlags.status": 1 });
+forumPostSchema.index({ "replies.moderationFlags.status": 1 });
+forumPostSchema.index({ subscribers: 1, lastActivity: -1 });
 
 // Virtual for total engagement (likes + replies)
 forumPostSchema.virtual("engagementScore").get(function () {
@@ -262,6 +354,14 @@ forumPostSchema.methods.incrementViews = function () {
 forumPostSchema.pre("save", function (next) {
   if (this.isModified("replies")) {
     this.replyCount = this.replies.filter((reply) => reply.status === "active").length;
+
+    // An accepted answer that was deleted or removed by a moderator no longer counts
+    if (this.acceptedAnswer?.reply) {
+      const accepted = this.replies.id(this.acceptedAnswer.reply);
+      if (!accepted || accepted.status === "deleted") {
+        this.acceptedAnswer = undefined;
+      }
+    }
   }
   if (this.isModified("likes")) {
     this.likeCount = this.likes.length;
@@ -181,6 +181,15 @@ listingSchema.index({ tier: 1, status: 1 });
 listingSchema.index({ createdAt: -1 });
 listingSchema.index({ "likedBy.user": 1 });
 listingSchema.index({ "followers.user": 1 });
+// Weighted full-text index used by listing search (weights mirror utils/listingSearch.js)
+listingSchema.index(
+  { title: "text", category: "text", location: "text", description: "text" },
+  {
+    name: "listing_text_search",
+    weights: { title: 10, category: 5, location: 3, description: 1 },
+    default_language: "english",
+  }
+);
 
 // Helper: slugify text
 function slugify(text = "") {
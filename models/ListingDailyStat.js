@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * Listing Daily Stat Model
+ * Per-listing totals for one UTC day, rolled up from ListingEvent.
+ * Rollups replace the whole document, so a day can be rebuilt at any time while its events are kept.
+ */
+const listingDailyStatSchema = new mongoose.Schema(
+  {
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Listing",
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // YYYY-MM-DD (UTC)
+    date: {
+      type: String,
+      required: true,
+    },
+    views: { type: Number, default: 0 },
+    uniqueVisitors: { type: Number, default: 0 },
+    contacts: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    follows: { type: Number, default: 0 },
+    websiteClicks: { type: Number, default: 0 },
+    phoneReveals: { type: Number, default: 0 },
+    // Views by traffic source ("search", "social", ...) and by country code
+    sources: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    countries: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // HyperLogLog sketch of the day's visitor keys, merged for unique visitors over a range
+    visitorSketch: {
+      type: Buffer,
+      default: null,
+    },
+    rolledUpAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+listingDailyStatSchema.index({ listing: 1, date: 1 }, { unique: true });
+listingDailyStatSchema.index({ owner: 1, date: 1 });
+
+module.exports = mongoose.model("ListingDailyStat", listingDailyStatSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+/**
+ * Listing Event Model
+ * One row per listing interaction (view, contact, like, ...), kept for 90 days.
+ * Rolled up nightly into ListingDailyStat (see utils/listingAnalytics.js).
+ */
+const listingEventSchema = new mongoose.Schema(
+  {
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Listing",
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["view", "contact", "like", "follow", "website-click", "phone-reveal"],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Signed-in user id, anonymous visitor id or IP/user-agent hash; used for unique visitor
+    // counts and for deduping repeat views and clicks
+    visitorKey: {
+      type: String,
+      default: "",
+      maxlength: 120,
+    },
+    referrer: {
+      type: String,
+      default: "",
+      maxlength: 1000,
+    },
+    source: {
+      type: String,
+      enum: ["direct", "internal", "search", "social", "email", "paid", "referral"],
+      default: "direct",
+    },
+    countryCode: {
+      type: String,
+      default: "",
+      maxlength: 2,
+      uppercase: true,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+      expires: 60 * 60 * 24 * 90,
+    },
+  },
+  { timestamps: false }
+);
+
+listingEventSchema.index({ occurredAt: 1, listing: 1 });
+listingEventSchema.index({ listing: 1, occurredAt: -1 });
+listingEventSchema.index({ owner: 1, occurredAt: -1 });
+listingEventSchema.index({ listing: 1, visitorKey: 1, type: 1, occurredAt: -1 });
+
+module.exports = mongoose.model("ListingEvent", listingEventSchema);
@@ -13,10 +13,28 @@ const messageNotificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Conversation",
       required: function () {
-        // Conversation is optional for contact-form notifications
-        return this.type !== "contact-form";
+        // Only messaging notifications belong to a conversation
+        return ["new-message", "reply", "mention"].includes(this.type);
       },
     },
+    // Saved search for saved-search alert notifications
+    savedSearch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SavedSearch",
+      required: false,
+    },
+    // Forum post for forum-* notifications
+    forumPost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumPost",
+      required: false,
+    },
+    // Payout request for service-agent-payout notifications
+    serviceAgentPayout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceAgentPayout",
+      required: false,
+    },
     // Message that triggered notification (or contact message for contact-form type)
     message: {
       type: mongoose.Schema.Types.ObjectId,
@@ -29,10 +47,22 @@ const messageNotificationSchema = new mongoose.Schema(
       ref: "User",
       required: false,
     },
-    // Notification type: "new-message", "reply", "mention", "contact-form"
+    // Notification type: "new-message", "reply", "mention", "contact-form", "moderation",
+    // "forum-reply", "forum-mention", "forum-answer", "saved-search", "service-agent-payout"
     type: {
       type: String,
-      enum: ["new-message", "reply", "mention", "contact-form"],
+      enum: [
+        "new-message",
+        "reply",
+        "mention",
+        "contact-form",
+        "moderation",
+        "forum-reply",
+        "forum-mention",
+        "forum-answer",
+        "saved-search",
+        "service-agent-payout",
+      ],
       default: "new-message",
     },
     // Whether user has seen this notification
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * Page View Rollup Model
+ * Hourly and daily site traffic aggregated from PageView before its 24-hour purge
+ * (see utils/pageViewRollups.js). Rows carry no session or device ids: visitors are counted
+ * with a HyperLogLog sketch that can be merged across buckets for range estimates.
+ */
+const pageViewRollupSchema = new mongoose.Schema(
+  {
+    granularity: {
+      type: String,
+      enum: ["hour", "day"],
+      required: true,
+    },
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+    // "total" has one row per bucket (key ""); the others one row per path / country / ...
+    dimension: {
+      type: String,
+      enum: ["total", "path", "country", "device", "referrer"],
+      required: true,
+    },
+    key: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+    // Unique visitors in this bucket (estimated from the sketch)
+    visitors: {
+      type: Number,
+      default: 0,
+    },
+    sketch: {
+      type: Buffer,
+      required: true,
+    },
+    // Hourly rows expire; daily rows are kept
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: false }
+);
+
+pageViewRollupSchema.index(
+  { granularity: 1, dimension: 1, bucketStart: 1, key: 1 },
+  { unique: true }
+);
+pageViewRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PageViewRollup", pageViewRollupSchema);
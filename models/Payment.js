@@ -152,6 +152,48 @@ const paymentSchema = new mongoose.Schema(
         type: String,
         enum: ["pending", "completed", "failed"],
       },
+      // Running total across partial refunds (amount above is the latest refund)
+      totalRefunded: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      history: [
+        {
+          amount: { type: Number, min: 0 },
+          currency: String,
+          reason: {
+            type: String,
+            enum: ["user_request", "dispute", "fraud", "technical_error", "other"],
+          },
+          note: String,
+          refundId: String,
+          status: {
+            type: String,
+            enum: ["pending", "completed", "failed"],
+          },
+          processedAt: Date,
+          performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
+      ],
+    },
+    // Set while an admin refund is in flight (idempotency guard, like `capturing`)
+    refunding: {
+      type: Boolean,
+      default: false,
+    },
+    dispute: {
+      disputeId: String,
+      status: {
+        type: String,
+        enum: ["open", "won", "lost"],
+      },
+      reason: String,
+      openedAt: Date,
+      resolvedAt: Date,
     },
     activationDate: {
       type: Date,
@@ -199,6 +241,7 @@ const paymentSchema = new mongoose.Schema(
             "completed",
             "failed",
             "refunded",
+            "disputed",
             "cancelled",
             "activated",
             "expired",
@@ -44,6 +44,15 @@ const pricingSettingsSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // PayPal billing plan used for recurring subscriptions at this price.
+    // A price or period change creates a new plan; existing subscribers keep theirs.
+    paypal: {
+      productId: { type: String, default: null },
+      planId: { type: String, default: null },
+      planPrice: { type: Number, default: null },
+      planBillingPeriod: { type: String, default: null },
+      updatedAt: { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
@@ -2,10 +2,15 @@ const mongoose = require("mongoose");
 
 const quizQuestionSchema = new mongoose.Schema(
   {
+    // Legacy questions shared by events without question banks have no bank
+    bank: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QuizQuestionBank",
+      default: null,
+    },
     number: {
       type: Number,
       required: true,
-      unique: true,
       min: 1,
     },
     text: {
@@ -26,6 +31,15 @@ const quizQuestionSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    difficulty: {
+      type: String,
+      enum: ["easy", "medium", "hard"],
+      default: "medium",
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
     active: {
       type: Boolean,
       default: true,
@@ -36,4 +50,7 @@ const quizQuestionSchema = new mongoose.Schema(
   }
 );
 
+// Numbers are unique within a bank (see ensureQuizQuestionIndexes for the legacy index)
+quizQuestionSchema.index({ bank: 1, number: 1 }, { unique: true });
+
 module.exports = mongoose.model("QuizQuestion", quizQuestionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+/**
+ * Quiz Question Bank
+ * A named set of QuizQuestion documents. A bank with `event` set is owned by that quiz
+ * event; a bank without one is reusable and can be attached to any number of events
+ * through QuizSession.questionBanks.
+ */
+const quizQuestionBankSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QuizSession",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+quizQuestionBankSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model("QuizQuestionBank", quizQuestionBankSchema);
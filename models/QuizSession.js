@@ -173,6 +173,31 @@ const quizSessionSchema = new mongoose.Schema(
       type: [Number],
       default: [],
     },
+    // Question banks used by this event; none means the legacy shared question set
+    questionBanks: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "QuizQuestionBank" }],
+      default: [],
+    },
+    // When enabled, a picked number draws a random unused question from the banks
+    randomizeQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    questionDifficulties: {
+      type: [{ type: String, enum: ["easy", "medium", "hard"] }],
+      default: [],
+    },
+    questionAssignments: {
+      type: [
+        {
+          number: { type: Number, required: true },
+          question: { type: mongoose.Schema.Types.ObjectId, ref: "QuizQuestion", required: true },
+          contestant: { type: mongoose.Schema.Types.ObjectId, default: null },
+          assignedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
     bonusPending: {
       type: Boolean,
       default: false,
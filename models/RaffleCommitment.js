@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+/**
+ * Raffle Commitment
+ * Commit–reveal record for one raffle draw of a showcase, quiz or debate event.
+ * The SHA-256 of the seed is published before registration closes; the entrant list
+ * is frozen (canonical order + hash) when the draw starts and the seed is revealed
+ * with the results. Re-running a raffle after a reset opens a new `round`, so earlier
+ * draws stay on the public record.
+ */
+const raffleCommitmentSchema = new mongoose.Schema(
+  {
+    eventType: {
+      type: String,
+      enum: ["showcase", "quiz", "debate"],
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    round: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["committed", "frozen", "revealed"],
+      default: "committed",
+    },
+    algorithm: {
+      type: String,
+      default: "sha256-commit-reveal-v1",
+    },
+    seedCommitment: {
+      type: String,
+      required: true,
+    },
+    // Secret until the draw; published as revealedSeed afterwards
+    seed: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    committedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set when no commitment existed before the draw (legacy events, re-runs)
+    committedAtDraw: {
+      type: Boolean,
+      default: false,
+    },
+    registrationClosesAt: {
+      type: Date,
+      default: null,
+    },
+    entrantIds: {
+      type: [String],
+      default: [],
+    },
+    entrantListHash: {
+      type: String,
+      default: null,
+    },
+    frozenAt: {
+      type: Date,
+      default: null,
+    },
+    maxSelected: {
+      type: Number,
+      default: null,
+    },
+    revealedSeed: {
+      type: String,
+      default: null,
+    },
+    revealedAt: {
+      type: Date,
+      default: null,
+    },
+    selectedIds: {
+      type: [String],
+      default: [],
+    },
+    waitlistIds: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+raffleCommitmentSchema.index({ eventType: 1, event: 1, round: 1 }, { unique: true });
+
+module.exports = mongoose.model("RaffleCommitment", raffleCommitmentSchema);
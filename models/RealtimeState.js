@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+/**
+ * Realtime State Model
+ * Shared Socket.IO presence and typing entries when CLUSTER_ADAPTER=mongo (see utils/clusterAdapter.js).
+ * Entries are refreshed by the owning instance and expire on their own if it dies.
+ */
+const realtimeStateSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["presence", "typing"], required: true },
+    userId: { type: String, required: true },
+    // Socket id for presence entries, conversation id for typing entries
+    key: { type: String, required: true },
+    instanceId: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { collection: "realtime_state" }
+);
+
+realtimeStateSchema.index({ kind: 1, key: 1, userId: 1 }, { unique: true });
+realtimeStateSchema.index({ kind: 1, userId: 1 });
+realtimeStateSchema.index({ instanceId: 1 });
+realtimeStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RealtimeState", realtimeStateSchema);
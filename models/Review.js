@@ -7,14 +7,54 @@ const reviewSchema = new mongoose.Schema(
     rating: { type: Number, min: 1, max: 5, required: true },
     text: { type: String, default: "" },
     status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+    // See reviewWeight() in controllers/reviews.js
     weight: { type: Number, default: 1 },
     moderationNote: { type: String, default: "" },
     moderationBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     moderatedAt: { type: Date },
+
+    // Reviewer had a two-way exchange with the listing owner (contact message or conversation)
+    verifiedCustomer: { type: Boolean, default: false },
+    verification: {
+      source: { type: String, enum: ["contact-message", "conversation"] },
+      reference: { type: mongoose.Schema.Types.ObjectId },
+      verifiedAt: { type: Date },
+    },
+
+    // Listing owner's public response
+    response: {
+      text: { type: String, maxlength: 2000 },
+      respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      respondedAt: { type: Date },
+      updatedAt: { type: Date },
+    },
+
+    // Helpfulness votes (voters are not exposed; counts are kept in sync on save and by voteReview)
+    votes: {
+      type: [
+        {
+          user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+          value: { type: Number, enum: [1, -1], required: true },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+    helpfulCount: { type: Number, default: 0, min: 0 },
+    unhelpfulCount: { type: Number, default: 0, min: 0 },
   },
   { timestamps: true }
 );
 
 reviewSchema.index({ listingId: 1, reviewerId: 1 }, { unique: true });
+reviewSchema.index({ listingId: 1, status: 1, helpfulCount: -1 });
+
+reviewSchema.pre("save", function (next) {
+  if (this.isModified("votes")) {
+    this.helpfulCount = this.votes.filter((vote) => vote.value === 1).length;
+    this.unhelpfulCount = this.votes.filter((vote) => vote.value === -1).length;
+  }
+  next();
+});
 
 module.exports = mongoose.model("Review", reviewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { escapeRegExp } = require("../utils/listingSearch");
 
 const savedSearchSchema = new mongoose.Schema(
   {
@@ -66,7 +67,7 @@ const savedSearchSchema = new mongoose.Schema(
       },
       tier: {
         type: [String],
-        enum: ["Free", "Premium", "Pro"],
+        enum: ["Free", "Starter", "Premium", "Pro"],
         default: [],
       },
       sortBy: {
@@ -112,6 +113,22 @@ const savedSearchSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Newly activated listings matched by the alert engine and waiting for the
+    // next digest (see utils/savedSearchAlerts.js).
+    pendingAlertListings: [
+      {
+        _id: false,
+        listing: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Listing",
+          required: true,
+        },
+        matchedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     totalRuns: {
       type: Number,
       default: 0,
@@ -191,6 +208,7 @@ const savedSearchSchema = new mongoose.Schema(
 savedSearchSchema.index({ user: 1, isActive: 1, createdAt: -1 });
 savedSearchSchema.index({ user: 1, name: 1 });
 savedSearchSchema.index({ alertsEnabled: 1, alertFrequency: 1, lastAlertSent: 1 });
+savedSearchSchema.index({ "pendingAlertListings.listing": 1 });
 savedSearchSchema.index({ privacy: 1, createdAt: -1 });
 savedSearchSchema.index({ tags: 1 });
 savedSearchSchema.index({ "searchCriteria.category": 1 });
@@ -327,9 +345,10 @@ savedSearchSchema.methods.buildSearchQuery = function () {
   const query = { status: "active" };
 
   if (criteria.query) {
+    const pattern = escapeRegExp(criteria.query);
     query.$or = [
-      { title: { $regex: criteria.query, $options: "i" } },
-      { description: { $regex: criteria.query, $options: "i" } },
+      { title: { $regex: pattern, $options: "i" } },
+      { description: { $regex: pattern, $options: "i" } },
     ];
   }
 
@@ -338,7 +357,7 @@ savedSearchSchema.methods.buildSearchQuery = function () {
   }
 
   if (criteria.location) {
-    query.location = { $regex: criteria.location, $options: "i" };
+    query.location = { $regex: escapeRegExp(criteria.location), $options: "i" };
   }
 
   if (criteria.tier.length > 0) {
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+// A one-off or recurring airtime / data top-up paid from the user's digital services wallet
+const scheduledTopupSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    serviceType: {
+      type: String,
+      enum: ["airtime", "data"],
+      required: true,
+    },
+    // e.g. "Mum"
+    nickname: {
+      type: String,
+      trim: true,
+      maxlength: 60,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused", "cancelled", "completed"],
+      default: "active",
+      index: true,
+    },
+    recipient: {
+      phone: { type: String, required: true },
+      countryCode: { type: String, uppercase: true, required: true },
+      operatorId: { type: mongoose.Schema.Types.Mixed, required: true },
+      operatorName: { type: String, default: null },
+    },
+    // Same fields as a one-shot purchase request (sendAirtime / purchaseData)
+    purchase: {
+      amount: { type: Number, min: 0, required: true },
+      currency: { type: String, uppercase: true, default: "USD" },
+      localAmount: { type: Number, min: 0, default: null },
+      localCurrencyCode: { type: String, uppercase: true, default: null },
+      packageCode: { type: String, default: null },
+      packageName: { type: String, default: null },
+    },
+    schedule: {
+      frequency: {
+        type: String,
+        enum: ["once", "daily", "weekly", "monthly"],
+        required: true,
+      },
+      startAt: { type: Date, required: true },
+      // HH:mm in timeZone
+      timeOfDay: { type: String, default: "09:00" },
+      timeZone: { type: String, default: "UTC" },
+      dayOfWeek: { type: Number, min: 0, max: 6, default: null },
+      // 29-31 run on the last day of shorter months
+      dayOfMonth: { type: Number, min: 1, max: 31, default: null },
+      endsAt: { type: Date, default: null },
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Retry of the current run after a failure (wallet short, spend limit, provider)
+    retry: {
+      scheduledFor: { type: Date, default: null },
+      attempts: { type: Number, min: 0, default: 0 },
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    runCount: { type: Number, min: 0, default: 0 },
+    consecutiveFailures: { type: Number, min: 0, default: 0 },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: {
+      type: String,
+      enum: ["completed", "pending", "failed", "skipped", null],
+      default: null,
+    },
+    lastError: { type: String, default: null },
+    lastTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DigitalServiceTransaction",
+      default: null,
+    },
+    pausedReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+scheduledTopupSchema.index({ status: 1, nextRunAt: 1 });
+scheduledTopupSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ScheduledTopup", scheduledTopupSchema);
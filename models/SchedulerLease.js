@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+/**
+ * Scheduler Lease Model
+ * One document per lease name; the holder renews it before expiresAt (see utils/leaderLease.js).
+ */
+const schedulerLeaseSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    holder: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    renewedAt: { type: Date, default: Date.now },
+  },
+  { collection: "scheduler_leases" }
+);
+
+module.exports = mongoose.model("SchedulerLease", schedulerLeaseSchema);
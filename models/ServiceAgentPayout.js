@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// Service agent request to withdraw earned commission to PayPal
+// The amount is held (debited from the agent's wallet) from request until it is paid,
+// and returned to the wallet if the request is rejected or the payout fails
+const serviceAgentPayoutSchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+    amountUsd: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    recipientEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["requested", "processing", "paid", "rejected", "failed", "cancelled"],
+      default: "requested",
+      index: true,
+    },
+    note: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+    paypal: {
+      payoutBatchId: { type: String, default: null },
+      payoutItemId: { type: String, default: null },
+      // PayPal item transaction_status (PENDING, UNCLAIMED, SUCCESS, RETURNED, ...)
+      status: { type: String, default: null },
+      transactionId: { type: String, default: null },
+      lastCheckedAt: { type: Date, default: null },
+    },
+    paidAt: { type: Date, default: null },
+    failureMessage: { type: String, default: null },
+    holdLedger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletLedger",
+      default: null,
+    },
+    releaseLedger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletLedger",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+serviceAgentPayoutSchema.index({ agent: 1, createdAt: -1 });
+serviceAgentPayoutSchema.index({ status: 1, createdAt: 1 });
+// One payout awaiting review per agent, so concurrent requests can't claim the same commission
+serviceAgentPayoutSchema.index(
+  { agent: 1 },
+  { unique: true, partialFilterExpression: { status: "requested" } }
+);
+
+module.exports = mongoose.model("ServiceAgentPayout", serviceAgentPayoutSchema);
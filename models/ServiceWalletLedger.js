@@ -10,7 +10,7 @@ const serviceWalletLedgerSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["credit", "debit", "refund", "commission", "adjustment"],
+      enum: ["credit", "debit", "refund", "commission", "adjustment", "payout"],
       required: true,
       index: true,
     },
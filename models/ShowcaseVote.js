@@ -20,11 +20,52 @@ const showcaseVoteSchema = new mongoose.Schema({
     required: true
   },
   userAgent: String,
+  // Same /24 (IPv4) or /48 (IPv6) network, for burst detection
+  ipPrefix: {
+    type: String,
+    default: null
+  },
+  // sha256 of the client device id, as in RecognizedDevice
+  deviceHash: {
+    type: String,
+    default: null
+  },
   voteWeight: {
     type: Number,
-    default: 1 // Premium users can have higher weight
+    default: 1 // Set from the voter's membership tier (utils/voteIntegrity.js)
+  },
+  tier: {
+    type: String,
+    default: null
   },
   country: String,
+  // Quarantined votes don't count towards contestant.votes until an admin accepts them
+  status: {
+    type: String,
+    enum: ['accepted', 'quarantined', 'rejected'],
+    default: 'accepted'
+  },
+  integrityFlags: [
+    {
+      code: String,
+      detail: String
+    }
+  ],
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    note: {
+      type: String,
+      default: null
+    }
+  },
   votedAt: {
     type: Date,
     default: Date.now
@@ -37,6 +78,9 @@ const showcaseVoteSchema = new mongoose.Schema({
 showcaseVoteSchema.index({ showcase: 1, contestant: 1, user: 1 }, { unique: true, sparse: true });
 showcaseVoteSchema.index({ showcase: 1, contestant: 1, ipAddress: 1 });
 showcaseVoteSchema.index({ showcase: 1, votedAt: 1 });
+showcaseVoteSchema.index({ showcase: 1, status: 1 });
+showcaseVoteSchema.index({ showcase: 1, ipPrefix: 1, votedAt: 1 });
+showcaseVoteSchema.index({ showcase: 1, deviceHash: 1 });
 
 // Index for analytics
 showcaseVoteSchema.index({ contestant: 1, votedAt: 1 });
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * SLA Policy Model
+ * Response-time targets for user-to-agent conversations. A policy applies to one
+ * department/priority pair; null means "any", and the most specific match wins
+ * (see utils/supportSla.js).
+ */
+const slaPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Policy name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Agent department this policy covers (null = all departments)
+    department: {
+      type: String,
+      enum: ["customer_support", "sales", "technical", "billing", "moderation", "general", null],
+      default: null,
+    },
+
+    // Conversation priority this policy covers (null = all priorities)
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent", null],
+      default: null,
+    },
+
+    // Minutes until the first agent reply is due
+    firstResponseMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 7 * 24 * 60,
+    },
+
+    // Minutes until the conversation should be resolved
+    resolutionMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 30 * 24 * 60,
+    },
+
+    // Supervisor notified on breach (falls back to the agent's supervisor)
+    escalateTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agent",
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+slaPolicySchema.index({ department: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model("SlaPolicy", slaPolicySchema);
@@ -45,7 +45,7 @@ const sponsorshipRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['completed', 'contacted'],
+    enum: ['completed', 'contacted', 'refunded'],
     default: 'completed'
   },
   adminNotes: {
@@ -57,6 +57,11 @@ const sponsorshipRequestSchema = new mongoose.Schema({
   },
   viewedAt: {
     type: Date
+  },
+  // Payment.orderId of the showcase payment that funded the sponsorship
+  paymentOrderId: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
@@ -66,5 +71,6 @@ const sponsorshipRequestSchema = new mongoose.Schema({
 sponsorshipRequestSchema.index({ status: 1, createdAt: -1 });
 sponsorshipRequestSchema.index({ viewedByAdmin: 1 });
 sponsorshipRequestSchema.index({ user: 1 });
+sponsorshipRequestSchema.index({ paymentOrderId: 1 });
 
 module.exports = mongoose.model('SponsorshipRequest', sponsorshipRequestSchema);
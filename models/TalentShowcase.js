@@ -274,6 +274,20 @@ const talentShowcaseSchema = new mongoose.Schema(
         ref: "TalentContestant",
       },
     ],
+    // Users registered through a paid showcase Payment (see applyPaymentEffects)
+    participants: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        name: String,
+        email: String,
+        registeredAt: Date,
+        paymentStatus: String,
+        transactionId: String,
+      },
+    ],
     winner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "TalentContestant",
@@ -312,6 +326,14 @@ const talentShowcaseSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Vote weight per membership tier; unset tiers use SHOWCASE_VOTE_TIER_WEIGHTS
+      tierVoteWeights: {
+        Anonymous: { type: Number, min: 0, max: 10, default: null },
+        Free: { type: Number, min: 0, max: 10, default: null },
+        Starter: { type: Number, min: 0, max: 10, default: null },
+        Premium: { type: Number, min: 0, max: 10, default: null },
+        Pro: { type: Number, min: 0, max: 10, default: null },
+      },
     },
     sponsors: [
       {
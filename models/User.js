@@ -58,6 +58,10 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null, // e.g., "Nigeria", "Kenya", "Ghana"
     },
+    preferredLanguage: {
+      type: String,
+      default: null, // e.g., "English", "French", "Swahili" (support chat routing)
+    },
     location: {
       type: String,
       default: null, // e.g., "Lagos, Nigeria" or "Nairobi, Kenya"
@@ -86,6 +90,36 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Reminder/grace bookkeeping for utils/membershipLifecycle.js.
+    // `expiresAt` records which tierExpiresAt the reminders were sent for, so a
+    // renewal (new expiry) starts a fresh cycle.
+    membershipLifecycle: {
+      expiresAt: { type: Date, default: null },
+      remindersSent: { type: [Number], default: [] },
+      graceNoticeSentAt: { type: Date, default: null },
+      downgradedAt: { type: Date, default: null },
+      downgradedFrom: { type: String, default: null },
+    },
+    // Recurring PayPal membership subscription (see utils/membershipSubscriptions.js)
+    membershipSubscription: {
+      provider: { type: String, enum: ["paypal", null], default: null },
+      subscriptionId: { type: String, default: null, index: true },
+      planId: { type: String, default: null },
+      tier: { type: String, enum: ["Starter", "Premium", "Pro", null], default: null },
+      status: {
+        type: String,
+        enum: ["APPROVAL_PENDING", "ACTIVE", "SUSPENDED", "CANCELLED", "EXPIRED", null],
+        default: null,
+      },
+      nextBillingAt: { type: Date, default: null },
+      lastPaymentAt: { type: Date, default: null },
+      failedPayments: { type: Number, default: 0 },
+      dunningStartedAt: { type: Date, default: null },
+      cancelledAt: { type: Date, default: null },
+      // Awaiting buyer approval; replaces the current subscription once activated
+      pendingSubscriptionId: { type: String, default: null, index: true },
+      pendingTier: { type: String, enum: ["Starter", "Premium", "Pro", null], default: null },
+    },
     role: {
       type: String,
       enum: ["user", "admin", "serviceAgent"],
@@ -255,6 +289,20 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Upheld forum reports against this user (see controllers/forumModeration.js)
+    forumModeration: {
+      strikes: [
+        {
+          reason: { type: String, required: true },
+          post: { type: mongoose.Schema.Types.ObjectId, ref: "ForumPost", default: null },
+          reply: { type: mongoose.Schema.Types.ObjectId, default: null },
+          issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          issuedAt: { type: Date, default: Date.now },
+        },
+      ],
+      // No new posts or replies until then
+      suspendedUntil: { type: Date, default: null },
+    },
     // Updated by auth middleware (at most once every five minutes) so the
     // admin dashboard can report users who actually used the application.
     lastActiveAt: {
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Conversion between two of a user's digital services wallet currencies
+const walletFxConversionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    idempotencyKey: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed"],
+      default: "pending",
+      index: true,
+    },
+    fromCurrency: { type: String, uppercase: true, required: true },
+    toCurrency: { type: String, uppercase: true, required: true },
+    // Debited from the source wallet
+    fromAmount: { type: Number, min: 0, required: true },
+    // Credited to the target wallet, after the spread
+    toAmount: { type: Number, min: 0, required: true },
+    // Units of toCurrency per 1 fromCurrency, before and after the spread
+    midRate: { type: Number, min: 0, required: true },
+    appliedRate: { type: Number, min: 0, required: true },
+    spreadPercent: { type: Number, min: 0, default: 0 },
+    // Spread kept by the platform, in toCurrency and in USD
+    spreadAmount: { type: Number, min: 0, default: 0 },
+    spreadUsd: { type: Number, min: 0, default: 0 },
+    // USD rates of both currencies as used, and the stored table they came from
+    usdRates: {
+      from: { type: Number, min: 0, required: true },
+      to: { type: Number, min: 0, required: true },
+    },
+    rateSnapshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExchangeRateSnapshot",
+      default: null,
+    },
+    ratesAsOf: { type: Date, default: null },
+    debitLedger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletLedger",
+      default: null,
+    },
+    creditLedger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletLedger",
+      default: null,
+    },
+    refundLedger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletLedger",
+      default: null,
+    },
+    revenueLedger: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PlatformWalletLedger",
+      default: null,
+    },
+    failureMessage: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+walletFxConversionSchema.index({ user: 1, createdAt: -1 });
+walletFxConversionSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("WalletFxConversion", walletFxConversionSchema);
@@ -12,6 +12,8 @@ const Announcement = require("../models/Announcement");
 const ForumPost = require("../models/ForumPost");
 const MessageNotification = require("../models/MessageNotification");
 const { logActivity } = require("../utils/activityLogger");
+const { queueListingForSavedSearchAlerts } = require("../utils/savedSearchAlerts");
+const { getMembershipExpirationReport } = require("../utils/membershipLifecycle");
 const { sendEmail, emailTemplates, utils: notificationUtils } = require("../utils/notifications");
 const { BadRequestError, NotFoundError, ForbiddenError } = require("../utils/errors");
 const auth = require("../middlewares/auth");
@@ -770,6 +772,25 @@ router.patch(
   }
 );
 
+// Admin: Upcoming membership expirations and members in their grace period
+router.get(
+  "/memberships/expirations",
+  celebrate({
+    query: Joi.object().keys({
+      days: Joi.number().integer().min(1).max(365).default(30),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const days = parseInt(req.query.days) || 30;
+      const report = await getMembershipExpirationReport({ days });
+      res.json({ success: true, ...report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Delete user (with cascade delete of related data)
 router.delete("/users/:id", userIdValidation, async (req, res, next) => {
   try {
@@ -958,6 +979,9 @@ router.patch("/listings/:id/approve", listingIdValidation, async (req, res, next
     } catch (rewardError) {
       console.error("Referral qualification failed after listing approval:", rewardError);
     }
+    queueListingForSavedSearchAlerts(listing._id).catch((e) =>
+      console.warn("Failed to queue saved search alerts:", e.message)
+    );
 
     // Log activity
     logActivity({
@@ -1084,6 +1108,7 @@ router.patch(
   updateListingValidation,
   async (req, res, next) => {
     try {
+      const previous = await Listing.findById(req.params.id).select("status").lean();
       const listing = await Listing.findByIdAndUpdate(req.params.id, req.body, {
         new: true,
         runValidators: true,
@@ -1093,6 +1118,12 @@ router.patch(
         throw new NotFoundError("Listing not found");
       }
 
+      if (listing.status === "active" && previous?.status !== "active") {
+        queueListingForSavedSearchAlerts(listing._id).catch((e) =>
+          console.warn("Failed to queue saved search alerts:", e.message)
+        );
+      }
+
       res.json({
         success: true,
         message: "Listing updated successfully",
@@ -3,7 +3,6 @@ const auth = require("../middlewares/auth");
 const optionalAuth = require("../middlewares/optionalAuth");
 const { adminCheckMiddleware } = require("../utils/adminCheck");
 const { requireAdvancedAdsAccess } = require("../middlewares/tierCheck");
-const { ForbiddenError, BadRequestError } = require("../utils/errors");
 const uploadVideo = require("../middlewares/uploadVideo");
 const {
   getActiveAds,
@@ -21,12 +20,21 @@ const {
   adminCreateAd,
   uploadAdvertisingVideo,
 } = require("../controllers/advertising");
+const {
+  getCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  getAdvertisingAnalytics,
+  getTargetingProfiles,
+  createTargetingProfile,
+} = require("../controllers/adCampaigns");
 
 const router = express.Router();
 
 // ===== NEW ADVERTISEMENT SYSTEM =====
 // Public routes
-router.get("/ads/active", getActiveAds); // Get active ads for display
+router.get("/ads/active", optionalAuth, getActiveAds); // Get targeted active ads for display
 router.post("/ads/request", optionalAuth, createAdRequest); // Submit ad request (public or logged-in)
 router.post("/ads/track/impression/:id", trackImpression); // Track impression
 router.post("/ads/track/click/:id", trackClick); // Track click
@@ -57,108 +65,13 @@ router.patch("/ads/admin/:id/status", auth, adminCheckMiddleware, adminUpdateAdS
 router.patch("/ads/admin/:id", auth, adminCheckMiddleware, adminUpdateAd); // Update ad details
 router.delete("/ads/admin/:id", auth, adminCheckMiddleware, adminDeleteAd); // Delete ad
 
-// ===== LEGACY AD CAMPAIGNS (Pro Feature) =====
-/**
- * GET /advertising/campaigns - Get all ad campaigns for user (Pro only)
- */
-router.get("/campaigns", auth, requireAdvancedAdsAccess, (req, res, next) => {
-  // TODO: Implement ad campaign retrieval from database
-  // For now, return empty campaigns array
-  return res.send({
-    campaigns: [],
-    message: "Ad campaigns endpoint. Full implementation coming soon.",
-  });
-});
-
-/**
- * POST /advertising/campaigns - Create new ad campaign (Pro only)
- */
-router.post("/campaigns", auth, requireAdvancedAdsAccess, (req, res, next) => {
-  const { name, budget, targetAudience, duration, platformPreferences } = req.body;
-
-  if (!name || !budget || !targetAudience || !duration) {
-    return next(new BadRequestError("Name, budget, target audience, and duration are required"));
-  }
-
-  // TODO: Implement ad campaign creation in database
-  return res.status(201).send({
-    campaign: {
-      id: "campaign_" + Date.now(),
-      userId: req.user._id,
-      name,
-      budget,
-      targetAudience,
-      duration,
-      platformPreferences: platformPreferences || {},
-      status: "active",
-      createdAt: new Date(),
-    },
-    message: "Ad campaign created successfully (Pro feature)",
-  });
-});
-
-/**
- * PATCH /advertising/campaigns/:id - Update ad campaign (Pro only)
- */
-router.patch("/campaigns/:id", auth, requireAdvancedAdsAccess, (req, res, next) => {
-  const { name, budget, targetAudience, status } = req.body;
-
-  if (!name && !budget && !targetAudience && !status) {
-    return next(new BadRequestError("At least one field is required to update"));
-  }
-
-  // TODO: Implement ad campaign update with ownership validation
-  return res.send({
-    campaign: {
-      id: req.params.id,
-      userId: req.user._id,
-      name: name || "Updated Campaign",
-      budget: budget || 100,
-      status: status || "active",
-    },
-    message: "Ad campaign updated successfully (Pro feature)",
-  });
-});
-
-/**
- * GET /advertising/analytics - Get advertising analytics (Pro only)
- */
-router.get("/analytics", auth, requireAdvancedAdsAccess, (req, res, next) => {
-  // TODO: Implement advertising analytics aggregation
-  return res.send({
-    analytics: {
-      totalSpend: 0,
-      totalImpressions: 0,
-      totalClicks: 0,
-      conversionRate: 0,
-      campaigns: [],
-    },
-    message: "Advertising analytics endpoint (Pro feature)",
-  });
-});
-
-/**
- * POST /advertising/targeting - Advanced audience targeting (Pro only)
- */
-router.post("/targeting", auth, requireAdvancedAdsAccess, (req, res, next) => {
-  const { ageRange, locations, interests, behaviors } = req.body;
-
-  if (!locations || locations.length === 0) {
-    return next(new BadRequestError("At least one location is required"));
-  }
-
-  // TODO: Implement advanced targeting persistence and validation
-  return res.status(201).send({
-    targeting: {
-      id: "target_" + Date.now(),
-      ageRange: ageRange || "18-65",
-      locations,
-      interests: interests || [],
-      behaviors: behaviors || [],
-      status: "active",
-    },
-    message: "Advanced targeting profile created (Pro feature)",
-  });
-});
+// ===== AD CAMPAIGNS (Pro Feature) =====
+router.get("/campaigns", auth, requireAdvancedAdsAccess, getCampaigns); // List my campaigns
+router.post("/campaigns", auth, requireAdvancedAdsAccess, createCampaign); // Create campaign
+router.get("/campaigns/:id", auth, requireAdvancedAdsAccess, getCampaignById); // Campaign + ads
+router.patch("/campaigns/:id", auth, requireAdvancedAdsAccess, updateCampaign); // Update (owner only)
+router.get("/analytics", auth, requireAdvancedAdsAccess, getAdvertisingAnalytics); // Real ad analytics
+router.get("/targeting", auth, requireAdvancedAdsAccess, getTargetingProfiles); // My targeting profiles
+router.post("/targeting", auth, requireAdvancedAdsAccess, createTargetingProfile); // Save targeting profile
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const auth = require("../middlewares/auth");
 const agentAssignment = require("../controllers/agentAssignment");
 const agentAdmin = require("../controllers/agentAdmin");
+const agentDesk = require("../controllers/agentDesk");
 
 /**
  * Agent Assignment & Support Routes
@@ -84,6 +85,93 @@ router.post("/close", auth, agentAssignment.closeConversation);
  */
 router.patch("/status", auth, agentAssignment.updateAgentStatus);
 
+/**
+ * @route   GET /api/agents/conversation/:conversationId/sla
+ * @desc    Get SLA deadlines and state of a support conversation
+ * @access  Private (Assigned agent, Supervisor, Admin)
+ */
+router.get("/conversation/:conversationId/sla", auth, agentDesk.getConversationSla);
+
+// ==================== CANNED RESPONSES ====================
+
+/**
+ * @route   GET /api/agents/canned-responses
+ * @desc    Get canned responses (own department and shared by default)
+ * @access  Private (Agents only)
+ * @query   { department, q, tag, includeInactive }
+ */
+router.get("/canned-responses", auth, agentDesk.getCannedResponses);
+
+/**
+ * @route   POST /api/agents/canned-responses
+ * @desc    Create a canned response
+ * @access  Private (Admin/Supervisor only)
+ * @body    { title, shortcut, body, department, tags }
+ */
+router.post("/canned-responses", auth, agentDesk.createCannedResponse);
+
+/**
+ * @route   PATCH /api/agents/canned-responses/:responseId
+ * @desc    Update a canned response
+ * @access  Private (Admin/Supervisor only)
+ * @body    { title, shortcut, body, department, tags, isActive }
+ */
+router.patch("/canned-responses/:responseId", auth, agentDesk.updateCannedResponse);
+
+/**
+ * @route   DELETE /api/agents/canned-responses/:responseId
+ * @desc    Delete a canned response
+ * @access  Private (Admin/Supervisor only)
+ */
+router.delete("/canned-responses/:responseId", auth, agentDesk.deleteCannedResponse);
+
+/**
+ * @route   POST /api/agents/canned-responses/:responseId/render
+ * @desc    Fill a canned response's variables ({{userName}}, {{listingTitle}}, ...)
+ * @access  Private (Agents only)
+ * @body    { conversationId, listingId }
+ */
+router.post("/canned-responses/:responseId/render", auth, agentDesk.renderCannedResponse);
+
+// ==================== ADMIN/SUPERVISOR ENDPOINTS ====================
+
+/**
+ * @route   GET /api/agents/sla/overview
+ * @desc    Get open, at-risk and breached support conversations
+ * @access  Private (Admin/Supervisor only)
+ * @query   { department }
+ */
+router.get("/sla/overview", auth, agentDesk.getSlaDashboard);
+
+/**
+ * @route   GET /api/agents/sla/policies
+ * @desc    Get SLA policies
+ * @access  Private (Admin/Supervisor only)
+ */
+router.get("/sla/policies", auth, agentDesk.getSlaPolicies);
+
+/**
+ * @route   POST /api/agents/sla/policies
+ * @desc    Create an SLA policy for a department/priority (null = any)
+ * @access  Private (Admin only)
+ * @body    { name, department, priority, firstResponseMinutes, resolutionMinutes, escalateTo }
+ */
+router.post("/sla/policies", auth, agentDesk.createSlaPolicy);
+
+/**
+ * @route   PATCH /api/agents/sla/policies/:policyId
+ * @desc    Update an SLA policy
+ * @access  Private (Admin only)
+ */
+router.patch("/sla/policies/:policyId", auth, agentDesk.updateSlaPolicy);
+
+/**
+ * @route   DELETE /api/agents/sla/policies/:policyId
+ * @desc    Delete an SLA policy
+ * @access  Private (Admin only)
+ */
+router.delete("/sla/policies/:policyId", auth, agentDesk.deleteSlaPolicy);
+
 // ==================== ADMIN/SUPERVISOR ENDPOINTS ====================
 
 /**
@@ -1,9 +1,21 @@
-const router = require('express').Router();
-const { chatQuery, getQuickActions, healthCheck } = require('../controllers/aiSupport');
+const router = require("express").Router();
+const auth = require("../middlewares/auth");
+const optionalAuth = require("../middlewares/optionalAuth");
+const {
+  chatQuery,
+  getSession,
+  requestHandoff,
+  getQuickActions,
+  healthCheck,
+} = require("../controllers/aiSupport");
 
-// Public routes - no authentication required
-router.post('/chat', chatQuery);
-router.get('/suggestions', getQuickActions);
-router.get('/health', healthCheck);
+// Public routes - signed-in users get answers about their own account
+router.post("/chat", optionalAuth, chatQuery);
+router.get("/sessions/:sessionId", optionalAuth, getSession);
+router.get("/suggestions", getQuickActions);
+router.get("/health", healthCheck);
+
+// Handing a chat to a human agent needs an account to open the support conversation
+router.post("/sessions/:sessionId/handoff", auth, requestHandoff);
 
 module.exports = router;
@@ -1,116 +1,95 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Listing = require("../models/Listing");
 const ContactMessage = require("../models/ContactMessage");
 const auth = require("../middlewares/auth");
 const { requireAnalyticsAccess } = require("../middlewares/tierCheck");
+const { BadRequestError, NotFoundError, ForbiddenError } = require("../utils/errors");
+const {
+  EVENT_FIELDS,
+  getListingStats,
+  countUniqueVisitors,
+  toDateKey,
+  addDays,
+} = require("../utils/listingAnalytics");
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(auth);
 
+// Chart buckets per range: daily up to 30 days, then weekly / monthly
+const RANGES = {
+  "7d": { days: 7, bucket: "day" },
+  "30d": { days: 30, bucket: "day" },
+  "90d": { days: 90, bucket: "week" },
+  "1y": { days: 365, bucket: "month" },
+};
+const COUNT_FIELDS = Object.values(EVENT_FIELDS);
+
+const chartColors = [
+  "#FF6384",
+  "#36A2EB",
+  "#FFCE56",
+  "#4BC0C0",
+  "#9966FF",
+  "#FF9F40",
+  "#FF6384",
+  "#C9CBCF",
+];
+
 /**
  * Get user analytics
  * GET /analytics?range=7d|30d|90d|1y
  * Requires Starter tier or higher
+ * Counts are for the selected period; growth compares with the period of equal length before it
+ * (null when that period has no data).
  */
 router.get("/", requireAnalyticsAccess, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { range = "30d" } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate, previousStartDate;
-
-    switch (range) {
-      case "7d":
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        previousStartDate = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
-        break;
-      case "90d":
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        previousStartDate = new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000);
-        break;
-      case "1y":
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        previousStartDate = new Date(now.getTime() - 730 * 24 * 60 * 60 * 1000);
-        break;
-      case "30d":
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        previousStartDate = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
-    }
-
-    // Get all listings for the user
-    const listings = await Listing.find({
-      owner: userId,
-      status: "active",
-    }).sort({ createdAt: -1 });
-
-    // Calculate overview metrics
-    const totalListings = listings.length;
-    const totalViews = listings.reduce((sum, l) => sum + (l.views || 0), 0);
-
-    // Get actual contact messages for this user (business owner)
-    const contactMessages = await ContactMessage.find({
-      businessOwner: userId,
-    }).select("status replies createdAt listing");
-
-    const totalContacts = contactMessages.length;
-    const repliedContacts = contactMessages.filter((msg) => msg.status === "replied").length;
-
-    // Debug logging
-    console.log("📊 Analytics Debug:");
-    console.log("  userId:", userId);
-    console.log("  totalContacts:", totalContacts);
-    console.log("  repliedContacts:", repliedContacts);
-    console.log(
-      "  Message statuses:",
-      contactMessages.map((m) => m.status)
-    );
-
-  const conversionRate = totalViews > 0 ? ((totalContacts / totalViews) * 100).toFixed(2) : 0;
-
-    // Get previous period data for comparison
-    const previousListings = await Listing.find({
-      owner: userId,
-      status: "active",
-      createdAt: { $gte: previousStartDate, $lt: startDate },
-    });
-
-    const previousViews = previousListings.reduce((sum, l) => sum + (l.views || 0), 0);
-    const viewsGrowth =
-      previousViews > 0 ? (((totalViews - previousViews) / previousViews) * 100).toFixed(1) : 0;
-
-    // Generate views over time data (4 weeks)
-  const viewsOverTime = generateTimeSeriesData(listings, range);
-  const contactsOverTime = generateContactsDataFromMessages(contactMessages, range);
-
-    // Get top 3 performing listings
-    // Build contacts map per listing from messages
-    const contactsByListing = contactMessages.reduce((acc, msg) => {
-      if (msg.listing) {
-        const key = String(msg.listing);
-        acc[key] = (acc[key] || 0) + 1;
-      }
+    const range = RANGES[req.query.range] ? req.query.range : "30d";
+    const period = getPeriods(range);
+
+    const [listings, rows, previousRows, repliedContacts] = await Promise.all([
+      Listing.find({ owner: userId, status: "active" }).sort({ createdAt: -1 }),
+      getListingStats({ owner: userId, from: period.from, to: period.to }),
+      getListingStats({ owner: userId, from: period.previousFrom, to: period.previousTo }),
+      ContactMessage.countDocuments({
+        businessOwner: userId,
+        status: "replied",
+        createdAt: { $gte: new Date(`${period.from}T00:00:00.000Z`) },
+      }),
+    ]);
+
+    const totals = sumRows(rows);
+    const previousTotals = sumRows(previousRows);
+    const viewsGrowth = getGrowth(totals.views, previousTotals.views);
+    const buckets = buildBuckets(period.from, period.to, RANGES[range].bucket);
+
+    // Per-listing totals for the period
+    const rowsByListing = rows.reduce((acc, row) => {
+      const key = String(row.listing);
+      acc[key] = acc[key] || [];
+      acc[key].push(row);
       return acc;
     }, {});
-
-    const topPerformers = listings
+    const listingStats = listings
       .map((listing) => {
-        const contacts = contactsByListing[String(listing._id)] || listing.contacts || 0;
+        const listingTotals = sumRows(rowsByListing[String(listing._id)] || []);
         return {
           id: listing._id,
           title: listing.title,
-          views: listing.views || 0,
-          contacts,
-          conversionRate: listing.views > 0 ? ((contacts / listing.views) * 100).toFixed(2) : 0,
+          views: listingTotals.views,
+          contacts: listingTotals.contacts,
+          conversionRate: getRate(listingTotals.contacts, listingTotals.views),
+          funnel: buildFunnel(listingTotals),
           featured: !!listing.featured,
         };
       })
-      .sort((a, b) => b.views - a.views)
-      .slice(0, 3);
+      .sort((a, b) => b.views - a.views);
+    const topPerformers = listingStats.slice(0, 3);
+    const listingPerformance = listingStats.slice(0, 5);
 
     // Category breakdown
     const categoryStats = {};
@@ -128,53 +107,42 @@ router.get("/", requireAnalyticsAccess, async (req, res, next) => {
       }))
       .sort((a, b) => b.count - a.count);
 
-    // Listing performance (bar chart data)
-    const listingPerformance = listings.slice(0, 5).map((l) => ({
-      title: l.title,
-      views: l.views || 0,
-    }));
+    const trafficSources = mergeCounts(rows, "sources");
+    const countries = mergeCounts(rows, "countries").slice(0, 10);
 
     // Generate insights
     const insights = generateInsights({
       userId,
-      totalViews,
-      previousViews,
+      totalViews: totals.views,
+      previousViews: previousTotals.views,
       viewsGrowth,
-      totalContacts,
+      totalContacts: totals.contacts,
       listings,
       topPerformers,
     });
 
-    // Format chart data
-    const chartColors = [
-      "#FF6384",
-      "#36A2EB",
-      "#FFCE56",
-      "#4BC0C0",
-      "#9966FF",
-      "#FF9F40",
-      "#FF6384",
-      "#C9CBCF",
-    ];
-
     res.json({
       overview: {
-        totalListings,
-        totalViews,
-        totalContacts,
+        totalListings: listings.length,
+        totalViews: totals.views,
+        uniqueVisitors: totals.uniqueVisitors,
+        totalContacts: totals.contacts,
         repliedContacts,
-        conversionRate: parseFloat(conversionRate),
+        conversionRate: getRate(totals.contacts, totals.views),
+        lifetimeViews: listings.reduce((sum, l) => sum + (l.views || 0), 0),
       },
       growth: {
-        viewsGrowth: parseFloat(viewsGrowth),
-        previousViews,
+        viewsGrowth,
+        previousViews: previousTotals.views,
+        contactsGrowth: getGrowth(totals.contacts, previousTotals.contacts),
+        previousContacts: previousTotals.contacts,
       },
       viewsOverTime: {
-        labels: viewsOverTime.labels,
+        labels: buckets.map((b) => b.label),
         datasets: [
           {
             label: "Views",
-            data: viewsOverTime.data,
+            data: bucketSeries(rows, buckets, "views"),
             borderColor: "#3b82f6",
             backgroundColor: "rgba(59, 130, 246, 0.1)",
             tension: 0.4,
@@ -183,17 +151,18 @@ router.get("/", requireAnalyticsAccess, async (req, res, next) => {
         ],
       },
       contactsOverTime: {
-        labels: contactsOverTime.labels,
+        labels: buckets.map((b) => b.label),
         datasets: [
           {
             label: "Contacts",
-            data: contactsOverTime.data,
+            data: bucketSeries(rows, buckets, "contacts"),
             backgroundColor: "#10b981",
             borderColor: "#059669",
             tension: 0.4,
           },
         ],
       },
+      engagementOverTime: buildEngagementChart(rows, buckets),
       listingPerformance: {
         labels: listingPerformance.map((l) => l.title.substring(0, 15)),
         datasets: [
@@ -213,6 +182,9 @@ router.get("/", requireAnalyticsAccess, async (req, res, next) => {
           },
         ],
       },
+      trafficSources: buildBreakdownChart(trafficSources),
+      countries: buildBreakdownChart(countries),
+      funnel: buildFunnel(totals),
       topPerformers,
       insights,
       timeRange: range,
@@ -224,95 +196,226 @@ router.get("/", requireAnalyticsAccess, async (req, res, next) => {
 });
 
 /**
- * Helper: Generate time series data
+ * Analytics for one listing
+ * GET /analytics/listings/:listingId?range=7d|30d|90d|1y
+ * Listing owner (Starter tier or higher) or admin
  */
-function generateTimeSeriesData(listings, range) {
-  const now = new Date();
-  const periods = [];
-  const data = [];
-
-  let weeksBack = 4;
-  if (range === "90d") weeksBack = 12;
-  if (range === "1y") weeksBack = 52;
-
-  for (let i = weeksBack; i > 0; i--) {
-    const weekStart = new Date(now.getTime() - i * 7 * 24 * 60 * 60 * 1000);
-    const weekEnd = new Date(weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
-
-    periods.push(`Week ${weeksBack - i + 1}`);
-
-    // Sum views for listings created in this period
-    // For now, we'll distribute based on listing creation
-    const periodViews =
-      listings
-        .filter((l) => new Date(l.createdAt) < weekEnd)
-        .reduce((sum, l) => {
-          // Simulate distributed views
-          return sum + Math.floor((l.views || 0) / weeksBack);
-        }, 0) + Math.floor(Math.random() * 50); // Add some variance
-
-    data.push(Math.max(100, periodViews));
+router.get("/listings/:listingId", requireAnalyticsAccess, async (req, res, next) => {
+  try {
+    const { listingId } = req.params;
+    if (!mongoose.isValidObjectId(listingId)) {
+      throw new BadRequestError("Invalid listing ID");
+    }
+
+    const listing = await Listing.findById(listingId).select("owner title status views").lean();
+    if (!listing || listing.status === "deleted") {
+      throw new NotFoundError("Listing not found");
+    }
+    if (String(listing.owner) !== String(req.user._id) && req.user.role !== "admin") {
+      throw new ForbiddenError("You can only view analytics for your own listings");
+    }
+
+    const range = RANGES[req.query.range] ? req.query.range : "30d";
+    const period = getPeriods(range);
+    const [rows, previousRows] = await Promise.all([
+      getListingStats({ listingIds: [listingId], from: period.from, to: period.to }),
+      getListingStats({
+        listingIds: [listingId],
+        from: period.previousFrom,
+        to: period.previousTo,
+      }),
+    ]);
+
+    const totals = sumRows(rows);
+    const previousTotals = sumRows(previousRows);
+    const buckets = buildBuckets(period.from, period.to, RANGES[range].bucket);
+
+    res.json({
+      listing: {
+        id: listing._id,
+        title: listing.title,
+        status: listing.status,
+        lifetimeViews: listing.views || 0,
+      },
+      overview: {
+        ...totals,
+        conversionRate: getRate(totals.contacts, totals.views),
+      },
+      growth: {
+        viewsGrowth: getGrowth(totals.views, previousTotals.views),
+        previousViews: previousTotals.views,
+        contactsGrowth: getGrowth(totals.contacts, previousTotals.contacts),
+        previousContacts: previousTotals.contacts,
+      },
+      viewsOverTime: {
+        labels: buckets.map((b) => b.label),
+        datasets: [
+          {
+            label: "Views",
+            data: bucketSeries(rows, buckets, "views"),
+            borderColor: "#3b82f6",
+            backgroundColor: "rgba(59, 130, 246, 0.1)",
+            tension: 0.4,
+            fill: true,
+          },
+          {
+            label: "Unique visitors",
+            data: bucketSeries(rows, buckets, "uniqueVisitors"),
+            borderColor: "#9966FF",
+            tension: 0.4,
+          },
+          {
+            label: "Contacts",
+            data: bucketSeries(rows, buckets, "contacts"),
+            borderColor: "#059669",
+            tension: 0.4,
+          },
+        ],
+      },
+      engagementOverTime: buildEngagementChart(rows, buckets),
+      trafficSources: buildBreakdownChart(mergeCounts(rows, "sources")),
+      countries: buildBreakdownChart(mergeCounts(rows, "countries").slice(0, 10)),
+      funnel: buildFunnel(totals),
+      timeRange: range,
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  return { labels: periods, data };
+/**
+ * Helper: Current and previous period as inclusive UTC dates (YYYY-MM-DD)
+ */
+function getPeriods(range, now = new Date()) {
+  const { days } = RANGES[range];
+  const to = toDateKey(now);
+  const from = addDays(to, -(days - 1));
+  const previousTo = addDays(from, -1);
+  return { from, to, previousFrom: addDays(previousTo, -(days - 1)), previousTo };
 }
 
 /**
- * Helper: Generate contacts data
+ * Helper: Chart buckets between two dates
  */
-function generateContactsData(listings, range) {
-  const now = new Date();
-  const periods = [];
-  const data = [];
-
-  let weeksBack = 4;
-  if (range === "90d") weeksBack = 12;
-  if (range === "1y") weeksBack = 52;
-
-  for (let i = weeksBack; i > 0; i--) {
-    const weekStart = new Date(now.getTime() - i * 7 * 24 * 60 * 60 * 1000);
-    const weekEnd = new Date(weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
-
-    periods.push(`Week ${weeksBack - i + 1}`);
-
-    // Sum contacts for listings
-    const periodContacts =
-      listings
-        .filter((l) => new Date(l.createdAt) < weekEnd)
-        .reduce((sum, l) => {
-          return sum + Math.floor((l.contacts || 0) / weeksBack);
-        }, 0) + Math.floor(Math.random() * 5);
-
-    data.push(Math.max(0, periodContacts));
+function buildBuckets(from, to, bucket) {
+  const buckets = [];
+  let start = from;
+  while (start <= to) {
+    let end;
+    let label;
+    const startDate = new Date(`${start}T00:00:00.000Z`);
+    if (bucket === "month") {
+      const nextMonth = new Date(
+        Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + 1, 1)
+      );
+      end = addDays(toDateKey(nextMonth), -1);
+      label = startDate.toLocaleDateString("en-US", {
+        month: "short",
+        year: "numeric",
+        timeZone: "UTC",
+      });
+    } else {
+      end = bucket === "week" ? addDays(start, 6) : start;
+      label = startDate.toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+      });
+    }
+    buckets.push({ start, end: end < to ? end : to, label });
+    start = addDays(end, 1);
   }
+  return buckets;
+}
 
-  return { labels: periods, data };
+function bucketSeries(rows, buckets, field) {
+  return buckets.map((bucket) => {
+    const bucketRows = rows.filter((row) => row.date >= bucket.start && row.date <= bucket.end);
+    if (field === "uniqueVisitors") return countUniqueVisitors(bucketRows);
+    return bucketRows.reduce((sum, row) => sum + (row[field] || 0), 0);
+  });
+}
+
+// Event counts add up across rows; unique visitors are counted once over all of them
+function sumRows(rows) {
+  const totals = rows.reduce(
+    (acc, row) => {
+      COUNT_FIELDS.forEach((field) => {
+        acc[field] += row[field] || 0;
+      });
+      return acc;
+    },
+    Object.fromEntries(COUNT_FIELDS.map((field) => [field, 0]))
+  );
+  totals.uniqueVisitors = countUniqueVisitors(rows);
+  return totals;
+}
+
+// { search: 3 } maps across rows -> [{ name: "search", count: 3 }], largest first
+function mergeCounts(rows, key) {
+  const counts = {};
+  rows.forEach((row) => {
+    Object.entries(row[key] || {}).forEach(([name, count]) => {
+      counts[name] = (counts[name] || 0) + count;
+    });
+  });
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function getRate(count, total) {
+  return total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0;
+}
+
+function getGrowth(current, previous) {
+  return previous > 0 ? parseFloat((((current - previous) / previous) * 100).toFixed(1)) : null;
 }
 
 /**
- * Helper: Generate contacts data from actual messages
+ * Helper: Views -> engagement (website clicks, phone reveals, likes, follows) -> contacts
  */
-function generateContactsDataFromMessages(messages, range) {
-  const now = new Date();
-  const periods = [];
-  const data = [];
-
-  let weeksBack = 4;
-  if (range === "90d") weeksBack = 12;
-  if (range === "1y") weeksBack = 52;
-
-  for (let i = weeksBack; i > 0; i--) {
-    const periodStart = new Date(now.getTime() - i * 7 * 24 * 60 * 60 * 1000);
-    const periodEnd = new Date(periodStart.getTime() + 7 * 24 * 60 * 60 * 1000);
-    periods.push(`Week ${weeksBack - i + 1}`);
-
-    const count = messages.filter(
-      (m) => new Date(m.createdAt) >= periodStart && new Date(m.createdAt) < periodEnd
-    ).length;
-    data.push(count);
-  }
+function buildFunnel(totals) {
+  const engaged = totals.websiteClicks + totals.phoneReveals + totals.likes + totals.follows;
+  return {
+    stages: [
+      { stage: "views", count: totals.views },
+      { stage: "engaged", count: engaged },
+      { stage: "contacts", count: totals.contacts },
+    ],
+    viewToEngagementRate: getRate(engaged, totals.views),
+    engagementToContactRate: getRate(totals.contacts, engaged),
+    viewToContactRate: getRate(totals.contacts, totals.views),
+  };
+}
 
-  return { labels: periods, data };
+function buildEngagementChart(rows, buckets) {
+  const series = [
+    ["Website clicks", "websiteClicks"],
+    ["Phone reveals", "phoneReveals"],
+    ["Likes", "likes"],
+    ["Follows", "follows"],
+  ];
+  return {
+    labels: buckets.map((b) => b.label),
+    datasets: series.map(([label, field], index) => ({
+      label,
+      data: bucketSeries(rows, buckets, field),
+      backgroundColor: chartColors[index],
+    })),
+  };
+}
+
+function buildBreakdownChart(entries) {
+  return {
+    labels: entries.map((entry) => entry.name),
+    datasets: [
+      {
+        data: entries.map((entry) => entry.count),
+        backgroundColor: entries.map((_, index) => chartColors[index % chartColors.length]),
+      },
+    ],
+  };
 }
 
 /**
@@ -11,6 +11,7 @@ const {
   deleteDebateEvent,
   controlDebateEvent,
   registerForDebate,
+  verifyDebateRaffle,
   voteInDebate,
   markDebateParticipantReady,
   scoreDebateParticipant,
@@ -25,6 +26,7 @@ const router = express.Router();
 
 router.get("/event", optionalAuth, getDebateEvent);
 router.post("/register", auth, registerForDebate);
+router.get("/events/:eventId/verify-raffle", verifyDebateRaffle);
 router.post("/vote", auth, voteInDebate);
 router.post("/ready", auth, markDebateParticipantReady);
 router.get("/admin/events", auth, getDebateEvents);
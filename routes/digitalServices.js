@@ -16,16 +16,37 @@ const {
   listGiftCards,
   purchaseGiftCard,
   listTransactions,
+  getWalletFxQuote,
+  convertWalletCurrency,
+  listWalletConversions,
+  listScheduledTopups,
+  getScheduledTopup,
+  createScheduledTopup,
+  updateScheduledTopup,
+  cancelScheduledTopup,
   getServiceAgentDashboard,
   requestServiceAgentAccess,
+  requestServiceAgentPayout,
+  listServiceAgentPayouts,
+  cancelServiceAgentPayout,
+  getServiceAgentStatement,
   listPendingServiceAgentRequests,
   listAdminServiceAgents,
   listAdminTransactions,
   adminResolveTransaction,
+  adminReconcileTransaction,
+  adminListReconciliationReports,
+  adminGenerateReconciliationReport,
+  adminListExchangeRateHistory,
   adminDeleteTransactionEntry,
   adminSetServiceAgent,
   adminRemoveServiceAgentFromMonitor,
   adminAdjustServiceAgentWallet,
+  adminGetServiceAgentStatement,
+  adminListServiceAgentPayouts,
+  adminApproveServiceAgentPayout,
+  adminRejectServiceAgentPayout,
+  adminRefreshServiceAgentPayout,
   adminCreditWallet,
   adminWithdrawRevenue,
 } = require("../controllers/digitalServices");
@@ -38,6 +59,19 @@ const purchaseLimiters = [
 ];
 
 router.get("/digital-services/wallet", digitalServicesReadLimiter, auth, getWallet);
+router.get(
+  "/digital-services/wallet/convert/quote",
+  digitalServicesReadLimiter,
+  auth,
+  getWalletFxQuote
+);
+router.post("/digital-services/wallet/convert", purchaseLimiters, convertWalletCurrency);
+router.get(
+  "/digital-services/wallet/conversions",
+  digitalServicesReadLimiter,
+  auth,
+  listWalletConversions
+);
 
 router.get("/airtime/countries", digitalServicesReadLimiter, listAirtimeCountries);
 router.get("/airtime/operators/:country", digitalServicesReadLimiter, listAirtimeOperators);
@@ -50,6 +84,25 @@ router.get("/gift-cards/products", digitalServicesReadLimiter, listGiftCards);
 router.post("/gift-cards/purchase", purchaseLimiters, purchaseGiftCard);
 
 router.get("/digital-services/transactions", digitalServicesReadLimiter, auth, listTransactions);
+router.get(
+  "/digital-services/scheduled-topups",
+  digitalServicesReadLimiter,
+  auth,
+  listScheduledTopups
+);
+router.get(
+  "/digital-services/scheduled-topups/:topupId",
+  digitalServicesReadLimiter,
+  auth,
+  getScheduledTopup
+);
+router.post("/digital-services/scheduled-topups", purchaseLimiters, createScheduledTopup);
+router.patch("/digital-services/scheduled-topups/:topupId", purchaseLimiters, updateScheduledTopup);
+router.delete(
+  "/digital-services/scheduled-topups/:topupId",
+  purchaseLimiters,
+  cancelScheduledTopup
+);
 router.post(
   "/digital-services/agent/apply",
   digitalServicesPurchaseIpLimiter,
@@ -63,6 +116,24 @@ router.get(
   auth,
   getServiceAgentDashboard
 );
+router.get(
+  "/digital-services/agent/payouts",
+  digitalServicesReadLimiter,
+  auth,
+  listServiceAgentPayouts
+);
+router.post("/digital-services/agent/payouts", purchaseLimiters, requestServiceAgentPayout);
+router.delete(
+  "/digital-services/agent/payouts/:payoutId",
+  purchaseLimiters,
+  cancelServiceAgentPayout
+);
+router.get(
+  "/digital-services/agent/statements",
+  digitalServicesReadLimiter,
+  auth,
+  getServiceAgentStatement
+);
 router.get(
   "/admin/digital-services/transactions",
   digitalServicesReadLimiter,
@@ -84,6 +155,44 @@ router.get(
   adminAuth,
   listAdminServiceAgents
 );
+router.get(
+  "/admin/digital-services/agents/payouts",
+  digitalServicesReadLimiter,
+  auth,
+  adminAuth,
+  adminListServiceAgentPayouts
+);
+router.post(
+  "/admin/digital-services/agents/payouts/:payoutId/approve",
+  digitalServicesPurchaseIpLimiter,
+  auth,
+  digitalServicesPurchaseUserLimiter,
+  adminAuth,
+  adminApproveServiceAgentPayout
+);
+router.post(
+  "/admin/digital-services/agents/payouts/:payoutId/reject",
+  digitalServicesPurchaseIpLimiter,
+  auth,
+  digitalServicesPurchaseUserLimiter,
+  adminAuth,
+  adminRejectServiceAgentPayout
+);
+router.post(
+  "/admin/digital-services/agents/payouts/:payoutId/refresh",
+  digitalServicesPurchaseIpLimiter,
+  auth,
+  digitalServicesPurchaseUserLimiter,
+  adminAuth,
+  adminRefreshServiceAgentPayout
+);
+router.get(
+  "/admin/digital-services/agents/:userId/statements",
+  digitalServicesReadLimiter,
+  auth,
+  adminAuth,
+  adminGetServiceAgentStatement
+);
 router.post(
   "/admin/digital-services/transactions/:transactionId/resolve",
   digitalServicesPurchaseIpLimiter,
@@ -92,6 +201,36 @@ router.post(
   adminAuth,
   adminResolveTransaction
 );
+router.post(
+  "/admin/digital-services/transactions/:transactionId/reconcile",
+  digitalServicesPurchaseIpLimiter,
+  auth,
+  digitalServicesPurchaseUserLimiter,
+  adminAuth,
+  adminReconcileTransaction
+);
+router.get(
+  "/admin/digital-services/reconciliation/reports",
+  digitalServicesReadLimiter,
+  auth,
+  adminAuth,
+  adminListReconciliationReports
+);
+router.post(
+  "/admin/digital-services/reconciliation/reports",
+  digitalServicesPurchaseIpLimiter,
+  auth,
+  digitalServicesPurchaseUserLimiter,
+  adminAuth,
+  adminGenerateReconciliationReport
+);
+router.get(
+  "/admin/digital-services/fx/rates",
+  digitalServicesReadLimiter,
+  auth,
+  adminAuth,
+  adminListExchangeRateHistory
+);
 router.delete(
   "/admin/digital-services/transactions/:entryType/:entryId",
   digitalServicesPurchaseIpLimiter,
@@ -3,6 +3,7 @@ const { celebrate, Joi } = require("celebrate");
 const {
   getAllPosts,
   getPostById,
+  getPostReplies,
   incrementPostView,
   createPost,
   updatePost,
@@ -12,15 +13,32 @@ const {
   toggleLike,
   getMyPosts,
   getUserPostStats,
+  subscribeToPost,
+  unsubscribeFromPost,
+  getMySubscriptions,
+  acceptAnswer,
+  unacceptAnswer,
+  getForumNotifications,
+  markForumNotificationsRead,
   getForumUnreadCount,
   markForumAsSeen,
 } = require("../controllers/forum");
+const {
+  reportPost,
+  reportReply,
+  getModerationQueue,
+  resolveReports,
+} = require("../controllers/forumModeration");
 const auth = require("../middlewares/auth");
+const optionalAuth = require("../middlewares/optionalAuth");
 const { FORUM_CATEGORIES, FORUM_CATEGORY_IDS } = require("../utils/forumCategories");
 
 const router = express.Router();
 
 // Validation schemas
+// Users picked from the @mention autocomplete; only names that appear in the text notify
+const mentionsSchema = Joi.array().items(Joi.string().hex().length(24)).max(10);
+
 const createPostValidation = celebrate({
   body: Joi.object().keys({
     title: Joi.string().trim().min(3).max(150).required(),
@@ -29,6 +47,7 @@ const createPostValidation = celebrate({
       .valid(...FORUM_CATEGORY_IDS)
       .required(),
     tags: Joi.array().items(Joi.string().trim().max(30)).max(10),
+    mentions: mentionsSchema,
   }),
 });
 
@@ -47,6 +66,32 @@ const updatePostValidation = celebrate({
 const addReplyValidation = celebrate({
   body: Joi.object().keys({
     content: Joi.string().trim().min(5).max(2000).required(),
+    // Reply being answered; omit to reply to the post itself
+    parentReplyId: Joi.string().hex().length(24),
+    mentions: mentionsSchema,
+  }),
+});
+
+const repliesQueryValidation = celebrate({
+  query: Joi.object().keys({
+    sort: Joi.string().valid("oldest", "newest", "top").default("oldest"),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+});
+
+const paginationValidation = celebrate({
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    unreadOnly: Joi.string().valid("true", "false"),
+  }),
+});
+
+const markNotificationsReadValidation = celebrate({
+  body: Joi.object().keys({
+    // Omit to mark every forum notification as read
+    notificationIds: Joi.array().items(Joi.string().hex().length(24)).max(100),
   }),
 });
 
@@ -63,6 +108,33 @@ const deleteReplyValidation = celebrate({
   }),
 });
 
+const reportValidation = celebrate({
+  body: Joi.object().keys({
+    reason: Joi.string()
+      .valid("spam", "inappropriate", "harassment", "off-topic", "duplicate", "other")
+      .required(),
+    description: Joi.string().trim().max(500).allow(""),
+  }),
+});
+
+const resolveReportsValidation = celebrate({
+  body: Joi.object().keys({
+    action: Joi.string().valid("remove", "dismiss").required(),
+    note: Joi.string().trim().max(500).allow(""),
+    // Removing content gives the author a strike unless this is false
+    strike: Joi.boolean().default(true),
+  }),
+});
+
+const moderationQueueValidation = celebrate({
+  query: Joi.object().keys({
+    type: Joi.string().valid("all", "post", "reply").default("all"),
+    hiddenOnly: Joi.string().valid("true", "false"),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+});
+
 const queryValidation = celebrate({
   query: Joi.object().keys({
     category: Joi.string()
@@ -77,8 +149,15 @@ const queryValidation = celebrate({
 });
 
 // Public routes
-router.get("/posts", queryValidation, getAllPosts);
-router.get("/posts/:id", postIdValidation, getPostById);
+router.get("/posts", optionalAuth, queryValidation, getAllPosts);
+router.get("/posts/:id", optionalAuth, postIdValidation, getPostById);
+router.get(
+  "/posts/:id/replies",
+  optionalAuth,
+  postIdValidation,
+  repliesQueryValidation,
+  getPostReplies
+);
 router.post("/posts/:id/view", postIdValidation, incrementPostView);
 router.get("/categories", (req, res) => {
   res.json({ categories: FORUM_CATEGORIES });
@@ -89,8 +168,11 @@ router.use(auth);
 
 router.get("/my/posts", queryValidation, getMyPosts);
 router.get("/my/post-stats", getUserPostStats);
+router.get("/my/subscriptions", paginationValidation, getMySubscriptions);
+router.get("/notifications", paginationValidation, getForumNotifications);
 router.get("/notifications/unread-count", getForumUnreadCount);
 router.post("/notifications/mark-seen", markForumAsSeen);
+router.post("/notifications/read", markNotificationsReadValidation, markForumNotificationsRead);
 router.post("/posts", createPostValidation, createPost);
 router.patch("/posts/:id", postIdValidation, updatePostValidation, updatePost);
 router.delete("/posts/:id", postIdValidation, deletePost);
@@ -98,4 +180,32 @@ router.post("/posts/:id/replies", postIdValidation, addReplyValidation, addReply
 router.delete("/posts/:id/replies/:replyId", deleteReplyValidation, deleteReply);
 router.post("/posts/:id/like", postIdValidation, toggleLike);
 
+// Thread subscriptions and accepted answers (accept: post author or admin)
+router.post("/posts/:id/subscribe", postIdValidation, subscribeToPost);
+router.delete("/posts/:id/subscribe", postIdValidation, unsubscribeFromPost);
+router.post("/posts/:id/replies/:replyId/accept", deleteReplyValidation, acceptAnswer);
+router.delete("/posts/:id/accepted-answer", postIdValidation, unacceptAnswer);
+
+// Reports and moderation queue (queue and resolve: admin or moderator agent)
+router.post("/posts/:id/report", postIdValidation, reportValidation, reportPost);
+router.post(
+  "/posts/:id/replies/:replyId/report",
+  deleteReplyValidation,
+  reportValidation,
+  reportReply
+);
+router.get("/moderation/queue", moderationQueueValidation, getModerationQueue);
+router.post(
+  "/moderation/posts/:id/resolve",
+  postIdValidation,
+  resolveReportsValidation,
+  resolveReports
+);
+router.post(
+  "/moderation/posts/:id/replies/:replyId/resolve",
+  deleteReplyValidation,
+  resolveReportsValidation,
+  resolveReports
+);
+
 module.exports = router;
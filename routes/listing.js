@@ -13,11 +13,13 @@ const {
   toggleFeatureListing,
   toggleLikeListing,
   toggleFollowListing,
+  trackListingInteraction,
 } = require("../controllers/listing");
 const auth = require("../middlewares/auth");
 const optionalAuth = require("../middlewares/optionalAuth");
 const upload = require("../middlewares/upload");
 const { requireFeatureAccess } = require("../middlewares/tierCheck");
+const { listingEventLimiter } = require("../middlewares/rateLimiter");
 const { BadRequestError } = require("../utils/errors");
 
 const router = express.Router();
@@ -110,6 +112,21 @@ router.post("/", auth, upload.array("mediaFiles", 20), createListingValidation,
 router.post("/:id/upload", auth, upload.single("file"), listingIdValidation, uploadMedia);
 router.post("/:id/like", auth, listingIdValidation, toggleLikeListing);
 router.post("/:id/follow", auth, listingIdValidation, toggleFollowListing);
+router.post(
+  "/:id/events",
+  listingEventLimiter,
+  optionalAuth,
+  listingIdValidation,
+  celebrate({
+    body: Joi.object().keys({
+      type: Joi.string().valid("website-click", "phone-reveal").required(),
+      visitorId: Joi.string().guid({ version: "uuidv4" }).optional(),
+      referrer: Joi.string().trim().max(1000).allow("").optional(),
+      utmMedium: Joi.string().trim().max(40).allow("").optional(),
+    }),
+  }),
+  trackListingInteraction
+);
 router.post(
   "/:id/add-url-media",
   auth,
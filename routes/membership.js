@@ -5,6 +5,9 @@ const {
   getCurrentMembership,
   upgradeMembership,
   captureMembershipPayment,
+  subscribeMembership,
+  confirmMembershipSubscription,
+  paypalSubscriptionWebhook,
   cancelMembership,
   getMembershipBenefits,
   getMembershipStats,
@@ -27,6 +30,18 @@ const capturePaymentValidation = celebrate({
   }),
 });
 
+const confirmSubscriptionValidation = celebrate({
+  body: Joi.object().keys({
+    subscriptionId: Joi.string().max(64).required(),
+  }),
+});
+
+const cancelMembershipValidation = celebrate({
+  body: Joi.object().keys({
+    reason: Joi.string().max(128).allow("", null),
+  }),
+});
+
 const tierValidation = celebrate({
   params: Joi.object().keys({
     tier: Joi.string().valid("Free", "Starter", "Premium", "Pro").required(),
@@ -45,13 +60,18 @@ const adminUpdateTierValidation = celebrate({
 router.get("/tiers", getMembershipTiers);
 router.get("/benefits/:tier", tierValidation, getMembershipBenefits);
 
+// PayPal subscription webhook (server-to-server, verified by signature)
+router.post("/webhook/paypal", paypalSubscriptionWebhook);
+
 // Protected routes (require authentication)
 router.use(auth);
 
 router.get("/current", getCurrentMembership);
 router.post("/upgrade", upgradeMembershipValidation, upgradeMembership);
 router.post("/capture-payment", capturePaymentValidation, captureMembershipPayment);
-router.post("/cancel", cancelMembership);
+router.post("/subscribe", upgradeMembershipValidation, subscribeMembership);
+router.post("/subscription/confirm", confirmSubscriptionValidation, confirmMembershipSubscription);
+router.post("/cancel", cancelMembershipValidation, cancelMembership);
 
 // Admin routes
 router.get("/stats", getMembershipStats); // Admin access check is inside controller
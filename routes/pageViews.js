@@ -8,6 +8,7 @@ const { JWT_SECRET } = require("../utils/config");
 const PageView = require("../models/PageView");
 const RecognizedDevice = require("../models/RecognizedDevice");
 const User = require("../models/User");
+const { DIMENSIONS, getTrafficTrend, getTopTraffic } = require("../utils/pageViewRollups");
 
 const router = express.Router();
 const RETENTION_MS = 24 * 60 * 60 * 1000;
@@ -168,6 +169,81 @@ router.post("/", async (req, res, next) => {
   }
 });
 
+// Parse ?from=&to=&granularity= for the rollup endpoints (default: the last 7 days)
+const MAX_RANGE_MS = 400 * 24 * 60 * 60 * 1000;
+const MAX_HOURLY_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+const parseTrafficRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 7 * RETENTION_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return { error: "from and to must be valid dates with from before to" };
+  }
+  if (to - from > MAX_RANGE_MS) {
+    return { error: "Range cannot exceed 400 days" };
+  }
+  const granularity = query.granularity || (to - from <= 3 * RETENTION_MS ? "hour" : "day");
+  if (!["hour", "day"].includes(granularity)) {
+    return { error: "granularity must be hour or day" };
+  }
+  if (granularity === "hour" && to - from > MAX_HOURLY_RANGE_MS) {
+    return { error: "Hourly data is limited to ranges of 31 days" };
+  }
+  return { from, to, granularity };
+};
+
+// Views and unique visitors over time, from the hourly / daily rollups
+router.get("/admin/trends", auth, adminCheckMiddleware, async (req, res, next) => {
+  try {
+    const range = parseTrafficRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ ok: false, message: range.error });
+    }
+
+    const { series, totals } = await getTrafficTrend(range);
+    res.json({
+      ok: true,
+      from: range.from,
+      to: range.to,
+      granularity: range.granularity,
+      totals,
+      series,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Top paths, countries, devices or referrer hosts over a range
+router.get("/admin/top", auth, adminCheckMiddleware, async (req, res, next) => {
+  try {
+    const range = parseTrafficRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ ok: false, message: range.error });
+    }
+    const dimension = req.query.dimension || "path";
+    if (!DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({
+        ok: false,
+        message: `dimension must be one of: ${DIMENSIONS.join(", ")}`,
+      });
+    }
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) ? Math.min(Math.max(requestedLimit, 1), 100) : 10;
+
+    const items = await getTopTraffic({ ...range, dimension, limit });
+    res.json({
+      ok: true,
+      from: range.from,
+      to: range.to,
+      granularity: range.granularity,
+      dimension,
+      items,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.get("/admin/realtime", auth, adminCheckMiddleware, async (req, res, next) => {
   try {
     await purgeExpiredPageViews();
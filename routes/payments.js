@@ -11,6 +11,8 @@ const {
   getAdminAdvertising,
   deleteDonation,
   deleteAdvertising,
+  refundPayment,
+  updatePaymentDispute,
 } = require("../controllers/universalPayment");
 const auth = require("../middlewares/auth");
 const optionalAuth = require("../middlewares/optionalAuth");
@@ -37,4 +39,10 @@ router.get("/admin/advertising", auth, adminAuth, getAdminAdvertising);
 // Admin: Delete advertising record
 router.delete("/admin/advertising/:id", auth, adminAuth, deleteAdvertising);
 
+// Admin: Refund a payment through PayPal (full or partial) and reverse its effects
+router.post("/admin/:id/refund", auth, adminAuth, refundPayment);
+
+// Admin: Open or resolve a PayPal dispute on a payment
+router.patch("/admin/:id/dispute", auth, adminAuth, updatePaymentDispute);
+
 module.exports = router;
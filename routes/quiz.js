@@ -23,8 +23,18 @@ const {
   contactQuizContestants,
   setQuizQuestion,
   registerContestant,
+  verifyQuizRaffle,
   getAllQuizQuestions,
 } = require("../controllers/quiz");
+const {
+  getQuestionBanks,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  importQuestionBank,
+  exportQuestionBank,
+  setQuizEventQuestionBanks,
+} = require("../controllers/quizQuestionBanks");
 const {
   validateQuizQuestionNumber,
   validateQuizSubmission,
@@ -57,6 +67,7 @@ router.post(
   registerContestant
 );
 router.get("/contestants", getQuizContestants);
+router.get("/events/:eventId/verify-raffle", verifyQuizRaffle);
 
 // Admin-only routes
 router.put("/admin/settings", auth, updateQuizSessionSettings);
@@ -64,6 +75,7 @@ router.get("/admin/events", auth, getQuizEvents);
 router.post("/admin/events", auth, createQuizEvent);
 router.put("/admin/events/:eventId", auth, updateQuizEvent);
 router.post("/admin/events/:eventId/activate", auth, activateQuizEvent);
+router.put("/admin/events/:eventId/question-banks", auth, setQuizEventQuestionBanks);
 router.delete("/admin/events/:eventId", auth, deleteQuizEvent);
 router.post("/admin/raffle", auth, strictLimiter, executeQuizRaffle);
 router.post("/admin/restart", auth, restartQuizSession);
@@ -79,5 +91,11 @@ router.post(
 router.post("/admin/contestants/message", auth, contactQuizContestants);
 router.post("/admin/questions", auth, setQuizQuestion);
 router.get("/admin/questions", auth, getAllQuizQuestions);
+router.get("/admin/question-banks", auth, getQuestionBanks);
+router.post("/admin/question-banks", auth, createQuestionBank);
+router.put("/admin/question-banks/:bankId", auth, updateQuestionBank);
+router.delete("/admin/question-banks/:bankId", auth, deleteQuestionBank);
+router.post("/admin/question-banks/:bankId/import", auth, importQuestionBank);
+router.get("/admin/question-banks/:bankId/export", auth, exportQuestionBank);
 
 module.exports = router;
@@ -1,13 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middlewares/auth');
-const { createReview, getListingReviews, adminListPending, adminSetStatus } = require('../controllers/reviews');
+const {
+  createReview,
+  getListingReviews,
+  respondToReview,
+  deleteReviewResponse,
+  voteReview,
+  adminListPending,
+  adminSetStatus,
+} = require('../controllers/reviews');
 const optionalAuth = require('../middlewares/optionalAuth');
 
 // Listing reviews (optionally includes pending for viewer/owner)
 router.get('/listing/:listingId', optionalAuth, getListingReviews);
 router.post('/listing/:listingId', auth, createReview);
 
+// Owner responses and helpfulness votes
+router.put('/:id/response', auth, respondToReview);
+router.delete('/:id/response', auth, deleteReviewResponse);
+router.post('/:id/vote', auth, voteReview);
+
 // Admin moderation
 router.get('/admin/pending', auth, adminListPending);
 router.patch('/admin/:id', auth, adminSetStatus);
@@ -7,6 +7,8 @@ const {
   executeSavedSearch,
   updateSavedSearch,
   deleteSavedSearch,
+  getSavedSearchAlerts,
+  markSavedSearchAlertsRead,
   getSearchSuggestions,
   getSearchAnalytics,
 } = require("../controllers/search");
@@ -47,8 +49,8 @@ const searchValidation = celebrate({
     ),
     location: Joi.string().trim().max(100),
     tier: Joi.alternatives().try(
-      Joi.string().valid("Free", "Premium", "Pro"),
-      Joi.array().items(Joi.string().valid("Free", "Premium", "Pro"))
+      Joi.string().valid("Free", "Starter", "Premium", "Pro"),
+      Joi.array().items(Joi.string().valid("Free", "Starter", "Premium", "Pro"))
     ),
     priceRange: Joi.object().keys({
       min: Joi.number().min(0),
@@ -100,14 +102,15 @@ const saveSearchValidation = celebrate({
       ),
       location: Joi.string().trim().max(100),
       tier: Joi.alternatives().try(
-        Joi.string().valid("Free", "Premium", "Pro"),
-        Joi.array().items(Joi.string().valid("Free", "Premium", "Pro"))
+        Joi.string().valid("Free", "Starter", "Premium", "Pro"),
+        Joi.array().items(Joi.string().valid("Free", "Starter", "Premium", "Pro"))
       ),
       featured: Joi.boolean(),
     }),
     sortBy: Joi.string().valid("relevance", "date", "views", "tier").default("relevance"),
     sortOrder: Joi.string().valid("asc", "desc").default("desc"),
     notificationEnabled: Joi.boolean().default(false),
+    alertFrequency: Joi.string().valid("immediate", "daily", "weekly", "never"),
   }),
 });
 
@@ -120,6 +123,7 @@ const updateSavedSearchValidation = celebrate({
       sortBy: Joi.string().valid("relevance", "date", "views", "tier"),
       sortOrder: Joi.string().valid("asc", "desc"),
       notificationEnabled: Joi.boolean(),
+      alertFrequency: Joi.string().valid("immediate", "daily", "weekly", "never"),
     })
     .min(1),
 });
@@ -144,6 +148,21 @@ const executeSavedSearchValidation = celebrate({
   }),
 });
 
+const alertsQueryValidation = celebrate({
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    unreadOnly: Joi.string().valid("true", "false"),
+  }),
+});
+
+const markAlertsReadValidation = celebrate({
+  body: Joi.object().keys({
+    // Omit to mark every saved-search alert as read
+    alertIds: Joi.array().items(Joi.string().hex().length(24)).max(100),
+  }),
+});
+
 // Public routes
 router.get("/", searchValidation, searchListings);
 router.get("/suggestions", suggestionsValidation, getSearchSuggestions);
@@ -161,6 +180,8 @@ router.get(
 );
 router.patch("/saved/:id", searchIdValidation, updateSavedSearchValidation, updateSavedSearch);
 router.delete("/saved/:id", searchIdValidation, deleteSavedSearch);
+router.get("/alerts", alertsQueryValidation, getSavedSearchAlerts);
+router.post("/alerts/read", markAlertsReadValidation, markSavedSearchAlertsRead);
 router.get("/analytics", getSearchAnalytics);
 
 module.exports = router;
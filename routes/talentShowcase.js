@@ -12,6 +12,7 @@ const {
   validateContestantRegistration,
   validateContestantUpdate,
   validateVote,
+  validateVoteReview,
   validateShowcaseQuery,
   validateShowcaseId,
   validateContestantId,
@@ -216,6 +217,21 @@ router.get(
   showcaseController.getShowcaseAnalytics
 );
 
+// Vote integrity audit and review of quarantined votes
+router.get(
+  "/admin/:showcaseId/vote-integrity",
+  authenticateToken,
+  requireAdmin,
+  showcaseController.getVoteIntegrityReport
+);
+router.post(
+  "/admin/:showcaseId/votes/review",
+  authenticateToken,
+  requireAdmin,
+  validateVoteReview,
+  showcaseController.reviewShowcaseVotes
+);
+
 // Upload commercial video (Admin only)
 router.post(
   "/admin/:showcaseId/upload-commercial",
@@ -0,0 +1,109 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const SponsorshipRequest = require("../models/SponsorshipRequest");
+const TalentContestant = require("../models/TalentContestant");
+const { MONGO_URL } = require("../utils/config");
+
+// Sponsorships were saved without their paymentOrderId (the field was missing from the schema).
+// Link each one to the showcase Payment its user completed for the same amount and currency
+// shortly before submitting it, skipping payments already used by entry fees or other sponsorships.
+const MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+async function main() {
+  const commit = process.argv.includes("--commit");
+
+  try {
+    await mongoose.connect(MONGO_URL);
+    console.log("Connected to MongoDB");
+
+    const [requests, linkedRequests, contestants] = await Promise.all([
+      SponsorshipRequest.find({ paymentOrderId: null }).sort({ createdAt: 1 }).lean(),
+      SponsorshipRequest.find({ paymentOrderId: { $ne: null } })
+        .select("paymentOrderId")
+        .lean(),
+      TalentContestant.find({ "entryFee.transactionId": { $ne: null } })
+        .select("entryFee.transactionId")
+        .lean(),
+    ]);
+
+    const usedOrderIds = new Set([
+      ...linkedRequests.map((request) => request.paymentOrderId),
+      ...contestants.map((contestant) => contestant.entryFee.transactionId),
+    ]);
+
+    const payments = await Payment.find({
+      paymentType: "showcase",
+      status: { $in: ["completed", "refunded", "disputed"] },
+      user: { $in: [...new Set(requests.map((request) => String(request.user)))] },
+    })
+      .select("orderId user amount status completedAt createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const updates = [];
+    requests.forEach((request) => {
+      const submittedAt = new Date(request.createdAt).getTime();
+      const payment = payments.find((candidate) => {
+        const paidAt = new Date(candidate.completedAt || candidate.createdAt).getTime();
+        return (
+          !usedOrderIds.has(candidate.orderId) &&
+          String(candidate.user) === String(request.user) &&
+          candidate.amount?.currency === (request.currency || "USD") &&
+          Math.abs(Number(candidate.amount?.value || 0) - request.contributionAmount) <= 0.01 &&
+          paidAt <= submittedAt &&
+          submittedAt - paidAt <= MATCH_WINDOW_MS
+        );
+      });
+      if (!payment) {
+        console.log(`No payment found for sponsorship ${request._id}`);
+        return;
+      }
+
+      usedOrderIds.add(payment.orderId);
+      updates.push({
+        requestId: request._id,
+        paymentOrderId: payment.orderId,
+        paymentStatus: payment.status,
+        amount: payment.amount,
+      });
+    });
+
+    updates.forEach((update) => {
+      console.log(JSON.stringify(update, null, 2));
+    });
+
+    if (commit) {
+      await Promise.all(
+        updates.map((update) =>
+          SponsorshipRequest.updateOne(
+            { _id: update.requestId, paymentOrderId: null },
+            {
+              $set: {
+                paymentOrderId: update.paymentOrderId,
+                // Refunded before this link existed, so the refund could not mark it
+                ...(update.paymentStatus === "refunded" ? { status: "refunded" } : {}),
+              },
+            }
+          )
+        )
+      );
+    }
+
+    console.log(
+      `Inspected ${requests.length} sponsorship(s). ${commit ? "Linked" : "Would link"} ${updates.length}.`
+    );
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("Backfill failed:", error);
+    process.exitCode = 1;
+    try {
+      await mongoose.disconnect();
+    } catch {
+      // ignore disconnect failures during process exit
+    }
+  }
+}
+
+main();
@@ -6,14 +6,8 @@ const {
   getPublicBaseUrl,
   deleteObject,
 } = require("./gcs");
-
-function parseBool(value, defaultValue = false) {
-  if (value === undefined || value === null || value === "") return defaultValue;
-  const v = String(value).trim().toLowerCase();
-  if (["true", "1", "yes", "y", "on"].includes(v)) return true;
-  if (["false", "0", "no", "n", "off"].includes(v)) return false;
-  return defaultValue;
-}
+const { isLeader } = require("./leaderLease");
+const { parseBool } = require("./backgroundJobs");
 
 function safeDecodePath(pathname) {
   try {
@@ -228,6 +222,7 @@ function startAdMediaCleanupJob({ intervalMs = 6 * 60 * 60 * 1000 } = {}) {
       console.log("ℹ️ Ad media cleanup: Mongo not connected yet; will retry later");
       return;
     }
+    if (!isLeader()) return;
 
     const result = await runAdMediaCleanupOnce();
     if (result?.skipped) {
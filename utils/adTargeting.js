@@ -0,0 +1,224 @@
+const geoip = require("geoip-lite");
+const AdFrequencyCap = require("../models/AdFrequencyCap");
+
+/**
+ * Ad targeting helpers for getActiveAds
+ * - Viewer context: location (geoip-lite on the resolved req.ip), device class, page category
+ * - Per-ad targeting from Advertisement.settings.targeting and the campaign's AdTargetingProfile
+ * - Weighted rotation by package and per-session frequency capping (stored in AdFrequencyCap
+ *   so every API instance enforces the same cap)
+ */
+
+// Rotation weight per ad package (legacy pricing plans map onto the same scale)
+const PACKAGE_WEIGHTS = {
+  basic: 1,
+  standard: 2,
+  premium: 3,
+};
+const LEGACY_PLAN_WEIGHTS = {
+  starter: 1,
+  professional: 2,
+  enterprise: 3,
+  custom: 3,
+};
+
+const DEFAULT_FREQUENCY_CAP = Number(process.env.AD_FREQUENCY_CAP) || 5;
+const DEFAULT_FREQUENCY_WINDOW_HOURS = Number(process.env.AD_FREQUENCY_CAP_WINDOW_HOURS) || 24;
+
+let regionNames = null;
+try {
+  regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+} catch {
+  regionNames = null;
+}
+
+const cleanText = (value, maxLength) =>
+  String(value || "")
+    .trim()
+    .slice(0, maxLength);
+
+const normalizeToken = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+function getCountryName(countryCode) {
+  if (!countryCode || !regionNames) return "";
+  try {
+    return regionNames.of(countryCode) || "";
+  } catch {
+    return "";
+  }
+}
+
+function detectDeviceClass(userAgent = "") {
+  const ua = String(userAgent).toLowerCase();
+  if (!ua) return "unknown";
+  if (/ipad|tablet|playbook|silk|(android(?!.*mobile))/.test(ua)) return "tablet";
+  if (/mobi|iphone|ipod|android|blackberry|iemobile|opera mini/.test(ua)) return "mobile";
+  return "desktop";
+}
+
+/**
+ * Build the viewer context used for targeting from the request.
+ * Clients may pass `device`, `category` and `sessionId`; location always comes from the
+ * client IP as resolved by Express ("trust proxy"), never from request parameters or headers.
+ */
+function getViewerContext(req) {
+  const ip = cleanText(req.ip || req.socket?.remoteAddress, 80);
+  const geo = ip ? geoip.lookup(ip.replace(/^::ffff:/, "")) : null;
+
+  const countryCode = cleanText(geo?.country, 2).toUpperCase();
+
+  const requestedDevice = normalizeToken(req.query.device);
+  const device = ["mobile", "tablet", "desktop"].includes(requestedDevice)
+    ? requestedDevice
+    : detectDeviceClass(req.headers["user-agent"]);
+
+  return {
+    countryCode,
+    countryName: getCountryName(countryCode),
+    region: cleanText(geo?.region, 80),
+    city: cleanText(geo?.city, 120),
+    device,
+    category: cleanText(req.query.category, 100),
+    sessionId: cleanText(req.query.sessionId, 120),
+    isLoggedIn: Boolean(req.user),
+  };
+}
+
+function locationMatches(locations, context) {
+  const wanted = (locations || []).map(normalizeToken).filter(Boolean);
+  if (wanted.length === 0) return true;
+
+  const viewer = [context.countryCode, context.countryName, context.region, context.city]
+    .map(normalizeToken)
+    .filter(Boolean);
+  if (viewer.length === 0) return false;
+
+  return wanted.some((location) => viewer.includes(location));
+}
+
+function listMatches(allowed, value) {
+  const wanted = (allowed || []).map(normalizeToken).filter(Boolean);
+  if (wanted.length === 0) return true;
+  return wanted.includes(normalizeToken(value));
+}
+
+/**
+ * Check an ad (with campaign.targetingProfile populated, when present) against the viewer.
+ */
+function matchesTargeting(ad, context) {
+  const targeting = ad.settings?.targeting || {};
+  const profile = ad.campaign?.targetingProfile;
+
+  if (targeting.excludeLoggedIn && context.isLoggedIn) return false;
+
+  if (!locationMatches(targeting.countries, context)) return false;
+  if (!listMatches(targeting.devices, context.device)) return false;
+  if (context.category && !listMatches(targeting.categories, context.category)) return false;
+
+  if (profile && profile.status !== "archived") {
+    if (!locationMatches(profile.locations, context)) return false;
+    if (!listMatches(profile.devices, context.device)) return false;
+  }
+
+  return true;
+}
+
+function getAdWeight(ad) {
+  return (
+    PACKAGE_WEIGHTS[ad.package] ||
+    LEGACY_PLAN_WEIGHTS[String(ad.pricing?.plan || "").toLowerCase()] ||
+    PACKAGE_WEIGHTS[String(ad.pricing?.plan || "").toLowerCase()] ||
+    1
+  );
+}
+
+/**
+ * Order ads by priority, then by a weighted random draw so higher packages
+ * win the top slot more often without starving basic ads.
+ */
+function rotateByWeight(ads) {
+  return ads
+    .map((ad) => ({ ad, key: Math.random() ** (1 / getAdWeight(ad)) }))
+    .sort(
+      (a, b) => (b.ad.settings?.priority || 0) - (a.ad.settings?.priority || 0) || b.key - a.key
+    )
+    .map(({ ad }) => ad);
+}
+
+function getFrequencyCap(ad) {
+  const cap = ad.settings?.frequencyCap || {};
+  return {
+    maxImpressions: Number(cap.maxImpressions) || DEFAULT_FREQUENCY_CAP,
+    windowMs: (Number(cap.windowHours) || DEFAULT_FREQUENCY_WINDOW_HOURS) * 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Ids of the ads that already reached their frequency cap for this viewer session.
+ */
+async function getFrequencyCappedAdIds(ads, sessionId, now = new Date()) {
+  if (!sessionId || ads.length === 0) return new Set();
+
+  const rows = await AdFrequencyCap.find({
+    sessionId,
+    ad: { $in: ads.map((ad) => ad._id) },
+    expiresAt: { $gt: now },
+  })
+    .select("ad count windowStart")
+    .lean();
+  const rowsByAd = new Map(rows.map((row) => [String(row.ad), row]));
+
+  return new Set(
+    ads
+      .filter((ad) => {
+        const row = rowsByAd.get(String(ad._id));
+        if (!row) return false;
+        // The ad's window may have been shortened since the row was written
+        const { maxImpressions, windowMs } = getFrequencyCap(ad);
+        return now - row.windowStart < windowMs && row.count >= maxImpressions;
+      })
+      .map((ad) => String(ad._id))
+  );
+}
+
+/**
+ * Record a served impression for frequency capping (called from trackImpression).
+ */
+async function recordSessionImpression(ad, sessionId, now = new Date()) {
+  if (!sessionId) return;
+
+  const key = { sessionId: cleanText(sessionId, 120), ad: ad._id };
+  const counted = await AdFrequencyCap.updateOne(
+    { ...key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } }
+  );
+  if (counted.matchedCount > 0) return;
+
+  // No open window: start a new one
+  const { windowMs } = getFrequencyCap(ad);
+  try {
+    await AdFrequencyCap.updateOne(
+      { ...key, $or: [{ expiresAt: { $lte: now } }, { expiresAt: { $exists: false } }] },
+      { $set: { count: 1, windowStart: now, expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another instance opened the window at the same moment; count against it
+    if (error?.code !== 11000) throw error;
+    await AdFrequencyCap.updateOne(key, { $inc: { count: 1 } });
+  }
+}
+
+module.exports = {
+  PACKAGE_WEIGHTS,
+  detectDeviceClass,
+  getViewerContext,
+  matchesTargeting,
+  getAdWeight,
+  rotateByWeight,
+  getFrequencyCappedAdIds,
+  recordSessionImpression,
+};
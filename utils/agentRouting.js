@@ -0,0 +1,464 @@
+const Agent = require("../models/Agent");
+const Conversation = require("../models/Conversation");
+const { startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Support queue routing
+ * - The customer's language comes from the request, their message, their profile or
+ *   (as a soft hint only) their country
+ * - Available agents are scored on language, specializations vs. conversation tags,
+ *   spare capacity and time since their last assignment
+ * - Queued conversations are pushed to agents as capacity frees up; a conversation waits
+ *   for an agent who speaks its language for a while before any agent may take it
+ *
+ * Env:
+ * - AGENT_ROUTING_LANGUAGE_WAIT_MS (default 300000, 0 = never wait)
+ * - AGENT_QUEUE_DISPATCH (default true)
+ * - AGENT_QUEUE_DISPATCH_INTERVAL_MS (default 30000)
+ */
+
+const DEFAULT_LANGUAGE_WAIT_MS = 5 * 60 * 1000;
+const PRIORITY_RANKS = { urgent: 3, high: 2, normal: 1, low: 0 };
+const SCORE_WEIGHTS = {
+  language: 40,
+  countryLanguage: 10,
+  specialization: 10,
+  maxSpecialization: 30,
+  capacity: 20,
+  idle: 15,
+  country: 10,
+  away: -10,
+};
+// Idle bonus grows until an agent has gone this long without a new chat
+const IDLE_SATURATION_MS = 30 * 60 * 1000;
+const MAX_DISPATCH_PER_RUN = 100;
+
+// Frequent words per language; a message needs several hits to count as detected
+const LANGUAGE_MARKERS = {
+  English: ["the", "and", "is", "my", "you", "please", "help", "with", "have", "not", "can"],
+  French: [
+    "le",
+    "la",
+    "les",
+    "je",
+    "vous",
+    "est",
+    "pas",
+    "avec",
+    "pour",
+    "bonjour",
+    "merci",
+    "mon",
+    "une",
+    "des",
+    "aide",
+  ],
+  Swahili: [
+    "habari",
+    "tafadhali",
+    "asante",
+    "nina",
+    "sana",
+    "na",
+    "ya",
+    "wa",
+    "kwa",
+    "ni",
+    "hii",
+    "naomba",
+    "msaada",
+    "tatizo",
+    "akaunti",
+  ],
+  Portuguese: [
+    "o",
+    "os",
+    "não",
+    "você",
+    "obrigado",
+    "obrigada",
+    "olá",
+    "com",
+    "para",
+    "minha",
+    "meu",
+    "uma",
+    "ajuda",
+  ],
+};
+// Countries whose users usually prefer a language other than English
+const COUNTRY_LANGUAGES = {
+  algeria: "French",
+  benin: "French",
+  "burkina faso": "French",
+  burundi: "French",
+  cameroon: "French",
+  chad: "French",
+  congo: "French",
+  "cote d'ivoire": "French",
+  "côte d'ivoire": "French",
+  "democratic republic of the congo": "French",
+  djibouti: "French",
+  gabon: "French",
+  guinea: "French",
+  "ivory coast": "French",
+  madagascar: "French",
+  mali: "French",
+  morocco: "French",
+  niger: "French",
+  senegal: "French",
+  togo: "French",
+  tunisia: "French",
+  tanzania: "Swahili",
+  angola: "Portuguese",
+  "cape verde": "Portuguese",
+  "guinea-bissau": "Portuguese",
+  mozambique: "Portuguese",
+  "sao tome and principe": "Portuguese",
+  egypt: "Arabic",
+  libya: "Arabic",
+  sudan: "Arabic",
+  ethiopia: "Amharic",
+};
+
+const normalizeLanguage = (value) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+};
+
+const speaksLanguage = (agent, language) =>
+  Boolean(language) &&
+  (agent.languages || []).some((spoken) => normalizeLanguage(spoken) === language);
+
+function getLanguageWaitMs() {
+  const value = Number(process.env.AGENT_ROUTING_LANGUAGE_WAIT_MS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_LANGUAGE_WAIT_MS;
+}
+
+/**
+ * Best-effort language of a short support message, or null when unclear.
+ */
+function detectLanguage(text) {
+  const value = String(text || "");
+  if (/\p{Script=Arabic}/u.test(value)) return "Arabic";
+  if (/\p{Script=Ethiopic}/u.test(value)) return "Amharic";
+
+  const words = value
+    .toLowerCase()
+    .split(/[^\p{L}']+/u)
+    .filter(Boolean);
+  if (words.length === 0) return null;
+
+  const scores = Object.entries(LANGUAGE_MARKERS)
+    .map(([language, markers]) => ({
+      language,
+      hits: words.filter((word) => markers.includes(word)).length,
+    }))
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (best.hits < 2 || best.hits === runnerUp.hits) return null;
+  return best.language;
+}
+
+/**
+ * Routing language for a support request. `required` languages make the conversation
+ * wait for a matching agent; a country hint only nudges the score.
+ */
+function resolveRoutingLanguage({ requested, message, user } = {}) {
+  const explicit = normalizeLanguage(requested);
+  if (explicit) return { language: explicit, source: "request", required: true };
+
+  const detected = detectLanguage(message);
+  if (detected) return { language: detected, source: "message", required: true };
+
+  const preferred = normalizeLanguage(user?.preferredLanguage);
+  if (preferred) return { language: preferred, source: "profile", required: true };
+
+  const countryLanguage =
+    COUNTRY_LANGUAGES[
+      String(user?.country || "")
+        .trim()
+        .toLowerCase()
+    ];
+  if (countryLanguage) return { language: countryLanguage, source: "country", required: false };
+
+  return { language: null, source: null, required: false };
+}
+
+/**
+ * Whether this agent may take the conversation right now.
+ */
+function isAgentEligible(agent, conversation, now = new Date()) {
+  const routing = conversation.routing || {};
+  if (!routing.languageRequired || !routing.language) return true;
+  if (speaksLanguage(agent, routing.language)) return true;
+
+  // After the wait, any agent may take it rather than leaving the customer stranded
+  const queuedAt = new Date(routing.queuedAt || conversation.createdAt).getTime();
+  return new Date(now).getTime() - queuedAt >= getLanguageWaitMs();
+}
+
+function scoreAgent(agent, conversation, now = new Date()) {
+  const routing = conversation.routing || {};
+  let score = 0;
+
+  if (speaksLanguage(agent, routing.language)) {
+    score += routing.languageRequired ? SCORE_WEIGHTS.language : SCORE_WEIGHTS.countryLanguage;
+  }
+
+  const tags = (conversation.tags || []).map((tag) => String(tag).toLowerCase());
+  const specializations = (agent.specializations || []).map((item) => String(item).toLowerCase());
+  const overlap = specializations.filter((item) => tags.includes(item)).length;
+  score += Math.min(overlap * SCORE_WEIGHTS.specialization, SCORE_WEIGHTS.maxSpecialization);
+
+  const maxChats = Math.max(agent.maxChats || 1, 1);
+  score += SCORE_WEIGHTS.capacity * (1 - Math.min(agent.activeChats || 0, maxChats) / maxChats);
+
+  const lastAssignedAt = agent.lastAssignedAt ? new Date(agent.lastAssignedAt).getTime() : 0;
+  const idleMs = Math.max(0, new Date(now).getTime() - lastAssignedAt);
+  score += SCORE_WEIGHTS.idle * Math.min(idleMs / IDLE_SATURATION_MS, 1);
+
+  if (routing.country && (agent.assignedCountries || []).includes(routing.country)) {
+    score += SCORE_WEIGHTS.country;
+  }
+
+  if (agent.status === "away") score += SCORE_WEIGHTS.away;
+
+  return Number(score.toFixed(3));
+}
+
+function getAvailableAgentQuery({ department = null } = {}) {
+  const query = {
+    isActive: true,
+    status: { $in: ["online", "away"] },
+    $expr: { $lt: ["$activeChats", "$maxChats"] },
+  };
+  if (department) query.department = department;
+  return query;
+}
+
+/**
+ * Eligible available agents for a conversation, best first.
+ */
+async function rankAgentsForConversation(conversation, { now = new Date(), agents = null } = {}) {
+  const pool =
+    agents ||
+    (await Agent.find(getAvailableAgentQuery({ department: conversation.department })).lean());
+
+  return pool
+    .filter((agent) => agent.activeChats < agent.maxChats)
+    .filter((agent) => !conversation.department || agent.department === conversation.department)
+    .filter((agent) => isAgentEligible(agent, conversation, now))
+    .map((agent) => ({ agent, score: scoreAgent(agent, conversation, now) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Take a chat slot on the agent if one is still free (safe across concurrent requests).
+ */
+async function reserveAgent(agentId) {
+  return Agent.findOneAndUpdate(
+    { _id: agentId, isActive: true, $expr: { $lt: ["$activeChats", "$maxChats"] } },
+    {
+      $inc: { activeChats: 1, totalChats: 1 },
+      $set: { lastActiveAt: new Date(), lastAssignedAt: new Date() },
+    },
+    { new: true }
+  ).populate("userId", "name email profilePhoto");
+}
+
+/**
+ * Best agent for a new conversation, with a chat slot already reserved. Returns null
+ * when nobody eligible is free (the conversation should be queued).
+ */
+async function claimBestAgent(conversation, { now = new Date() } = {}) {
+  const ranked = await rankAgentsForConversation(conversation, { now });
+
+  for (const { agent } of ranked) {
+    const reserved = await reserveAgent(agent._id);
+    if (reserved) return reserved;
+  }
+
+  return null;
+}
+
+const compareQueueOrder = (a, b) =>
+  (PRIORITY_RANKS[b.priority] || 0) - (PRIORITY_RANKS[a.priority] || 0) ||
+  new Date(a.createdAt) - new Date(b.createdAt);
+
+/**
+ * Queued conversations in the order they should be served: priority, then age.
+ */
+async function getOrderedQueue(filter = {}) {
+  const queue = await Conversation.find({ type: "user-to-agent", status: "queued", ...filter })
+    .sort({ createdAt: 1 })
+    .limit(500)
+    .lean();
+  return queue.sort(compareQueueOrder);
+}
+
+/**
+ * The queued conversation this agent should take next, or null.
+ */
+async function findNextConversationForAgent(agent, { now = new Date() } = {}) {
+  const queue = await getOrderedQueue({ department: { $in: [agent.department, null] } });
+  return queue.find((conversation) => isAgentEligible(agent, conversation, now)) || null;
+}
+
+/**
+ * Move a queued conversation to the agent whose slot was reserved. Releases the slot
+ * when someone else got the conversation first.
+ */
+async function assignQueuedConversation(conversationId, agent, { io = null } = {}) {
+  const now = new Date();
+  const agentUserId = agent.userId?._id || agent.userId;
+
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, status: "queued" },
+    {
+      $set: {
+        assignedAgent: agent._id,
+        agentJoinedAt: now,
+        status: "active",
+        "routing.assignedAt": now,
+      },
+      $addToSet: { participants: agentUserId },
+    },
+    { new: true }
+  );
+
+  if (!conversation) {
+    await Agent.updateOne(
+      { _id: agent._id, activeChats: { $gt: 0 } },
+      { $inc: { activeChats: -1, totalChats: -1 } }
+    );
+    return null;
+  }
+
+  if (io) {
+    const { notifyAgentAssignment } = require("./socket");
+    notifyAgentAssignment(io, agent._id, {
+      _id: conversation._id,
+      title: conversation.title,
+      priority: conversation.priority,
+      tags: conversation.tags,
+      language: conversation.routing?.language || null,
+    });
+
+    const joined = {
+      conversationId: conversation._id,
+      agentId: agent._id,
+      agent: {
+        _id: agent._id,
+        name: agent.userId?.name,
+        profilePhoto: agent.userId?.profilePhoto,
+      },
+      timestamp: now,
+    };
+    io.to(String(conversation._id)).emit("agent:joined", joined);
+    // Customer may not have joined the conversation room while queued
+    io.to(String(conversation.participants[0])).emit("agent:joined", joined);
+  }
+
+  return conversation;
+}
+
+/**
+ * Push queued conversations to available agents, best match first.
+ */
+async function dispatchQueuedConversations({ io = null, now = new Date() } = {}) {
+  const result = { assigned: 0, waiting: 0 };
+  const queue = await getOrderedQueue();
+  if (queue.length === 0) return result;
+
+  let agents = await Agent.find(getAvailableAgentQuery()).lean();
+
+  for (const conversation of queue.slice(0, MAX_DISPATCH_PER_RUN)) {
+    if (agents.length === 0) break;
+
+    const ranked = await rankAgentsForConversation(conversation, { now, agents });
+    let assigned = false;
+
+    for (const { agent } of ranked) {
+      const reserved = await reserveAgent(agent._id);
+      if (!reserved) {
+        agents = agents.filter((item) => String(item._id) !== String(agent._id));
+        continue;
+      }
+
+      if (await assignQueuedConversation(conversation._id, reserved, { io })) {
+        assigned = true;
+        agents = agents
+          .map((item) => (String(item._id) === String(reserved._id) ? reserved.toObject() : item))
+          .filter((item) => item.activeChats < item.maxChats);
+      }
+      break;
+    }
+
+    if (assigned) {
+      result.assigned += 1;
+    } else {
+      result.waiting += 1;
+    }
+  }
+
+  if (result.assigned > 0 && io) {
+    const { broadcastQueueUpdate } = require("./socket");
+    await broadcastQueueUpdate(io);
+  }
+
+  return result;
+}
+
+/**
+ * Fire-and-forget dispatch after an agent frees up or comes online.
+ */
+function triggerQueueDispatch(reason = "") {
+  const { getIO } = require("./socket");
+  dispatchQueuedConversations({ io: getIO() })
+    .then((result) => {
+      if (result.assigned > 0) {
+        console.log(`📥 Queue dispatch${reason ? ` (${reason})` : ""}:`, result);
+      }
+    })
+    .catch((error) => console.error("Queue dispatch failed:", error?.message || error));
+}
+
+/**
+ * Periodic sweep so conversations reach agents once their language wait runs out.
+ */
+function startQueueDispatchJob({ intervalMs } = {}) {
+  return startIntervalJob({
+    name: "Agent queue dispatch",
+    enabledEnv: "AGENT_QUEUE_DISPATCH",
+    intervalMs:
+      intervalMs ||
+      Math.max(5 * 1000, Number(process.env.AGENT_QUEUE_DISPATCH_INTERVAL_MS) || 30 * 1000),
+    // Runs every few seconds; skipped ticks while Mongo is down are not worth a log line
+    logWhenDisconnected: false,
+    run: async () => {
+      const { getIO } = require("./socket");
+      const result = await dispatchQueuedConversations({ io: getIO() });
+      if (result.assigned > 0) {
+        console.log("📥 Agent queue dispatch:", result);
+      }
+    },
+  });
+}
+
+module.exports = {
+  detectLanguage,
+  resolveRoutingLanguage,
+  isAgentEligible,
+  scoreAgent,
+  rankAgentsForConversation,
+  reserveAgent,
+  claimBestAgent,
+  findNextConversationForAgent,
+  assignQueuedConversation,
+  dispatchQueuedConversations,
+  triggerQueueDispatch,
+  startQueueDispatchJob,
+};
@@ -0,0 +1,159 @@
+/**
+ * AI support model backends
+ * Every provider exposes the same shape:
+ *   { name, model, isConfigured(), generate({ system, messages, sources }) -> { text } }
+ * where `messages` is the running chat ({ role: "user" | "assistant", content }).
+ *
+ * Env:
+ * - AI_SUPPORT_PROVIDER: huggingface (default) | openai | stub
+ * - HUGGING_FACE_API_KEY, HUGGING_FACE_MODEL
+ * - AI_OPENAI_BASE_URL (default http://localhost:11434/v1, e.g. Ollama, llama.cpp, vLLM),
+ *   AI_OPENAI_MODEL, AI_OPENAI_API_KEY (optional for local servers)
+ * - AI_SUPPORT_TIMEOUT_MS (default 20000)
+ */
+
+const DEFAULT_TIMEOUT_MS = 20 * 1000;
+const MAX_NEW_TOKENS = 300;
+// The model replies with this token when the sources don't answer the question
+const HANDOFF_TOKEN = "[HANDOFF]";
+
+function getTimeoutMs() {
+  return Number(process.env.AI_SUPPORT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+async function postJson(url, { headers = {}, body }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), getTimeoutMs());
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      signal: controller.signal,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(
+        data?.error?.message || data?.error || `AI provider request failed (${response.status})`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    if (error.name === "AbortError") {
+      const timeoutError = new Error("AI provider timed out");
+      timeoutError.statusCode = 504;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function createHuggingFaceProvider() {
+  const apiKey = process.env.HUGGING_FACE_API_KEY;
+  const model = process.env.HUGGING_FACE_MODEL || "mistralai/Mistral-7B-Instruct-v0.2";
+
+  return {
+    name: "huggingface",
+    model,
+    isConfigured: () => Boolean(apiKey) && apiKey !== "your_huggingface_token_here",
+    async generate({ system, messages }) {
+      // Text-generation models take a single prompt
+      let prompt = `${system}\n\n`;
+      messages.forEach((msg) => {
+        prompt += `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}\n`;
+      });
+      prompt += "Assistant:";
+
+      const data = await postJson(`https://api-inference.huggingface.co/models/${model}`, {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        body: {
+          inputs: prompt,
+          parameters: {
+            max_new_tokens: MAX_NEW_TOKENS,
+            temperature: 0.7,
+            top_p: 0.95,
+            return_full_text: false,
+          },
+        },
+      });
+
+      const [firstResult] = Array.isArray(data) ? data : [];
+      const text = String(firstResult?.generated_text || "")
+        .split(/\n(?:User|Assistant):/i)[0]
+        .replace(/User:|Assistant:/gi, "")
+        .trim();
+      return { text };
+    },
+  };
+}
+
+function createOpenAiCompatibleProvider() {
+  const baseUrl = (process.env.AI_OPENAI_BASE_URL || "http://localhost:11434/v1").replace(
+    /\/+$/,
+    ""
+  );
+  const model = process.env.AI_OPENAI_MODEL || "llama3.1:8b-instruct";
+  const apiKey = process.env.AI_OPENAI_API_KEY;
+
+  return {
+    name: "openai",
+    model,
+    isConfigured: () => Boolean(baseUrl && model),
+    async generate({ system, messages }) {
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          messages: [{ role: "system", content: system }, ...messages],
+          max_tokens: MAX_NEW_TOKENS,
+          temperature: 0.3,
+        },
+      });
+
+      return { text: String(data?.choices?.[0]?.message?.content || "").trim() };
+    },
+  };
+}
+
+/**
+ * Deterministic backend for tests and offline development: answers with the best
+ * retrieved source, or hands off when there is none.
+ */
+function createStubProvider() {
+  return {
+    name: "stub",
+    model: "stub",
+    isConfigured: () => true,
+    async generate({ sources = [] }) {
+      const [best] = sources;
+      return { text: best ? best.text : HANDOFF_TOKEN };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  huggingface: createHuggingFaceProvider,
+  openai: createOpenAiCompatibleProvider,
+  stub: createStubProvider,
+};
+
+function getAiProvider(name = process.env.AI_SUPPORT_PROVIDER) {
+  const key = String(name || "huggingface")
+    .trim()
+    .toLowerCase();
+  const factory = PROVIDER_FACTORIES[key];
+  if (!factory) {
+    console.warn(`⚠️ Unknown AI_SUPPORT_PROVIDER "${name}", using huggingface`);
+    return createHuggingFaceProvider();
+  }
+  return factory();
+}
+
+module.exports = {
+  HANDOFF_TOKEN,
+  getAiProvider,
+};
@@ -1,11 +1,18 @@
-const {
-  HUGGING_FACE_API_KEY,
-  HUGGING_FACE_MODEL = "mistralai/Mistral-7B-Instruct-v0.2",
-  AI_SUPPORT_FALLBACK_URL,
-} = process.env;
+const { AI_SUPPORT_FALLBACK_URL } = process.env;
 const FALLBACK_URL = AI_SUPPORT_FALLBACK_URL || "https://afrionet.com/contact";
 
+const PricingSettings = require("../models/PricingSettings");
 const { getClientFeatureFlags, getClientFaqJson } = require("./appContent");
+const { BUSINESS_CATEGORIES, TALENT_CATEGORIES } = require("./categories");
+const { getAiProvider, HANDOFF_TOKEN } = require("./aiProviders");
+
+// Answers grounded below this confidence count towards a handoff to a human agent
+const HANDOFF_CONFIDENCE = Number(process.env.AI_SUPPORT_HANDOFF_CONFIDENCE) || 0.35;
+// FAQ score treated as a certain match when computing confidence
+const CONFIDENT_FAQ_SCORE = 10;
+// Phrases only: a bare "agent" is also the service agent programme ("become an agent")
+const HUMAN_REQUEST_PATTERN =
+  /\b(human|real person|live person|representative|customer service|(human|live|real|support) agent|(talk|speak|chat) (to|with) (a |an |the |your )?(agent|someone|somebody|person|staff|support))\b/i;
 
 const DEFAULT_AFRIONET_CONTEXT = `
 You're a helpful support team member at AfriOnet, a platform connecting African talent, businesses, and entrepreneurs globally.
@@ -152,13 +159,13 @@ function scoreFaqItem(queryTokens, item) {
   return score;
 }
 
-function getRelevantFaqPairs(userMessage, { topK = 5, minScore = 2 } = {}) {
+function getScoredFaqPairs(userMessage, { topK = 5, minScore = 2 } = {}) {
   const queryTokens = tokenize(userMessage);
   if (!queryTokens.length) return [];
 
   const index = getFaqIndex();
 
-  const scored = index
+  return index
     .map((item) => ({
       item,
       score: scoreFaqItem(queryTokens, item),
@@ -166,8 +173,10 @@ function getRelevantFaqPairs(userMessage, { topK = 5, minScore = 2 } = {}) {
     .filter((x) => x.score >= minScore)
     .sort((a, b) => b.score - a.score)
     .slice(0, topK);
+}
 
-  return scored.map((x) => x.item);
+function getRelevantFaqPairs(userMessage, options) {
+  return getScoredFaqPairs(userMessage, options).map((x) => x.item);
 }
 
 function formatRelevantFaqForPrompt(relevantItems, { maxChars = 4500 } = {}) {
@@ -184,27 +193,31 @@ function formatRelevantFaqForPrompt(relevantItems, { maxChars = 4500 } = {}) {
   return out.trim();
 }
 
+function getAppStatusLines() {
+  const { flags } = getClientFeatureFlags();
+
+  const membershipUiEnabled = Boolean(flags?.MEMBERSHIP_UI_ENABLED);
+  const membershipRouteEnabled = Boolean(flags?.MEMBERSHIP_ROUTE_ENABLED);
+  const forceProForAll = Boolean(flags?.FORCE_PRO_MEMBERSHIP_FOR_ALL);
+  const talentShowcaseEntryFeesEnabled = Boolean(flags?.TALENT_SHOWCASE_ENTRY_FEES_ENABLED);
+
+  const growthMode = !membershipUiEnabled && !membershipRouteEnabled;
+  const freeEntryMode = !talentShowcaseEntryFeesEnabled;
+
+  return [
+    "APP STATUS (authoritative from feature flags)",
+    `- growthMode: ${growthMode ? "true" : "false"}`,
+    `- freeEntryMode: ${freeEntryMode ? "true" : "false"}`,
+    `- MEMBERSHIP_UI_ENABLED: ${membershipUiEnabled ? "true" : "false"}`,
+    `- MEMBERSHIP_ROUTE_ENABLED: ${membershipRouteEnabled ? "true" : "false"}`,
+    `- FORCE_PRO_MEMBERSHIP_FOR_ALL: ${forceProForAll ? "true" : "false"}`,
+    `- TALENT_SHOWCASE_ENTRY_FEES_ENABLED: ${talentShowcaseEntryFeesEnabled ? "true" : "false"}`,
+  ].join("\n");
+}
+
 function buildAfrionetContext(userMessage = "") {
   try {
-    const { flags } = getClientFeatureFlags();
-
-    const membershipUiEnabled = Boolean(flags?.MEMBERSHIP_UI_ENABLED);
-    const membershipRouteEnabled = Boolean(flags?.MEMBERSHIP_ROUTE_ENABLED);
-    const forceProForAll = Boolean(flags?.FORCE_PRO_MEMBERSHIP_FOR_ALL);
-    const talentShowcaseEntryFeesEnabled = Boolean(flags?.TALENT_SHOWCASE_ENTRY_FEES_ENABLED);
-
-    const growthMode = !membershipUiEnabled && !membershipRouteEnabled;
-    const freeEntryMode = !talentShowcaseEntryFeesEnabled;
-
-    const statusLines = [
-      "APP STATUS (authoritative from feature flags)",
-      `- growthMode: ${growthMode ? "true" : "false"}`,
-      `- freeEntryMode: ${freeEntryMode ? "true" : "false"}`,
-      `- MEMBERSHIP_UI_ENABLED: ${membershipUiEnabled ? "true" : "false"}`,
-      `- MEMBERSHIP_ROUTE_ENABLED: ${membershipRouteEnabled ? "true" : "false"}`,
-      `- FORCE_PRO_MEMBERSHIP_FOR_ALL: ${forceProForAll ? "true" : "false"}`,
-      `- TALENT_SHOWCASE_ENTRY_FEES_ENABLED: ${talentShowcaseEntryFeesEnabled ? "true" : "false"}`,
-    ].join("\n");
+    const statusLines = getAppStatusLines();
 
     const relevant = getRelevantFaqPairs(userMessage, { topK: 5, minScore: 2 });
     const faqText = formatRelevantFaqForPrompt(relevant, { maxChars: 4500 });
@@ -230,100 +243,166 @@ ${faqText || "(No highly relevant FAQ matches found for this question.)"}
   }
 }
 
+const PRICING_TERMS = [
+  "price",
+  "prices",
+  "pricing",
+  "cost",
+  "costs",
+  "fee",
+  "fees",
+  "tier",
+  "tiers",
+  "membership",
+  "plan",
+  "plans",
+  "subscription",
+  "upgrade",
+  "starter",
+  "premium",
+  "pro",
+];
+const CATEGORY_TERMS = ["category", "categories", "industry", "industries", "niche"];
+const ACCOUNT_TERMS = ["my", "mine", "current", "account", "expire", "expires", "renew"];
+
 /**
- * Query Hugging Face AI model
- * @param {string} userMessage - User's question
- * @param {Array} conversationHistory - Previous messages for context
- * @returns {Promise<string>} AI response
+ * Live platform data relevant to the question: current pricing, listing categories and
+ * the signed-in user's own membership.
  */
-/* eslint-disable no-use-before-define */
-async function queryHuggingFace(userMessage, conversationHistory = []) {
-  try {
-    if (!HUGGING_FACE_API_KEY || HUGGING_FACE_API_KEY === "your_huggingface_token_here") {
-      console.log("⚠️ Hugging Face API key not configured, using fallback");
-      return getFallbackResponse(userMessage);
+async function getLiveDataSources(words, user) {
+  const sources = [];
+  const asksPricing = PRICING_TERMS.some((term) => words.has(term));
+
+  if (asksPricing) {
+    const prices = await PricingSettings.find({ isActive: true }).sort({ basePrice: 1 }).lean();
+    if (prices.length > 0) {
+      const lines = prices.map((price) => {
+        const period = price.billingPeriod === "forever" ? "forever" : `per ${price.billingPeriod}`;
+        const discount = price.discountPercentage ? ` (${price.discountPercentage}% off)` : "";
+        const features = (price.features || []).slice(0, 6).join("; ");
+        return `- ${price.tier}: ${price.currency || "$"}${price.basePrice} ${period}${discount}${
+          features ? ` - ${features}` : ""
+        }`;
+      });
+      sources.push({
+        type: "pricing",
+        title: "Current membership pricing",
+        text: `Current membership pricing:\n${lines.join("\n")}`,
+        score: 8,
+      });
     }
+  }
 
-    // Build conversation context
-    let prompt = `${buildAfrionetContext(userMessage)}\n\n`;
+  if (CATEGORY_TERMS.some((term) => words.has(term))) {
+    sources.push({
+      type: "categories",
+      title: "Listing categories",
+      text: `Business categories: ${BUSINESS_CATEGORIES.join(", ")}.\nTalent categories: ${TALENT_CATEGORIES.join(", ")}.`,
+      score: 7,
+    });
+  }
 
-    // Add conversation history (last 5 messages for context)
-    const recentHistory = conversationHistory.slice(-5);
-    recentHistory.forEach((msg) => {
-      prompt += `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}\n`;
+  if (user && (asksPricing || ACCOUNT_TERMS.some((term) => words.has(term)))) {
+    const expiry = user.tierExpiresAt
+      ? ` It renews or expires on ${new Date(user.tierExpiresAt).toDateString()}.`
+      : "";
+    sources.push({
+      type: "account",
+      title: "Your membership",
+      text: `You are on the ${user.tier || "Free"} membership tier.${expiry}`,
+      score: asksPricing ? 6 : 8,
     });
+  }
 
-    prompt += `User: ${userMessage}\nAssistant:`;
-
-    const response = await fetch(
-      `https://api-inference.huggingface.co/models/${HUGGING_FACE_MODEL}`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${HUGGING_FACE_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          inputs: prompt,
-          parameters: {
-            max_new_tokens: 300,
-            temperature: 0.7,
-            top_p: 0.95,
-            return_full_text: false,
-          },
-        }),
-      }
-    );
+  return sources;
+}
 
-    if (!response.ok) {
-      console.error(`Hugging Face API error: ${response.status}`);
-      return getFallbackResponse(userMessage);
-    }
+/**
+ * Retrieval over the FAQ and live platform data. Follow-up questions ("how much is it?")
+ * also look at the previous user turn.
+ */
+async function retrieveSupportSources(userMessage, { user = null, history = [] } = {}) {
+  const previousUserTurn = [...history].reverse().find((msg) => msg.role === "user");
+  const queryText = `${userMessage} ${previousUserTurn?.content || ""}`.trim();
+  const words = new Set(normalizeText(queryText).split(" ").filter(Boolean));
+
+  const faqSources = getScoredFaqPairs(userMessage, { topK: 4, minScore: 2 }).map(
+    ({ item, score }) => ({
+      type: "faq",
+      title: item.q,
+      text: item.a,
+      score,
+    })
+  );
+  const liveSources = await getLiveDataSources(words, user);
+
+  const sources = [...liveSources, ...faqSources].sort((a, b) => b.score - a.score);
+  const bestScore = sources.length > 0 ? sources[0].score : 0;
+
+  return {
+    sources,
+    confidence: Number(Math.min(1, bestScore / CONFIDENT_FAQ_SCORE).toFixed(2)),
+  };
+}
 
-    const data = await response.json();
-    const [firstResult] = data || [];
+function buildGroundedSystemPrompt(sources) {
+  let statusLines = "";
+  try {
+    statusLines = getAppStatusLines();
+  } catch (error) {
+    statusLines = "";
+  }
 
-    if (firstResult?.generated_text) {
-      let aiResponse = firstResult.generated_text.trim();
+  const sourceText = sources
+    .map((source, index) => `[${index + 1}] (${source.type}) ${source.title}\n${source.text}`)
+    .join("\n\n")
+    .slice(0, 6000);
 
-      // Clean up the response
-      const [firstParagraph] = aiResponse.split("\n");
-      aiResponse = firstParagraph;
-      aiResponse = aiResponse.replace(/User:|Assistant:/gi, "").trim();
+  return `
+You're a helpful support team member at AfriOnet, a platform connecting African talent, businesses, and entrepreneurs globally.
+Be friendly, concise and professional. Answer in the language the user writes in.
 
-      return aiResponse || getFallbackResponse(userMessage);
-    }
+Grounding rules:
+- Only use the APP STATUS and SOURCES below. Live pricing and account sources override the FAQ.
+- Never invent prices, tiers, policies or account details.
+- If the sources don't answer the question, or the user needs something only staff can do (refunds, account changes, disputes), reply with exactly ${HANDOFF_TOKEN}
 
-    return getFallbackResponse(userMessage);
-  } catch (error) {
-    console.error("🔴 Hugging Face API Error:", error.message);
+Links:
+- FAQ: https://afrionet.com/faq
+- Contact: ${FALLBACK_URL}
 
-    // Handle specific errors
-    if (error.response?.status === 503) {
-      return "I'm currently loading the AI model. Please try again in a moment, or visit our contact page for immediate assistance.";
-    }
+${statusLines}
 
-    return getFallbackResponse(userMessage);
-  }
+SOURCES
+${sourceText || "(No relevant sources found for this question.)"}
+`.trim();
 }
-/* eslint-enable no-use-before-define */
 
 /**
  * Fallback responses when AI is unavailable
+ * Prices and the user's membership come from the retrieved live sources (see
+ * getLiveDataSources), never from text kept here.
+ * @param {string} userMessage
+ * @param {Object[]} [sources] - Sources retrieved for the question
  */
-function getFallbackResponse(userMessage) {
+function getFallbackResponse(userMessage, sources = []) {
   const message = userMessage.toLowerCase();
   const compact = message.replace(/[^a-z0-9]+/g, "");
 
   const getMembershipInfo = () => {
-    return "AfriOnet offers 4 membership tiers: Free ($0/forever), Starter ($5/month), Premium ($12/month), and Pro ($25/month). Each tier has different features and limits for business listings, media uploads, analytics, and platform access.";
+    const pricing = sources.find((source) => source.type === "pricing");
+    const account = sources.find((source) => source.type === "account");
+    const info = pricing
+      ? pricing.text
+      : "AfriOnet offers 4 membership tiers: Free, Starter, Premium, and Pro. Each tier has different features and limits for business listings, media uploads, analytics, and platform access. See the Membership page for current prices.";
+    return account ? `${info}\n\n${account.text}` : info;
   };
 
   const membershipInfo = getMembershipInfo();
 
   // Membership tiers & pricing
   if (message.includes("membership") || message.includes("tier") || message.includes("pricing")) {
-    return `AfriOnet offers 4 membership tiers:\n\n• Free ($0/forever): 1 business listing with 15 images, 1 talent listing with 10 videos\n• Starter ($5/month): Up to 5 business listings with 20 images each, 5 talent listings with 15 videos each, basic analytics, priority placement\n• Premium ($12/month): Unlimited listings with unlimited media, advanced analytics, featured badge, $20/month ad credits, API access\n• Pro ($25/month): Everything in Premium + verified badge, $50/month ad credits, dedicated account manager, 24/7 priority support, homepage featured rotation\n\nVisit the Membership page to see full details and choose your plan!`;
+    return `${membershipInfo}\n\nVisit the Membership page to see full details and choose your plan!`;
   }
 
   // Business listings & features
@@ -623,6 +702,65 @@ function getFallbackResponse(userMessage) {
   return `I'm here to help with AfriOnet questions!\n\n💡 Popular topics:\n• Membership tiers & pricing (Free, Starter, Premium, Pro)\n• Creating business listings & uploading media\n• Talent Showcases & entry fees\n• Verification & trust badges\n• Payment methods & subscriptions\n• Contacting support\n\n❓ Check our FAQ: https://afrionet.com/faq\n👇 Still need help? Click "Contact us" below or email support@afrionet.com`;
 }
 
+/**
+ * Answer a support question with the configured model, grounded on retrieved sources.
+ * @param {string} userMessage - User's question
+ * @param {Object} options - { history: previous { role, content } turns, user: signed-in user }
+ * @returns {Promise<Object>} { text, confidence, sources, provider, handoff }
+ */
+async function answerSupportQuestion(userMessage, { history = [], user = null } = {}) {
+  const { sources, confidence } = await retrieveSupportSources(userMessage, { user, history });
+  const wantsHuman = HUMAN_REQUEST_PATTERN.test(userMessage);
+  const provider = getAiProvider();
+
+  let text = "";
+  let modelHandoff = false;
+  let providerName = "fallback";
+
+  if (provider.isConfigured()) {
+    try {
+      const result = await provider.generate({
+        system: buildGroundedSystemPrompt(sources),
+        messages: [...history.slice(-8), { role: "user", content: userMessage }].map((msg) => ({
+          role: msg.role,
+          content: msg.content,
+        })),
+        sources,
+      });
+      text = result.text || "";
+      providerName = provider.name;
+      if (text.includes(HANDOFF_TOKEN)) {
+        modelHandoff = true;
+        text = "";
+      }
+    } catch (error) {
+      console.error(`🔴 AI provider (${provider.name}) error:`, error.message);
+    }
+  } else {
+    console.log(`⚠️ AI provider "${provider.name}" not configured, using fallback`);
+  }
+
+  if (!text) {
+    text = modelHandoff
+      ? "I'm not sure about that one, so I'll get a member of our support team to help you."
+      : getFallbackResponse(userMessage, sources);
+  }
+
+  const finalConfidence = modelHandoff ? 0 : confidence;
+  let handoffReason = null;
+  if (wantsHuman) handoffReason = "user_request";
+  else if (modelHandoff) handoffReason = "model_unsure";
+  else if (finalConfidence < HANDOFF_CONFIDENCE) handoffReason = "low_confidence";
+
+  return {
+    text: text.slice(0, 4000),
+    confidence: finalConfidence,
+    sources: sources.slice(0, 5).map(({ type, title }) => ({ type, title })),
+    provider: providerName,
+    handoff: { recommended: Boolean(handoffReason), reason: handoffReason },
+  };
+}
+
 /**
  * Get quick action suggestions
  */
@@ -641,7 +779,9 @@ function getQuickSuggestions() {
 }
 
 module.exports = {
-  queryHuggingFace,
+  HANDOFF_CONFIDENCE,
+  answerSupportQuestion,
+  retrieveSupportSources,
   getFallbackResponse,
   getQuickSuggestions,
   FALLBACK_URL,
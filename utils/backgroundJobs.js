@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const { isLeader } = require("./leaderLease");
+
+/**
+ * Shared helpers for the env-configured background jobs started from app.js
+ */
+
+function parseBool(value, defaultValue = false) {
+  if (value === undefined || value === null || value === "") return defaultValue;
+  const v = String(value).trim().toLowerCase();
+  if (["true", "1", "yes", "y", "on"].includes(v)) return true;
+  if (["false", "0", "no", "n", "off"].includes(v)) return false;
+  return defaultValue;
+}
+
+// Numeric env var; falls back when unset, invalid, negative (or zero with allowZero: false)
+function getNumberEnv(name, fallback, { allowZero = true } = {}) {
+  const value = Number(process.env[name]);
+  if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) return fallback;
+  return value;
+}
+
+/**
+ * Run `run()` every `intervalMs` on the instance holding the leader lease, once Mongo is
+ * connected. The first run happens after `initialDelayMs` (only on the interval when null).
+ * Runs never overlap and failures are logged, not thrown.
+ * Returns null when `enabledEnv` is set to false, otherwise { stop }.
+ *
+ * @param {object} options
+ * @param {string} options.name - Label used in log lines ("Page view rollup")
+ * @param {string} [options.enabledEnv] - Env flag that disables the job when false (default on)
+ * @param {number} options.intervalMs
+ * @param {number|null} [options.initialDelayMs]
+ * @param {boolean} [options.logWhenDisconnected] - Log ticks skipped while Mongo is down
+ * @param {Function} options.run - async () => void
+ */
+function startIntervalJob({
+  name,
+  enabledEnv,
+  intervalMs,
+  initialDelayMs = null,
+  logWhenDisconnected = true,
+  run,
+}) {
+  if (enabledEnv && !parseBool(process.env[enabledEnv], true)) {
+    console.log(`ℹ️ ${name} disabled (${enabledEnv}=false)`);
+    return null;
+  }
+
+  let stopped = false;
+  let running = false;
+
+  async function tick() {
+    if (stopped || running) return;
+
+    if (mongoose.connection?.readyState !== 1) {
+      if (logWhenDisconnected) {
+        console.log(`ℹ️ ${name}: Mongo not connected yet; will retry later`);
+      }
+      return;
+    }
+    if (!isLeader()) return;
+
+    running = true;
+    try {
+      await run();
+    } finally {
+      running = false;
+    }
+  }
+
+  const initialTimeout =
+    initialDelayMs === null
+      ? null
+      : setTimeout(() => {
+          tick().catch((e) => console.warn(`⚠️ ${name} initial tick failed:`, e?.message || e));
+        }, initialDelayMs);
+
+  const interval = setInterval(() => {
+    tick().catch((e) => console.warn(`⚠️ ${name} tick failed:`, e?.message || e));
+  }, intervalMs);
+
+  interval.unref?.();
+
+  return {
+    stop() {
+      stopped = true;
+      if (initialTimeout) clearTimeout(initialTimeout);
+      clearInterval(interval);
+    },
+  };
+}
+
+module.exports = {
+  parseBool,
+  getNumberEnv,
+  startIntervalJob,
+};
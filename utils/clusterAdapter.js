@@ -0,0 +1,211 @@
+const os = require("os");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { createAdapter } = require("@socket.io/mongo-adapter");
+const RealtimeState = require("../models/RealtimeState");
+
+/**
+ * Cluster adapter layer for running several API processes (e.g. PM2 cluster mode)
+ * - CLUSTER_ADAPTER=memory (default): in-process state, fine for a single process
+ * - CLUSTER_ADAPTER=mongo: presence/typing in MongoDB and Socket.IO broadcasts through
+ *   @socket.io/mongo-adapter (change streams, so MongoDB must run as a replica set)
+ */
+
+const CLUSTER_ADAPTERS = ["memory", "mongo"];
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const PRESENCE_TTL_MS = 90 * 1000;
+const TYPING_TTL_MS = 10 * 1000;
+const SOCKET_EVENTS_COLLECTION = "socket_io_adapter_events";
+const SOCKET_EVENTS_TTL_SECONDS = 60 * 60;
+
+function getClusterAdapterName() {
+  const name = String(process.env.CLUSTER_ADAPTER || "memory")
+    .trim()
+    .toLowerCase();
+  if (CLUSTER_ADAPTERS.includes(name)) return name;
+
+  console.warn(`⚠️ Unknown CLUSTER_ADAPTER "${name}", falling back to memory`);
+  return "memory";
+}
+
+/**
+ * In-process presence and typing state (single instance only).
+ */
+function createMemoryRealtimeState() {
+  // userId -> Set of socket ids (one per tab/device)
+  const presence = new Map();
+  // conversationId -> Set of typing userIds
+  const typing = new Map();
+
+  return {
+    name: "memory",
+
+    async addSocket(userId, socketId) {
+      if (!presence.has(userId)) presence.set(userId, new Set());
+      presence.get(userId).add(socketId);
+      return presence.get(userId).size;
+    },
+
+    async removeSocket(userId, socketId) {
+      const sockets = presence.get(userId);
+      if (!sockets) return 0;
+      sockets.delete(socketId);
+      if (sockets.size === 0) presence.delete(userId);
+      return sockets.size;
+    },
+
+    async isOnline(userId) {
+      return presence.has(String(userId));
+    },
+
+    async setTyping(conversationId, userId, isTyping) {
+      if (isTyping) {
+        if (!typing.has(conversationId)) typing.set(conversationId, new Set());
+        typing.get(conversationId).add(userId);
+        return;
+      }
+
+      const users = typing.get(conversationId);
+      if (!users) return;
+      users.delete(userId);
+      if (users.size === 0) typing.delete(conversationId);
+    },
+
+    async getTypingUserIds(conversationId) {
+      return Array.from(typing.get(conversationId) || []);
+    },
+
+    async clearTyping(userId) {
+      for (const [conversationId, users] of typing.entries()) {
+        users.delete(userId);
+        if (users.size === 0) typing.delete(conversationId);
+      }
+    },
+
+    start() {},
+    stop() {},
+  };
+}
+
+/**
+ * MongoDB-backed presence and typing state shared by every instance.
+ * This instance refreshes its own entries; entries of a crashed instance expire via TTL.
+ */
+function createMongoRealtimeState({ instanceId = INSTANCE_ID } = {}) {
+  let heartbeat = null;
+
+  const expiresIn = (ms) => new Date(Date.now() + ms);
+  const live = () => ({ expiresAt: { $gt: new Date() } });
+
+  return {
+    name: "mongo",
+
+    async addSocket(userId, socketId) {
+      await RealtimeState.updateOne(
+        { kind: "presence", key: socketId, userId },
+        { $set: { instanceId, expiresAt: expiresIn(PRESENCE_TTL_MS) } },
+        { upsert: true }
+      );
+      return RealtimeState.countDocuments({ kind: "presence", userId, ...live() });
+    },
+
+    async removeSocket(userId, socketId) {
+      await RealtimeState.deleteOne({ kind: "presence", key: socketId, userId });
+      return RealtimeState.countDocuments({ kind: "presence", userId, ...live() });
+    },
+
+    async isOnline(userId) {
+      const entry = await RealtimeState.exists({
+        kind: "presence",
+        userId: String(userId),
+        ...live(),
+      });
+      return Boolean(entry);
+    },
+
+    async setTyping(conversationId, userId, isTyping) {
+      const filter = { kind: "typing", key: conversationId, userId };
+      if (!isTyping) {
+        await RealtimeState.deleteOne(filter);
+        return;
+      }
+
+      await RealtimeState.updateOne(
+        filter,
+        { $set: { instanceId, expiresAt: expiresIn(TYPING_TTL_MS) } },
+        { upsert: true }
+      );
+    },
+
+    async getTypingUserIds(conversationId) {
+      const entries = await RealtimeState.find({ kind: "typing", key: conversationId, ...live() })
+        .select("userId")
+        .lean();
+      return entries.map((entry) => entry.userId);
+    },
+
+    async clearTyping(userId) {
+      await RealtimeState.deleteMany({ kind: "typing", userId });
+    },
+
+    start() {
+      if (heartbeat) return;
+      heartbeat = setInterval(() => {
+        if (mongoose.connection?.readyState !== 1) return;
+        RealtimeState.updateMany(
+          { kind: "presence", instanceId },
+          { $set: { expiresAt: expiresIn(PRESENCE_TTL_MS) } }
+        ).catch((e) => console.warn("⚠️ Presence heartbeat failed:", e?.message || e));
+      }, PRESENCE_TTL_MS / 3);
+      heartbeat.unref?.();
+    },
+
+    stop() {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      return RealtimeState.deleteMany({ instanceId });
+    },
+  };
+}
+
+let realtimeState = null;
+
+function getRealtimeState() {
+  if (!realtimeState) {
+    realtimeState =
+      getClusterAdapterName() === "mongo"
+        ? createMongoRealtimeState()
+        : createMemoryRealtimeState();
+    realtimeState.start();
+  }
+  return realtimeState;
+}
+
+/**
+ * Route Socket.IO broadcasts through MongoDB so io.to(room).emit reaches sockets on
+ * every instance. Call once Mongo is connected; a no-op for the memory adapter.
+ */
+async function attachSocketAdapter(io) {
+  if (getClusterAdapterName() !== "mongo") return false;
+
+  const collection = mongoose.connection.db.collection(SOCKET_EVENTS_COLLECTION);
+  await collection.createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: SOCKET_EVENTS_TTL_SECONDS, background: true }
+  );
+
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+  console.log(`✅ Socket.IO mongo adapter attached (instance ${INSTANCE_ID})`);
+  return true;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  getClusterAdapterName,
+  createMemoryRealtimeState,
+  createMongoRealtimeState,
+  getRealtimeState,
+  attachSocketAdapter,
+};
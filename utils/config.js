@@ -43,6 +43,12 @@ const {
   PAYPAL_CLIENT_SECRET,
   PAYPAL_MODE, // Will be overridden based on NODE_ENV
   DIGITAL_SERVICES_PROVIDER = "reloadly",
+  DIGITAL_SERVICES_FAILOVER = "",
+  DIGITAL_SERVICES_ROUTING = "",
+  DIGITAL_SERVICES_FAILOVER_COOLDOWN_MS = 60000,
+  DIGITAL_SERVICES_MOCK_OUTCOME = "success",
+  DING_API_KEY,
+  DING_API_URL = "https://api.dingconnect.com/api/V1",
   RELOADLY_CLIENT_ID: RELOADLY_CLIENT_ID_RAW,
   RELOADLY_CLIENT_SECRET: RELOADLY_CLIENT_SECRET_RAW,
   RELOADLY_API_CLIENT_ID,
@@ -167,6 +173,12 @@ module.exports = {
   PAYPAL_CLIENT_SECRET,
   PAYPAL_MODE: PAYPAL_MODE_ENFORCED,
   DIGITAL_SERVICES_PROVIDER,
+  DIGITAL_SERVICES_FAILOVER,
+  DIGITAL_SERVICES_ROUTING,
+  DIGITAL_SERVICES_FAILOVER_COOLDOWN_MS: Number(DIGITAL_SERVICES_FAILOVER_COOLDOWN_MS) || 0,
+  DIGITAL_SERVICES_MOCK_OUTCOME,
+  DING_API_KEY,
+  DING_API_URL,
   RELOADLY_CLIENT_ID: RELOADLY_CLIENT_ID_RESOLVED,
   RELOADLY_CLIENT_SECRET: RELOADLY_CLIENT_SECRET_RESOLVED,
   RELOADLY_ENV: RELOADLY_MODE,
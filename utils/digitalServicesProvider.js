@@ -1,247 +1,341 @@
 const crypto = require("crypto");
 const {
+  NODE_ENV,
   DIGITAL_SERVICES_PROVIDER,
-  RELOADLY_CLIENT_ID,
-  RELOADLY_CLIENT_SECRET,
-  RELOADLY_ENV,
+  DIGITAL_SERVICES_FAILOVER,
+  DIGITAL_SERVICES_ROUTING,
+  DIGITAL_SERVICES_FAILOVER_COOLDOWN_MS,
 } = require("./config");
 
-const RELOADLY_AUDIENCES = {
-  topups: "https://topups.reloadly.com",
-  giftCards: "https://giftcards.reloadly.com",
+/**
+ * Digital services provider layer
+ * Every provider (utils/digitalServicesProviders/*) exposes:
+ *   { name, supports, getCountries, getOperators, getOperator, getDataBundles, sendAirtime,
+ *     purchaseData, getGiftCards, purchaseGiftCard, resolveOperator, quotePurchase,
+ *     getTransactionStatus, getBalance }
+ * and returns the canonical (Reloadly) response shapes.
+ *
+ * Routing: each country, or country + operator, has an ordered provider chain
+ * (DIGITAL_SERVICES_ROUTING, e.g. "NG=ding,reloadly;GH:643=reloadly"); anything else uses
+ * DIGITAL_SERVICES_PROVIDER followed by DIGITAL_SERVICES_FAILOVER.
+ *
+ * Catalog reads (countries, operators, bundles, gift cards) come from the first provider
+ * of the chain, since operator and product IDs belong to it. Purchases fail over along the
+ * chain when a provider declines, fails before the purchase request is sent (not configured,
+ * unreachable, operator lookup or quote errors) or rejects it with 401, 403 or 503; the next
+ * provider finds the operator from the recipient's number and must quote a cost the caller
+ * accepts. Timeouts, 502s and other ambiguous errors never fail over, so an order can't be
+ * fulfilled twice.
+ */
+
+const PROVIDER_FACTORIES = {
+  reloadly: () => require("./digitalServicesProviders/reloadly")(),
+  ding: () => require("./digitalServicesProviders/ding")(),
+  mock: () => require("./digitalServicesProviders/mock")(),
+};
+const PURCHASE_METHODS = {
+  airtime: "sendAirtime",
+  data: "purchaseData",
+  giftCards: "purchaseGiftCard",
 };
+// Errors raised before the provider could have accepted the request
+const UNREACHABLE_ERROR_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+// Responses that mean the provider did not take the order
+const UNAVAILABLE_STATUS_CODES = new Set([401, 403, 503]);
 
-const tokenCache = new Map();
+const providers = new Map();
+const unavailableUntil = new Map();
 
-function ensureReloadlyConfigured() {
-  if (!RELOADLY_CLIENT_ID || !RELOADLY_CLIENT_SECRET) {
-    const error = new Error("Digital services provider is not configured");
-    error.statusCode = 503;
-    throw error;
-  }
+function parseProviderList(value) {
+  return String(value || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
 }
 
-function getReloadlyBaseUrl(audienceKey) {
-  const audience = RELOADLY_AUDIENCES[audienceKey];
-  return RELOADLY_ENV === "live"
-    ? audience
-    : audience.replace(".reloadly.com", "-sandbox.reloadly.com");
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unsupported digital services provider: ${name}`);
+    }
+    if (name === "mock" && NODE_ENV === "production") {
+      throw new Error("The mock digital services provider cannot run in production");
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
 }
 
-async function parseProviderResponse(response) {
-  const text = await response.text();
-  if (!text) return {};
-  try {
-    return JSON.parse(text);
-  } catch {
-    return { message: text };
-  }
+/**
+ * "NG=ding,reloadly;GH:643=reloadly" -> [{ countryCode, operatorId, chain }]
+ */
+function parseRoutingRules(value) {
+  return String(value || "")
+    .split(";")
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+    .map((rule) => {
+      const [target, chain] = rule.split("=");
+      const [countryCode, operatorId] = String(target || "")
+        .trim()
+        .toUpperCase()
+        .split(":");
+      return {
+        countryCode,
+        operatorId: operatorId || null,
+        chain: parseProviderList(chain),
+      };
+    })
+    .filter((rule) => rule.countryCode && rule.chain.length > 0);
 }
 
-async function requestReloadlyToken(audienceKey) {
-  ensureReloadlyConfigured();
-  const audience = getReloadlyBaseUrl(audienceKey);
-  const cached = tokenCache.get(audience);
-  if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
-    return cached.token;
-  }
+const DEFAULT_CHAIN = [
+  ...new Set([
+    ...parseProviderList(DIGITAL_SERVICES_PROVIDER),
+    ...parseProviderList(DIGITAL_SERVICES_FAILOVER),
+  ]),
+];
+const ROUTING_RULES = parseRoutingRules(DIGITAL_SERVICES_ROUTING);
 
-  const response = await fetch("https://auth.reloadly.com/oauth/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      client_id: RELOADLY_CLIENT_ID,
-      client_secret: RELOADLY_CLIENT_SECRET,
-      grant_type: "client_credentials",
-      audience,
-    }),
-  });
-  const data = await parseProviderResponse(response);
+// Fail at startup on a misconfigured provider name rather than on the first purchase
+[...DEFAULT_CHAIN, ...ROUTING_RULES.flatMap((rule) => rule.chain)].forEach(getProvider);
 
-  if (!response.ok || !data.access_token) {
-    const error = new Error(data.message || data.error || "Reloadly authentication failed");
-    error.statusCode = response.status || 502;
-    error.details = data;
-    throw error;
-  }
-
-  tokenCache.set(audience, {
-    token: data.access_token,
-    expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000,
-  });
+/**
+ * Ordered provider names for a country / operator (most specific rule wins)
+ */
+function getProviderChain({ countryCode, operatorId } = {}) {
+  const country = String(countryCode || "").toUpperCase();
+  const operator = operatorId === undefined || operatorId === null ? "" : String(operatorId);
+  const rule =
+    ROUTING_RULES.find(
+      (entry) => entry.countryCode === country && entry.operatorId && entry.operatorId === operator
+    ) || ROUTING_RULES.find((entry) => entry.countryCode === country && !entry.operatorId);
 
-  return data.access_token;
+  return rule ? rule.chain : DEFAULT_CHAIN;
 }
 
-async function reloadlyRequest(audienceKey, path, options = {}) {
-  const token = await requestReloadlyToken(audienceKey);
-  const response = await fetch(`${getReloadlyBaseUrl(audienceKey)}${path}`, {
-    ...options,
-    headers: {
-      Accept: "application/com.reloadly.topups-v1+json",
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${token}`,
-      ...(options.headers || {}),
-    },
-  });
-  const data = await parseProviderResponse(response);
-
-  if (!response.ok) {
-    const error = new Error(
-      data.message || data.error || `Provider request failed (${response.status})`
-    );
-    error.statusCode = response.status || 502;
-    error.details = data;
+function getCatalogProvider(context, capability = "catalog") {
+  const name = getProviderChain(context).find(
+    (providerName) =>
+      getProvider(providerName).supports.catalog && getProvider(providerName).supports[capability]
+  );
+  if (!name) {
+    const error = new Error("No digital services provider is configured for this request");
+    error.statusCode = 503;
+    error.providerUnavailable = true;
     throw error;
   }
+  return getProvider(name);
+}
 
-  return data;
+function isProviderUnavailableError(error) {
+  if (!error) return false;
+  if (error.providerUnavailable) return true;
+  if (UNREACHABLE_ERROR_CODES.has(error.cause?.code || error.code)) return true;
+  return UNAVAILABLE_STATUS_CODES.has(Number(error.statusCode));
 }
 
-async function purchaseReloadlyGiftCard(payload) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 45 * 1000);
-  try {
-    const token = await requestReloadlyToken("giftCards");
-    const response = await fetch(`${getReloadlyBaseUrl("giftCards")}/orders`, {
-      method: "POST",
-      signal: controller.signal,
-      headers: {
-        Accept: "application/com.reloadly.giftcards-v1+json",
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(payload),
-    });
-    const data = await parseProviderResponse(response);
-    if (!response.ok) {
-      const error = new Error(
-        data.message || data.error || `Provider request failed (${response.status})`
-      );
-      error.statusCode = response.status || 502;
-      error.details = data;
-      throw error;
-    }
-    return data;
-  } catch (error) {
-    if (error.name === "AbortError") {
-      const timeoutError = new Error(
-        "Gift card provider confirmation timed out. The order requires status review."
-      );
-      timeoutError.statusCode = 504;
-      throw timeoutError;
-    }
-    throw error;
-  } finally {
-    clearTimeout(timeout);
-  }
+function markUnavailable(name) {
+  unavailableUntil.set(name, Date.now() + Number(DIGITAL_SERVICES_FAILOVER_COOLDOWN_MS || 0));
+}
+
+function isCoolingDown(name) {
+  return (unavailableUntil.get(name) || 0) > Date.now();
 }
 
 function buildReference(prefix) {
   return `${prefix}_${Date.now()}_${crypto.randomBytes(5).toString("hex")}`;
 }
 
-function getOperatorId(operator) {
-  return operator?.operatorId || operator?.id;
-}
+/**
+ * Buy airtime, data or a gift card with failover.
+ *
+ * @param {String} kind - airtime | data | giftCards
+ * @param {Object} payload - canonical purchase payload
+ * @param {Object} context - { countryCode, operatorId, isDeclined(result), acceptCost(quote) }
+ *   acceptCost receives a failover provider's { amount, currencyCode } quote and returns the
+ *   re-priced cost to record, or null to skip that provider. Without it only the catalog
+ *   provider can fulfil the order.
+ * @returns {Object} { result, providerName, operatorId, attempts, cost } (cost is null when
+ *   the catalog provider fulfilled the order)
+ */
+async function purchase(kind, payload, context = {}) {
+  const method = PURCHASE_METHODS[kind];
+  const chain = getProviderChain(context).filter((name) => getProvider(name).supports[kind]);
+  // Providers that just failed go last
+  const ordered = [
+    ...chain.filter((name) => !isCoolingDown(name)),
+    ...chain.filter((name) => isCoolingDown(name)),
+  ];
+  const catalogProvider = getCatalogProvider(
+    context,
+    kind === "giftCards" ? "giftCards" : "catalog"
+  ).name;
+
+  const attempts = [];
+  let declined = null;
+  let lastError = null;
 
-function getAmountDescription(descriptions, amount) {
-  if (!descriptions || typeof descriptions !== "object") return "";
-  const amountKey = String(amount);
-  return (
-    descriptions[amountKey] ||
-    descriptions[Number(amount)] ||
-    descriptions[amountKey.replace(/\.0+$/, "")] ||
-    ""
+  for (const name of ordered) {
+    const provider = getProvider(name);
+    const startedAt = new Date();
+    let providerPayload = payload;
+    let cost = null;
+    let requestSent = false;
+
+    try {
+      if (name !== catalogProvider) {
+        // The catalog's operator / product IDs mean nothing to this provider
+        if (
+          kind === "giftCards" ||
+          payload.data?.packageCode ||
+          !provider.supports.operatorLookup ||
+          !context.acceptCost
+        ) {
+          attempts.push({
+            provider: name,
+            outcome: "skipped",
+            message: "Catalog item not available",
+            at: startedAt,
+          });
+          continue;
+        }
+        const operatorId = await provider.resolveOperator({
+          phone: payload.recipientPhone?.number,
+          countryCode: payload.recipientPhone?.countryCode || context.countryCode,
+        });
+        if (!operatorId) {
+          attempts.push({
+            provider: name,
+            outcome: "skipped",
+            message: "Operator not found",
+            at: startedAt,
+          });
+          continue;
+        }
+        providerPayload = { ...payload, operatorId };
+
+        // The order was priced from the catalog provider; this one may charge differently
+        const quote = await provider.quotePurchase(kind, providerPayload);
+        cost = quote ? await context.acceptCost(quote) : null;
+        if (!cost) {
+          attempts.push({
+            provider: name,
+            outcome: "skipped",
+            message: quote ? "Provider cost is above the order price" : "Provider cost unavailable",
+            at: startedAt,
+          });
+          continue;
+        }
+      }
+
+      requestSent = true;
+      const result = await provider[method](providerPayload);
+      if (context.isDeclined?.(result)) {
+        attempts.push({
+          provider: name,
+          outcome: "declined",
+          message: result?.status || null,
+          at: startedAt,
+        });
+        declined = { result, providerName: name, operatorId: providerPayload.operatorId, cost };
+        continue;
+      }
+
+      attempts.push({ provider: name, outcome: "accepted", message: null, at: startedAt });
+      return { result, providerName: name, operatorId: providerPayload.operatorId, attempts, cost };
+    } catch (error) {
+      if (requestSent && !isProviderUnavailableError(error)) {
+        attempts.push({ provider: name, outcome: "error", message: error.message, at: startedAt });
+        error.providerName = name;
+        error.providerOperatorId = providerPayload.operatorId;
+        error.providerAttempts = attempts;
+        throw error;
+      }
+      if (isProviderUnavailableError(error)) markUnavailable(name);
+      attempts.push({
+        provider: name,
+        outcome: "unavailable",
+        message: error.message,
+        at: startedAt,
+      });
+      lastError = error;
+    }
+  }
+
+  if (declined) {
+    return { ...declined, attempts };
+  }
+
+  const error = new Error(
+    lastError?.message || "No digital services provider can fulfil this request"
   );
+  error.statusCode = 503;
+  error.providerUnavailable = true;
+  error.details = lastError?.details || null;
+  error.providerAttempts = attempts;
+  throw error;
 }
 
-function buildBundlesFromOperator(operator) {
-  const operatorId = getOperatorId(operator);
-  const operatorName = operator?.name || operator?.operatorName || "Data bundle";
-  const fixedAmounts = Array.isArray(operator?.fixedAmounts)
-    ? operator.fixedAmounts
-    : [];
-  const localFixedAmounts = Array.isArray(operator?.localFixedAmounts)
-    ? operator.localFixedAmounts
-    : [];
-  const amounts = fixedAmounts.length > 0 ? fixedAmounts : localFixedAmounts;
-  const descriptions =
-    fixedAmounts.length > 0
-      ? operator?.fixedAmountsDescriptions
-      : operator?.localFixedAmountsDescriptions;
-
-  return amounts
-    .map((amount) => {
-      const numericAmount = Number(amount);
-      if (!Number.isFinite(numericAmount) || numericAmount <= 0) return null;
-      const description = getAmountDescription(descriptions, amount);
-      return {
-        id: `amount:${numericAmount}`,
-        packageCode: `amount:${numericAmount}`,
-        name: description || `${operatorName} ${numericAmount}`,
-        description: description || `${operatorName} data bundle`,
-        amount: numericAmount,
-        fixedAmount: numericAmount,
-        operatorId,
-        source: "operator-fixed-amount",
-      };
-    })
-    .filter(Boolean);
+/**
+ * Provider-side state of a transaction, from the provider that handled it.
+ * Returns the canonical purchase response shape, or null when the provider has no record.
+ */
+function getTransactionStatus(transaction) {
+  const provider = getProvider(transaction.provider || DEFAULT_CHAIN[0]);
+  return provider.getTransactionStatus({
+    serviceType: transaction.serviceType,
+    providerReference: transaction.providerReference,
+    reference: transaction.reference,
+    requestPayload: transaction.requestPayload,
+  });
 }
 
-function createDigitalServicesProvider() {
-  if (DIGITAL_SERVICES_PROVIDER !== "reloadly") {
-    throw new Error(`Unsupported digital services provider: ${DIGITAL_SERVICES_PROVIDER}`);
-  }
-
-  return {
-    name: "reloadly",
-    buildReference,
-    getCountries() {
-      return reloadlyRequest("topups", "/countries");
-    },
-    getOperators(countryCode) {
-      return reloadlyRequest("topups", `/operators/countries/${encodeURIComponent(countryCode)}`);
-    },
-    getOperator(operatorId) {
-      return reloadlyRequest("topups", `/operators/${encodeURIComponent(operatorId)}`);
-    },
-    async getDataBundles(operatorId) {
-      const encodedOperatorId = encodeURIComponent(operatorId);
+/**
+ * Account balance at every provider in use (default chain and routing rules).
+ * A provider that can't be reached is reported with its error instead of a balance.
+ */
+async function getProviderBalances() {
+  const names = [...new Set([...DEFAULT_CHAIN, ...ROUTING_RULES.flatMap((rule) => rule.chain)])];
+  return Promise.all(
+    names.map(async (name) => {
       try {
-        return await reloadlyRequest("topups", `/operators/${encodedOperatorId}/packages`);
+        return { provider: name, ...(await getProvider(name).getBalance()), error: null };
       } catch (error) {
-        if (error.statusCode !== 404) {
-          throw error;
-        }
+        return {
+          provider: name,
+          balance: null,
+          currency: null,
+          updatedAt: null,
+          error: error.message,
+        };
       }
-
-      const operator = await reloadlyRequest("topups", `/operators/${encodedOperatorId}`);
-      return buildBundlesFromOperator(operator);
-    },
-    sendAirtime(payload) {
-      return reloadlyRequest("topups", "/topups", {
-        method: "POST",
-        body: JSON.stringify(payload),
-      });
-    },
-    purchaseData(payload) {
-      return reloadlyRequest("topups", "/topups", {
-        method: "POST",
-        body: JSON.stringify(payload),
-      });
-    },
-    getGiftCards(countryCode) {
-      const query = countryCode ? `?countryCode=${encodeURIComponent(countryCode)}` : "";
-      return reloadlyRequest("giftCards", `/products${query}`, {
-        headers: { Accept: "application/com.reloadly.giftcards-v1+json" },
-      });
-    },
-    purchaseGiftCard(payload) {
-      return purchaseReloadlyGiftCard(payload);
-    },
-  };
+    })
+  );
 }
 
-module.exports = createDigitalServicesProvider();
+module.exports = {
+  name: DEFAULT_CHAIN[0],
+  buildReference,
+  getProviderChain,
+  isProviderUnavailableError,
+  getCountries() {
+    return getCatalogProvider().getCountries();
+  },
+  getOperators(countryCode) {
+    return getCatalogProvider({ countryCode }).getOperators(countryCode);
+  },
+  getOperator(operatorId, context = {}) {
+    return getCatalogProvider({ ...context, operatorId }).getOperator(operatorId);
+  },
+  getDataBundles(operatorId, context = {}) {
+    return getCatalogProvider({ ...context, operatorId }).getDataBundles(operatorId);
+  },
+  getGiftCards(countryCode) {
+    return getCatalogProvider({ countryCode }, "giftCards").getGiftCards(countryCode);
+  },
+  purchase,
+  getTransactionStatus,
+  getProviderBalances,
+};
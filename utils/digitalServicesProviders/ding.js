@@ -0,0 +1,371 @@
+const { DING_API_KEY, DING_API_URL } = require("../config");
+
+/**
+ * DingConnect aggregator (airtime and data). Responses are mapped to the canonical
+ * (Reloadly) shapes: operators carry `operatorId` = Ding provider code, purchases return
+ * { transactionId, status, requestedAmount, currencyCode, ... }.
+ */
+
+const REQUEST_TIMEOUT_MS = 45 * 1000;
+const CATALOG_CACHE_MS = 10 * 60 * 1000;
+const DING_STATUS_MAP = {
+  COMPLETE: "SUCCESSFUL",
+  FAILED: "FAILED",
+  CANCELLED: "FAILED",
+  SUBMITTED: "PROCESSING",
+  PROCESSING: "PROCESSING",
+};
+
+const catalogCache = new Map();
+
+function ensureDingConfigured() {
+  if (!DING_API_KEY) {
+    const error = new Error("Digital services provider is not configured");
+    error.statusCode = 503;
+    error.providerUnavailable = true;
+    throw error;
+  }
+}
+
+async function dingRequest(path, options = {}) {
+  ensureDingConfigured();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${DING_API_URL.replace(/\/+$/, "")}${path}`, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        api_key: DING_API_KEY,
+        ...(options.headers || {}),
+      },
+    });
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { message: text };
+    }
+
+    const errorCode = data?.ErrorCodes?.[0]?.Code;
+    if (!response.ok || (data?.ResultCode && data.ResultCode !== 1 && !data?.TransferRecord)) {
+      const error = new Error(
+        errorCode || data.message || `Provider request failed (${response.status})`
+      );
+      error.statusCode = response.ok ? 400 : response.status || 502;
+      error.details = data;
+      if (response.status === 401 || response.status === 403) {
+        error.providerUnavailable = true;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === "AbortError") {
+      const timeoutError = new Error(
+        "Provider confirmation timed out. The order requires status review."
+      );
+      timeoutError.statusCode = 504;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function getCached(key, loader) {
+  const cached = catalogCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+  const value = await loader();
+  catalogCache.set(key, { value, expiresAt: Date.now() + CATALOG_CACHE_MS });
+  return value;
+}
+
+function getItems(data) {
+  return Array.isArray(data?.Items) ? data.Items : [];
+}
+
+function getDingCountries() {
+  return getCached("countries", async () => getItems(await dingRequest("/GetCountries")));
+}
+
+function getDingProducts(query) {
+  return getCached(`products:${query}`, async () =>
+    getItems(await dingRequest(`/GetProducts?${query}`))
+  );
+}
+
+function isFixedProduct(product) {
+  return Number(product.Minimum?.ReceiveValue) === Number(product.Maximum?.ReceiveValue);
+}
+
+function isDataProduct(product) {
+  return (product.Benefits || []).some((benefit) => /data/i.test(benefit));
+}
+
+function toCanonicalOperator(provider, products) {
+  const airtimeProducts = products.filter((product) => !isDataProduct(product));
+  const fixed = airtimeProducts.filter(isFixedProduct);
+  const ranged = airtimeProducts.filter((product) => !isFixedProduct(product));
+  const [sample] = airtimeProducts.length > 0 ? airtimeProducts : products;
+
+  return {
+    operatorId: provider.ProviderCode,
+    id: provider.ProviderCode,
+    name: provider.Name || provider.ShortName,
+    country: { isoName: provider.CountryIso },
+    logoUrls: provider.LogoUrl ? [provider.LogoUrl] : [],
+    denominationType: ranged.length > 0 ? "RANGE" : "FIXED",
+    senderCurrencyCode: sample?.Minimum?.SendCurrencyIso || null,
+    destinationCurrencyCode: sample?.Minimum?.ReceiveCurrencyIso || null,
+    fixedAmounts: fixed.map((product) => Number(product.Minimum.SendValue)),
+    localFixedAmounts: fixed.map((product) => Number(product.Minimum.ReceiveValue)),
+    minAmount: ranged[0] ? Number(ranged[0].Minimum.SendValue) : null,
+    maxAmount: ranged[0] ? Number(ranged[0].Maximum.SendValue) : null,
+    localMinAmount: ranged[0] ? Number(ranged[0].Minimum.ReceiveValue) : null,
+    localMaxAmount: ranged[0] ? Number(ranged[0].Maximum.ReceiveValue) : null,
+    data: products.some(isDataProduct),
+  };
+}
+
+/**
+ * Ding wants the full international number without "+"; local numbers get the
+ * country's dialing prefix.
+ */
+async function toInternationalNumber({ number, countryCode }) {
+  const raw = String(number || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+") || raw.startsWith("00")) {
+    return digits.replace(/^00/, "");
+  }
+
+  const countries = await getDingCountries();
+  const country = countries.find((entry) => entry.CountryIso === countryCode);
+  const prefix = country?.InternationalDialingInformation?.[0]?.Prefix;
+  if (!prefix || digits.startsWith(prefix)) {
+    return digits;
+  }
+  return `${prefix}${digits.replace(/^0+/, "")}`;
+}
+
+/**
+ * Product (SKU) and send value for a canonical top-up payload
+ */
+async function selectProduct(payload, { data }) {
+  const providerCode = payload.operatorId;
+  const products = await getDingProducts(`providerCodes=${encodeURIComponent(providerCode)}`);
+
+  if (payload.data?.packageCode) {
+    const product = products.find((item) => item.SkuCode === payload.data.packageCode);
+    return product
+      ? { product, sendValue: Number(product.Minimum.SendValue) }
+      : { product: null, sendValue: null };
+  }
+
+  const amount = Number(payload.amount);
+  const useLocalAmount = payload.useLocalAmount === true;
+  const valueKey = useLocalAmount ? "ReceiveValue" : "SendValue";
+  const currencyKey = useLocalAmount ? "ReceiveCurrencyIso" : "SendCurrencyIso";
+  const candidates = products.filter(
+    (product) =>
+      isDataProduct(product) === Boolean(data) &&
+      (!useLocalAmount ||
+        !payload.localCurrencyCode ||
+        product.Minimum?.[currencyKey] === payload.localCurrencyCode)
+  );
+
+  const fixedMatch = candidates.find(
+    (product) => isFixedProduct(product) && Number(product.Minimum[valueKey]) === amount
+  );
+  if (fixedMatch) {
+    return { product: fixedMatch, sendValue: Number(fixedMatch.Minimum.SendValue) };
+  }
+
+  const rangeMatch = candidates.find(
+    (product) =>
+      !isFixedProduct(product) &&
+      amount >= Number(product.Minimum[valueKey]) &&
+      amount <= Number(product.Maximum[valueKey])
+  );
+  if (!rangeMatch) {
+    return { product: null, sendValue: null };
+  }
+  if (!useLocalAmount) {
+    return { product: rangeMatch, sendValue: amount };
+  }
+
+  const [estimate] = await dingRequest("/EstimatePrices", {
+    method: "POST",
+    body: JSON.stringify([
+      { SkuCode: rangeMatch.SkuCode, ReceiveValue: amount, BatchItemRef: "1" },
+    ]),
+  }).then(getItems);
+  return { product: rangeMatch, sendValue: Number(estimate?.Price?.SendValue) || null };
+}
+
+function toCanonicalTransfer(transferRecord, { useLocalAmount } = {}) {
+  if (!transferRecord) return null;
+  const price = transferRecord.Price || {};
+  const state = String(transferRecord.ProcessingState || "").toUpperCase();
+
+  return {
+    transactionId: transferRecord.TransferId?.TransferRef || null,
+    customIdentifier: transferRecord.TransferId?.DistributorRef || null,
+    status: DING_STATUS_MAP[state] || state || null,
+    operatorId: null,
+    providerOperatorCode: transferRecord.SkuCode || null,
+    requestedAmount: useLocalAmount ? price.ReceiveValue : price.SendValue,
+    currencyCode: useLocalAmount ? price.ReceiveCurrencyIso : price.SendCurrencyIso,
+    deliveredAmount: price.ReceiveValue,
+    deliveredAmountCurrencyCode: price.ReceiveCurrencyIso,
+    transactionDate: transferRecord.CompletedUtc || transferRecord.StartedUtc || null,
+    raw: transferRecord,
+  };
+}
+
+async function sendDingTransfer(payload, { data }) {
+  const { product, sendValue } = await selectProduct(payload, { data });
+  if (!product || !sendValue) {
+    // No matching product: nothing was sent, so another provider may take it
+    const error = new Error("Provider has no product for this amount");
+    error.statusCode = 400;
+    error.providerUnavailable = true;
+    throw error;
+  }
+
+  const result = await dingRequest("/SendTransfer", {
+    method: "POST",
+    body: JSON.stringify({
+      SkuCode: product.SkuCode,
+      SendValue: sendValue,
+      SendCurrencyIso: product.Minimum.SendCurrencyIso,
+      AccountNumber: await toInternationalNumber(payload.recipientPhone || {}),
+      DistributorRef: payload.customIdentifier,
+      ValidateOnly: false,
+    }),
+  });
+
+  return toCanonicalTransfer(result.TransferRecord, { useLocalAmount: payload.useLocalAmount });
+}
+
+function createDingProvider() {
+  return {
+    name: "ding",
+    supports: {
+      catalog: true,
+      airtime: true,
+      data: true,
+      giftCards: false,
+      operatorLookup: true,
+      statusLookup: true,
+    },
+    async getCountries() {
+      const countries = await getDingCountries();
+      return countries.map((country) => ({
+        isoName: country.CountryIso,
+        name: country.CountryName,
+        callingCodes: (country.InternationalDialingInformation || []).map(
+          (entry) => `+${entry.Prefix}`
+        ),
+      }));
+    },
+    async getOperators(countryCode) {
+      const query = `countryIsos=${encodeURIComponent(countryCode)}`;
+      const [providers, products] = await Promise.all([
+        getCached(`providers:${query}`, async () =>
+          getItems(await dingRequest(`/GetProviders?${query}`))
+        ),
+        getDingProducts(query),
+      ]);
+      return providers.map((provider) =>
+        toCanonicalOperator(
+          provider,
+          products.filter((product) => product.ProviderCode === provider.ProviderCode)
+        )
+      );
+    },
+    async getOperator(operatorId) {
+      const query = `providerCodes=${encodeURIComponent(operatorId)}`;
+      const [providers, products] = await Promise.all([
+        getItems(await dingRequest(`/GetProviders?${query}`)),
+        getDingProducts(query),
+      ]);
+      if (!providers[0]) {
+        const error = new Error("Operator not found");
+        error.statusCode = 404;
+        throw error;
+      }
+      return toCanonicalOperator(providers[0], products);
+    },
+    async getDataBundles(operatorId) {
+      const products = await getDingProducts(`providerCodes=${encodeURIComponent(operatorId)}`);
+      return products.filter(isDataProduct).map((product) => ({
+        id: product.SkuCode,
+        packageCode: product.SkuCode,
+        name: product.DefaultDisplayText || product.SkuCode,
+        description: product.DefaultDisplayText || "Data bundle",
+        amount: Number(product.Minimum.SendValue),
+        fixedAmount: Number(product.Minimum.SendValue),
+        currencyCode: product.Minimum.SendCurrencyIso,
+        operatorId,
+        source: "ding-product",
+      }));
+    },
+    sendAirtime(payload) {
+      return sendDingTransfer(payload, { data: false });
+    },
+    purchaseData(payload) {
+      return sendDingTransfer(payload, { data: true });
+    },
+    async getGiftCards() {
+      return [];
+    },
+    purchaseGiftCard() {
+      const error = new Error("Gift cards are not available from this provider");
+      error.statusCode = 400;
+      error.providerUnavailable = true;
+      throw error;
+    },
+    async resolveOperator({ phone, countryCode }) {
+      const accountNumber = await toInternationalNumber({ number: phone, countryCode });
+      const lookup = await dingRequest(
+        `/GetAccountLookup?accountNumber=${encodeURIComponent(accountNumber)}`
+      );
+      return getItems(lookup)[0]?.ProviderCode || null;
+    },
+    // Send value of the product the top-up would use, in the distributor's currency
+    async quotePurchase(kind, payload) {
+      const { product, sendValue } = await selectProduct(payload, { data: kind === "data" });
+      return product && sendValue
+        ? { amount: sendValue, currencyCode: product.Minimum.SendCurrencyIso }
+        : null;
+    },
+    async getBalance() {
+      const data = await dingRequest("/GetBalance");
+      return {
+        balance: Number(data.Balance),
+        currency: data.CurrencyIso || null,
+        updatedAt: null,
+      };
+    },
+    async getTransactionStatus({ reference, requestPayload }) {
+      const result = await dingRequest("/ListTransferRecords", {
+        method: "POST",
+        body: JSON.stringify({ DistributorRef: reference, Take: 1 }),
+      });
+      const [record] = getItems(result);
+      return toCanonicalTransfer(record?.TransferRecord, {
+        useLocalAmount: requestPayload?.useLocalAmount,
+      });
+    },
+  };
+}
+
+module.exports = createDingProvider;
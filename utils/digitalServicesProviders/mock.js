@@ -0,0 +1,163 @@
+const { DIGITAL_SERVICES_MOCK_OUTCOME } = require("../config");
+
+/**
+ * Local mock provider for development and failover drills. Nothing leaves the server.
+ * DIGITAL_SERVICES_MOCK_OUTCOME: success (default) | declined | unavailable | timeout
+ */
+
+const MOCK_OPERATORS = [
+  { operatorId: 900001, name: "Mock Mobile NG", countryCode: "NG", currencyCode: "NGN", fx: 1500 },
+  { operatorId: 900002, name: "Mock Mobile GH", countryCode: "GH", currencyCode: "GHS", fx: 15 },
+  { operatorId: 900003, name: "Mock Mobile KE", countryCode: "KE", currencyCode: "KES", fx: 130 },
+];
+
+const MOCK_GIFT_CARDS = [
+  {
+    productId: 800001,
+    productName: "Mock Store Card",
+    senderCurrencyCode: "USD",
+    fixedRecipientDenominations: [10, 25, 50],
+  },
+];
+
+const transactions = new Map();
+
+function toCanonicalOperator(operator) {
+  return {
+    operatorId: operator.operatorId,
+    id: operator.operatorId,
+    name: operator.name,
+    country: { isoName: operator.countryCode },
+    denominationType: "RANGE",
+    senderCurrencyCode: "USD",
+    destinationCurrencyCode: operator.currencyCode,
+    minAmount: 1,
+    maxAmount: 100,
+    localMinAmount: operator.fx,
+    localMaxAmount: operator.fx * 100,
+    fxRate: operator.fx,
+    fixedAmounts: [],
+    localFixedAmounts: [],
+  };
+}
+
+function findOperator(operatorId) {
+  const operator = MOCK_OPERATORS.find((entry) => String(entry.operatorId) === String(operatorId));
+  if (!operator) {
+    const error = new Error("Operator not found");
+    error.statusCode = 404;
+    throw error;
+  }
+  return operator;
+}
+
+function runOutcome() {
+  const outcome = String(DIGITAL_SERVICES_MOCK_OUTCOME || "success").toLowerCase();
+  if (outcome === "unavailable") {
+    const error = new Error("Mock provider is unavailable");
+    error.statusCode = 503;
+    error.providerUnavailable = true;
+    throw error;
+  }
+  if (outcome === "timeout") {
+    const error = new Error("Provider confirmation timed out. The order requires status review.");
+    error.statusCode = 504;
+    throw error;
+  }
+  return outcome === "declined" ? "FAILED" : "SUCCESSFUL";
+}
+
+function recordTransaction(payload, extra) {
+  const result = {
+    transactionId: `mock_${transactions.size + 1}_${Date.now()}`,
+    customIdentifier: payload.customIdentifier,
+    status: runOutcome(),
+    transactionDate: new Date().toISOString(),
+    ...extra,
+  };
+  transactions.set(payload.customIdentifier, result);
+  return result;
+}
+
+function recordTopup(payload) {
+  return recordTransaction(payload, {
+    operatorId: payload.operatorId,
+    requestedAmount: payload.amount,
+    currencyCode: payload.useLocalAmount ? payload.localCurrencyCode || null : null,
+    recipientPhone: payload.recipientPhone?.number,
+  });
+}
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    supports: {
+      catalog: true,
+      airtime: true,
+      data: true,
+      giftCards: true,
+      operatorLookup: true,
+      statusLookup: true,
+    },
+    async getCountries() {
+      return [...new Set(MOCK_OPERATORS.map((operator) => operator.countryCode))].map(
+        (isoName) => ({ isoName, name: `Mock ${isoName}` })
+      );
+    },
+    async getOperators(countryCode) {
+      return MOCK_OPERATORS.filter((operator) => operator.countryCode === countryCode).map(
+        toCanonicalOperator
+      );
+    },
+    async getOperator(operatorId) {
+      return toCanonicalOperator(findOperator(operatorId));
+    },
+    async getDataBundles(operatorId) {
+      const operator = findOperator(operatorId);
+      return [1, 5, 10].map((amount) => ({
+        id: `amount:${amount}`,
+        packageCode: `amount:${amount}`,
+        name: `${operator.name} ${amount} USD data`,
+        description: `${operator.name} data bundle`,
+        amount,
+        fixedAmount: amount,
+        operatorId: operator.operatorId,
+        source: "mock",
+      }));
+    },
+    async sendAirtime(payload) {
+      return recordTopup(payload);
+    },
+    async purchaseData(payload) {
+      return recordTopup(payload);
+    },
+    async getGiftCards() {
+      return MOCK_GIFT_CARDS;
+    },
+    async purchaseGiftCard(payload) {
+      return recordTransaction(payload, {
+        productId: payload.productId,
+        amount: Number(payload.unitPrice) * Number(payload.quantity || 1),
+        currencyCode: "USD",
+      });
+    },
+    async resolveOperator({ countryCode }) {
+      return (
+        MOCK_OPERATORS.find((operator) => operator.countryCode === countryCode)?.operatorId || null
+      );
+    },
+    async quotePurchase(kind, payload) {
+      const { fx } = findOperator(payload.operatorId);
+      const amount = payload.useLocalAmount ? Number(payload.amount) / fx : Number(payload.amount);
+      return { amount: Math.ceil(amount * 100) / 100, currencyCode: "USD" };
+    },
+    async getBalance() {
+      return { balance: 1000, currency: "USD", updatedAt: null };
+    },
+    async getTransactionStatus({ reference }) {
+      return transactions.get(reference) || null;
+    },
+  };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,315 @@
+const { RELOADLY_CLIENT_ID, RELOADLY_CLIENT_SECRET, RELOADLY_ENV } = require("../config");
+
+/**
+ * Reloadly aggregator (airtime, data and gift cards). Its response shapes are the
+ * canonical shapes every digital services provider returns.
+ */
+
+const RELOADLY_AUDIENCES = {
+  topups: "https://topups.reloadly.com",
+  giftCards: "https://giftcards.reloadly.com",
+};
+
+const tokenCache = new Map();
+
+function ensureReloadlyConfigured() {
+  if (!RELOADLY_CLIENT_ID || !RELOADLY_CLIENT_SECRET) {
+    const error = new Error("Digital services provider is not configured");
+    error.statusCode = 503;
+    error.providerUnavailable = true;
+    throw error;
+  }
+}
+
+function getReloadlyBaseUrl(audienceKey) {
+  const audience = RELOADLY_AUDIENCES[audienceKey];
+  return RELOADLY_ENV === "live"
+    ? audience
+    : audience.replace(".reloadly.com", "-sandbox.reloadly.com");
+}
+
+async function parseProviderResponse(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
+  }
+}
+
+async function requestReloadlyToken(audienceKey) {
+  ensureReloadlyConfigured();
+  const audience = getReloadlyBaseUrl(audienceKey);
+  const cached = tokenCache.get(audience);
+  if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
+    return cached.token;
+  }
+
+  const response = await fetch("https://auth.reloadly.com/oauth/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      client_id: RELOADLY_CLIENT_ID,
+      client_secret: RELOADLY_CLIENT_SECRET,
+      grant_type: "client_credentials",
+      audience,
+    }),
+  });
+  const data = await parseProviderResponse(response);
+
+  if (!response.ok || !data.access_token) {
+    const error = new Error(data.message || data.error || "Reloadly authentication failed");
+    error.statusCode = response.status || 502;
+    error.details = data;
+    // Nothing was sent to the purchase endpoint yet
+    error.providerUnavailable = true;
+    throw error;
+  }
+
+  tokenCache.set(audience, {
+    token: data.access_token,
+    expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000,
+  });
+
+  return data.access_token;
+}
+
+async function reloadlyRequest(audienceKey, path, options = {}) {
+  const token = await requestReloadlyToken(audienceKey);
+  const response = await fetch(`${getReloadlyBaseUrl(audienceKey)}${path}`, {
+    ...options,
+    headers: {
+      Accept: "application/com.reloadly.topups-v1+json",
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+      ...(options.headers || {}),
+    },
+  });
+  const data = await parseProviderResponse(response);
+
+  if (!response.ok) {
+    const error = new Error(
+      data.message || data.error || `Provider request failed (${response.status})`
+    );
+    error.statusCode = response.status || 502;
+    error.details = data;
+    throw error;
+  }
+
+  return data;
+}
+
+async function purchaseReloadlyGiftCard(payload) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 45 * 1000);
+  try {
+    const token = await requestReloadlyToken("giftCards");
+    const response = await fetch(`${getReloadlyBaseUrl("giftCards")}/orders`, {
+      method: "POST",
+      signal: controller.signal,
+      headers: {
+        Accept: "application/com.reloadly.giftcards-v1+json",
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(payload),
+    });
+    const data = await parseProviderResponse(response);
+    if (!response.ok) {
+      const error = new Error(
+        data.message || data.error || `Provider request failed (${response.status})`
+      );
+      error.statusCode = response.status || 502;
+      error.details = data;
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    if (error.name === "AbortError") {
+      const timeoutError = new Error(
+        "Gift card provider confirmation timed out. The order requires status review."
+      );
+      timeoutError.statusCode = 504;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function getOperatorId(operator) {
+  return operator?.operatorId || operator?.id;
+}
+
+function getAmountDescription(descriptions, amount) {
+  if (!descriptions || typeof descriptions !== "object") return "";
+  const amountKey = String(amount);
+  return (
+    descriptions[amountKey] ||
+    descriptions[Number(amount)] ||
+    descriptions[amountKey.replace(/\.0+$/, "")] ||
+    ""
+  );
+}
+
+function buildBundlesFromOperator(operator) {
+  const operatorId = getOperatorId(operator);
+  const operatorName = operator?.name || operator?.operatorName || "Data bundle";
+  const fixedAmounts = Array.isArray(operator?.fixedAmounts)
+    ? operator.fixedAmounts
+    : [];
+  const localFixedAmounts = Array.isArray(operator?.localFixedAmounts)
+    ? operator.localFixedAmounts
+    : [];
+  const amounts = fixedAmounts.length > 0 ? fixedAmounts : localFixedAmounts;
+  const descriptions =
+    fixedAmounts.length > 0
+      ? operator?.fixedAmountsDescriptions
+      : operator?.localFixedAmountsDescriptions;
+
+  return amounts
+    .map((amount) => {
+      const numericAmount = Number(amount);
+      if (!Number.isFinite(numericAmount) || numericAmount <= 0) return null;
+      const description = getAmountDescription(descriptions, amount);
+      return {
+        id: `amount:${numericAmount}`,
+        packageCode: `amount:${numericAmount}`,
+        name: description || `${operatorName} ${numericAmount}`,
+        description: description || `${operatorName} data bundle`,
+        amount: numericAmount,
+        fixedAmount: numericAmount,
+        operatorId,
+        source: "operator-fixed-amount",
+      };
+    })
+    .filter(Boolean);
+}
+
+const GIFT_CARD_HEADERS = { Accept: "application/com.reloadly.giftcards-v1+json" };
+
+function createReloadlyProvider() {
+  return {
+    name: "reloadly",
+    supports: {
+      catalog: true,
+      airtime: true,
+      data: true,
+      giftCards: true,
+      operatorLookup: true,
+      statusLookup: true,
+    },
+    getCountries() {
+      return reloadlyRequest("topups", "/countries");
+    },
+    getOperators(countryCode) {
+      return reloadlyRequest("topups", `/operators/countries/${encodeURIComponent(countryCode)}`);
+    },
+    getOperator(operatorId) {
+      return reloadlyRequest("topups", `/operators/${encodeURIComponent(operatorId)}`);
+    },
+    async getDataBundles(operatorId) {
+      const encodedOperatorId = encodeURIComponent(operatorId);
+      try {
+        return await reloadlyRequest("topups", `/operators/${encodedOperatorId}/packages`);
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+
+      const operator = await reloadlyRequest("topups", `/operators/${encodedOperatorId}`);
+      return buildBundlesFromOperator(operator);
+    },
+    sendAirtime(payload) {
+      return reloadlyRequest("topups", "/topups", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+    },
+    purchaseData(payload) {
+      return reloadlyRequest("topups", "/topups", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+    },
+    getGiftCards(countryCode) {
+      const query = countryCode ? `?countryCode=${encodeURIComponent(countryCode)}` : "";
+      return reloadlyRequest("giftCards", `/products${query}`, {
+        headers: GIFT_CARD_HEADERS,
+      });
+    },
+    purchaseGiftCard(payload) {
+      return purchaseReloadlyGiftCard(payload);
+    },
+    async resolveOperator({ phone, countryCode }) {
+      const operator = await reloadlyRequest(
+        "topups",
+        `/operators/auto-detect/phone/${encodeURIComponent(phone)}/countries/${encodeURIComponent(
+          countryCode
+        )}`
+      );
+      return getOperatorId(operator) || null;
+    },
+    // Sender-currency cost of a top-up: the operator's FX rate for local amounts, less the
+    // international discount
+    async quotePurchase(kind, payload) {
+      const operator = await reloadlyRequest(
+        "topups",
+        `/operators/${encodeURIComponent(payload.operatorId)}`
+      );
+      const fxRate = Number(operator?.fx?.rate);
+      const amount = payload.useLocalAmount
+        ? Number(payload.amount) / fxRate
+        : Number(payload.amount);
+      if (!Number.isFinite(amount) || amount <= 0) return null;
+      const discount = Number(operator.internationalDiscount) || 0;
+      return {
+        amount: Math.ceil(amount * (1 - discount / 100) * 100) / 100,
+        currencyCode: operator.senderCurrencyCode || "USD",
+      };
+    },
+    async getBalance() {
+      const data = await reloadlyRequest("topups", "/accounts/balance");
+      return {
+        balance: Number(data.balance),
+        currency: data.currencyCode || null,
+        updatedAt: data.updatedAt || null,
+      };
+    },
+    async getTransactionStatus({ serviceType, providerReference, reference }) {
+      if (serviceType === "gift-card") {
+        if (providerReference) {
+          return reloadlyRequest(
+            "giftCards",
+            `/orders/transactions/${encodeURIComponent(providerReference)}`,
+            { headers: GIFT_CARD_HEADERS }
+          );
+        }
+        const report = await reloadlyRequest(
+          "giftCards",
+          `/reports/transactions?customIdentifier=${encodeURIComponent(reference)}`,
+          { headers: GIFT_CARD_HEADERS }
+        );
+        return report?.content?.[0] || null;
+      }
+
+      if (providerReference) {
+        const data = await reloadlyRequest(
+          "topups",
+          `/topups/${encodeURIComponent(providerReference)}/status`
+        );
+        return data?.transaction ? { ...data.transaction, status: data.status } : data;
+      }
+      const report = await reloadlyRequest(
+        "topups",
+        `/topups/reports/transactions?customIdentifier=${encodeURIComponent(reference)}`
+      );
+      return report?.content?.[0] || null;
+    },
+  };
+}
+
+module.exports = createReloadlyProvider;
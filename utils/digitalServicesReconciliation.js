@@ -0,0 +1,107 @@
+const DigitalServiceReconciliationReport = require("../models/DigitalServiceReconciliationReport");
+const {
+  reconcilePendingTransactions,
+  buildReconciliationReport,
+  refreshProcessingServiceAgentPayouts,
+} = require("../controllers/digitalServices");
+const { APP_NAME, ADMIN_EMAILS } = require("./config");
+const { renderBrandedEmail, sendEmail } = require("./notifications");
+const { startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Digital services reconciliation worker
+ * - Polls the provider for processing / manual-review transactions and settles them
+ *   (see reconcileTransaction in controllers/digitalServices.js)
+ * - Once a day, after DIGITAL_SERVICES_RECONCILIATION_REPORT_HOUR (UTC), stores the
+ *   report for the previous day and emails ADMIN_EMAILS when it has discrepancies
+ * - Checks service agent commission payouts that PayPal is still processing, and finds the
+ *   batch of payouts whose PayPal request had no clear outcome
+ *
+ * Env:
+ * - DIGITAL_SERVICES_RECONCILIATION (default true)
+ * - DIGITAL_SERVICES_RECONCILE_INTERVAL_MS (default 300000)
+ * - DIGITAL_SERVICES_RECONCILIATION_REPORT_HOUR (default 1)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+async function sendReportAlert(report) {
+  if (!ADMIN_EMAILS.length || report.discrepancies.length === 0) return;
+
+  const counts = report.discrepancies.reduce((totals, entry) => {
+    totals[entry.type] = (totals[entry.type] || 0) + 1;
+    return totals;
+  }, {});
+  const html = renderBrandedEmail({
+    heading: "Digital services reconciliation",
+    body: [
+      `The reconciliation report for ${report.date} has ${report.discrepancies.length} discrepancies.`,
+      ...Object.entries(counts).map(([type, count]) => `${type}: ${count}`),
+      report.balanceDifferenceUsd === null
+        ? "Provider balances could not all be read."
+        : `Funding wallet minus provider balances: USD ${report.balanceDifferenceUsd.toFixed(2)}`,
+      `Transactions still open: ${report.transactions.stillOpen}`,
+    ].join("\n\n"),
+  });
+
+  await Promise.all(
+    ADMIN_EMAILS.map((email) =>
+      sendEmail(email, `Reconciliation report ${report.date} - ${APP_NAME}`, html).catch((error) =>
+        console.error("Failed to send reconciliation report:", error?.message || email)
+      )
+    )
+  );
+}
+
+/**
+ * Build yesterday's report unless it exists or it's before the report hour.
+ */
+async function runDailyReportOnce({ now = new Date() } = {}) {
+  const reportHour = Number(process.env.DIGITAL_SERVICES_RECONCILIATION_REPORT_HOUR);
+  if (now.getUTCHours() < (Number.isInteger(reportHour) ? reportHour : 1)) return null;
+
+  const yesterday = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - 1)
+  );
+  const date = yesterday.toISOString().slice(0, 10);
+  if (await DigitalServiceReconciliationReport.exists({ date })) return null;
+
+  const report = await buildReconciliationReport({ date });
+  await sendReportAlert(report);
+  return report;
+}
+
+function startDigitalServicesReconciliationJob({ intervalMs } = {}) {
+  return startIntervalJob({
+    name: "Digital services reconciliation",
+    enabledEnv: "DIGITAL_SERVICES_RECONCILIATION",
+    intervalMs:
+      intervalMs ||
+      Math.max(
+        MINUTE_MS,
+        Number(process.env.DIGITAL_SERVICES_RECONCILE_INTERVAL_MS) || 5 * MINUTE_MS
+      ),
+    initialDelayMs: 60 * 1000,
+    run: async () => {
+      const result = await reconcilePendingTransactions();
+      if (result.checked > 0) {
+        console.log("🔁 Digital services reconciliation:", result);
+      }
+      const payouts = await refreshProcessingServiceAgentPayouts();
+      if (payouts.checked > 0) {
+        console.log("💸 Service agent payouts:", payouts);
+      }
+      const report = await runDailyReportOnce();
+      if (report) {
+        console.log(
+          `📊 Digital services reconciliation report ${report.date}: ${report.discrepancies.length} discrepancies`
+        );
+      }
+    },
+  });
+}
+
+module.exports = {
+  runDailyReportOnce,
+  startDigitalServicesReconciliationJob,
+};
@@ -1,9 +1,10 @@
 const ShowcaseEventTimeline = require("../models/ShowcaseEventTimeline");
 const TalentShowcase = require("../models/TalentShowcase");
 const TalentContestant = require("../models/TalentContestant");
-const { performRaffle } = require("./raffleSelection");
+const { drawCommittedRaffle } = require("./raffleCommitment");
 const { deleteContestantVideoMedia } = require("./talentContestantCleanup");
 const { formatEventDateTimeForTimeZone } = require("./eventTime");
+const { isLeader } = require("./leaderLease");
 
 /**
  * Event Auto-Start Scheduler
@@ -853,8 +854,13 @@ async function checkAndExecuteScheduledRaffles() {
 
           console.log(`   Max contestants: ${maxContestants}`);
 
-          // Perform raffle
-          const raffleResults = performRaffle(contestants, maxContestants);
+          // Draw with the seed committed before registration closed
+          const raffleResults = await drawCommittedRaffle({
+            eventType: "showcase",
+            eventId: showcase._id,
+            entrants: contestants,
+            maxSelected: maxContestants,
+          });
 
           // Update showcase with raffle results
           showcase.raffleSeed = raffleResults.raffleSeed;
@@ -1035,11 +1041,17 @@ function startScheduler() {
 
   console.log("🕐 Starting event auto-start and raffle execution scheduler...");
 
+  // Only the instance holding the scheduler lease runs ticks (see utils/leaderLease.js)
+  const tick = () => {
+    if (!isLeader()) return;
+    checkAndStartScheduledEvents();
+  };
+
   // Check immediately
-  checkAndStartScheduledEvents();
+  tick();
 
   // Check frequently so phase transitions feel immediate
-  schedulerInterval = setInterval(checkAndStartScheduledEvents, 1000);
+  schedulerInterval = setInterval(tick, 1000);
 
   console.log("✅ Event scheduler started (checking every 1 second for smooth phase transitions)");
 }
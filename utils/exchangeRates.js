@@ -1,10 +1,73 @@
+const mongoose = require('mongoose');
+const ExchangeRateSnapshot = require('../models/ExchangeRateSnapshot');
+
 // Exchange rate cache (updates daily)
 let exchangeRateCache = {
   rates: {},
   lastUpdated: null,
-  expiryHours: 24
+  expiryHours: 24,
+  snapshotId: null
 };
 
+// An unchanged table is stored at most this often (unknown currencies trigger refetches)
+const SNAPSHOT_MIN_INTERVAL_MS = 60 * 60 * 1000;
+let lastSnapshotAt = 0;
+let lastSnapshotRates = null;
+
+function isDatabaseReady() {
+  return mongoose.connection?.readyState === 1;
+}
+
+function sameRates(a, b) {
+  if (!a || !b) return false;
+  const codes = Object.keys(a);
+  return codes.length === Object.keys(b).length && codes.every((code) => a[code] === b[code]);
+}
+
+/**
+ * Store the fetched table so conversions can be audited against the rates they used.
+ * The previous snapshot is reused only while the rates are unchanged; null when the
+ * table could not be stored (no snapshot matches the cached rates then).
+ */
+async function saveRateSnapshot(rates, fetchedAt, previousSnapshotId) {
+  if (
+    previousSnapshotId &&
+    sameRates(rates, lastSnapshotRates) &&
+    Date.now() - lastSnapshotAt < SNAPSHOT_MIN_INTERVAL_MS
+  ) {
+    return previousSnapshotId;
+  }
+  if (!isDatabaseReady()) return null;
+  try {
+    const snapshot = await ExchangeRateSnapshot.create({ base: 'USD', rates, fetchedAt });
+    lastSnapshotAt = Date.now();
+    lastSnapshotRates = rates;
+    return snapshot._id;
+  } catch (error) {
+    console.error('❌ Error saving exchange rate snapshot:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Latest stored table, used when the rates API is down and nothing is cached
+ */
+async function loadLatestSnapshot() {
+  if (!isDatabaseReady()) return null;
+  const snapshot = await ExchangeRateSnapshot.findOne().sort({ fetchedAt: -1 }).lean();
+  if (!snapshot) return null;
+
+  exchangeRateCache = {
+    rates: snapshot.rates,
+    lastUpdated: snapshot.fetchedAt,
+    expiryHours: 24,
+    snapshotId: snapshot._id
+  };
+  lastSnapshotAt = new Date(snapshot.fetchedAt).getTime();
+  lastSnapshotRates = snapshot.rates;
+  return snapshot.rates;
+}
+
 /**
  * Fetch latest exchange rates from API
  * Using exchangerate-api.com (free tier: 1,500 requests/month)
@@ -20,11 +83,14 @@ async function fetchExchangeRates() {
     }
 
     const data = await response.json();
+    const fetchedAt = new Date();
+    const snapshotId = await saveRateSnapshot(data.rates, fetchedAt, exchangeRateCache.snapshotId);
 
     exchangeRateCache = {
       rates: data.rates,
-      lastUpdated: new Date(),
-      expiryHours: 24
+      lastUpdated: fetchedAt,
+      expiryHours: 24,
+      snapshotId
     };
 
     console.log('✅ Exchange rates updated successfully');
@@ -32,6 +98,9 @@ async function fetchExchangeRates() {
   } catch (error) {
     console.error('❌ Error fetching exchange rates:', error);
     // Return cached rates if available
+    if (Object.keys(exchangeRateCache.rates).length === 0) {
+      return (await loadLatestSnapshot().catch(() => null)) || exchangeRateCache.rates;
+    }
     return exchangeRateCache.rates;
   }
 }
@@ -78,8 +147,48 @@ async function getAllExchangeRates() {
   };
 }
 
+/**
+ * Rates for a conversion, with the stored snapshot they came from
+ * Unlike getExchangeRate, a missing currency is reported as null rather than 1
+ * @param {string[]} currencyCodes - ISO currency codes
+ * @returns {object} { rates: { CODE: rate|null }, snapshotId, fetchedAt }
+ */
+async function getRateSnapshot(currencyCodes) {
+  const { rates, lastUpdated } = await getAllExchangeRates();
+  return {
+    rates: Object.fromEntries(
+      currencyCodes.map(code => [code, code === 'USD' ? 1 : Number(rates[code]) || null])
+    ),
+    snapshotId: exchangeRateCache.snapshotId,
+    fetchedAt: lastUpdated
+  };
+}
+
+/**
+ * Stored rates for one currency between two dates
+ * @param {string} currencyCode - ISO currency code
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Array} [{ snapshotId, rate, fetchedAt }]
+ */
+async function getRateHistory(currencyCode, from, to) {
+  const snapshots = await ExchangeRateSnapshot.find({ fetchedAt: { $gte: from, $lte: to } })
+    .select(`rates.${currencyCode} fetchedAt`)
+    .sort({ fetchedAt: 1 })
+    .limit(1000)
+    .lean();
+
+  return snapshots.map(snapshot => ({
+    snapshotId: snapshot._id,
+    rate: snapshot.rates?.[currencyCode] ?? null,
+    fetchedAt: snapshot.fetchedAt
+  }));
+}
+
 module.exports = {
   getExchangeRate,
   getAllExchangeRates,
-  fetchExchangeRates
+  fetchExchangeRates,
+  getRateSnapshot,
+  getRateHistory
 };
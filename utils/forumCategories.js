@@ -16,6 +16,7 @@ const FORUM_CATEGORIES = [
     name: "Technology & IT",
     icon: "💻",
     description: "Tech trends, software, and innovations",
+    acceptsAnswers: true,
   },
   {
     id: "marketing",
@@ -34,6 +35,7 @@ const FORUM_CATEGORIES = [
     name: "Advice & Tips",
     icon: "💡",
     description: "Seek and share advice with the community",
+    acceptsAnswers: true,
   },
   {
     id: "showcase",
@@ -58,6 +60,7 @@ const FORUM_CATEGORIES = [
     name: "Support",
     icon: "🆘",
     description: "Get help and technical support",
+    acceptsAnswers: true,
   },
   {
     id: "announcements",
@@ -69,7 +72,13 @@ const FORUM_CATEGORIES = [
 
 const FORUM_CATEGORY_IDS = FORUM_CATEGORIES.map((category) => category.id);
 
+// Question-style categories where the post author can accept a reply as the answer
+const QUESTION_CATEGORY_IDS = FORUM_CATEGORIES.filter((category) => category.acceptsAnswers).map(
+  (category) => category.id
+);
+
 module.exports = {
   FORUM_CATEGORIES,
   FORUM_CATEGORY_IDS,
+  QUESTION_CATEGORY_IDS,
 };
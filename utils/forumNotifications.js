@@ -0,0 +1,180 @@
+const User = require("../models/User");
+const MessageNotification = require("../models/MessageNotification");
+const { renderBrandedEmail, sendEmail } = require("./notifications");
+const { APP_NAME, FRONTEND_URL } = require("./config");
+const { escapeRegExp } = require("./listingSearch");
+
+/**
+ * Forum notifications
+ * - @mentions: in-app and by email (unless the user turned email notifications off)
+ * - New replies: in-app to thread subscribers and to the author of the reply being answered
+ * - Accepted answers: in-app to the reply author
+ * Each user gets at most one notification per reply; a mention replaces the reply notice.
+ * Failures are logged and never fail the request that triggered them.
+ */
+
+const MAX_MENTIONS = 10;
+const FORUM_NOTIFICATION_TYPES = ["forum-reply", "forum-mention", "forum-answer"];
+const MENTION_USER_FIELDS = "name email settings isActive";
+
+const getForumPostUrl = (postId) => `${FRONTEND_URL}/forum/${postId}`;
+
+const excerpt = (text, length = 200) =>
+  text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+
+/**
+ * Helper: users from `candidates` whose "@Name" appears in the text
+ */
+function findMentionedUsers(text, candidates, excludeUserId) {
+  const seen = new Set();
+  return candidates
+    .filter((user) => {
+      const id = String(user._id);
+      const name = (user.name || "").trim();
+      if (!name || seen.has(id) || id === String(excludeUserId)) return false;
+      const pattern = new RegExp(`(^|[^\\w@])@${escapeRegExp(name)}(?!\\w)`, "i");
+      if (!pattern.test(text)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Resolve the users mentioned in a post or reply.
+ * Candidates are the thread participants plus any ids the client picked from its
+ * autocomplete; a candidate only counts when "@Name" is actually in the text.
+ */
+async function resolveMentions({ text, post = null, mentionIds = [], authorId }) {
+  if (!text || !text.includes("@")) return [];
+
+  const candidateIds = new Set(mentionIds.map(String));
+  if (post) {
+    candidateIds.add(String(post.author));
+    (post.replies || []).forEach((reply) => candidateIds.add(String(reply.author)));
+  }
+  candidateIds.delete(String(authorId));
+  if (candidateIds.size === 0) return [];
+
+  const candidates = await User.find({
+    _id: { $in: [...candidateIds] },
+    isActive: { $ne: false },
+  })
+    .select(MENTION_USER_FIELDS)
+    .lean();
+
+  return findMentionedUsers(text, candidates, authorId);
+}
+
+/**
+ * Helper: in-app notification and (optionally) email about a forum post
+ */
+async function notifyForumUser(user, { type, post, sender, title, body, email = false }) {
+  const sendMail = email && Boolean(user.email) && user.settings?.emailNotifications !== false;
+  await MessageNotification.create({
+    user: user._id,
+    type,
+    forumPost: post._id,
+    sender: sender?._id,
+    title,
+    body,
+    deliveryChannels: { inApp: true, email: sendMail },
+  });
+  if (sendMail) {
+    await sendEmail(
+      user.email,
+      `${title} - ${APP_NAME}`,
+      renderBrandedEmail({
+        heading: title,
+        body: `${body}\n\nView the discussion: ${getForumPostUrl(post._id)}`,
+      })
+    );
+  }
+}
+
+/**
+ * Notify mentioned users, the author of the reply being answered and thread subscribers
+ * about a new post or reply. `reply` is null for a new post (only mentions apply).
+ */
+async function notifyForumActivity({
+  post,
+  reply = null,
+  parentAuthorId = null,
+  author,
+  mentioned,
+}) {
+  const notified = new Set([String(author._id)]);
+  const text = reply ? reply.content : post.content;
+
+  try {
+    for (const user of mentioned) {
+      notified.add(String(user._id));
+      // eslint-disable-next-line no-await-in-loop
+      await notifyForumUser(user, {
+        type: "forum-mention",
+        post,
+        sender: author,
+        title: `${author.name} mentioned you`,
+        body: `${author.name} mentioned you in "${post.title}":\n\n${excerpt(text)}`,
+        email: true,
+      });
+    }
+    if (!reply) return;
+
+    const recipients = [];
+    if (parentAuthorId && !notified.has(String(parentAuthorId))) {
+      notified.add(String(parentAuthorId));
+      recipients.push({ userId: parentAuthorId, title: `${author.name} replied to you` });
+    }
+    (post.subscribers || []).forEach((userId) => {
+      if (notified.has(String(userId))) return;
+      notified.add(String(userId));
+      recipients.push({ userId, title: `New reply in "${post.title}"` });
+    });
+    if (recipients.length === 0) return;
+
+    await MessageNotification.insertMany(
+      recipients.map(({ userId, title }) => ({
+        user: userId,
+        type: "forum-reply",
+        forumPost: post._id,
+        sender: author._id,
+        title,
+        body: `${author.name}: ${excerpt(text)}`,
+        deliveryChannels: { inApp: true, email: false },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    console.warn("⚠️ Failed to send forum notifications:", error?.message || error);
+  }
+}
+
+/**
+ * Tell a reply's author their reply was accepted as the answer
+ */
+async function notifyAnswerAccepted({ post, reply, acceptedBy }) {
+  if (String(reply.author) === String(acceptedBy._id)) return;
+  try {
+    await MessageNotification.create({
+      user: reply.author,
+      type: "forum-answer",
+      forumPost: post._id,
+      sender: acceptedBy._id,
+      title: "Your reply was accepted as the answer",
+      body: `Your reply to "${post.title}" was marked as the accepted answer.`,
+      deliveryChannels: { inApp: true, email: false },
+    });
+  } catch (error) {
+    console.warn("⚠️ Failed to send forum answer notification:", error?.message || error);
+  }
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  FORUM_NOTIFICATION_TYPES,
+  findMentionedUsers,
+  resolveMentions,
+  notifyForumActivity,
+  notifyAnswerAccepted,
+};
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const SchedulerLease = require("../models/SchedulerLease");
+const { INSTANCE_ID, getClusterAdapterName } = require("./clusterAdapter");
+
+/**
+ * MongoDB leader lease for background schedulers
+ * - Only the lease holder runs scheduler ticks, so raffles and phase advances don't
+ *   run once per process when several instances are up
+ * - The holder renews every ttl/3; if it dies another instance takes over after expiry
+ * - With CLUSTER_ADAPTER=memory this process is always the leader
+ */
+
+const DEFAULT_LEASE_NAME = "schedulers";
+const DEFAULT_TTL_MS = Number(process.env.SCHEDULER_LEASE_TTL_MS) || 30 * 1000;
+// Stop acting as leader a little before the lease expires to absorb clock skew
+const SAFETY_MARGIN_MS = 2000;
+
+const leases = new Map();
+
+async function renewLease(name, ttlMs) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  try {
+    await SchedulerLease.findOneAndUpdate(
+      { _id: name, $or: [{ holder: INSTANCE_ID }, { expiresAt: { $lte: now } }] },
+      { $set: { holder: INSTANCE_ID, expiresAt, renewedAt: now } },
+      { upsert: true, new: true }
+    );
+    return expiresAt.getTime() - SAFETY_MARGIN_MS;
+  } catch (error) {
+    // Another instance holds an unexpired lease (the upsert collides on _id)
+    if (error?.code === 11000) return 0;
+    throw error;
+  }
+}
+
+/**
+ * Whether this process currently holds the named lease.
+ */
+function isLeader(name = DEFAULT_LEASE_NAME) {
+  if (getClusterAdapterName() !== "mongo") return true;
+  return Date.now() < (leases.get(name)?.leaderUntil || 0);
+}
+
+function startLeaderLease({ name = DEFAULT_LEASE_NAME, ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (getClusterAdapterName() !== "mongo") {
+    console.log(`ℹ️ Leader lease "${name}": single-process mode, this instance runs schedulers`);
+    return { stop() {} };
+  }
+  if (leases.has(name)) return leases.get(name).handle;
+
+  const state = { leaderUntil: 0, handle: null };
+  leases.set(name, state);
+
+  async function tick() {
+    if (mongoose.connection?.readyState !== 1) return;
+
+    const wasLeader = isLeader(name);
+    state.leaderUntil = await renewLease(name, ttlMs);
+    const nowLeader = isLeader(name);
+
+    if (nowLeader && !wasLeader) {
+      console.log(`👑 Leader lease "${name}" acquired by ${INSTANCE_ID}`);
+    } else if (!nowLeader && wasLeader) {
+      console.log(`ℹ️ Leader lease "${name}" lost by ${INSTANCE_ID}`);
+    }
+  }
+
+  const run = () =>
+    tick().catch((e) => {
+      console.warn(`⚠️ Leader lease "${name}" renewal failed:`, e?.message || e);
+    });
+
+  const initialTimeout = setTimeout(run, 1000);
+  const interval = setInterval(run, Math.max(1000, Math.floor(ttlMs / 3)));
+  interval.unref?.();
+
+  state.handle = {
+    async stop() {
+      clearTimeout(initialTimeout);
+      clearInterval(interval);
+      leases.delete(name);
+      // Hand over immediately instead of waiting for expiry
+      await SchedulerLease.updateOne(
+        { _id: name, holder: INSTANCE_ID },
+        { $set: { expiresAt: new Date(0) } }
+      );
+    },
+  };
+  return state.handle;
+}
+
+module.exports = {
+  isLeader,
+  startLeaderLease,
+};
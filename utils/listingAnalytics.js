@@ -0,0 +1,364 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const geoip = require("geoip-lite");
+const Listing = require("../models/Listing");
+const ListingEvent = require("../models/ListingEvent");
+const ListingDailyStat = require("../models/ListingDailyStat");
+const { FRONTEND_URL } = require("./config");
+const { startIntervalJob } = require("./backgroundJobs");
+const { createSketch, addToSketch, mergeSketches, estimateCardinality } = require("./hyperLogLog");
+
+/**
+ * Listing engagement analytics
+ * - recordListingEvent stores one ListingEvent per view, contact, like, follow, website click
+ *   or phone reveal, with the visitor's traffic source and country
+ * - The rollup job turns each finished UTC day into ListingDailyStat rows; it re-runs the last
+ *   CATCHUP_DAYS days once per process so missed nights are filled in
+ * - getListingStats reads daily rows for older days and live events for today and yesterday,
+ *   so charts are current before the nightly rollup has run
+ * - Each daily row keeps a HyperLogLog sketch of its visitors; countUniqueVisitors merges them
+ *   so a visitor seen on several days or listings is counted once per range
+ *
+ * Env:
+ * - LISTING_ANALYTICS_ROLLUP (default true)
+ * - LISTING_ANALYTICS_ROLLUP_INTERVAL_MS (default 3600000)
+ * - LISTING_EVENT_DEDUPE_MS (default 1800000; repeat views / clicks by one visitor within this
+ *   window are recorded once)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const CATCHUP_DAYS = 7;
+// 256 registers per daily row: about 6.5% error on large counts, near exact on small ones
+const VISITOR_SKETCH_PRECISION = 8;
+
+const EVENT_FIELDS = {
+  view: "views",
+  contact: "contacts",
+  like: "likes",
+  follow: "follows",
+  "website-click": "websiteClicks",
+  "phone-reveal": "phoneReveals",
+};
+const DEDUPED_EVENT_TYPES = new Set(["view", "website-click", "phone-reveal"]);
+
+const SEARCH_HOST_PATTERN = /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia)\.[a-z.]+$/;
+const SOCIAL_HOST_PATTERN =
+  /(^|\.)(facebook\.com|fb\.com|fb\.me|instagram\.com|twitter\.com|x\.com|t\.co|linkedin\.com|lnkd\.in|tiktok\.com|youtube\.com|youtu\.be|whatsapp\.com|wa\.me|pinterest\.com|reddit\.com|t\.me|telegram\.org)$/;
+const EMAIL_HOST_PATTERN = /^(web)?mail\.|(^|\.)outlook\.(com|live\.com|office\.com)$/;
+const PAID_MEDIUMS = new Set(["cpc", "ppc", "paid", "paidsearch", "paid_social", "ads", "display"]);
+
+const cleanText = (value, maxLength) =>
+  String(value || "")
+    .trim()
+    .slice(0, maxLength);
+
+function getHostname(value) {
+  try {
+    return new URL(value).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+const SITE_HOSTS = new Set(["afrionet.com", getHostname(FRONTEND_URL)].filter(Boolean));
+
+/**
+ * Traffic source for a visit from its referrer URL and optional utm_medium
+ */
+function classifySource(referrer, medium) {
+  const utmMedium = cleanText(medium, 40).toLowerCase();
+  if (PAID_MEDIUMS.has(utmMedium)) return "paid";
+  if (utmMedium === "email") return "email";
+  if (utmMedium === "social") return "social";
+
+  const host = getHostname(referrer);
+  if (!host) return "direct";
+  if (SITE_HOSTS.has(host)) return "internal";
+  if (SEARCH_HOST_PATTERN.test(host)) return "search";
+  if (SOCIAL_HOST_PATTERN.test(host)) return "social";
+  if (EMAIL_HOST_PATTERN.test(host)) return "email";
+  return "referral";
+}
+
+function getCountryCode(req) {
+  if (!req) return "";
+  const forwardedIp = cleanText(req.headers["x-forwarded-for"], 200).split(",")[0].trim();
+  const ip =
+    cleanText(req.headers["cf-connecting-ip"], 80) ||
+    forwardedIp ||
+    cleanText(req.ip || req.socket?.remoteAddress, 80);
+  const code =
+    cleanText(req.headers["cf-ipcountry"], 2) || geoip.lookup(ip.replace(/^::ffff:/, ""))?.country;
+  // Cloudflare uses XX for unknown and T1 for Tor
+  return /^[A-Z]{2}$/i.test(code || "") && !["XX", "T1"].includes(code.toUpperCase())
+    ? code.toUpperCase()
+    : "";
+}
+
+// Anonymous visitors without a client id are keyed by their IP and user agent
+function getFallbackVisitorKey(req) {
+  const ip = cleanText(req?.ip, 80);
+  if (!ip) return "";
+  const userAgent = cleanText(req.get?.("user-agent"), 300);
+  const hash = crypto.createHash("sha256").update(`${ip}|${userAgent}`).digest("hex");
+  return `ip:${hash.slice(0, 32)}`;
+}
+
+/**
+ * Store one listing interaction. Never throws: analytics must not break the request it
+ * is recorded from. The owner's own interactions are not recorded.
+ *
+ * @param {object} options
+ * @param {object|string} options.listing - Listing document (with owner) or id
+ * @param {string} options.type - view | contact | like | follow | website-click | phone-reveal
+ * @param {object} [options.req] - Request, for the visitor's country and referrer fallback
+ * @param {string} [options.userId] - Signed-in visitor
+ * @param {string} [options.visitorId] - Anonymous visitor id sent by the client
+ * @param {string} [options.referrer] - Page the visitor came from (document.referrer)
+ * @param {string} [options.medium] - utm_medium of the landing URL
+ * @returns {Promise<object|null>} The stored event, or null when skipped
+ */
+async function recordListingEvent({ listing, type, req, userId, visitorId, referrer, medium }) {
+  try {
+    if (!EVENT_FIELDS[type]) return null;
+    const listingDoc =
+      listing && listing.owner ? listing : await Listing.findById(listing).select("owner").lean();
+    if (!listingDoc) return null;
+
+    const owner = listingDoc.owner._id || listingDoc.owner;
+    if (userId && String(userId) === String(owner)) return null;
+
+    const anonymousId = cleanText(visitorId, 80);
+    let visitorKey = anonymousId ? `visitor:${anonymousId}` : getFallbackVisitorKey(req);
+    if (userId) visitorKey = `user:${userId}`;
+    const now = new Date();
+
+    if (visitorKey && DEDUPED_EVENT_TYPES.has(type)) {
+      const dedupeMs = Number(process.env.LISTING_EVENT_DEDUPE_MS) || 30 * MINUTE_MS;
+      const recent = await ListingEvent.exists({
+        listing: listingDoc._id,
+        visitorKey,
+        type,
+        occurredAt: { $gte: new Date(now.getTime() - dedupeMs) },
+      });
+      if (recent) return null;
+    }
+
+    const sourceReferrer = cleanText(referrer || req?.get?.("referer"), 1000);
+    return await ListingEvent.create({
+      listing: listingDoc._id,
+      owner,
+      type,
+      user: userId || null,
+      visitorKey,
+      referrer: sourceReferrer,
+      source: classifySource(sourceReferrer, medium),
+      countryCode: getCountryCode(req),
+      occurredAt: now,
+    });
+  } catch (error) {
+    console.warn(`⚠️ Failed to record listing ${type} event:`, error?.message || error);
+    return null;
+  }
+}
+
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function startOfDay(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+function addDays(dateKey, days) {
+  return toDateKey(startOfDay(dateKey).getTime() + days * DAY_MS);
+}
+
+function emptyDayRow(listing, owner, date) {
+  return {
+    listing,
+    owner,
+    date,
+    views: 0,
+    uniqueVisitors: 0,
+    contacts: 0,
+    likes: 0,
+    follows: 0,
+    websiteClicks: 0,
+    phoneReveals: 0,
+    sources: {},
+    countries: {},
+    visitorSketch: createSketch(VISITOR_SKETCH_PRECISION),
+  };
+}
+
+/**
+ * Per-listing, per-day totals straight from ListingEvent
+ */
+async function aggregateEvents(filter, from, to) {
+  const match = { ...filter, occurredAt: { $gte: from, $lt: to } };
+  const day = { $dateToString: { format: "%Y-%m-%d", date: "$occurredAt" } };
+  const [groups, visitors] = await Promise.all([
+    ListingEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            listing: "$listing",
+            date: day,
+            type: "$type",
+            source: "$source",
+            country: "$countryCode",
+          },
+          owner: { $first: "$owner" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    ListingEvent.aggregate([
+      { $match: { ...match, type: "view", visitorKey: { $ne: "" } } },
+      { $group: { _id: { listing: "$listing", date: day }, keys: { $addToSet: "$visitorKey" } } },
+    ]),
+  ]);
+
+  const rows = new Map();
+  groups.forEach(({ _id, owner, count }) => {
+    const key = `${_id.listing}:${_id.date}`;
+    if (!rows.has(key)) rows.set(key, emptyDayRow(_id.listing, owner, _id.date));
+    const row = rows.get(key);
+    row[EVENT_FIELDS[_id.type]] += count;
+    if (_id.type === "view") {
+      row.sources[_id.source] = (row.sources[_id.source] || 0) + count;
+      const country = _id.country || "unknown";
+      row.countries[country] = (row.countries[country] || 0) + count;
+    }
+  });
+  visitors.forEach(({ _id, keys }) => {
+    const row = rows.get(`${_id.listing}:${_id.date}`);
+    if (!row) return;
+    row.uniqueVisitors = keys.length;
+    keys.forEach((key) => addToSketch(row.visitorSketch, key));
+  });
+  return [...rows.values()];
+}
+
+/**
+ * Rebuild the ListingDailyStat rows of one UTC day (YYYY-MM-DD) from its events
+ */
+async function rollupListingDay(date) {
+  const from = startOfDay(date);
+  const rows = await aggregateEvents({}, from, new Date(from.getTime() + DAY_MS));
+  const rolledUpAt = new Date();
+
+  if (rows.length > 0) {
+    await ListingDailyStat.bulkWrite(
+      rows.map((row) => ({
+        replaceOne: {
+          filter: { listing: row.listing, date },
+          replacement: { ...row, rolledUpAt },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  await ListingDailyStat.deleteMany({ date, listing: { $nin: rows.map((row) => row.listing) } });
+
+  return { date, listings: rows.length };
+}
+
+/**
+ * Daily rows for a set of listings between two dates (inclusive, YYYY-MM-DD)
+ * @param {object} options
+ * @param {string} [options.owner] - All listings of this owner
+ * @param {string[]} [options.listingIds] - Or these listings
+ * @returns {Promise<object[]>} [{ listing, date, views, uniqueVisitors, contacts, ..., sources,
+ *   countries, visitorSketch }]
+ */
+async function getListingStats({ owner, listingIds, from, to, now = new Date() }) {
+  const filter = owner
+    ? { owner: new mongoose.Types.ObjectId(String(owner)) }
+    : { listing: { $in: (listingIds || []).map((id) => new mongoose.Types.ObjectId(String(id))) } };
+  // Today and yesterday may not be rolled up yet
+  const liveFrom = addDays(toDateKey(now), -1);
+
+  const storedTo = addDays(liveFrom, -1) < to ? addDays(liveFrom, -1) : to;
+  const liveStart = from > liveFrom ? from : liveFrom;
+  const [stored, live] = await Promise.all([
+    from <= storedTo
+      ? ListingDailyStat.find({ ...filter, date: { $gte: from, $lte: storedTo } })
+          .select("-_id -__v -rolledUpAt")
+          .lean()
+      : [],
+    liveStart <= to
+      ? aggregateEvents(filter, startOfDay(liveStart), startOfDay(addDays(to, 1)))
+      : [],
+  ]);
+  return [...stored, ...live];
+}
+
+/**
+ * Distinct visitors across daily rows (any mix of days and listings), from their sketches.
+ * Rows rolled up before sketches were stored only have a per-day count, which is added as is.
+ */
+function countUniqueVisitors(rows) {
+  const sketches = [];
+  let unsketched = 0;
+  rows.forEach((row) => {
+    if (row.visitorSketch) sketches.push(row.visitorSketch);
+    else unsketched += row.uniqueVisitors || 0;
+  });
+  const sketched = sketches.length
+    ? estimateCardinality(mergeSketches(sketches, VISITOR_SKETCH_PRECISION))
+    : 0;
+  return sketched + unsketched;
+}
+
+function startListingAnalyticsRollupJob({ intervalMs } = {}) {
+  // Days already rolled up by this process; older days are caught up once after a restart
+  const rolledUpDates = new Set();
+
+  return startIntervalJob({
+    name: "Listing analytics rollup",
+    enabledEnv: "LISTING_ANALYTICS_ROLLUP",
+    intervalMs:
+      intervalMs ||
+      Math.max(
+        MINUTE_MS,
+        Number(process.env.LISTING_ANALYTICS_ROLLUP_INTERVAL_MS) || 60 * MINUTE_MS
+      ),
+    initialDelayMs: 2 * MINUTE_MS,
+    run: async () => {
+      const today = toDateKey(new Date());
+      for (let days = CATCHUP_DAYS; days >= 1; days -= 1) {
+        const date = addDays(today, -days);
+        if (!rolledUpDates.has(date)) {
+          // eslint-disable-next-line no-await-in-loop
+          const result = await rollupListingDay(date);
+          rolledUpDates.add(date);
+          if (result.listings > 0) {
+            console.log(
+              `📈 Listing analytics rolled up ${result.date}: ${result.listings} listings`
+            );
+          }
+        }
+      }
+      [...rolledUpDates]
+        .filter((date) => date < addDays(today, -CATCHUP_DAYS))
+        .forEach((date) => rolledUpDates.delete(date));
+    },
+  });
+}
+
+module.exports = {
+  EVENT_FIELDS,
+  classifySource,
+  recordListingEvent,
+  rollupListingDay,
+  getListingStats,
+  countUniqueVisitors,
+  toDateKey,
+  addDays,
+  startListingAnalyticsRollupJob,
+};
@@ -0,0 +1,331 @@
+const Listing = require("../models/Listing");
+
+/**
+ * Listing search
+ * - Candidates come from the weighted text index (models/Listing.js); when that finds too
+ *   few, a typo-tolerant regex pass (one edit per word) tops them up
+ * - Every candidate is re-scored the same way: field-weighted term matches, boosted by
+ *   tier, featured status and engagement
+ * - Results carry highlighted snippets of the matched title and description
+ */
+
+// Keep in sync with the text index weights on the Listing schema
+const FIELD_WEIGHTS = {
+  title: 10,
+  category: 5,
+  location: 3,
+  description: 1,
+};
+const TIER_BOOSTS = {
+  Pro: 1.5,
+  Premium: 1.3,
+  Starter: 1.1,
+  Free: 1,
+};
+const TIER_RANKS = { Free: 0, Starter: 1, Premium: 2, Pro: 3 };
+const FEATURED_BOOST = 1.25;
+const FUZZY_MATCH_FACTOR = 0.5;
+const MAX_CANDIDATES = 500;
+const MAX_QUERY_TERMS = 8;
+const MIN_FUZZY_TERM_LENGTH = 4;
+const MAX_FUZZY_TERM_LENGTH = 20;
+const SNIPPET_RADIUS = 80;
+// Dropped from multi-word queries (the text index ignores them too)
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "in",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+]);
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+  String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Split user input into plain search terms (letters/digits only), which makes it safe for
+ * both $text and RegExp use.
+ */
+function tokenizeSearchQuery(query) {
+  const terms = String(query || "")
+    .toLowerCase()
+    .normalize("NFKC")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length >= 2);
+  const meaningful = terms.filter((term) => !STOP_WORDS.has(term));
+
+  return Array.from(new Set(meaningful.length > 0 ? meaningful : terms)).slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Regex source matching the term with at most one substitution, deletion, insertion or
+ * adjacent transposition. Short terms must match exactly.
+ */
+function buildFuzzyPattern(term) {
+  if (term.length < MIN_FUZZY_TERM_LENGTH || term.length > MAX_FUZZY_TERM_LENGTH) {
+    return escapeRegExp(term);
+  }
+
+  const variants = new Set([escapeRegExp(term)]);
+  for (let i = 0; i < term.length; i += 1) {
+    const prefix = escapeRegExp(term.slice(0, i));
+    // Substitution or deletion at i
+    variants.add(`${prefix}.?${escapeRegExp(term.slice(i + 1))}`);
+    // Insertion before i
+    variants.add(`${prefix}.${escapeRegExp(term.slice(i))}`);
+    // Transposition of i and i + 1
+    if (i < term.length - 1) {
+      variants.add(
+        `${prefix}${escapeRegExp(term[i + 1] + term[i])}${escapeRegExp(term.slice(i + 2))}`
+      );
+    }
+  }
+
+  return `(?:${Array.from(variants).join("|")})`;
+}
+
+function buildTermMatchers(terms) {
+  return terms.map((term) => ({
+    term,
+    exact: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}`, "iu"),
+    fuzzy: new RegExp(`(?<![\\p{L}\\p{N}])${buildFuzzyPattern(term)}`, "iu"),
+  }));
+}
+
+/**
+ * Field-weighted lexical score shared by text-index and fuzzy candidates.
+ */
+function scoreTextMatch(listing, matchers, phrase) {
+  let score = 0;
+  let matchedTerms = 0;
+
+  matchers.forEach(({ exact, fuzzy }) => {
+    let termMatched = false;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const value = listing[field];
+      if (!value) return;
+      if (exact.test(value)) {
+        score += weight;
+        termMatched = true;
+      } else if (fuzzy.test(value)) {
+        score += weight * FUZZY_MATCH_FACTOR;
+        termMatched = true;
+      }
+    });
+    if (termMatched) matchedTerms += 1;
+  });
+
+  // Reward listings that match every term, and the whole phrase in the title
+  if (matchers.length > 1 && matchedTerms === matchers.length) score *= 1.5;
+  if (
+    phrase &&
+    String(listing.title || "")
+      .toLowerCase()
+      .includes(phrase)
+  ) {
+    score += FIELD_WEIGHTS.title;
+  }
+
+  return score;
+}
+
+function getEngagement(listing) {
+  return (
+    Number(listing.views || 0) +
+    Number(listing.contacts || 0) * 3 +
+    Number(listing.likeCount || 0) * 2 +
+    Number(listing.followerCount || 0) * 2
+  );
+}
+
+function scoreListing(listing, matchers, phrase) {
+  const textScore = scoreTextMatch(listing, matchers, phrase);
+  if (textScore <= 0) return 0;
+
+  const tierBoost = TIER_BOOSTS[listing.tier] || 1;
+  const featuredBoost = listing.featured ? FEATURED_BOOST : 1;
+  const engagementBoost = 1 + 0.1 * Math.log10(1 + getEngagement(listing));
+
+  return Number((textScore * tierBoost * featuredBoost * engagementBoost).toFixed(4));
+}
+
+/**
+ * HTML-safe snippet around the first match with every matched term wrapped in <mark>.
+ */
+function buildSnippet(text, matchers, { radius = SNIPPET_RADIUS, whole = false } = {}) {
+  const value = String(text || "");
+  if (!value) return "";
+
+  // Extend each match to the end of its word so "plumbr" marks all of "plumbers"
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${matchers.map(({ term }) => buildFuzzyPattern(term)).join("|")})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+  const matches = Array.from(value.matchAll(pattern)).filter((match) => match[0]);
+  if (matches.length === 0) {
+    return whole ? escapeHtml(value) : escapeHtml(value.slice(0, radius * 2));
+  }
+
+  const start = whole ? 0 : Math.max(0, matches[0].index - radius);
+  const end = whole ? value.length : Math.min(value.length, matches[0].index + radius);
+
+  let snippet = "";
+  let cursor = start;
+  matches
+    .filter((match) => match.index >= start && match.index + match[0].length <= end)
+    .forEach((match) => {
+      snippet += escapeHtml(value.slice(cursor, match.index));
+      snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+      cursor = match.index + match[0].length;
+    });
+  snippet += escapeHtml(value.slice(cursor, end));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < value.length ? "…" : ""}`;
+}
+
+function buildHighlights(listing, matchers) {
+  return {
+    title: buildSnippet(listing.title, matchers, { whole: true }),
+    description: buildSnippet(listing.description, matchers),
+  };
+}
+
+const CANDIDATE_PROJECTION = {
+  title: 1,
+  description: 1,
+  category: 1,
+  location: 1,
+  tier: 1,
+  featured: 1,
+  views: 1,
+  contacts: 1,
+  createdAt: 1,
+  likeCount: { $size: { $ifNull: ["$likedBy", []] } },
+  followerCount: { $size: { $ifNull: ["$followers", []] } },
+};
+
+async function findTextCandidates(filter, terms) {
+  return Listing.aggregate([
+    { $match: { ...filter, $text: { $search: terms.join(" ") } } },
+    { $sort: { score: { $meta: "textScore" } } },
+    { $limit: MAX_CANDIDATES },
+    { $project: CANDIDATE_PROJECTION },
+  ]);
+}
+
+async function findFuzzyCandidates(filter, matchers, excludeIds) {
+  const fields = Object.keys(FIELD_WEIGHTS);
+  const $or = matchers.flatMap(({ term }) =>
+    fields.map((field) => ({ [field]: { $regex: buildFuzzyPattern(term), $options: "i" } }))
+  );
+
+  return Listing.aggregate([
+    { $match: { ...filter, _id: { $nin: excludeIds }, $or } },
+    { $limit: MAX_CANDIDATES },
+    { $project: CANDIDATE_PROJECTION },
+  ]);
+}
+
+function compareCandidates(sortBy, sortOrder) {
+  const direction = sortOrder === "asc" ? 1 : -1;
+  const byDate = (a, b) => (new Date(a.createdAt) - new Date(b.createdAt)) * direction;
+
+  switch (sortBy) {
+    case "date":
+      return byDate;
+    case "views":
+      return (a, b) => (Number(a.views || 0) - Number(b.views || 0)) * direction || byDate(a, b);
+    case "tier":
+      return (a, b) =>
+        ((TIER_RANKS[a.tier] || 0) - (TIER_RANKS[b.tier] || 0)) * direction || byDate(a, b);
+    case "relevance":
+    default:
+      return (a, b) => b.relevance - a.relevance || byDate(a, b);
+  }
+}
+
+/**
+ * Ranked search over listings matching `filter`.
+ * Returns the page of listings (owner populated, with `relevance` and `highlights`),
+ * the total number of matches and whether typo-tolerant matching was used.
+ */
+async function searchListingsByText({
+  query,
+  filter = {},
+  sortBy = "relevance",
+  sortOrder = "desc",
+  skip = 0,
+  limit = 20,
+}) {
+  const terms = tokenizeSearchQuery(query);
+  if (terms.length === 0) {
+    return { listings: [], total: 0, fuzzy: false, terms };
+  }
+
+  const matchers = buildTermMatchers(terms);
+  const phrase = terms.length > 1 ? terms.join(" ") : "";
+
+  const textCandidates = await findTextCandidates(filter, terms);
+  let candidates = textCandidates;
+  let fuzzy = false;
+
+  // Top up with typo-tolerant matches when the text index can't fill this page
+  if (textCandidates.length < skip + limit) {
+    const fuzzyCandidates = await findFuzzyCandidates(
+      filter,
+      matchers,
+      textCandidates.map((listing) => listing._id)
+    );
+    fuzzy = fuzzyCandidates.length > 0;
+    candidates = textCandidates.concat(fuzzyCandidates);
+  }
+
+  const ranked = candidates
+    .map((listing) => ({ ...listing, relevance: scoreListing(listing, matchers, phrase) }))
+    .filter((listing) => listing.relevance > 0)
+    .sort(compareCandidates(sortBy, sortOrder));
+
+  const page = ranked.slice(skip, skip + limit);
+  const documents = await Listing.find({ _id: { $in: page.map((listing) => listing._id) } })
+    .populate("owner", "name email tier role")
+    .lean();
+  const byId = new Map(documents.map((listing) => [String(listing._id), listing]));
+
+  const listings = page
+    .map((candidate) => {
+      const listing = byId.get(String(candidate._id));
+      if (!listing) return null;
+      return {
+        ...listing,
+        relevance: candidate.relevance,
+        highlights: buildHighlights(listing, matchers),
+      };
+    })
+    .filter(Boolean);
+
+  return { listings, total: ranked.length, fuzzy, terms };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  escapeRegExp,
+  tokenizeSearchQuery,
+  buildFuzzyPattern,
+  scoreListing,
+  buildHighlights,
+  searchListingsByText,
+};
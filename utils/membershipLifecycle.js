@@ -0,0 +1,327 @@
+const User = require("../models/User");
+const Listing = require("../models/Listing");
+const { logActivity } = require("./activityLogger");
+const {
+  sendMembershipExpiring,
+  sendMembershipExpired,
+  sendMembershipDowngraded,
+} = require("./notifications");
+const { syncMembershipSubscription } = require("./membershipSubscriptions");
+const { parseBool, startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Membership lifecycle job
+ * Tier checks only look at user.tier (see middlewares/tierCheck.js), so this job is
+ * what ends a lapsed membership: reminder emails before tierExpiresAt, a grace
+ * period after it, then a downgrade to Free with listing tiers synced.
+ *
+ * Env:
+ * - MEMBERSHIP_LIFECYCLE (default true)
+ * - MEMBERSHIP_REMINDER_DAYS comma-separated offsets before expiry (default "7,3,1")
+ * - MEMBERSHIP_GRACE_DAYS days of benefits kept after expiry (default 3)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAID_TIERS = ["Starter", "Premium", "Pro"];
+const DEFAULT_REMINDER_DAYS = [7, 3, 1];
+const DEFAULT_GRACE_DAYS = 3;
+const LIFECYCLE_USER_FIELDS =
+  "name email role tier tierExpiresAt settings membershipLifecycle membershipSubscription";
+
+function parseReminderDays(value) {
+  const days = String(value || "")
+    .split(",")
+    .map((entry) => parseInt(entry.trim(), 10))
+    .filter((entry) => Number.isInteger(entry) && entry > 0);
+  return [...new Set(days.length > 0 ? days : DEFAULT_REMINDER_DAYS)].sort((a, b) => b - a);
+}
+
+function getLifecycleConfig() {
+  const graceDays = parseInt(process.env.MEMBERSHIP_GRACE_DAYS, 10);
+  return {
+    enabled: parseBool(process.env.MEMBERSHIP_LIFECYCLE, true),
+    reminderDays: parseReminderDays(process.env.MEMBERSHIP_REMINDER_DAYS),
+    graceDays: Number.isInteger(graceDays) && graceDays >= 0 ? graceDays : DEFAULT_GRACE_DAYS,
+  };
+}
+
+// Paid members who can lapse (admins keep their tier regardless of expiry)
+const lapsableMembersQuery = (tierExpiresAt) => ({
+  tier: { $in: PAID_TIERS },
+  role: { $ne: "admin" },
+  tierExpiresAt,
+});
+
+// Reminder bookkeeping belongs to one expiry date; a renewal starts a fresh cycle
+function getLifecycleState(user) {
+  const state = user.membershipLifecycle || {};
+  const sameExpiry =
+    state.expiresAt &&
+    user.tierExpiresAt &&
+    new Date(state.expiresAt).getTime() === new Date(user.tierExpiresAt).getTime();
+
+  return {
+    remindersSent: sameExpiry ? state.remindersSent || [] : [],
+    graceNoticeSentAt: sameExpiry ? state.graceNoticeSentAt || null : null,
+  };
+}
+
+const daysUntil = (date, now) => Math.ceil((new Date(date).getTime() - now.getTime()) / DAY_MS);
+
+const emailFailed = (result) => Boolean(result && result.success === false);
+
+async function sendDueReminder(user, config, now) {
+  const daysLeft = Math.max(1, daysUntil(user.tierExpiresAt, now));
+  const state = getLifecycleState(user);
+  const due = config.reminderDays.filter((offset) => daysLeft <= offset);
+  if (due.every((offset) => state.remindersSent.includes(offset))) return false;
+
+  const result = await sendMembershipExpiring(user, {
+    expiresAt: user.tierExpiresAt,
+    daysLeft,
+    graceDays: config.graceDays,
+  });
+  if (emailFailed(result)) return false;
+
+  // Mark every offset already passed so a late run sends one reminder, not several
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "membershipLifecycle.expiresAt": user.tierExpiresAt,
+        "membershipLifecycle.remindersSent": [...new Set([...state.remindersSent, ...due])],
+        "membershipLifecycle.graceNoticeSentAt": state.graceNoticeSentAt,
+      },
+    }
+  );
+  return true;
+}
+
+async function sendGraceNotice(user, config) {
+  const state = getLifecycleState(user);
+  if (state.graceNoticeSentAt) return false;
+
+  const graceEndsAt = new Date(new Date(user.tierExpiresAt).getTime() + config.graceDays * DAY_MS);
+  const result = await sendMembershipExpired(user, { graceEndsAt });
+  if (emailFailed(result)) return false;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "membershipLifecycle.expiresAt": user.tierExpiresAt,
+        "membershipLifecycle.remindersSent": state.remindersSent,
+        "membershipLifecycle.graceNoticeSentAt": new Date(),
+      },
+    }
+  );
+  return true;
+}
+
+/**
+ * Downgrade one lapsed member to Free and sync their listings.
+ * The update is conditional on the expiry we read, so a renewal that lands
+ * mid-run is never overwritten.
+ */
+async function downgradeLapsedMember(user, config, now) {
+  const previousTier = user.tier;
+  const expiredAt = user.tierExpiresAt;
+
+  // A renewal webhook may have been missed; ask PayPal before downgrading a subscriber
+  const subscription = user.membershipSubscription || {};
+  if (subscription.status === "ACTIVE" && subscription.subscriptionId) {
+    const current = await syncMembershipSubscription(subscription.subscriptionId);
+    const nextBilling = current.billing_info?.next_billing_time;
+    if (current.status === "ACTIVE" && nextBilling && new Date(nextBilling) > now) {
+      // Still paying: move the expiry to the next charge so later runs don't ask PayPal again
+      // (only ever extends, in case the sync above already did)
+      await User.updateOne(
+        { _id: user._id, tierExpiresAt: { $lt: new Date(nextBilling) } },
+        { $set: { tierExpiresAt: new Date(nextBilling) } }
+      );
+      return false;
+    }
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, tier: previousTier, tierExpiresAt: expiredAt },
+    {
+      $set: {
+        tier: "Free",
+        tierExpiresAt: null,
+        "membershipLifecycle.expiresAt": null,
+        "membershipLifecycle.remindersSent": [],
+        "membershipLifecycle.graceNoticeSentAt": null,
+        "membershipLifecycle.downgradedAt": now,
+        "membershipLifecycle.downgradedFrom": previousTier,
+      },
+    },
+    { new: true }
+  ).select(LIFECYCLE_USER_FIELDS);
+  if (!updated) return false;
+
+  const listingUpdateResult = await Listing.updateMany(
+    { owner: user._id },
+    { $set: { tier: "Free" } }
+  );
+  console.log(
+    `⬇️ Membership expired: ${user.email} downgraded from ${previousTier} to Free (${listingUpdateResult.modifiedCount} listing(s) synced)`
+  );
+
+  await logActivity({
+    type: "membership_downgraded",
+    description: `${user.name || user.email} was downgraded from ${previousTier} to Free after their membership expired`,
+    userId: user._id,
+    userName: user.name,
+    userEmail: user.email,
+    action: "update",
+    targetType: "user",
+    targetId: user._id,
+    details: {
+      previousTier,
+      expiredAt,
+      graceDays: config.graceDays,
+      listingsSynced: listingUpdateResult.modifiedCount,
+    },
+  });
+
+  await sendMembershipDowngraded(updated, { previousTier });
+  return true;
+}
+
+async function runMembershipLifecycleOnce({ limit = 500, now = new Date() } = {}) {
+  const config = getLifecycleConfig();
+  if (!config.enabled) {
+    return { ok: true, skipped: true, reason: "MEMBERSHIP_LIFECYCLE disabled" };
+  }
+
+  const graceCutoff = new Date(now.getTime() - config.graceDays * DAY_MS);
+  const reminderHorizon = new Date(now.getTime() + (config.reminderDays[0] || 0) * DAY_MS);
+
+  const [upcoming, inGrace, lapsed] = await Promise.all([
+    // Active subscribers renew automatically, so they get no expiry reminders
+    User.find({
+      ...lapsableMembersQuery({ $gt: now, $lte: reminderHorizon }),
+      "membershipSubscription.status": { $ne: "ACTIVE" },
+    })
+      .select(LIFECYCLE_USER_FIELDS)
+      .sort({ tierExpiresAt: 1 })
+      .limit(limit),
+    config.graceDays > 0
+      ? User.find(lapsableMembersQuery({ $gt: graceCutoff, $lte: now }))
+          .select(LIFECYCLE_USER_FIELDS)
+          .sort({ tierExpiresAt: 1 })
+          .limit(limit)
+      : [],
+    User.find(lapsableMembersQuery({ $lte: graceCutoff }))
+      .select(LIFECYCLE_USER_FIELDS)
+      .sort({ tierExpiresAt: 1 })
+      .limit(limit),
+  ]);
+
+  const result = { ok: true, reminded: 0, graceNotices: 0, downgraded: 0, failed: 0 };
+
+  const steps = [
+    [upcoming, "reminded", (user) => sendDueReminder(user, config, now)],
+    [inGrace, "graceNotices", (user) => sendGraceNotice(user, config)],
+    [lapsed, "downgraded", (user) => downgradeLapsedMember(user, config, now)],
+  ];
+
+  for (const [users, counter, handle] of steps) {
+    for (const user of users) {
+      try {
+        if (await handle(user)) result[counter] += 1;
+      } catch (e) {
+        result.failed += 1;
+        console.warn("⚠️ Membership lifecycle step failed:", {
+          userId: String(user._id),
+          step: counter,
+          message: e?.message || e,
+        });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Admin report: paid members expiring within `days`, plus those already in their
+ * grace period, with the reminders each has received.
+ */
+async function getMembershipExpirationReport({ days = 30, now = new Date() } = {}) {
+  const config = getLifecycleConfig();
+  const graceCutoff = new Date(now.getTime() - config.graceDays * DAY_MS);
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  const recentWindowStart = new Date(now.getTime() - 30 * DAY_MS);
+
+  const [users, awaitingDowngrade, recentlyDowngraded] = await Promise.all([
+    User.find(lapsableMembersQuery({ $gt: graceCutoff, $lte: horizon }))
+      .select("name email tier tierExpiresAt membershipLifecycle")
+      .sort({ tierExpiresAt: 1 })
+      .lean(),
+    User.countDocuments(lapsableMembersQuery({ $lte: graceCutoff })),
+    User.countDocuments({ "membershipLifecycle.downgradedAt": { $gte: recentWindowStart } }),
+  ]);
+
+  const members = users.map((user) => {
+    const expiresAt = new Date(user.tierExpiresAt);
+    return {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      tier: user.tier,
+      expiresAt,
+      daysLeft: daysUntil(expiresAt, now),
+      inGracePeriod: expiresAt <= now,
+      downgradeAt: new Date(expiresAt.getTime() + config.graceDays * DAY_MS),
+      remindersSent: getLifecycleState(user).remindersSent,
+    };
+  });
+
+  const byTier = members.reduce((acc, member) => {
+    acc[member.tier] = (acc[member.tier] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    config,
+    windowDays: days,
+    summary: {
+      expiring: members.filter((member) => !member.inGracePeriod).length,
+      inGracePeriod: members.filter((member) => member.inGracePeriod).length,
+      awaitingDowngrade,
+      downgradedLast30Days: recentlyDowngraded,
+      byTier,
+    },
+    upcoming: members.filter((member) => !member.inGracePeriod),
+    inGracePeriod: members.filter((member) => member.inGracePeriod),
+  };
+}
+
+function startMembershipLifecycleJob({ intervalMs = 60 * 60 * 1000 } = {}) {
+  return startIntervalJob({
+    name: "Membership lifecycle",
+    enabledEnv: "MEMBERSHIP_LIFECYCLE",
+    intervalMs,
+    initialDelayMs: 3 * 60 * 1000,
+    run: async () => {
+      const result = await runMembershipLifecycleOnce();
+      if (
+        result.reminded > 0 ||
+        result.graceNotices > 0 ||
+        result.downgraded > 0 ||
+        result.failed
+      ) {
+        console.log("🪪 Membership lifecycle:", result);
+      }
+    },
+  });
+}
+
+module.exports = {
+  getLifecycleConfig,
+  runMembershipLifecycleOnce,
+  getMembershipExpirationReport,
+  startMembershipLifecycleJob,
+};
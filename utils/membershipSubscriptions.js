@@ -0,0 +1,431 @@
+const User = require("../models/User");
+const Listing = require("../models/Listing");
+const Payment = require("../models/Payment");
+const PricingSettings = require("../models/PricingSettings");
+const {
+  createCatalogProduct,
+  createBillingPlan,
+  createSubscription,
+  getSubscription,
+  cancelSubscription,
+} = require("./paypal");
+const { logActivity } = require("./activityLogger");
+const { sendMembershipPaymentFailed } = require("./notifications");
+const { BadRequestError } = require("./errors");
+
+/**
+ * Recurring membership billing through PayPal subscriptions
+ * - One PayPal billing plan per PricingSettings tier (recreated when the price changes)
+ * - Webhook events keep User.membershipSubscription and tierExpiresAt in sync
+ * - Failed renewals start dunning; a lapsed subscription is downgraded by the
+ *   membership lifecycle job once tierExpiresAt plus the grace period passes
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAID_TIERS = ["Starter", "Premium", "Pro"];
+const BILLING_PERIOD_DAYS = { month: 30, year: 365 };
+const LIVE_STATUSES = ["ACTIVE", "SUSPENDED"];
+
+async function ensureBillingPlan(tier) {
+  const pricing = await PricingSettings.findOne({ tier });
+  if (
+    !PAID_TIERS.includes(tier) ||
+    !pricing ||
+    pricing.isActive === false ||
+    !(pricing.basePrice > 0) ||
+    !BILLING_PERIOD_DAYS[pricing.billingPeriod]
+  ) {
+    throw new BadRequestError("Subscription pricing unavailable for requested tier");
+  }
+
+  const price = Math.round(pricing.basePrice * 100) / 100;
+  const current = pricing.paypal || {};
+  if (
+    current.planId &&
+    current.planPrice === price &&
+    current.planBillingPeriod === pricing.billingPeriod
+  ) {
+    return { planId: current.planId, pricing };
+  }
+
+  let productId = current.productId;
+  if (!productId) {
+    const product = await createCatalogProduct({
+      name: `AfriOnet ${tier} membership`,
+      description: `AfriOnet ${tier} tier membership`,
+    });
+    productId = product.id;
+  }
+
+  const plan = await createBillingPlan({
+    productId,
+    name: `AfriOnet ${tier} (${pricing.billingPeriod}ly)`,
+    description: `${tier} membership billed every ${pricing.billingPeriod}`,
+    price,
+    currency: "USD",
+    intervalUnit: pricing.billingPeriod === "year" ? "YEAR" : "MONTH",
+  });
+
+  pricing.paypal = {
+    productId,
+    planId: plan.id,
+    planPrice: price,
+    planBillingPeriod: pricing.billingPeriod,
+    updatedAt: new Date(),
+  };
+  await pricing.save();
+  console.log(`✅ PayPal billing plan ${plan.id} created for ${tier} at $${price}`);
+
+  return { planId: plan.id, pricing };
+}
+
+/**
+ * Create a PayPal subscription for the user and return the approval link.
+ * The current subscription (if any) keeps running until the new one activates.
+ */
+async function startMembershipSubscription(user, tier) {
+  const { planId, pricing } = await ensureBillingPlan(tier);
+
+  const subscription = await createSubscription({
+    planId,
+    customId: JSON.stringify({ userId: String(user._id), tier }),
+    email: user.email,
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "membershipSubscription.provider": "paypal",
+        "membershipSubscription.pendingSubscriptionId": subscription.id,
+        "membershipSubscription.pendingTier": tier,
+      },
+    }
+  );
+
+  return {
+    subscriptionId: subscription.id,
+    status: subscription.status,
+    approveLink: subscription.links?.find((link) => link.rel === "approve")?.href || null,
+    price: pricing.basePrice,
+    billingPeriod: pricing.billingPeriod,
+  };
+}
+
+function parseCustomId(subscription) {
+  try {
+    return JSON.parse(subscription?.custom_id || "{}");
+  } catch {
+    return {};
+  }
+}
+
+async function findSubscriber(subscriptionId, subscription = null) {
+  const user = await User.findOne({
+    $or: [
+      { "membershipSubscription.subscriptionId": subscriptionId },
+      { "membershipSubscription.pendingSubscriptionId": subscriptionId },
+    ],
+  });
+  if (user) return user;
+
+  const { userId } = parseCustomId(subscription);
+  return userId ? User.findById(userId).catch(() => null) : null;
+}
+
+async function resolveSubscriptionTier(subscription, user) {
+  const { tier } = parseCustomId(subscription);
+  if (PAID_TIERS.includes(tier)) return tier;
+  if (user.membershipSubscription?.pendingSubscriptionId === subscription.id) {
+    return user.membershipSubscription.pendingTier;
+  }
+  if (user.membershipSubscription?.subscriptionId === subscription.id) {
+    return user.membershipSubscription.tier;
+  }
+  const pricing = await PricingSettings.findOne({ "paypal.planId": subscription.plan_id }).lean();
+  return pricing?.tier || null;
+}
+
+// Paid-through date: PayPal's next billing time, or one billing period from now
+async function getPaidThrough(subscription, tier) {
+  const nextBilling = subscription?.billing_info?.next_billing_time;
+  if (nextBilling) return new Date(nextBilling);
+
+  const pricing = await PricingSettings.findOne({ tier }).select("billingPeriod").lean();
+  const days = BILLING_PERIOD_DAYS[pricing?.billingPeriod] || BILLING_PERIOD_DAYS.month;
+  return new Date(Date.now() + days * DAY_MS);
+}
+
+async function grantTier(user, tier, paidThrough) {
+  const tierChanged = user.tier !== tier;
+  user.tier = tier;
+  // Only extend, never shorten
+  if (!user.tierExpiresAt || user.tierExpiresAt < paidThrough) {
+    user.tierExpiresAt = paidThrough;
+  }
+  await user.save();
+
+  if (tierChanged) {
+    await Listing.updateMany({ owner: user._id }, { $set: { tier } });
+  }
+}
+
+async function handleSubscriptionActivated(subscription) {
+  const user = await findSubscriber(subscription.id, subscription);
+  if (!user) return { handled: false, reason: "subscriber not found" };
+
+  const tier = await resolveSubscriptionTier(subscription, user);
+  if (!tier) return { handled: false, reason: "unknown plan" };
+
+  const state = user.membershipSubscription || {};
+  const alreadyActive = state.subscriptionId === subscription.id && state.status === "ACTIVE";
+  const previousSubscriptionId =
+    state.subscriptionId &&
+    state.subscriptionId !== subscription.id &&
+    LIVE_STATUSES.includes(state.status)
+      ? state.subscriptionId
+      : null;
+
+  const paidThrough = await getPaidThrough(subscription, tier);
+  user.membershipSubscription = {
+    provider: "paypal",
+    subscriptionId: subscription.id,
+    planId: subscription.plan_id,
+    tier,
+    status: "ACTIVE",
+    nextBillingAt: subscription.billing_info?.next_billing_time || null,
+    lastPaymentAt: state.subscriptionId === subscription.id ? state.lastPaymentAt : null,
+    failedPayments: 0,
+    dunningStartedAt: null,
+    cancelledAt: null,
+    pendingSubscriptionId:
+      state.pendingSubscriptionId === subscription.id ? null : state.pendingSubscriptionId,
+    pendingTier: state.pendingSubscriptionId === subscription.id ? null : state.pendingTier,
+  };
+  await grantTier(user, tier, paidThrough);
+
+  // An upgrade replaces the old subscription so the user is not billed twice
+  if (previousSubscriptionId) {
+    await cancelSubscription(previousSubscriptionId, `Replaced by ${tier} subscription`).catch(
+      (e) => console.warn("⚠️ Failed to cancel replaced subscription:", e.message)
+    );
+    await Payment.updateMany(
+      { "autoRenewal.billingAgreementId": previousSubscriptionId },
+      { $set: { "autoRenewal.enabled": false } }
+    );
+  }
+
+  if (alreadyActive) return { handled: true, userId: user._id, tier };
+
+  await logActivity({
+    type: "payment_processed",
+    description: `${user.email} started a ${tier} membership subscription`,
+    userId: user._id,
+    userName: user.name,
+    userEmail: user.email,
+    action: "update",
+    targetType: "user",
+    targetId: user._id,
+    details: { subscriptionId: subscription.id, tier, replaced: previousSubscriptionId },
+  });
+
+  return { handled: true, userId: user._id, tier };
+}
+
+/**
+ * A subscription charge (first cycle or renewal) completed: record the Payment,
+ * extend tierExpiresAt and clear any dunning state.
+ */
+async function handleSubscriptionPaymentCompleted(sale) {
+  const subscriptionId = sale.billing_agreement_id;
+  if (!subscriptionId) return { handled: false, reason: "not a subscription payment" };
+
+  const existing = await Payment.findOne({ orderId: sale.id }).select("_id").lean();
+  if (existing) return { handled: true, duplicate: true };
+
+  const subscription = await getSubscription(subscriptionId);
+  let user = await findSubscriber(subscriptionId, subscription);
+  if (!user) return { handled: false, reason: "subscriber not found" };
+
+  // Tier this payment upgrades from (a refund restores it), read before activation grants the new one
+  const previousTier = user.tier || "Free";
+
+  // The first charge can arrive before BILLING.SUBSCRIPTION.ACTIVATED
+  if (
+    user.membershipSubscription?.subscriptionId !== subscriptionId &&
+    subscription.status === "ACTIVE"
+  ) {
+    await handleSubscriptionActivated(subscription);
+    user = await User.findById(user._id);
+  }
+
+  const tier = await resolveSubscriptionTier(subscription, user);
+  if (!tier) return { handled: false, reason: "unknown plan" };
+
+  const pricing = await PricingSettings.findOne({ tier }).select("billingPeriod").lean();
+  const paidThrough = await getPaidThrough(subscription, tier);
+  const now = new Date();
+
+  await Payment.create({
+    user: user._id,
+    orderId: sale.id,
+    paypalPaymentId: sale.id,
+    amount: {
+      value: parseFloat(sale.amount?.total || sale.amount?.value || "0"),
+      currency: sale.amount?.currency || sale.amount?.currency_code || "USD",
+    },
+    paymentType: "membership",
+    tierUpgrade: {
+      from: previousTier,
+      to: tier,
+      duration: pricing?.billingPeriod === "year" ? "yearly" : "monthly",
+    },
+    status: "completed",
+    paymentMethod: "paypal",
+    paymentDetails: { transactionId: sale.id },
+    autoRenewal: {
+      enabled: true,
+      nextBillingDate: subscription.billing_info?.next_billing_time || null,
+      billingAgreementId: subscriptionId,
+    },
+    context: { subscriptionId },
+    isActive: true,
+    activationDate: now,
+    expirationDate: paidThrough,
+    auditLog: [{ action: "completed", details: { source: "paypal-subscription", subscriptionId } }],
+  });
+
+  if (user.membershipSubscription?.subscriptionId === subscriptionId) {
+    user.membershipSubscription.status = "ACTIVE";
+    user.membershipSubscription.lastPaymentAt = now;
+    user.membershipSubscription.nextBillingAt =
+      subscription.billing_info?.next_billing_time || null;
+    user.membershipSubscription.failedPayments = 0;
+    user.membershipSubscription.dunningStartedAt = null;
+  }
+  await grantTier(user, tier, paidThrough);
+
+  console.log(
+    `✅ Membership renewed for ${user.email} (${tier}) until ${paidThrough.toISOString()}`
+  );
+  return { handled: true, userId: user._id, tier, paidThrough };
+}
+
+async function handleSubscriptionPaymentFailed(subscription) {
+  const user = await findSubscriber(subscription.id, subscription);
+  if (!user || user.membershipSubscription?.subscriptionId !== subscription.id) {
+    return { handled: false, reason: "subscriber not found" };
+  }
+
+  const state = user.membershipSubscription;
+  state.failedPayments = (state.failedPayments || 0) + 1;
+  state.dunningStartedAt = state.dunningStartedAt || new Date();
+  await user.save();
+
+  await sendMembershipPaymentFailed(user, {
+    tier: state.tier,
+    failedPayments: state.failedPayments,
+  });
+  console.warn(`⚠️ Membership renewal failed for ${user.email} (attempt ${state.failedPayments})`);
+
+  return { handled: true, userId: user._id, failedPayments: state.failedPayments };
+}
+
+async function handleSubscriptionEnded(subscription, status) {
+  const user = await findSubscriber(subscription.id, subscription);
+  if (!user) return { handled: false, reason: "subscriber not found" };
+
+  const state = user.membershipSubscription;
+  if (state?.pendingSubscriptionId === subscription.id) {
+    // Buyer abandoned or cancelled an upgrade before it activated
+    state.pendingSubscriptionId = null;
+    state.pendingTier = null;
+    await user.save();
+    return { handled: true, pending: true };
+  }
+  if (state?.subscriptionId !== subscription.id) {
+    return { handled: false, reason: "subscription already replaced" };
+  }
+
+  state.status = status;
+  if (status !== "SUSPENDED") {
+    state.cancelledAt = state.cancelledAt || new Date();
+    state.nextBillingAt = null;
+    await Payment.updateMany(
+      { "autoRenewal.billingAgreementId": subscription.id },
+      { $set: { "autoRenewal.enabled": false } }
+    );
+  }
+  await user.save();
+
+  // Benefits run until tierExpiresAt; the lifecycle job handles the downgrade
+  return { handled: true, userId: user._id, status };
+}
+
+/**
+ * Dispatch a verified PayPal webhook event. Unknown events are acknowledged and ignored.
+ */
+async function handleSubscriptionWebhookEvent(event = {}) {
+  const eventType = event.event_type || event.eventType;
+  const resource = event.resource || {};
+
+  switch (eventType) {
+    case "BILLING.SUBSCRIPTION.ACTIVATED":
+    case "BILLING.SUBSCRIPTION.RE-ACTIVATED":
+      return handleSubscriptionActivated(resource);
+    case "PAYMENT.SALE.COMPLETED":
+      return handleSubscriptionPaymentCompleted(resource);
+    case "BILLING.SUBSCRIPTION.PAYMENT.FAILED":
+      return handleSubscriptionPaymentFailed(resource);
+    case "BILLING.SUBSCRIPTION.SUSPENDED":
+      return handleSubscriptionEnded(resource, "SUSPENDED");
+    case "BILLING.SUBSCRIPTION.CANCELLED":
+      return handleSubscriptionEnded(resource, "CANCELLED");
+    case "BILLING.SUBSCRIPTION.EXPIRED":
+      return handleSubscriptionEnded(resource, "EXPIRED");
+    default:
+      return { handled: false, reason: `ignored ${eventType || "unknown"} event` };
+  }
+}
+
+/**
+ * Pull the subscription from PayPal and apply it (used on return from approval,
+ * in case the webhook has not arrived yet).
+ */
+async function syncMembershipSubscription(subscriptionId) {
+  const subscription = await getSubscription(subscriptionId);
+  if (subscription.status === "ACTIVE") {
+    await handleSubscriptionActivated(subscription);
+  } else if (["CANCELLED", "EXPIRED", "SUSPENDED"].includes(subscription.status)) {
+    await handleSubscriptionEnded(subscription, subscription.status);
+  }
+  return subscription;
+}
+
+async function cancelMembershipSubscription(user, reason) {
+  const state = user.membershipSubscription || {};
+  if (!state.subscriptionId || !LIVE_STATUSES.includes(state.status)) {
+    return null;
+  }
+
+  await cancelSubscription(state.subscriptionId, reason || "Cancelled by subscriber");
+  state.status = "CANCELLED";
+  state.cancelledAt = new Date();
+  state.nextBillingAt = null;
+  await user.save();
+
+  await Payment.updateMany(
+    { "autoRenewal.billingAgreementId": state.subscriptionId },
+    { $set: { "autoRenewal.enabled": false } }
+  );
+
+  return state;
+}
+
+module.exports = {
+  ensureBillingPlan,
+  startMembershipSubscription,
+  handleSubscriptionWebhookEvent,
+  syncMembershipSubscription,
+  cancelMembershipSubscription,
+};
@@ -396,6 +396,82 @@ const emailTemplates = {
     </body></html>`,
   }),
 
+  paymentRefunded: ({ user = {}, payment = {}, refund = {} } = {}) => {
+    const currency = refund.currency || payment.amount?.currency || "USD";
+    const isFull = (payment.refund?.totalRefunded || 0) >= (payment.amount?.value || 0);
+    return {
+      subject: `Refund processed - ${APP_NAME}`,
+      html: renderBrandedEmail({
+        heading: isFull ? "Your payment has been refunded" : "A partial refund has been issued",
+        body: [
+          `Hello ${user.name || "there"},`,
+          `We have refunded ${currency} ${Number(refund.amount || 0).toFixed(2)} for order ${payment.orderId}.`,
+          refund.note ? `Note from our team: ${refund.note}` : "",
+          "Depending on your bank or card issuer, it can take 3-5 business days for the refund to appear on your statement.",
+          isFull && payment.paymentType === "membership"
+            ? "Because this membership payment was fully refunded, the upgrade it paid for has been removed from your account."
+            : "",
+          `If you have any questions, reply to this email or visit ${FRONTEND_URL}/contact.`,
+        ]
+          .filter(Boolean)
+          .join("\n\n"),
+      }),
+    };
+  },
+
+  membershipExpiring: ({ user = {}, expiresAt, daysLeft, graceDays = 0 } = {}) => ({
+    subject: `Your ${user.tier} membership expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"} - ${APP_NAME}`,
+    html: renderBrandedEmail({
+      heading: "Your membership is expiring soon",
+      body: [
+        `Hello ${user.name || "there"},`,
+        `Your ${user.tier} membership expires on ${new Date(expiresAt).toLocaleDateString()}.`,
+        graceDays > 0
+          ? `If it is not renewed, you will keep your benefits for a ${graceDays}-day grace period and then move to the Free tier.`
+          : "If it is not renewed, your account will move to the Free tier.",
+        `Renew now: ${FRONTEND_URL}/membership`,
+      ].join("\n\n"),
+    }),
+  }),
+
+  membershipExpired: ({ user = {}, graceEndsAt } = {}) => ({
+    subject: `Your ${user.tier} membership has expired - ${APP_NAME}`,
+    html: renderBrandedEmail({
+      heading: "Your membership has expired",
+      body: [
+        `Hello ${user.name || "there"},`,
+        `Your ${user.tier} membership has expired. We have kept your benefits active until ${new Date(graceEndsAt).toLocaleDateString()} so nothing changes while you renew.`,
+        "After that date your account and listings will move to the Free tier.",
+        `Renew now: ${FRONTEND_URL}/membership`,
+      ].join("\n\n"),
+    }),
+  }),
+
+  membershipDowngraded: ({ user = {}, previousTier } = {}) => ({
+    subject: `Your account is now on the Free tier - ${APP_NAME}`,
+    html: renderBrandedEmail({
+      heading: "Your membership has ended",
+      body: [
+        `Hello ${user.name || "there"},`,
+        `Your ${previousTier} membership was not renewed, so your account and listings have moved to the Free tier.`,
+        `You can upgrade again at any time: ${FRONTEND_URL}/membership`,
+      ].join("\n\n"),
+    }),
+  }),
+
+  membershipPaymentFailed: ({ user = {}, tier, failedPayments = 1 } = {}) => ({
+    subject: `We couldn't renew your ${tier} membership - ${APP_NAME}`,
+    html: renderBrandedEmail({
+      heading: "Your membership payment failed",
+      body: [
+        `Hello ${user.name || "there"},`,
+        `PayPal could not collect the renewal payment for your ${tier} membership${failedPayments > 1 ? ` (attempt ${failedPayments})` : ""}.`,
+        "PayPal will retry automatically. To keep your benefits, please check the funding source on your PayPal account or renew from your membership page.",
+        `Manage your membership: ${FRONTEND_URL}/membership`,
+      ].join("\n\n"),
+    }),
+  }),
+
   listingApproved: (user, listing) => {
     // Determine if this is a talent or business listing
     const talentCategories =
@@ -483,7 +559,7 @@ const emailTemplates = {
     </body></html>`,
   }),
 
-  newSavedSearchResults: (user, savedSearch, newListings) => ({
+  newSavedSearchResults: ({ user = {}, savedSearch = {}, newListings = [] } = {}) => ({
     subject: `New Results for "${savedSearch.name}" - ${APP_NAME}`,
     html: `<!DOCTYPE html><html><body style="margin:0;padding:0;background:#f5f5f5;">
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
@@ -493,7 +569,7 @@ const emailTemplates = {
         </div>
         <div style="padding: 20px;">
           <h2>New Search Results Available!</h2>
-          <p>Hello ${user.name},</p>
+          <p>Hello ${user.name || ""},</p>
           <p>We found <strong>${newListings.length}</strong> new listing(s) matching your saved search "<strong>${savedSearch.name}</strong>".</p>
 
           ${newListings
@@ -503,7 +579,7 @@ const emailTemplates = {
             <div style="border: 1px solid #ddd; padding: 15px; margin: 10px 0; border-radius: 5px;">
               <h3 style="margin: 0 0 10px 0;">${listing.title}</h3>
               <p style="margin: 5px 0; color: #666;">${listing.category} • ${listing.location}</p>
-              <p style="margin: 10px 0;">${listing.description.substring(0, 150)}...</p>
+              <p style="margin: 10px 0;">${(listing.description || "").substring(0, 150)}...</p>
               <a href="${FRONTEND_URL}/businesses/${listing._id}" style="color: #007bff; text-decoration: none;">View Details →</a>
             </div>
           `
@@ -743,6 +819,19 @@ const emailTemplates = {
       </div>
     </body></html>`,
   }),
+
+  reviewResponse: ({ reviewer = {}, listing = {}, review = {} } = {}) => ({
+    subject: `The business responded to your review - ${APP_NAME}`,
+    html: renderBrandedEmail({
+      heading: "Your review got a response",
+      body: [
+        `Hello ${reviewer.name || "there"},`,
+        `The owner of ${listing.title || "a listing"} responded to your ${review.rating}/5 review:`,
+        (review.response?.text || "").substring(0, 1000),
+        `View it here: ${FRONTEND_URL}/businesses/${listing._id}`,
+      ].join("\n\n"),
+    }),
+  }),
 };
 
 // Send email function
@@ -818,6 +907,38 @@ const notifications = {
     return sendEmail(user.email, "subscriptionExpiring", { user, payment });
   },
 
+  // Membership lifecycle notices (see utils/membershipLifecycle.js)
+  sendMembershipExpiring: async (user, { expiresAt, daysLeft, graceDays }) => {
+    if (isEmailOptedOut(user))
+      return { success: true, skipped: true, reason: "emailNotifications disabled" };
+    return sendEmail(user.email, "membershipExpiring", { user, expiresAt, daysLeft, graceDays });
+  },
+
+  sendMembershipExpired: async (user, { graceEndsAt }) => {
+    if (isEmailOptedOut(user))
+      return { success: true, skipped: true, reason: "emailNotifications disabled" };
+    return sendEmail(user.email, "membershipExpired", { user, graceEndsAt });
+  },
+
+  sendMembershipDowngraded: async (user, { previousTier }) => {
+    if (isEmailOptedOut(user))
+      return { success: true, skipped: true, reason: "emailNotifications disabled" };
+    return sendEmail(user.email, "membershipDowngraded", { user, previousTier });
+  },
+
+  sendMembershipPaymentFailed: async (user, { tier, failedPayments }) => {
+    if (isEmailOptedOut(user))
+      return { success: true, skipped: true, reason: "emailNotifications disabled" };
+    return sendEmail(user.email, "membershipPaymentFailed", { user, tier, failedPayments });
+  },
+
+  // Send refund notice to the payer
+  sendPaymentRefunded: async (user, payment, refund) => {
+    if (isEmailOptedOut(user))
+      return { success: true, skipped: true, reason: "emailNotifications disabled" };
+    return sendEmail(user.email, "paymentRefunded", { user, payment, refund });
+  },
+
   // Send listing approval notification
   sendListingApproved: async (user, listing) => {
     if (isEmailOptedOut(user))
@@ -855,6 +976,13 @@ const notifications = {
     return sendEmail(owner.email, "newReviewOnListing", { owner, listing, review, reviewer });
   },
 
+  // Notify a reviewer that the listing owner responded to their review
+  sendReviewResponse: async (reviewer, listing, review) => {
+    if (isEmailOptedOut(reviewer))
+      return { success: true, skipped: true, reason: "emailNotifications disabled" };
+    return sendEmail(reviewer.email, "reviewResponse", { reviewer, listing, review });
+  },
+
   // Advertisement Notification Functions
   sendAdRequestReceived: async (advertiser, ad) => {
     if (isEmailOptedOut(advertiser))
@@ -1024,10 +1152,16 @@ module.exports = {
   sendPasswordChangedEmail: notifications.sendPasswordChangedEmail,
   sendPaymentConfirmation: notifications.sendPaymentConfirmation,
   sendSubscriptionExpiringWarning: notifications.sendSubscriptionExpiringWarning,
+  sendPaymentRefunded: notifications.sendPaymentRefunded,
+  sendMembershipExpiring: notifications.sendMembershipExpiring,
+  sendMembershipExpired: notifications.sendMembershipExpired,
+  sendMembershipDowngraded: notifications.sendMembershipDowngraded,
+  sendMembershipPaymentFailed: notifications.sendMembershipPaymentFailed,
   sendListingApproved: notifications.sendListingApproved,
   sendSavedSearchResults: notifications.sendSavedSearchResults,
   sendReviewApproved: notifications.sendReviewApproved,
   sendNewReviewOnListing: notifications.sendNewReviewOnListing,
+  sendReviewResponse: notifications.sendReviewResponse,
   sendAdRequestReceived: notifications.sendAdRequestReceived,
   sendAdApproved: notifications.sendAdApproved,
   sendAdRejected: notifications.sendAdRejected,
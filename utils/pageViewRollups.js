@@ -0,0 +1,323 @@
+const PageView = require("../models/PageView");
+const PageViewRollup = require("../models/PageViewRollup");
+const { createSketch, addToSketch, mergeSketches, estimateCardinality } = require("./hyperLogLog");
+const { startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Site traffic rollups
+ * PageView keeps raw views for 24 hours. This job aggregates each completed hour into
+ * PageViewRollup rows (total, and per path / country / device / referrer host) while the raw
+ * views still exist, then combines finished days into daily rows.
+ * Rollups store paths without query strings and referrers as host names only; visitors
+ * (device hash, else session id) are only kept as HyperLogLog sketches.
+ *
+ * Env:
+ * - PAGE_VIEW_ROLLUP (default true)
+ * - PAGE_VIEW_ROLLUP_INTERVAL_MS (default 900000)
+ * - PAGE_VIEW_HOURLY_RETENTION_DAYS (default 35; daily rows are kept)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Raw views are purged after 24 hours, so only the last 23 completed hours can be rolled up
+const HOURLY_CATCHUP = 23;
+const DAILY_CATCHUP = 7;
+const TOTAL_PRECISION = 10;
+const DIMENSION_PRECISION = 8;
+const DIMENSIONS = ["path", "country", "device", "referrer"];
+
+function getPrecision(dimension) {
+  return dimension === "total" ? TOTAL_PRECISION : DIMENSION_PRECISION;
+}
+
+function floorTo(date, unitMs) {
+  return new Date(Math.floor(new Date(date).getTime() / unitMs) * unitMs);
+}
+
+function getReferrerHost(referrer) {
+  try {
+    return new URL(referrer).hostname.toLowerCase().replace(/^www\./, "") || "(direct)";
+  } catch {
+    return "(direct)";
+  }
+}
+
+function getDimensionKeys(view) {
+  return {
+    path:
+      String(view.path || "/")
+        .split(/[?#]/)[0]
+        .slice(0, 500) || "/",
+    country: view.location?.countryCode || "unknown",
+    device: view.device || "unknown",
+    referrer: getReferrerHost(view.referrer),
+  };
+}
+
+async function saveRollupRows(granularity, bucketStart, rows) {
+  const retentionDays = Number(process.env.PAGE_VIEW_HOURLY_RETENTION_DAYS) || 35;
+  const expiresAt =
+    granularity === "hour" ? new Date(bucketStart.getTime() + retentionDays * DAY_MS) : null;
+
+  await PageViewRollup.bulkWrite(
+    rows.map((row) => ({
+      replaceOne: {
+        filter: { granularity, dimension: row.dimension, bucketStart, key: row.key },
+        replacement: {
+          granularity,
+          bucketStart,
+          dimension: row.dimension,
+          key: row.key,
+          views: row.views,
+          visitors: estimateCardinality(row.sketch),
+          sketch: row.sketch,
+          expiresAt,
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+/**
+ * Aggregate the raw views of one hour. A total row is always written, also for an
+ * hour without views, and marks the hour as done.
+ */
+async function rollupHour(hourStart) {
+  const bucketStart = floorTo(hourStart, HOUR_MS);
+  const total = { dimension: "total", key: "", views: 0, sketch: createSketch(TOTAL_PRECISION) };
+  const rows = new Map();
+
+  await PageView.find({
+    viewedAt: { $gte: bucketStart, $lt: new Date(bucketStart.getTime() + HOUR_MS) },
+  })
+    .select("sessionId deviceHash path referrer device location.countryCode")
+    .lean()
+    .cursor()
+    .eachAsync((view) => {
+      const visitor = view.deviceHash || view.sessionId;
+      total.views += 1;
+      addToSketch(total.sketch, visitor);
+      Object.entries(getDimensionKeys(view)).forEach(([dimension, key]) => {
+        const rowKey = `${dimension}:${key}`;
+        if (!rows.has(rowKey)) {
+          rows.set(rowKey, { dimension, key, views: 0, sketch: createSketch(DIMENSION_PRECISION) });
+        }
+        const row = rows.get(rowKey);
+        row.views += 1;
+        addToSketch(row.sketch, visitor);
+      });
+    });
+
+  await saveRollupRows("hour", bucketStart, [total, ...rows.values()]);
+  return { bucketStart, views: total.views };
+}
+
+/**
+ * Combine the hourly rows of one UTC day into daily rows
+ */
+async function rollupDay(dayStart) {
+  const bucketStart = floorTo(dayStart, DAY_MS);
+  const hourlyRows = await PageViewRollup.find({
+    granularity: "hour",
+    bucketStart: { $gte: bucketStart, $lt: new Date(bucketStart.getTime() + DAY_MS) },
+  })
+    .select("dimension key views sketch")
+    .lean();
+
+  const rows = new Map();
+  hourlyRows.forEach((hourly) => {
+    const rowKey = `${hourly.dimension}:${hourly.key}`;
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, { dimension: hourly.dimension, key: hourly.key, views: 0, sketches: [] });
+    }
+    const row = rows.get(rowKey);
+    row.views += hourly.views;
+    row.sketches.push(hourly.sketch);
+  });
+
+  const dailyRows = [...rows.values()].map((row) => ({
+    ...row,
+    sketch: mergeSketches(row.sketches, getPrecision(row.dimension)),
+  }));
+  if (dailyRows.length > 0) {
+    await saveRollupRows("day", bucketStart, dailyRows);
+  }
+  return { bucketStart, views: dailyRows.find((row) => row.dimension === "total")?.views || 0 };
+}
+
+/**
+ * Roll up completed hours that have no rollup yet, then finished days
+ */
+async function runRollupOnce({ now = new Date() } = {}) {
+  const currentHour = floorTo(now, HOUR_MS);
+  const earliestHour = new Date(currentHour.getTime() - HOURLY_CATCHUP * HOUR_MS);
+  const doneHours = new Set(
+    (
+      await PageViewRollup.find({
+        granularity: "hour",
+        dimension: "total",
+        bucketStart: { $gte: earliestHour, $lt: currentHour },
+      })
+        .select("bucketStart")
+        .lean()
+    ).map((row) => row.bucketStart.getTime())
+  );
+
+  const hours = [];
+  for (let time = earliestHour.getTime(); time < currentHour.getTime(); time += HOUR_MS) {
+    if (!doneHours.has(time)) {
+      // eslint-disable-next-line no-await-in-loop
+      hours.push(await rollupHour(new Date(time)));
+    }
+  }
+
+  const today = floorTo(now, DAY_MS);
+  const days = [];
+  for (let offset = DAILY_CATCHUP; offset >= 1; offset -= 1) {
+    const dayStart = new Date(today.getTime() - offset * DAY_MS);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    // eslint-disable-next-line no-await-in-loop
+    const [hasDaily, hasHourly] = await Promise.all([
+      PageViewRollup.exists({ granularity: "day", dimension: "total", bucketStart: dayStart }),
+      PageViewRollup.exists({
+        granularity: "hour",
+        dimension: "total",
+        bucketStart: { $gte: dayStart, $lt: dayEnd },
+      }),
+    ]);
+    if (!hasDaily && hasHourly) {
+      // eslint-disable-next-line no-await-in-loop
+      days.push(await rollupDay(dayStart));
+    }
+  }
+
+  return { hours: hours.length, days: days.length };
+}
+
+/**
+ * Which rollup rows cover [from, to): hourly rows, or daily rows up to the last rolled-up
+ * day followed by the hourly rows after it (today, until its daily rollup exists)
+ */
+async function getRangeFilters({ from, to, granularity }) {
+  if (granularity === "hour") {
+    return [{ granularity: "hour", bucketStart: { $gte: floorTo(from, HOUR_MS), $lt: to } }];
+  }
+  const dayFrom = floorTo(from, DAY_MS);
+  const latestDaily = await PageViewRollup.findOne({
+    granularity: "day",
+    dimension: "total",
+    bucketStart: { $gte: dayFrom, $lt: to },
+  })
+    .sort({ bucketStart: -1 })
+    .select("bucketStart")
+    .lean();
+  const dailyTo = latestDaily ? new Date(latestDaily.bucketStart.getTime() + DAY_MS) : dayFrom;
+  return [
+    { granularity: "day", bucketStart: { $gte: dayFrom, $lt: dailyTo } },
+    { granularity: "hour", bucketStart: { $gte: dailyTo, $lt: to } },
+  ];
+}
+
+/**
+ * Views and unique visitors per hour or day, plus range totals
+ * Data runs up to the last completed hour.
+ */
+async function getTrafficTrend({ from, to, granularity }) {
+  const unitMs = granularity === "hour" ? HOUR_MS : DAY_MS;
+  const rows = await PageViewRollup.find({
+    dimension: "total",
+    $or: await getRangeFilters({ from, to, granularity }),
+  })
+    .select("bucketStart views sketch")
+    .lean();
+
+  const buckets = new Map();
+  for (let time = floorTo(from, unitMs).getTime(); time < to.getTime(); time += unitMs) {
+    buckets.set(time, { bucketStart: new Date(time), views: 0, sketches: [] });
+  }
+  rows.forEach((row) => {
+    const bucket = buckets.get(floorTo(row.bucketStart, unitMs).getTime());
+    if (!bucket) return;
+    bucket.views += row.views;
+    bucket.sketches.push(row.sketch);
+  });
+
+  const series = [...buckets.values()].map((bucket) => ({
+    bucketStart: bucket.bucketStart,
+    views: bucket.views,
+    visitors: estimateCardinality(mergeSketches(bucket.sketches, TOTAL_PRECISION)),
+  }));
+  return {
+    series,
+    totals: {
+      views: series.reduce((sum, bucket) => sum + bucket.views, 0),
+      uniqueVisitors: estimateCardinality(
+        mergeSketches(
+          rows.map((row) => row.sketch),
+          TOTAL_PRECISION
+        )
+      ),
+    },
+  };
+}
+
+/**
+ * Top paths / countries / devices / referrer hosts by views over a range
+ */
+async function getTopTraffic({ from, to, granularity, dimension, limit = 10 }) {
+  const match = { dimension, $or: await getRangeFilters({ from, to, granularity }) };
+  const top = await PageViewRollup.aggregate([
+    { $match: match },
+    { $group: { _id: "$key", views: { $sum: "$views" } } },
+    { $sort: { views: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  if (top.length === 0) return [];
+
+  const sketchRows = await PageViewRollup.find({ ...match, key: { $in: top.map((t) => t._id) } })
+    .select("key sketch")
+    .lean();
+  const sketchesByKey = sketchRows.reduce((acc, row) => {
+    acc[row.key] = acc[row.key] || [];
+    acc[row.key].push(row.sketch);
+    return acc;
+  }, {});
+
+  return top.map((entry) => ({
+    key: entry._id,
+    views: entry.views,
+    visitors: estimateCardinality(
+      mergeSketches(sketchesByKey[entry._id] || [], DIMENSION_PRECISION)
+    ),
+  }));
+}
+
+function startPageViewRollupJob({ intervalMs } = {}) {
+  return startIntervalJob({
+    name: "Page view rollup",
+    enabledEnv: "PAGE_VIEW_ROLLUP",
+    intervalMs:
+      intervalMs ||
+      Math.max(MINUTE_MS, Number(process.env.PAGE_VIEW_ROLLUP_INTERVAL_MS) || 15 * MINUTE_MS),
+    initialDelayMs: MINUTE_MS,
+    run: async () => {
+      const result = await runRollupOnce();
+      if (result.days > 0) {
+        console.log("📊 Page view rollup:", result);
+      }
+    },
+  });
+}
+
+module.exports = {
+  DIMENSIONS,
+  rollupHour,
+  rollupDay,
+  runRollupOnce,
+  getTrafficTrend,
+  getTopTraffic,
+  startPageViewRollupJob,
+};
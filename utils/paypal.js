@@ -47,7 +47,9 @@ async function getAccessToken() {
   const data = await response.json();
   if (!response.ok) {
     console.error("❌ PayPal Token Error:", data);
-    throw new Error(data.error_description || "Failed to get PayPal token");
+    const error = new Error(data.error_description || "Failed to get PayPal token");
+    error.statusCode = response.status;
+    throw error;
   }
   return data.access_token;
 }
@@ -191,6 +193,173 @@ async function getOrder(orderId) {
   return data;
 }
 
+// Resolve the capture id of a completed order (refunds are issued against captures, not orders)
+async function getOrderCaptureId(orderId) {
+  const order = await getOrder(orderId);
+  const captureId = order?.purchase_units?.[0]?.payments?.captures?.[0]?.id;
+  if (!captureId) {
+    throw new Error("No capture found for this order");
+  }
+  return captureId;
+}
+
+// Refund a captured payment. Omitting amount refunds the remaining captured balance.
+async function refundCapture(captureId, { amount, currency = "USD", note, requestId } = {}) {
+  const accessToken = await getAccessToken();
+  const body = {};
+  if (amount !== undefined && amount !== null) {
+    body.amount = {
+      value: Number(amount).toFixed(2),
+      currency_code: currency,
+    };
+  }
+  if (note) {
+    body.note_to_payer = String(note).slice(0, 255);
+  }
+
+  const headers = {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${accessToken}`,
+  };
+  // PayPal-Request-Id makes retries of the same refund idempotent
+  if (requestId) {
+    headers["PayPal-Request-Id"] = requestId;
+  }
+
+  const response = await fetch(`${baseUrl}/v2/payments/captures/${captureId}/refund`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    console.error("❌ PayPal Refund Error:", data);
+    throw new Error(
+      data.details?.[0]?.description ||
+        data.details?.[0]?.issue ||
+        data.message ||
+        "Failed to refund capture"
+    );
+  }
+
+  return data; // contains { id, status, amount }
+}
+
+// ---- Subscriptions (Billing API) ----
+
+async function billingRequest(method, path, body) {
+  const accessToken = await getAccessToken();
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${accessToken}`,
+      Prefer: "return=representation",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  // Cancel/suspend endpoints answer 204 No Content
+  const data = response.status === 204 ? {} : await response.json();
+  if (!response.ok) {
+    console.error(`❌ PayPal Billing Error (${method} ${path}):`, data);
+    throw new Error(
+      data.details?.[0]?.description ||
+        data.details?.[0]?.issue ||
+        data.message ||
+        "PayPal billing request failed"
+    );
+  }
+  return data;
+}
+
+// Catalog product that billing plans hang off (one per membership tier)
+async function createCatalogProduct({ name, description }) {
+  return billingRequest("POST", "/v1/catalogs/products", {
+    name,
+    description,
+    type: "SERVICE",
+    category: "SOFTWARE",
+  });
+}
+
+// Fixed-price recurring plan; intervalUnit is "MONTH" or "YEAR"
+async function createBillingPlan({
+  productId,
+  name,
+  description,
+  price,
+  currency = "USD",
+  intervalUnit = "MONTH",
+}) {
+  return billingRequest("POST", "/v1/billing/plans", {
+    product_id: productId,
+    name,
+    description,
+    status: "ACTIVE",
+    billing_cycles: [
+      {
+        frequency: { interval_unit: intervalUnit, interval_count: 1 },
+        tenure_type: "REGULAR",
+        sequence: 1,
+        total_cycles: 0, // renew until cancelled
+        pricing_scheme: {
+          fixed_price: { value: Number(price).toFixed(2), currency_code: currency },
+        },
+      },
+    ],
+    payment_preferences: {
+      auto_bill_outstanding: true,
+      payment_failure_threshold: 3,
+    },
+  });
+}
+
+async function createSubscription({ planId, customId, email, returnUrl, cancelUrl }) {
+  return billingRequest("POST", "/v1/billing/subscriptions", {
+    plan_id: planId,
+    custom_id: customId,
+    ...(email ? { subscriber: { email_address: email } } : {}),
+    application_context: {
+      brand_name: "AfriOnet",
+      user_action: "SUBSCRIBE_NOW",
+      shipping_preference: "NO_SHIPPING",
+      return_url: getSafeCheckoutUrl(returnUrl, "/membership?subscription=approved"),
+      cancel_url: getSafeCheckoutUrl(cancelUrl, "/membership?subscription=cancelled"),
+    },
+  }); // contains { id, status, links }
+}
+
+async function getSubscription(subscriptionId) {
+  return billingRequest("GET", `/v1/billing/subscriptions/${subscriptionId}`);
+}
+
+async function cancelSubscription(subscriptionId, reason = "Cancelled by subscriber") {
+  return billingRequest("POST", `/v1/billing/subscriptions/${subscriptionId}/cancel`, {
+    reason: String(reason).slice(0, 128),
+  });
+}
+
+// Verify a webhook delivery against PAYPAL_WEBHOOK_ID
+async function verifyWebhookSignature(req) {
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+  if (!webhookId) {
+    throw new Error("PAYPAL_WEBHOOK_ID is not configured");
+  }
+
+  const data = await billingRequest("POST", "/v1/notifications/verify-webhook-signature", {
+    auth_algo: req.get("PayPal-Auth-Algo"),
+    cert_url: req.get("PayPal-Cert-Url"),
+    transmission_id: req.get("PayPal-Transmission-Id"),
+    transmission_sig: req.get("PayPal-Transmission-Sig"),
+    transmission_time: req.get("PayPal-Transmission-Time"),
+    webhook_id: webhookId,
+    webhook_event: req.body,
+  });
+  return data.verification_status === "SUCCESS";
+}
+
 async function createPayout({
   recipientEmail,
   amount,
@@ -236,10 +405,56 @@ async function createPayout({
   const data = await response.json();
   if (!response.ok) {
     console.error("❌ PayPal Payout Error:", data);
-    throw new Error(data?.message || data?.name || "Failed to create PayPal payout");
+    const error = new Error(data?.message || data?.name || "Failed to create PayPal payout");
+    error.statusCode = response.status;
+    error.details = data;
+    throw error;
   }
 
   return data;
 }
 
-module.exports = { createOrder, captureOrder, getOrder, createPayout, getFrontendUrl };
+// A sender_batch_id reused within 30 days is rejected with a link to the original batch
+function getDuplicatePayoutBatchId(error) {
+  const links = Array.isArray(error?.details?.links) ? error.details.links : [];
+  const batchId = links
+    .map((link) => /\/v1\/payments\/payouts\/([^/?#]+)/.exec(link?.href || "")?.[1])
+    .find(Boolean);
+  return batchId || null;
+}
+
+// Payout batch with its items; items[].transaction_status tracks each payment
+async function getPayoutBatch(payoutBatchId) {
+  const accessToken = await getAccessToken();
+  const response = await fetch(`${baseUrl}/v1/payments/payouts/${payoutBatchId}`, {
+    method: "GET",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    console.error("❌ PayPal Get Payout Error:", data);
+    throw new Error(data?.message || data?.name || "Failed to get PayPal payout");
+  }
+  return data;
+}
+
+module.exports = {
+  createOrder,
+  captureOrder,
+  getOrder,
+  getOrderCaptureId,
+  refundCapture,
+  createCatalogProduct,
+  createBillingPlan,
+  createSubscription,
+  getSubscription,
+  cancelSubscription,
+  verifyWebhookSignature,
+  createPayout,
+  getPayoutBatch,
+  getDuplicatePayoutBatchId,
+  getFrontendUrl,
+};
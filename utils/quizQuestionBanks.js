@@ -0,0 +1,376 @@
+const crypto = require("crypto");
+const QuizQuestion = require("../models/QuizQuestion");
+
+/**
+ * Quiz question bank helpers
+ * - Question validation shared by the admin editor and bank imports
+ * - JSON/CSV import and export of bank questions
+ * - Resolving the question behind a picked number for an event (fixed or random draw)
+ */
+
+const QUESTION_DIFFICULTIES = ["easy", "medium", "hard"];
+const MAX_QUESTION_NUMBER = 200;
+const MAX_IMPORT_QUESTIONS = MAX_QUESTION_NUMBER;
+const CSV_COLUMNS = ["number", "text", "type", "choices", "correctAnswer", "difficulty", "tags"];
+// Separator for list values (choices, tags) inside a single CSV cell
+const CSV_LIST_SEPARATOR = "|";
+
+function getChoiceLabel(choice) {
+  return String(choice || "")
+    .trim()
+    .slice(0, 1)
+    .toUpperCase();
+}
+
+function normalizeCorrectAnswer(correctAnswer, choices = []) {
+  const trimmedAnswer = String(correctAnswer || "").trim();
+  if (!trimmedAnswer) {
+    return "";
+  }
+
+  const directLabel = getChoiceLabel(trimmedAnswer);
+  const matchingChoice = choices.find(
+    (choice) => String(choice).trim().toUpperCase() === trimmedAnswer.toUpperCase()
+  );
+
+  return matchingChoice ? getChoiceLabel(matchingChoice) : directLabel;
+}
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === "") return [];
+  return String(value).split(CSV_LIST_SEPARATOR);
+};
+
+/**
+ * Validate and normalize one question. Returns `{ question }` or `{ error }`.
+ */
+function normalizeQuestionInput(input = {}) {
+  const number = Number(input.number);
+  const text = typeof input.text === "string" ? input.text.trim() : "";
+  const type = String(input.type || "").trim();
+  const correctAnswer =
+    input.correctAnswer === undefined || input.correctAnswer === null
+      ? ""
+      : String(input.correctAnswer).trim();
+
+  if (!Number.isInteger(number) || number < 1 || number > MAX_QUESTION_NUMBER) {
+    return { error: `Question number must be between 1 and ${MAX_QUESTION_NUMBER}` };
+  }
+
+  if (!text) {
+    return { error: "Question text is required" };
+  }
+
+  if (!["multiple-choice", "text"].includes(type)) {
+    return { error: "Type must be 'multiple-choice' or 'text'" };
+  }
+
+  const choices =
+    type === "multiple-choice"
+      ? toList(input.choices)
+          .map((choice) => String(choice).trim())
+          .filter(Boolean)
+      : [];
+
+  if (type === "multiple-choice") {
+    if (choices.length === 0) {
+      return { error: "Choices are required for multiple-choice questions" };
+    }
+    if (!correctAnswer) {
+      return { error: "Correct answer is required for multiple-choice questions" };
+    }
+  }
+
+  if (type === "text" && !correctAnswer) {
+    return { error: "Correct answer is required for text questions" };
+  }
+
+  const difficulty = String(input.difficulty || "medium")
+    .trim()
+    .toLowerCase();
+  if (!QUESTION_DIFFICULTIES.includes(difficulty)) {
+    return { error: `Difficulty must be one of: ${QUESTION_DIFFICULTIES.join(", ")}` };
+  }
+
+  const tags = Array.from(
+    new Set(
+      toList(input.tags)
+        .map((tag) => String(tag).trim().toLowerCase().slice(0, 40))
+        .filter(Boolean)
+    )
+  ).slice(0, 10);
+
+  return {
+    question: {
+      number,
+      text,
+      type,
+      choices,
+      correctAnswer:
+        type === "multiple-choice" ? normalizeCorrectAnswer(correctAnswer, choices) : correctAnswer,
+      difficulty,
+      tags,
+      active: input.active === undefined ? true : String(input.active).toLowerCase() !== "false",
+    },
+  };
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes.
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const text = String(content || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Turn CSV content (header row required) into raw question objects.
+ */
+function questionsFromCsv(content) {
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map((name) => name.trim());
+
+  return rows.map((cells) =>
+    columns.reduce((question, column, index) => {
+      if (column) {
+        // eslint-disable-next-line no-param-reassign
+        question[column] = cells[index] === undefined ? "" : cells[index];
+      }
+      return question;
+    }, {})
+  );
+}
+
+const escapeCsvValue = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function questionsToCsv(questions = []) {
+  const lines = questions.map((question) =>
+    [
+      question.number,
+      question.text,
+      question.type,
+      (question.choices || []).join(CSV_LIST_SEPARATOR),
+      question.correctAnswer || "",
+      question.difficulty || "medium",
+      (question.tags || []).join(CSV_LIST_SEPARATOR),
+    ]
+      .map(escapeCsvValue)
+      .join(",")
+  );
+
+  return [CSV_COLUMNS.join(","), ...lines].join("\n");
+}
+
+function serializeBankQuestion(question) {
+  return {
+    number: question.number,
+    text: question.text,
+    type: question.type,
+    choices: question.choices,
+    correctAnswer: question.correctAnswer,
+    difficulty: question.difficulty || "medium",
+    tags: question.tags || [],
+    active: question.active,
+  };
+}
+
+function usesQuestionBanks(session) {
+  return (session?.questionBanks || []).length > 0;
+}
+
+function getBankQuestionFilter(session) {
+  const filter = { bank: { $in: session.questionBanks }, active: true };
+  if (session.randomizeQuestions && (session.questionDifficulties || []).length > 0) {
+    filter.difficulty = { $in: session.questionDifficulties };
+  }
+  return filter;
+}
+
+/**
+ * Question behind a picked number for this event, or null when none is assigned yet
+ * (random draw) or the number has no question.
+ */
+async function findSessionQuestion(session, questionNumber) {
+  const number = Number(questionNumber);
+  const assignment = (session.questionAssignments || []).find((entry) => entry.number === number);
+  if (assignment) {
+    return QuizQuestion.findById(assignment.question);
+  }
+
+  if (!usesQuestionBanks(session)) {
+    return QuizQuestion.findOne({ bank: null, number, active: true });
+  }
+
+  if (session.randomizeQuestions) {
+    return null;
+  }
+
+  // Fixed numbering: the first attached bank that has this number wins
+  const matches = await QuizQuestion.find({ ...getBankQuestionFilter(session), number });
+  const bankOrder = session.questionBanks.map(String);
+  return (
+    matches.sort(
+      (a, b) => bankOrder.indexOf(String(a.bank)) - bankOrder.indexOf(String(b.bank))
+    )[0] || null
+  );
+}
+
+/**
+ * Draw a random question from the event's banks that hasn't been used in this event.
+ */
+async function drawSessionQuestion(session) {
+  const usedQuestionIds = (session.questionAssignments || []).map((entry) => entry.question);
+  const candidates = await QuizQuestion.find({
+    ...getBankQuestionFilter(session),
+    _id: { $nin: usedQuestionIds },
+  })
+    .select("_id")
+    .lean();
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return QuizQuestion.findById(candidates[crypto.randomInt(candidates.length)]._id);
+}
+
+/**
+ * Number of questions that can be played within the display range of the event.
+ */
+async function countSessionQuestions(session, { start, end }) {
+  if (!usesQuestionBanks(session)) {
+    return QuizQuestion.countDocuments({
+      bank: null,
+      active: true,
+      number: { $gte: start, $lte: end },
+    });
+  }
+
+  if (session.randomizeQuestions) {
+    const poolCount = await QuizQuestion.countDocuments(getBankQuestionFilter(session));
+    return Math.min(end - start + 1, poolCount);
+  }
+
+  const numbers = await QuizQuestion.distinct("number", {
+    ...getBankQuestionFilter(session),
+    number: { $gte: start, $lte: end },
+  });
+  return numbers.length;
+}
+
+/**
+ * Public question list for the number picker. Random-draw events only expose numbers.
+ */
+async function listSessionQuestions(session, { start, end }) {
+  if (!usesQuestionBanks(session)) {
+    return QuizQuestion.find({ bank: null, active: true })
+      .sort({ number: 1 })
+      .select("number type choices text");
+  }
+
+  if (session.randomizeQuestions) {
+    const count = await countSessionQuestions(session, { start, end });
+    return Array.from({ length: count }, (value, index) => ({ number: start + index }));
+  }
+
+  const questions = await QuizQuestion.find(getBankQuestionFilter(session))
+    .sort({ number: 1 })
+    .select("bank number type choices text");
+  const byNumber = new Map();
+  const bankOrder = session.questionBanks.map(String);
+  questions.forEach((question) => {
+    const current = byNumber.get(question.number);
+    if (
+      !current ||
+      bankOrder.indexOf(String(question.bank)) < bankOrder.indexOf(String(current.bank))
+    ) {
+      byNumber.set(question.number, question);
+    }
+  });
+
+  return Array.from(byNumber.values()).map(({ _id, number, type, choices, text }) => ({
+    _id,
+    number,
+    type,
+    choices,
+    text,
+  }));
+}
+
+/**
+ * Question numbers used to be globally unique. Drop that legacy index so each bank can
+ * number its questions from 1; the { bank, number } index replaces it.
+ */
+async function ensureQuizQuestionIndexes(mongoose) {
+  const collection = mongoose.connection.collection(QuizQuestion.collection.collectionName);
+  const indexes = await collection.indexes().catch(() => []);
+  const legacyIndex = indexes.find(
+    (index) => index.unique && Object.keys(index.key || {}).join(",") === "number"
+  );
+
+  if (legacyIndex) {
+    await collection.dropIndex(legacyIndex.name);
+    console.log("✅ Dropped legacy unique quiz question number index");
+  }
+
+  await QuizQuestion.createIndexes();
+}
+
+module.exports = {
+  QUESTION_DIFFICULTIES,
+  MAX_IMPORT_QUESTIONS,
+  getChoiceLabel,
+  normalizeCorrectAnswer,
+  normalizeQuestionInput,
+  questionsFromCsv,
+  questionsToCsv,
+  serializeBankQuestion,
+  usesQuestionBanks,
+  findSessionQuestion,
+  drawSessionQuestion,
+  countSessionQuestions,
+  listSessionQuestions,
+  ensureQuizQuestionIndexes,
+};
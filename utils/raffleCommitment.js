@@ -0,0 +1,234 @@
+const RaffleCommitment = require("../models/RaffleCommitment");
+const { ConflictError } = require("./errors");
+const {
+  generateRaffleSeed,
+  performRaffle,
+  hashRaffleSeed,
+  orderEntrantIds,
+  hashEntrantList,
+  verifyCommittedRaffle,
+} = require("./raffleSelection");
+
+/**
+ * Commit–reveal raffles for showcase, quiz and debate events
+ * 1. Commit: a secret seed is generated and only its SHA-256 is published, before
+ *    registration closes (event creation / first registration).
+ * 2. Freeze: when the draw starts, the entrant IDs are put in canonical order and the
+ *    list and its SHA-256 are stored. Entrants deleted later (showcase) stay on record.
+ * 3. Reveal: the draw runs over the frozen list with the committed seed and the seed is
+ *    published with the results, so anyone can recompute them.
+ */
+
+function getLatestCommitment(eventType, eventId, { withSeed = false } = {}) {
+  const query = RaffleCommitment.findOne({ eventType, event: eventId }).sort({ round: -1 });
+  return withSeed ? query.select("+seed") : query;
+}
+
+/**
+ * Public view of a commitment; the seed only appears once revealed.
+ */
+function serializeCommitment(commitment) {
+  return {
+    round: commitment.round,
+    status: commitment.status,
+    algorithm: commitment.algorithm,
+    seedCommitment: commitment.seedCommitment,
+    committedAt: commitment.committedAt,
+    committedAtDraw: commitment.committedAtDraw,
+    registrationClosesAt: commitment.registrationClosesAt,
+    entrantListHash: commitment.entrantListHash,
+    entrantIds: commitment.entrantIds,
+    frozenAt: commitment.frozenAt,
+    maxSelected: commitment.maxSelected,
+    revealedSeed: commitment.status === "revealed" ? commitment.revealedSeed : null,
+    revealedAt: commitment.revealedAt,
+    selectedIds: commitment.selectedIds,
+    waitlistIds: commitment.waitlistIds,
+  };
+}
+
+async function createCommitment(eventType, eventId, { round, registrationClosesAt, atDraw }) {
+  const seed = generateRaffleSeed();
+  try {
+    return await RaffleCommitment.create({
+      eventType,
+      event: eventId,
+      round,
+      seed,
+      seedCommitment: hashRaffleSeed(seed),
+      registrationClosesAt: registrationClosesAt || null,
+      committedAtDraw: Boolean(atDraw),
+    });
+  } catch (error) {
+    // Another request opened this round first
+    if (error?.code === 11000) {
+      return getLatestCommitment(eventType, eventId, { withSeed: true });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Commitment for the next draw of an event, creating one when the event has none open.
+ * Call before registration closes.
+ */
+async function ensureRaffleCommitment(eventType, eventId, { registrationClosesAt = null } = {}) {
+  const latest = await getLatestCommitment(eventType, eventId);
+
+  if (latest && latest.status !== "revealed") {
+    if (
+      latest.status === "committed" &&
+      registrationClosesAt &&
+      new Date(latest.registrationClosesAt || 0).getTime() !==
+        new Date(registrationClosesAt).getTime()
+    ) {
+      latest.registrationClosesAt = registrationClosesAt;
+      await latest.save();
+    }
+    return latest;
+  }
+
+  return createCommitment(eventType, eventId, {
+    round: (latest?.round || 0) + 1,
+    registrationClosesAt,
+    atDraw: false,
+  });
+}
+
+/**
+ * Freeze the entrant list, draw with the committed seed and reveal it.
+ * Returns performRaffle results plus the public commitment record.
+ */
+async function drawCommittedRaffle({ eventType, eventId, entrants, maxSelected }) {
+  const entrantIds = orderEntrantIds(entrants.map((entrant) => entrant._id || entrant));
+  const entrantListHash = hashEntrantList(entrantIds);
+
+  let commitment = await getLatestCommitment(eventType, eventId, { withSeed: true });
+  const resumable =
+    commitment?.status === "frozen" &&
+    commitment.entrantListHash === entrantListHash &&
+    commitment.maxSelected === maxSelected;
+
+  if (!resumable && commitment?.status !== "committed") {
+    // Nothing was committed ahead of this draw; the record says so
+    commitment = await createCommitment(eventType, eventId, {
+      round: (commitment?.round || 0) + 1,
+      atDraw: true,
+    });
+  }
+
+  if (commitment.status === "committed") {
+    commitment = await RaffleCommitment.findOneAndUpdate(
+      { _id: commitment._id, status: "committed" },
+      {
+        $set: {
+          status: "frozen",
+          entrantIds,
+          entrantListHash,
+          maxSelected,
+          frozenAt: new Date(),
+        },
+      },
+      { new: true }
+    ).select("+seed");
+
+    if (!commitment) {
+      throw new ConflictError("This raffle is already being drawn");
+    }
+  }
+
+  const entrantsById = new Map(
+    entrants.map((entrant) => [String(entrant._id || entrant), entrant])
+  );
+  const raffleResults = performRaffle(
+    entrantIds.map((id) => entrantsById.get(id)),
+    maxSelected,
+    commitment.seed
+  );
+
+  commitment.status = "revealed";
+  commitment.revealedSeed = commitment.seed;
+  commitment.revealedAt = raffleResults.raffleTimestamp;
+  commitment.selectedIds = raffleResults.selected.map((entry) => String(entry.contestant));
+  commitment.waitlistIds = raffleResults.waitlist.map((entry) => String(entry.contestant));
+  await commitment.save();
+
+  raffleResults.commitment = serializeCommitment(commitment);
+  return raffleResults;
+}
+
+/**
+ * Public verification of an event's latest raffle. `recordedSeed` and
+ * `recordedSelectedIds` are what the event itself shows, and are checked against the
+ * commitment record when given. Returns null when the event has no commitment.
+ */
+async function getRaffleVerification(
+  eventType,
+  eventId,
+  { recordedSeed, recordedSelectedIds } = {}
+) {
+  const rounds = await RaffleCommitment.find({ eventType, event: eventId })
+    .sort({ round: 1 })
+    .lean();
+  if (rounds.length === 0) return null;
+
+  const latest = rounds[rounds.length - 1];
+  const commitment = serializeCommitment(latest);
+  const base = {
+    commitment,
+    drawCount: rounds.filter((round) => round.status === "revealed").length,
+    rounds: rounds.map(({ round, status, seedCommitment, committedAt, revealedAt }) => ({
+      round,
+      status,
+      seedCommitment,
+      committedAt,
+      revealedAt,
+    })),
+  };
+
+  if (latest.status !== "revealed") {
+    return { ...base, verified: null, checks: null };
+  }
+
+  const { verified, checks, recomputed } = verifyCommittedRaffle({
+    seed: latest.revealedSeed,
+    seedCommitment: latest.seedCommitment,
+    entrantIds: latest.entrantIds,
+    entrantListHash: latest.entrantListHash,
+    maxContestants: latest.maxSelected,
+    expectedSelected: latest.selectedIds,
+    expectedWaitlist: latest.waitlistIds,
+  });
+
+  // Registration closes at the scheduled time or when the draw starts, whichever is first
+  const closesAt = Math.min(
+    ...[latest.registrationClosesAt, latest.frozenAt].filter(Boolean).map((d) => new Date(d))
+  );
+  const timing = {
+    committedBeforeRegistrationClosed:
+      !latest.committedAtDraw && new Date(latest.committedAt).getTime() < closesAt,
+    frozenBeforeReveal: new Date(latest.frozenAt) <= new Date(latest.revealedAt),
+  };
+  const recorded = {
+    seedMatchesEvent: recordedSeed === undefined ? null : recordedSeed === latest.revealedSeed,
+    selectionMatchesEvent:
+      recordedSelectedIds === undefined
+        ? null
+        : recordedSelectedIds.map(String).join("\n") === latest.selectedIds.join("\n"),
+  };
+  const allChecks = { ...checks, ...timing, ...recorded };
+
+  return {
+    ...base,
+    verified: verified && Object.values(allChecks).every((check) => check !== false),
+    checks: allChecks,
+    recomputed,
+  };
+}
+
+module.exports = {
+  ensureRaffleCommitment,
+  drawCommittedRaffle,
+  serializeCommitment,
+  getRaffleVerification,
+};
@@ -32,6 +32,28 @@ function generateDeterministicRandom(seed, index) {
   return parseInt(hexHash.substring(0, 8), 16) / 0xffffffff;
 }
 
+/**
+ * Commitment published before registration closes: SHA-256 of the secret seed
+ */
+function hashRaffleSeed(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+/**
+ * Canonical entrant order for a committed draw: unique IDs sorted ascending.
+ * The order no longer depends on query order or anything an operator controls.
+ */
+function orderEntrantIds(entrantIds) {
+  return [...new Set(entrantIds.map(id => String(id)))].sort();
+}
+
+/**
+ * SHA-256 of the frozen entrant list (one ID per line, canonical order)
+ */
+function hashEntrantList(entrantIds) {
+  return crypto.createHash('sha256').update(entrantIds.join('\n')).digest('hex');
+}
+
 /**
  * Perform transparent raffle selection
  *
@@ -148,12 +170,54 @@ function verifyRaffle(contestants, raffleSeed, expectedSelected, maxContestants)
   }
 }
 
+/**
+ * Verify a commit–reveal raffle
+ * Checks that the revealed seed matches the published commitment, the frozen entrant
+ * list matches its hash and is in canonical order, and that re-running the draw over
+ * that list reproduces the recorded selection and waitlist.
+ *
+ * @param {Object} record - { seed, seedCommitment, entrantIds, entrantListHash,
+ *   maxContestants, expectedSelected, expectedWaitlist }
+ * @returns {Object} - { verified, checks, recomputed }
+ */
+function verifyCommittedRaffle(record) {
+  const entrantIds = (record.entrantIds || []).map(id => String(id));
+  const expectedSelected = (record.expectedSelected || []).map(id => String(id));
+  const expectedWaitlist = record.expectedWaitlist
+    ? record.expectedWaitlist.map(id => String(id))
+    : null;
+
+  const checks = {
+    seedMatchesCommitment: Boolean(record.seed) && hashRaffleSeed(record.seed) === record.seedCommitment,
+    entrantListMatchesHash: hashEntrantList(entrantIds) === record.entrantListHash,
+    entrantOrderCanonical: orderEntrantIds(entrantIds).join('\n') === entrantIds.join('\n'),
+    selectionMatches: false,
+    waitlistMatches: expectedWaitlist ? false : null
+  };
+
+  let recomputed = { selected: [], waitlist: [] };
+  if (record.seed && entrantIds.length > 0) {
+    const results = performRaffle(entrantIds, record.maxContestants, record.seed);
+    recomputed = {
+      selected: results.selected.map(s => String(s.contestant)),
+      waitlist: results.waitlist.map(w => String(w.contestant))
+    };
+    checks.selectionMatches = recomputed.selected.join('\n') === expectedSelected.join('\n');
+    if (expectedWaitlist) {
+      checks.waitlistMatches = recomputed.waitlist.join('\n') === expectedWaitlist.join('\n');
+    }
+  }
+
+  const verified = Object.values(checks).every(check => check !== false);
+  return { verified, checks, recomputed };
+}
+
 /**
  * Generate public raffle report
  * Creates a transparent, human-readable report of the raffle
  */
 function generatePublicReport(raffleResults, showcaseTitle) {
-  const { selected, waitlist, auditTrail } = raffleResults;
+  const { selected, waitlist, auditTrail, commitment } = raffleResults;
 
   const report = {
     event: showcaseTitle,
@@ -184,6 +248,22 @@ function generatePublicReport(raffleResults, showcaseTitle) {
         '4. Top N contestants are selected'
       ]
     },
+    // Present for commit-reveal draws (utils/raffleCommitment.js)
+    commitment: commitment
+      ? {
+        seedCommitment: commitment.seedCommitment,
+        committedAt: commitment.committedAt,
+        entrantListHash: commitment.entrantListHash,
+        entrantIds: commitment.entrantIds,
+        frozenAt: commitment.frozenAt,
+        howToVerify: [
+          '1. SHA-256 of the raffle seed must equal seedCommitment',
+          '2. entrantIds must be sorted ascending and hash (joined by newlines) to entrantListHash',
+          '3. Apply SHA-256 to "seed-index" for each ID in entrantIds order',
+          '4. Sort by the random numbers (ascending); the top N are selected'
+        ]
+      }
+      : null,
     generatedAt: new Date()
   };
 
@@ -195,5 +275,9 @@ module.exports = {
   performRaffle,
   verifyRaffle,
   generatePublicReport,
-  generateDeterministicRandom
+  generateDeterministicRandom,
+  hashRaffleSeed,
+  orderEntrantIds,
+  hashEntrantList,
+  verifyCommittedRaffle
 };
@@ -0,0 +1,214 @@
+const SavedSearch = require("../models/SavedSearch");
+const Listing = require("../models/Listing");
+const MessageNotification = require("../models/MessageNotification");
+const { sendSavedSearchResults } = require("./notifications");
+const { FRONTEND_URL } = require("./config");
+const { parseBool, startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Saved-search alert engine
+ * Matches newly activated listings against saved searches, batches the matches
+ * per search and delivers them as digests according to alertFrequency.
+ */
+
+const MAX_LISTINGS_PER_DIGEST = 20;
+
+function isAlertEngineEnabled() {
+  return parseBool(process.env.SAVED_SEARCH_ALERTS, true);
+}
+
+async function createInAppAlert(user, savedSearch, listings) {
+  const lines = listings.slice(0, 5).map((l) => `- ${l.title} (${l.location})`);
+  const more = listings.length > 5 ? [`...and ${listings.length - 5} more.`] : [];
+  const body = [
+    `We found ${listings.length} new listing(s) matching your saved search "${savedSearch.name}".`,
+    [...lines, ...more].join("\n"),
+    `View all results: ${FRONTEND_URL}${savedSearch.searchUrl}`,
+  ].join("\n\n");
+
+  await MessageNotification.create({
+    user: user._id,
+    savedSearch: savedSearch._id,
+    type: "saved-search",
+    title: `New results for "${savedSearch.name}"`,
+    body,
+    isRead: false,
+  });
+}
+
+/**
+ * Deliver the pending digest for one saved search (email + in-app) and reset
+ * its counters. Listings that were deactivated since matching are dropped.
+ */
+async function deliverSavedSearchAlert(savedSearchOrId) {
+  const savedSearch =
+    savedSearchOrId instanceof SavedSearch
+      ? savedSearchOrId
+      : await SavedSearch.findById(savedSearchOrId);
+  if (!savedSearch) return { delivered: false, reason: "not-found" };
+
+  if (!savedSearch.populated("user")) {
+    await savedSearch.populate("user", "name email tier settings isActive");
+  }
+
+  const pendingIds = (savedSearch.pendingAlertListings || []).map((p) => p.listing);
+  if (pendingIds.length === 0) return { delivered: false, reason: "nothing-pending" };
+
+  const clearPending = (extra = {}) =>
+    SavedSearch.updateOne(
+      { _id: savedSearch._id },
+      {
+        $pull: { pendingAlertListings: { listing: { $in: pendingIds } } },
+        ...extra,
+      }
+    );
+
+  const { user } = savedSearch;
+  if (!user || user.isActive === false) {
+    await clearPending({ $set: { newResultsCount: 0 } });
+    return { delivered: false, reason: "inactive-user" };
+  }
+
+  const listings = await Listing.find({ _id: { $in: pendingIds }, status: "active" })
+    .sort({ createdAt: -1 })
+    .limit(MAX_LISTINGS_PER_DIGEST)
+    .select("title description category location tier createdAt")
+    .lean();
+
+  if (listings.length === 0) {
+    await clearPending({ $set: { newResultsCount: 0 } });
+    return { delivered: false, reason: "no-active-listings" };
+  }
+
+  const emailResult = await sendSavedSearchResults(user, savedSearch, listings);
+  if (emailResult && emailResult.success === false) {
+    console.warn("⚠️ Saved search alert email failed:", {
+      savedSearchId: String(savedSearch._id),
+      error: emailResult.error,
+    });
+  }
+
+  try {
+    await createInAppAlert(user, savedSearch, listings);
+  } catch (error) {
+    console.warn("⚠️ Saved search in-app alert failed:", error.message);
+  }
+
+  await clearPending({ $set: { lastAlertSent: new Date(), newResultsCount: 0 } });
+
+  return { delivered: true, count: listings.length };
+}
+
+/**
+ * Match a listing that just became active against every alerting saved search
+ * and queue it on the ones it satisfies. "immediate" searches are delivered
+ * right away; daily/weekly ones wait for the scheduled job.
+ */
+async function queueListingForSavedSearchAlerts(listingOrId) {
+  if (!isAlertEngineEnabled()) return { queued: 0, skipped: true };
+
+  const listingId = listingOrId?._id || listingOrId;
+  const listing = await Listing.findById(listingId).select("_id status category owner").lean();
+  if (!listing || listing.status !== "active") return { queued: 0 };
+
+  const candidates = await SavedSearch.find({
+    isActive: true,
+    alertsEnabled: true,
+    alertFrequency: { $ne: "never" },
+    user: { $ne: listing.owner },
+    "searchCriteria.category": { $in: ["all", listing.category] },
+    "pendingAlertListings.listing": { $ne: listing._id },
+  }).select("user name alertFrequency searchCriteria");
+
+  let queued = 0;
+  const immediate = [];
+
+  for (const savedSearch of candidates) {
+    // Reuse the saved search's own query so alerts and "run search" always agree.
+    const matches = await Listing.exists({ ...savedSearch.buildSearchQuery(), _id: listing._id });
+    if (!matches) continue;
+
+    const result = await SavedSearch.updateOne(
+      { _id: savedSearch._id, "pendingAlertListings.listing": { $ne: listing._id } },
+      {
+        $push: { pendingAlertListings: { listing: listing._id, matchedAt: new Date() } },
+        $inc: { newResultsCount: 1 },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      queued += 1;
+      if (savedSearch.alertFrequency === "immediate") immediate.push(savedSearch._id);
+    }
+  }
+
+  for (const savedSearchId of immediate) {
+    try {
+      await deliverSavedSearchAlert(savedSearchId);
+    } catch (error) {
+      console.warn("⚠️ Immediate saved search alert failed:", {
+        savedSearchId: String(savedSearchId),
+        message: error.message,
+      });
+    }
+  }
+
+  return { queued, immediate: immediate.length };
+}
+
+/**
+ * Deliver every digest that is due according to its alertFrequency.
+ */
+async function runSavedSearchAlertsOnce({ limit = 200 } = {}) {
+  const candidates = await SavedSearch.find({
+    isActive: true,
+    alertsEnabled: true,
+    alertFrequency: { $ne: "never" },
+    "pendingAlertListings.0": { $exists: true },
+  })
+    .sort({ lastAlertSent: 1 })
+    .limit(limit)
+    .populate("user", "name email tier settings isActive");
+
+  let delivered = 0;
+  let failed = 0;
+
+  for (const savedSearch of candidates) {
+    if (!savedSearch.needsAlert) continue;
+
+    try {
+      const result = await deliverSavedSearchAlert(savedSearch);
+      if (result.delivered) delivered += 1;
+    } catch (error) {
+      failed += 1;
+      console.warn("⚠️ Saved search alert delivery failed:", {
+        savedSearchId: String(savedSearch._id),
+        message: error.message,
+      });
+    }
+  }
+
+  return { ok: true, checked: candidates.length, delivered, failed };
+}
+
+function startSavedSearchAlertJob({ intervalMs = 15 * 60 * 1000 } = {}) {
+  return startIntervalJob({
+    name: "Saved search alerts",
+    enabledEnv: "SAVED_SEARCH_ALERTS",
+    intervalMs,
+    initialDelayMs: 60 * 1000,
+    run: async () => {
+      const result = await runSavedSearchAlertsOnce();
+      if (result.delivered > 0 || result.failed > 0) {
+        console.log("🔔 Saved search alerts:", result);
+      }
+    },
+  });
+}
+
+module.exports = {
+  queueListingForSavedSearchAlerts,
+  deliverSavedSearchAlert,
+  runSavedSearchAlertsOnce,
+  startSavedSearchAlertJob,
+};
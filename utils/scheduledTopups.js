@@ -0,0 +1,232 @@
+const ScheduledTopup = require("../models/ScheduledTopup");
+const DigitalServiceTransaction = require("../models/DigitalServiceTransaction");
+const User = require("../models/User");
+const { executeAirtimePurchase, executeDataPurchase } = require("../controllers/digitalServices");
+const { APP_NAME } = require("./config");
+const { renderBrandedEmail, sendEmail } = require("./notifications");
+const { computeNextRunAt } = require("./topupSchedule");
+const { getNumberEnv, startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Scheduled and recurring airtime / data top-ups
+ * Each due run is an ordinary wallet purchase (executeAirtimePurchase / executeDataPurchase),
+ * so the daily spend limit, wallet balance check and provider handling are the same as for
+ * a purchase made in the app. Every attempt has its own idempotency key, so a run that is
+ * picked up twice (crash, lock expiry) can't buy twice.
+ *
+ * A failed run (wallet short, spend limit, provider failure) is retried after
+ * SCHEDULED_TOPUP_RETRY_MS, up to SCHEDULED_TOPUP_MAX_RETRIES times, then skipped. The user
+ * is emailed on each failure. After SCHEDULED_TOPUP_MAX_FAILED_RUNS skipped runs in a row
+ * the schedule is paused.
+ *
+ * Env:
+ * - SCHEDULED_TOPUPS (default true)
+ * - SCHEDULED_TOPUP_INTERVAL_MS (default 60000)
+ * - SCHEDULED_TOPUP_RETRY_MS (default 21600000 = 6 hours)
+ * - SCHEDULED_TOPUP_MAX_RETRIES (default 2)
+ * - SCHEDULED_TOPUP_MAX_FAILED_RUNS (default 3)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const LOCK_MS = 5 * MINUTE_MS;
+const MAX_RUNS_PER_TICK = 50;
+
+function getRetryConfig() {
+  return {
+    retryMs: getNumberEnv("SCHEDULED_TOPUP_RETRY_MS", 6 * 60 * MINUTE_MS),
+    maxRetries: getNumberEnv("SCHEDULED_TOPUP_MAX_RETRIES", 2),
+    maxFailedRuns: Math.max(1, getNumberEnv("SCHEDULED_TOPUP_MAX_FAILED_RUNS", 3)),
+  };
+}
+
+function buildPurchaseBody(topup) {
+  return {
+    operatorId: topup.recipient.operatorId,
+    countryCode: topup.recipient.countryCode,
+    recipientPhone: topup.recipient.phone,
+    amount: topup.purchase.amount,
+    currency: topup.purchase.currency,
+    localAmount: topup.purchase.localAmount ?? undefined,
+    localCurrencyCode: topup.purchase.localCurrencyCode || undefined,
+    packageCode: topup.purchase.packageCode || undefined,
+    packageName: topup.purchase.packageName || undefined,
+  };
+}
+
+function describeTopup(topup) {
+  const label = topup.serviceType === "data" ? "data bundle" : "airtime top-up";
+  const amount = topup.purchase.localAmount
+    ? `${topup.purchase.localCurrencyCode || ""} ${topup.purchase.localAmount}`.trim()
+    : `${topup.purchase.currency} ${Number(topup.purchase.amount).toFixed(2)}`;
+  const recipient = topup.nickname
+    ? `${topup.nickname} (${topup.recipient.phone})`
+    : topup.recipient.phone;
+  return `${amount} ${label} to ${recipient}`;
+}
+
+async function sendTopupNotice(topup, { heading, lines }) {
+  const user = await User.findById(topup.user).select("name fullName email").lean();
+  const email = String(user?.email || "")
+    .trim()
+    .toLowerCase();
+  if (!email) return;
+
+  const html = renderBrandedEmail({
+    heading,
+    body: [`Hello ${user.name || user.fullName || "there"},`, ...lines]
+      .filter(Boolean)
+      .join("\n\n"),
+  });
+  try {
+    const result = await sendEmail(email, `${heading} - ${APP_NAME}`, html);
+    if (!result?.success) {
+      console.error("Failed to send scheduled top-up notice:", result?.error || email);
+    }
+  } catch (error) {
+    console.error("Failed to send scheduled top-up notice:", error?.message || email);
+  }
+}
+
+function getRunStatus(transaction) {
+  if (transaction?.status === "completed") return "completed";
+  if (transaction?.status === "failed" || transaction?.status === "refunded") return "failed";
+  return "pending";
+}
+
+/**
+ * Place one due top-up and move the schedule on. Returns the run status, or null when
+ * another worker holds the schedule.
+ */
+async function runScheduledTopup(topupId, { now = new Date() } = {}) {
+  const topup = await ScheduledTopup.findOneAndUpdate(
+    {
+      _id: topupId,
+      status: "active",
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+  if (!topup) return null;
+
+  const { retryMs, maxRetries, maxFailedRuns } = getRetryConfig();
+  const scheduledFor = topup.retry?.scheduledFor || topup.nextRunAt;
+  const attempt = (topup.retry?.attempts || 0) + 1;
+  const idempotencyKey = `scheduled_${topup._id}_${scheduledFor.getTime()}_${attempt}`;
+
+  let transaction = null;
+  let errorMessage = null;
+  try {
+    const user = await User.findById(topup.user);
+    if (!user) {
+      throw new Error("Account not found");
+    }
+    const execute = topup.serviceType === "data" ? executeDataPurchase : executeAirtimePurchase;
+    ({ transaction } = await execute({
+      user,
+      body: buildPurchaseBody(topup),
+      idempotencyKey,
+      scheduledTopup: topup._id,
+    }));
+  } catch (error) {
+    errorMessage = error.message;
+    // A provider failure leaves a failed (refunded) transaction behind
+    transaction = await DigitalServiceTransaction.findOne({ user: topup.user, idempotencyKey });
+  }
+
+  const status = errorMessage ? "failed" : getRunStatus(transaction);
+  const followingRunAt = computeNextRunAt(topup.schedule, scheduledFor);
+  topup.lastRunAt = now;
+  topup.lastStatus = status;
+  topup.lastTransaction = transaction?._id || null;
+  topup.lastError = status === "failed" ? errorMessage || transaction?.failureMessage : null;
+
+  let notice = null;
+  if (status !== "failed") {
+    topup.runCount += 1;
+    topup.consecutiveFailures = 0;
+    topup.retry = { scheduledFor: null, attempts: 0 };
+    topup.nextRunAt = followingRunAt;
+  } else {
+    const retryAt = new Date(now.getTime() + retryMs);
+    const canRetry = attempt <= maxRetries && (!followingRunAt || retryAt < followingRunAt);
+    if (canRetry) {
+      topup.retry = { scheduledFor, attempts: attempt };
+      topup.nextRunAt = retryAt;
+    } else {
+      topup.consecutiveFailures += 1;
+      topup.retry = { scheduledFor: null, attempts: 0 };
+      topup.nextRunAt = followingRunAt;
+    }
+    notice = {
+      heading: "Scheduled top-up failed",
+      lines: [
+        `We couldn't send your scheduled ${describeTopup(topup)}.`,
+        `Reason: ${topup.lastError || "Unknown error"}`,
+        canRetry
+          ? `We'll try again at ${retryAt.toUTCString()}. Add funds to your wallet before then to make sure it goes through.`
+          : "This top-up has been skipped.",
+      ],
+    };
+  }
+
+  if (topup.consecutiveFailures >= maxFailedRuns) {
+    topup.status = "paused";
+    topup.pausedReason = `Paused after ${topup.consecutiveFailures} failed top-ups in a row`;
+    topup.nextRunAt = null;
+    notice.lines.push(
+      `${topup.pausedReason}. Resume it from your scheduled top-ups once the problem is fixed.`
+    );
+  } else if (!topup.nextRunAt && topup.status === "active") {
+    topup.status = "completed";
+  }
+  topup.lockedUntil = null;
+  await topup.save();
+
+  if (notice) {
+    await sendTopupNotice(topup, notice);
+  }
+
+  return status;
+}
+
+async function runScheduledTopupsOnce({ now = new Date() } = {}) {
+  const due = await ScheduledTopup.find({ status: "active", nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(MAX_RUNS_PER_TICK)
+    .select("_id")
+    .lean();
+
+  const summary = { due: due.length, completed: 0, pending: 0, failed: 0 };
+  for (const { _id } of due) {
+    // One purchase at a time; each is a provider call
+    // eslint-disable-next-line no-await-in-loop
+    const status = await runScheduledTopup(_id, { now });
+    if (status) summary[status] += 1;
+  }
+  return summary;
+}
+
+function startScheduledTopupJob({ intervalMs } = {}) {
+  return startIntervalJob({
+    name: "Scheduled top-ups",
+    enabledEnv: "SCHEDULED_TOPUPS",
+    intervalMs:
+      intervalMs ||
+      Math.max(15 * 1000, Number(process.env.SCHEDULED_TOPUP_INTERVAL_MS) || MINUTE_MS),
+    initialDelayMs: 45 * 1000,
+    run: async () => {
+      const result = await runScheduledTopupsOnce();
+      if (result.due > 0) {
+        console.log("📱 Scheduled top-ups:", result);
+      }
+    },
+  });
+}
+
+module.exports = {
+  runScheduledTopup,
+  runScheduledTopupsOnce,
+  startScheduledTopupJob,
+};
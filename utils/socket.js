@@ -1,41 +1,140 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const Message = require("../models/Message");
 const Conversation = require("../models/Conversation");
 const MessageNotification = require("../models/MessageNotification");
 const User = require("../models/User");
+const { JWT_SECRET } = require("./config");
+const { UnauthorizedError } = require("./errors");
+const { getRealtimeState } = require("./clusterAdapter");
 
-// Store active user connections: userId -> socketId
-const userSockets = new Map();
-
-// Store typing status: conversationId -> Set of userId's typing
-const typingStatus = new Map();
+// Presence and typing state (in-process or shared across instances, see CLUSTER_ADAPTER)
+const realtimeState = getRealtimeState();
 
 // Store io instance
 let io_instance = null;
 
+// Token from `io(url, { auth: { token } })`, falling back to an Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (typeof auth.token === "string" && auth.token) {
+    return auth.token.replace(/^Bearer\s+/i, "");
+  }
+  const { authorization } = headers;
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.replace("Bearer ", "");
+  }
+  return null;
+};
+
+// Handshake middleware: same JWT and session-version checks as middlewares/auth.js.
+// Identity is stored on socket.data and never taken from event payloads.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+    if (!token) {
+      return next(new UnauthorizedError("Authorization required"));
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded._id || decoded.id)
+      .select("name role isActive isAgent agentProfile authSessionVersion")
+      .lean();
+    if (!user) {
+      return next(new UnauthorizedError("User not found"));
+    }
+
+    if (user.isActive === false) {
+      return next(new UnauthorizedError("Account suspended. Contact support."));
+    }
+
+    const userSessionVersion = Number(user.authSessionVersion) || 0;
+    const tokenHasSessionVersion = decoded.sessionVersion !== undefined;
+    const tokenSessionVersion = Number(decoded.sessionVersion);
+
+    if (
+      (tokenHasSessionVersion && tokenSessionVersion !== userSessionVersion) ||
+      (!tokenHasSessionVersion && userSessionVersion > 0)
+    ) {
+      return next(new UnauthorizedError("Session expired. Please sign in again."));
+    }
+
+    socket.data.user = {
+      _id: user._id.toString(),
+      name: user.name,
+      role: user.role,
+      agentId: user.isAgent && user.agentProfile ? user.agentProfile.toString() : null,
+    };
+    return next();
+  } catch (error) {
+    return next(new UnauthorizedError("Authorization required"));
+  }
+};
+
+const isObjectId = (value) =>
+  typeof value === "string" && mongoose.Types.ObjectId.isValid(value) && value.length === 24;
+
+// A user may only use a conversation room they participate in or are the assigned agent of
+const canAccessConversation = async (socket, conversationId) => {
+  if (!isObjectId(conversationId)) return false;
+
+  const { _id: userId, agentId } = socket.data.user;
+  const access = [{ participants: userId }];
+  if (agentId) access.push({ assignedAgent: agentId });
+
+  return Boolean(await Conversation.exists({ _id: conversationId, $or: access }));
+};
+
+// Rooms are only joined after canAccessConversation, so membership implies access
+const isInConversation = (socket, conversationId) =>
+  isObjectId(conversationId) && socket.rooms.has(conversationId);
+
 const initializeSocket = (io) => {
   io_instance = io;
-  io.on("connection", (socket) => {
-    console.log(`✅ User connected: ${socket.id}`);
+  io.use(authenticateSocket);
 
-    // User joins with authentication
-    socket.on("join", (userId) => {
+  io.on("connection", (socket) => {
+    const { _id: userId } = socket.data.user;
+    console.log(`✅ User ${userId} connected: ${socket.id}`);
+
+    // Personal room for notifications, joined from the verified token
+    socket.join(userId);
+    realtimeState
+      .addSocket(userId, socket.id)
+      .then((connections) => {
+        // Only announce the first tab/device of this user
+        if (connections === 1) io.emit("user-online", { userId, timestamp: new Date() });
+      })
+      .catch((error) => console.error("Error tracking user presence:", error));
+
+    // Kept for older clients; the payload userId is ignored
+    socket.on("join", (requestedUserId) => {
       try {
-        socket.join(userId); // Join personal room for notifications
-        userSockets.set(userId, socket.id);
-        console.log(`👤 User ${userId} joined personal room`);
-
-        // Broadcast user online status
-        io.emit("user-online", { userId, timestamp: new Date() });
+        if (requestedUserId && String(requestedUserId) !== userId) {
+          console.warn(`⚠️  Socket ${socket.id} asked to join room of another user`);
+        }
+        socket.join(userId);
       } catch (error) {
         console.error("Error in join event:", error);
       }
     });
 
     // Join conversation room for real-time messages
-    socket.on("join-conversation", (conversationId) => {
+    socket.on("join-conversation", async (conversationId) => {
       try {
+        if (!(await canAccessConversation(socket, conversationId))) {
+          socket.emit("error", { message: "Not allowed to join this conversation" });
+          return;
+        }
+
         socket.join(conversationId);
-        console.log(`💬 User joined conversation: ${conversationId}`);
+        console.log(`💬 User ${userId} joined conversation: ${conversationId}`);
+
+        // Let late joiners see who is already typing (possibly on another instance)
+        const typingUserIds = await realtimeState.getTypingUserIds(conversationId);
+        if (typingUserIds.length > 0) {
+          socket.emit("typing-state", { conversationId, userIds: typingUserIds });
+        }
       } catch (error) {
         console.error("Error joining conversation:", error);
       }
@@ -54,7 +153,8 @@ const initializeSocket = (io) => {
     // Real-time message delivery
     socket.on("send-message", async (data) => {
       try {
-        const { conversationId, userId, text } = data;
+        const { conversationId } = data || {};
+        if (!(await canAccessConversation(socket, conversationId))) return;
 
         // Verify message in database (it should be created via REST API first)
         const message = await Message.findOne({
@@ -85,13 +185,12 @@ const initializeSocket = (io) => {
     });
 
     // Typing indicator
-    socket.on("typing-start", ({ conversationId, userId, userName }) => {
+    socket.on("typing-start", async ({ conversationId } = {}) => {
       try {
-        if (!typingStatus.has(conversationId)) {
-          typingStatus.set(conversationId, new Set());
-        }
+        if (!isInConversation(socket, conversationId)) return;
+        const userName = socket.data.user.name;
 
-        typingStatus.get(conversationId).add(userId);
+        await realtimeState.setTyping(conversationId, userId, true);
 
         // Broadcast typing status to conversation (excluding sender)
         socket.to(conversationId).emit("user-typing", {
@@ -108,11 +207,11 @@ const initializeSocket = (io) => {
     });
 
     // Typing stop indicator
-    socket.on("typing-stop", ({ conversationId, userId }) => {
+    socket.on("typing-stop", async ({ conversationId } = {}) => {
       try {
-        if (typingStatus.has(conversationId)) {
-          typingStatus.get(conversationId).delete(userId);
-        }
+        if (!isInConversation(socket, conversationId)) return;
+
+        await realtimeState.setTyping(conversationId, userId, false);
 
         socket.to(conversationId).emit("user-stopped-typing", {
           userId,
@@ -126,11 +225,15 @@ const initializeSocket = (io) => {
     });
 
     // Mark messages as read in real-time
-    socket.on("mark-read", async ({ conversationId, userId, messageIds }) => {
+    socket.on("mark-read", async ({ conversationId, messageIds } = {}) => {
       try {
-        // Update in database
+        if (!Array.isArray(messageIds) || !(await canAccessConversation(socket, conversationId))) {
+          return;
+        }
+
+        // Update in database (only messages that belong to this conversation)
         await Message.updateMany(
-          { _id: { $in: messageIds } },
+          { _id: { $in: messageIds.filter(isObjectId) }, conversation: conversationId },
           {
             $addToSet: {
               readBy: {
@@ -157,9 +260,14 @@ const initializeSocket = (io) => {
     // Notification events
     socket.on("notification-read", async (notificationId) => {
       try {
-        await MessageNotification.findByIdAndUpdate(notificationId, {
-          isRead: true,
-        });
+        if (!isObjectId(notificationId)) return;
+
+        await MessageNotification.updateOne(
+          { _id: notificationId, user: userId },
+          {
+            isRead: true,
+          }
+        );
 
         console.log(`📌 Notification ${notificationId} marked as read`);
       } catch (error) {
@@ -170,14 +278,21 @@ const initializeSocket = (io) => {
     // ==================== AGENT-SPECIFIC EVENTS ====================
 
     // Agent status update (online, offline, busy, away)
-    socket.on("agent:status-update", async ({ agentId, status }) => {
+    socket.on("agent:status-update", async ({ status } = {}) => {
       try {
+        const { agentId } = socket.data.user;
+        if (!agentId) return;
+
         const Agent = require("../models/Agent");
         const agent = await Agent.findById(agentId);
 
         if (agent) {
           await agent.updateStatus(status);
 
+          if (status === "online" || status === "away") {
+            require("./agentRouting").triggerQueueDispatch("agent online");
+          }
+
           // Broadcast status change to all supervisors and relevant users
           io.emit("agent:status-changed", {
             agentId,
@@ -193,8 +308,11 @@ const initializeSocket = (io) => {
     });
 
     // Agent joins their agent room (for receiving assignments)
-    socket.on("agent:join-room", (agentId) => {
+    socket.on("agent:join-room", () => {
       try {
+        const { agentId } = socket.data.user;
+        if (!agentId) return;
+
         socket.join(`agent:${agentId}`);
         console.log(`👨‍💼 Agent ${agentId} joined agent room`);
       } catch (error) {
@@ -203,8 +321,14 @@ const initializeSocket = (io) => {
     });
 
     // New chat assignment notification to agent
-    socket.on("agent:chat-assigned", async ({ agentId, conversationId }) => {
+    socket.on("agent:chat-assigned", async ({ agentId, conversationId } = {}) => {
       try {
+        if (!socket.data.user.agentId || !isObjectId(agentId) || !isObjectId(conversationId)) {
+          return;
+        }
+        const assigned = await Conversation.exists({ _id: conversationId, assignedAgent: agentId });
+        if (!assigned) return;
+
         // Notify specific agent about new assignment
         io.to(`agent:${agentId}`).emit("agent:new-chat", {
           conversationId,
@@ -218,8 +342,11 @@ const initializeSocket = (io) => {
     });
 
     // Agent accepts queued chat
-    socket.on("agent:accept-chat", async ({ conversationId, agentId }) => {
+    socket.on("agent:accept-chat", async ({ conversationId } = {}) => {
       try {
+        const { agentId } = socket.data.user;
+        if (!agentId || !(await canAccessConversation(socket, conversationId))) return;
+
         // Join conversation room
         socket.join(conversationId);
 
@@ -237,10 +364,16 @@ const initializeSocket = (io) => {
     });
 
     // Transfer chat to another agent
-    socket.on("agent:transfer-chat", async ({ conversationId, fromAgentId, toAgentId, reason }) => {
+    socket.on("agent:transfer-chat", async ({ conversationId, toAgentId, reason } = {}) => {
       try {
+        const fromAgentId = socket.data.user.agentId;
+        if (!fromAgentId || !isInConversation(socket, conversationId) || !isObjectId(toAgentId)) {
+          return;
+        }
+
         const Agent = require("../models/Agent");
         const toAgent = await Agent.findById(toAgentId).populate("userId", "name profilePhoto");
+        if (!toAgent?.userId) return;
 
         // Notify new agent
         io.to(`agent:${toAgentId}`).emit("agent:chat-transferred-in", {
@@ -262,10 +395,7 @@ const initializeSocket = (io) => {
         });
 
         // Remove old agent from conversation room
-        const oldAgentSocket = userSockets.get(fromAgentId);
-        if (oldAgentSocket) {
-          io.sockets.sockets.get(oldAgentSocket)?.leave(conversationId);
-        }
+        socket.leave(conversationId);
 
         console.log(`🔄 Chat ${conversationId} transferred from ${fromAgentId} to ${toAgentId}`);
       } catch (error) {
@@ -274,8 +404,11 @@ const initializeSocket = (io) => {
     });
 
     // Close/resolve conversation
-    socket.on("agent:close-chat", async ({ conversationId, agentId, resolution }) => {
+    socket.on("agent:close-chat", async ({ conversationId, resolution } = {}) => {
       try {
+        const { agentId } = socket.data.user;
+        if (!agentId || !isInConversation(socket, conversationId)) return;
+
         // Notify all participants
         io.to(conversationId).emit("conversation:closed", {
           conversationId,
@@ -291,8 +424,11 @@ const initializeSocket = (io) => {
     });
 
     // Agent is typing in support chat
-    socket.on("agent:typing", ({ conversationId, agentId }) => {
+    socket.on("agent:typing", ({ conversationId } = {}) => {
       try {
+        const { agentId } = socket.data.user;
+        if (!agentId || !isInConversation(socket, conversationId)) return;
+
         socket.to(conversationId).emit("agent:typing-indicator", {
           conversationId,
           agentId,
@@ -304,8 +440,11 @@ const initializeSocket = (io) => {
     });
 
     // Agent stopped typing
-    socket.on("agent:typing-stop", ({ conversationId, agentId }) => {
+    socket.on("agent:typing-stop", ({ conversationId } = {}) => {
       try {
+        const { agentId } = socket.data.user;
+        if (!agentId || !isInConversation(socket, conversationId)) return;
+
         socket.to(conversationId).emit("agent:typing-stopped", {
           conversationId,
           agentId,
@@ -316,8 +455,10 @@ const initializeSocket = (io) => {
     });
 
     // Queue position update for customers
-    socket.on("queue:check-position", async ({ conversationId }) => {
+    socket.on("queue:check-position", async ({ conversationId } = {}) => {
       try {
+        if (!(await canAccessConversation(socket, conversationId))) return;
+
         const conversation = await Conversation.findById(conversationId);
 
         if (conversation && conversation.status === "queued") {
@@ -339,9 +480,15 @@ const initializeSocket = (io) => {
     });
 
     // Supervisor monitoring - join all agent rooms
-    socket.on("supervisor:join-monitoring", async ({ supervisorId }) => {
+    socket.on("supervisor:join-monitoring", async () => {
       try {
+        const supervisorId = socket.data.user.agentId;
+        if (!supervisorId) return;
+
         const Agent = require("../models/Agent");
+        const supervisor = await Agent.findById(supervisorId).select("role isActive");
+        if (!supervisor || supervisor.role !== "supervisor" || !supervisor.isActive) return;
+
         const agents = await Agent.find({ supervisorId, isActive: true });
 
         agents.forEach((agent) => {
@@ -349,6 +496,8 @@ const initializeSocket = (io) => {
         });
 
         socket.join("supervisor:monitoring");
+        // Personal room for SLA escalations and other notifySupervisor events
+        socket.join(`supervisor:${supervisorId}`);
 
         console.log(`👁️ Supervisor ${supervisorId} joined monitoring`);
       } catch (error) {
@@ -376,23 +525,14 @@ const initializeSocket = (io) => {
     // ==================== END AGENT EVENTS ====================
 
     // Disconnect handler
-    socket.on("disconnect", () => {
+    socket.on("disconnect", async () => {
       try {
-        // Find and remove user from active connections
-        for (const [userId, socketId] of userSockets.entries()) {
-          if (socketId === socket.id) {
-            userSockets.delete(userId);
-            io.emit("user-offline", { userId, timestamp: new Date() });
-            console.log(`❌ User ${userId} disconnected`);
-            break;
-          }
-        }
-
-        // Clean up typing status
-        for (const [convId, typingUsers] of typingStatus.entries()) {
-          if (typingUsers.size === 0) {
-            typingStatus.delete(convId);
-          }
+        // Announce offline only when the user's last socket (on any instance) is gone
+        const remaining = await realtimeState.removeSocket(userId, socket.id);
+        if (remaining === 0) {
+          await realtimeState.clearTyping(userId);
+          io.emit("user-offline", { userId, timestamp: new Date() });
+          console.log(`❌ User ${userId} disconnected`);
         }
       } catch (error) {
         console.error("Error in disconnect event:", error);
@@ -471,6 +611,6 @@ module.exports = {
   notifyAgentJoined,
   broadcastQueueUpdate,
   notifySupervisor,
-  userSockets,
+  isUserOnline: (userId) => realtimeState.isOnline(userId),
   getIO: () => io_instance,
 };
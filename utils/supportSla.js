@@ -0,0 +1,324 @@
+const Agent = require("../models/Agent");
+const Conversation = require("../models/Conversation");
+const SlaPolicy = require("../models/SlaPolicy");
+const { startIntervalJob } = require("./backgroundJobs");
+
+/**
+ * Support desk SLAs
+ * - Each user-to-agent conversation gets first-response and resolution deadlines from the
+ *   most specific SlaPolicy for its department/priority (built-in defaults otherwise)
+ * - A background check marks breached conversations and escalates them to a supervisor
+ *   Agent through notifySupervisor (utils/socket.js)
+ *
+ * Env:
+ * - SUPPORT_SLA_ESCALATION (default true)
+ * - SUPPORT_SLA_CHECK_INTERVAL_MS (default 60000)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const OPEN_STATUSES = ["active", "queued", "waiting", "escalated"];
+const MAX_BREACHES_PER_RUN = 200;
+// Open conversations this close to a deadline are reported as at risk
+const AT_RISK_WINDOW_MS = 15 * MINUTE_MS;
+
+// Used when no policy matches (minutes)
+const DEFAULT_SLA_TARGETS = {
+  urgent: { firstResponseMinutes: 5, resolutionMinutes: 4 * 60 },
+  high: { firstResponseMinutes: 15, resolutionMinutes: 8 * 60 },
+  normal: { firstResponseMinutes: 60, resolutionMinutes: 24 * 60 },
+  low: { firstResponseMinutes: 4 * 60, resolutionMinutes: 48 * 60 },
+};
+
+/**
+ * Most specific active policy: department + priority, then department only,
+ * then priority only, then the catch-all policy.
+ */
+async function resolveSlaPolicy({ department = null, priority = null } = {}) {
+  const policies = await SlaPolicy.find({
+    isActive: true,
+    department: { $in: [department, null] },
+    priority: { $in: [priority, null] },
+  }).lean();
+
+  const specificity = (policy) => (policy.department ? 2 : 0) + (policy.priority ? 1 : 0);
+  return policies.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+/**
+ * SLA fields for a new user-to-agent conversation.
+ */
+async function buildConversationSla({ department, priority = "normal", startedAt = new Date() }) {
+  const policy = await resolveSlaPolicy({ department, priority });
+  const targets = policy || DEFAULT_SLA_TARGETS[priority] || DEFAULT_SLA_TARGETS.normal;
+  const start = new Date(startedAt).getTime();
+
+  return {
+    policy: policy?._id || null,
+    firstResponseDueAt: new Date(start + targets.firstResponseMinutes * MINUTE_MS),
+    resolutionDueAt: new Date(start + targets.resolutionMinutes * MINUTE_MS),
+  };
+}
+
+/**
+ * Stamp the first reply from the assigned agent. Later replies are ignored.
+ */
+async function recordFirstResponse(conversation, user) {
+  if (
+    conversation?.type !== "user-to-agent" ||
+    !conversation.assignedAgent ||
+    !user?.agentProfile ||
+    String(conversation.assignedAgent) !== String(user.agentProfile) ||
+    conversation.sla?.firstResponseAt
+  ) {
+    return false;
+  }
+
+  const result = await Conversation.updateOne(
+    { _id: conversation._id, "sla.firstResponseAt": null },
+    { $set: { "sla.firstResponseAt": new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Current SLA state of a conversation: met, ok, at_risk or breached.
+ */
+function getSlaStatus(conversation, now = new Date()) {
+  const sla = conversation?.sla || {};
+  const nowMs = new Date(now).getTime();
+  const resolvedAt = conversation?.resolvedAt ? new Date(conversation.resolvedAt).getTime() : null;
+
+  const evaluate = (dueAt, doneAt, breachedAt) => {
+    if (!dueAt) return null;
+    const due = new Date(dueAt).getTime();
+    if (doneAt) return new Date(doneAt).getTime() <= due ? "met" : "breached";
+    if (breachedAt || nowMs > due) return "breached";
+    return due - nowMs <= AT_RISK_WINDOW_MS ? "at_risk" : "ok";
+  };
+
+  return {
+    firstResponse: evaluate(
+      sla.firstResponseDueAt,
+      sla.firstResponseAt,
+      sla.firstResponseBreachedAt
+    ),
+    resolution: evaluate(sla.resolutionDueAt, resolvedAt, sla.resolutionBreachedAt),
+    escalatedTo: sla.escalatedTo || null,
+  };
+}
+
+/**
+ * Supervisor to escalate to: the policy's supervisor, the assigned agent's supervisor,
+ * then any active supervisor (same department and online first).
+ */
+async function findEscalationTarget(conversation) {
+  const candidateIds = [];
+
+  if (conversation.sla?.policy) {
+    const policy = await SlaPolicy.findById(conversation.sla.policy).select("escalateTo").lean();
+    if (policy?.escalateTo) candidateIds.push(policy.escalateTo);
+  }
+
+  if (conversation.assignedAgent) {
+    const agent = await Agent.findById(conversation.assignedAgent).select("supervisorId").lean();
+    if (agent?.supervisorId) candidateIds.push(agent.supervisorId);
+  }
+
+  if (candidateIds.length > 0) {
+    const supervisor = await Agent.findOne({
+      _id: { $in: candidateIds },
+      role: "supervisor",
+      isActive: true,
+    }).lean();
+    if (supervisor) return supervisor;
+  }
+
+  const supervisors = await Agent.find({ role: "supervisor", isActive: true })
+    .select("department status")
+    .lean();
+  const rank = (agent) =>
+    (agent.department === conversation.department ? 2 : 0) + (agent.status === "online" ? 1 : 0);
+
+  return supervisors.sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+async function escalateBreach(conversation, breach, { now, io }) {
+  const supervisor = await findEscalationTarget(conversation);
+
+  if (supervisor) {
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { "sla.escalatedTo": supervisor._id, "sla.escalatedAt": now } }
+    );
+  }
+
+  if (!io) return Boolean(supervisor);
+
+  // Lazy require: utils/socket.js pulls in the realtime stack
+  const { notifySupervisor } = require("./socket");
+  const payload = {
+    conversationId: conversation._id,
+    breach,
+    dueAt:
+      breach === "first_response"
+        ? conversation.sla.firstResponseDueAt
+        : conversation.sla.resolutionDueAt,
+    status: conversation.status,
+    priority: conversation.priority,
+    department: conversation.department,
+    title: conversation.title,
+    assignedAgent: conversation.assignedAgent,
+  };
+
+  if (supervisor) {
+    notifySupervisor(io, supervisor._id, "sla:breached", payload);
+  }
+  if (conversation.assignedAgent) {
+    io.to(`agent:${conversation.assignedAgent}`).emit("agent:sla-breached", {
+      ...payload,
+      timestamp: now,
+    });
+  }
+
+  return Boolean(supervisor);
+}
+
+/**
+ * Mark newly breached conversations and escalate each breach once.
+ */
+async function runSlaCheckOnce({ now = new Date(), io = null } = {}) {
+  const result = { firstResponseBreaches: 0, resolutionBreaches: 0, escalated: 0, failed: 0 };
+  const base = { type: "user-to-agent", status: { $in: OPEN_STATUSES } };
+
+  const checks = [
+    {
+      breach: "first_response",
+      counter: "firstResponseBreaches",
+      field: "sla.firstResponseBreachedAt",
+      dueField: "sla.firstResponseDueAt",
+      query: {
+        ...base,
+        "sla.firstResponseAt": null,
+        "sla.firstResponseBreachedAt": null,
+        "sla.firstResponseDueAt": { $ne: null, $lte: now },
+      },
+    },
+    {
+      breach: "resolution",
+      counter: "resolutionBreaches",
+      field: "sla.resolutionBreachedAt",
+      dueField: "sla.resolutionDueAt",
+      query: {
+        ...base,
+        "sla.resolutionBreachedAt": null,
+        "sla.resolutionDueAt": { $ne: null, $lte: now },
+      },
+    },
+  ];
+
+  for (const { breach, counter, field, dueField, query } of checks) {
+    const conversations = await Conversation.find(query)
+      .sort({ [dueField]: 1 })
+      .limit(MAX_BREACHES_PER_RUN)
+      .lean();
+
+    for (const conversation of conversations) {
+      try {
+        // Claim the breach so it is only escalated once
+        const claimed = await Conversation.updateOne(
+          { _id: conversation._id, [field]: null },
+          { $set: { [field]: now } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        result[counter] += 1;
+        if (await escalateBreach(conversation, breach, { now, io })) {
+          result.escalated += 1;
+        }
+      } catch (error) {
+        result.failed += 1;
+        console.error(`SLA escalation failed for conversation ${conversation._id}:`, error);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Counts for the supervisor dashboard plus the open conversations that breached.
+ */
+async function getSlaOverview({ now = new Date(), department = null } = {}) {
+  const base = { type: "user-to-agent", status: { $in: OPEN_STATUSES } };
+  if (department) base.department = department;
+  const atRiskBefore = new Date(new Date(now).getTime() + AT_RISK_WINDOW_MS);
+
+  const [open, firstResponseBreached, resolutionBreached, atRisk, breached] = await Promise.all([
+    Conversation.countDocuments(base),
+    Conversation.countDocuments({
+      ...base,
+      "sla.firstResponseAt": null,
+      "sla.firstResponseDueAt": { $lte: now },
+    }),
+    Conversation.countDocuments({ ...base, "sla.resolutionDueAt": { $lte: now } }),
+    Conversation.countDocuments({
+      ...base,
+      $or: [
+        {
+          "sla.firstResponseAt": null,
+          "sla.firstResponseDueAt": { $gt: now, $lte: atRiskBefore },
+        },
+        { "sla.resolutionDueAt": { $gt: now, $lte: atRiskBefore } },
+      ],
+    }),
+    Conversation.find({
+      ...base,
+      $or: [
+        { "sla.firstResponseAt": null, "sla.firstResponseDueAt": { $lte: now } },
+        { "sla.resolutionDueAt": { $lte: now } },
+      ],
+    })
+      .populate("participants", "name email")
+      .populate({ path: "assignedAgent", populate: { path: "userId", select: "name" } })
+      .sort({ "sla.firstResponseDueAt": 1 })
+      .limit(50)
+      .lean(),
+  ]);
+
+  return {
+    counts: { open, firstResponseBreached, resolutionBreached, atRisk },
+    breached: breached.map((conversation) => ({
+      ...conversation,
+      slaStatus: getSlaStatus(conversation, now),
+    })),
+  };
+}
+
+function startSlaCheckerJob({ intervalMs } = {}) {
+  return startIntervalJob({
+    name: "Support SLA checker",
+    enabledEnv: "SUPPORT_SLA_ESCALATION",
+    intervalMs:
+      intervalMs ||
+      Math.max(15 * 1000, Number(process.env.SUPPORT_SLA_CHECK_INTERVAL_MS) || MINUTE_MS),
+    initialDelayMs: 30 * 1000,
+    run: async () => {
+      const { getIO } = require("./socket");
+      const result = await runSlaCheckOnce({ io: getIO() });
+      if (result.firstResponseBreaches > 0 || result.resolutionBreaches > 0 || result.failed) {
+        console.log("⏱️ Support SLA check:", result);
+      }
+    },
+  });
+}
+
+module.exports = {
+  DEFAULT_SLA_TARGETS,
+  resolveSlaPolicy,
+  buildConversationSla,
+  recordFirstResponse,
+  getSlaStatus,
+  runSlaCheckOnce,
+  getSlaOverview,
+  startSlaCheckerJob,
+};
@@ -0,0 +1,93 @@
+/**
+ * Minimal PDF writer for plain-text documents (statements, exports)
+ * Lines are set in Helvetica on A4 pages; characters outside Latin-1 are replaced with "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 10;
+const TITLE_SIZE = 14;
+const LEADING = 14;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN - LEADING * 2) / LEADING);
+
+function escapePdfText(value) {
+  return String(value ?? "")
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+function buildPageStream(title, lines, pageNumber, pageCount) {
+  const top = PAGE_HEIGHT - MARGIN;
+  const commands = [
+    "BT",
+    `/F2 ${TITLE_SIZE} Tf`,
+    `${MARGIN} ${top} Td`,
+    `(${escapePdfText(title)}) Tj`,
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LEADING} TL`,
+    "T*",
+    "T*",
+    ...lines.map((line) => `(${escapePdfText(line)}) '`),
+    "ET",
+    "BT",
+    `/F1 8 Tf`,
+    `${MARGIN} ${MARGIN / 2} Td`,
+    `(Page ${pageNumber} of ${pageCount}) Tj`,
+    "ET",
+  ];
+  return commands.join("\n");
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.title - Heading repeated on every page
+ * @param {string[]} options.lines - Body text, one entry per line
+ * @returns {Buffer} PDF file
+ */
+function renderTextPdf({ title, lines = [] }) {
+  const pages = [];
+  for (let index = 0; index < Math.max(lines.length, 1); index += LINES_PER_PAGE) {
+    pages.push(lines.slice(index, index + LINES_PER_PAGE));
+  }
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page and a content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${
+    pages.length
+  } >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const stream = buildPageStream(title, pageLines, index + 1, pages.length);
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] =
+      `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let body = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(body, "latin1");
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    body += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, "latin1");
+}
+
+module.exports = {
+  renderTextPdf,
+};
@@ -0,0 +1,125 @@
+/**
+ * Run times for scheduled top-ups (models/ScheduledTopup.js)
+ * Times of day are wall-clock times in the schedule's IANA time zone, so "09:00 on the 1st"
+ * stays 09:00 across DST changes. Days 29-31 fall back to the last day of shorter months.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ["once", "daily", "weekly", "monthly"];
+
+function isValidTimeZone(value) {
+  if (!value) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value }).format(new Date());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || "").trim());
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+// Wall-clock parts of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .reduce((values, part) => ({ ...values, [part.type]: Number(part.value) }), {});
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant of a wall-clock time in a time zone
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const offset = getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+  const adjustedOffset = getTimeZoneOffsetMs(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - adjustedOffset);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function matchesScheduleDay(schedule, { year, month, day }) {
+  if (schedule.frequency === "weekly") {
+    return new Date(Date.UTC(year, month, day)).getUTCDay() === schedule.dayOfWeek;
+  }
+  if (schedule.frequency === "monthly") {
+    return day === Math.min(schedule.dayOfMonth, daysInMonth(year, month));
+  }
+  return true;
+}
+
+/**
+ * First run strictly after `after` (and not before schedule.startAt), or null when the
+ * schedule has no runs left.
+ */
+function computeNextRunAt(schedule, after = new Date()) {
+  const startAt = new Date(schedule.startAt);
+  const endsAt = schedule.endsAt ? new Date(schedule.endsAt) : null;
+
+  if (schedule.frequency === "once") {
+    return startAt > after ? startAt : null;
+  }
+
+  const timeZone = isValidTimeZone(schedule.timeZone) ? schedule.timeZone : "UTC";
+  const { hour, minute } = parseTimeOfDay(schedule.timeOfDay) || { hour: 9, minute: 0 };
+  const from = new Date(Math.max(after.getTime(), startAt.getTime() - 1));
+  const local = getZonedParts(from, timeZone);
+
+  // Two months of days covers every monthly schedule
+  for (let offset = 0; offset <= 62; offset += 1) {
+    const calendarDay = new Date(Date.UTC(local.year, local.month, local.day) + offset * DAY_MS);
+    const day = {
+      year: calendarDay.getUTCFullYear(),
+      month: calendarDay.getUTCMonth(),
+      day: calendarDay.getUTCDate(),
+    };
+    if (matchesScheduleDay(schedule, day)) {
+      const runAt = zonedTimeToDate({ ...day, hour, minute }, timeZone);
+      if (runAt > from) {
+        return endsAt && runAt > endsAt ? null : runAt;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  isValidTimeZone,
+  parseTimeOfDay,
+  computeNextRunAt,
+};
@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const net = require("net");
+const geoip = require("geoip-lite");
+const ShowcaseVote = require("../models/ShowcaseVote");
+const TalentContestant = require("../models/TalentContestant");
+const TalentShowcase = require("../models/TalentShowcase");
+const RecognizedDevice = require("../models/RecognizedDevice");
+const { parseBool, getNumberEnv } = require("./backgroundJobs");
+
+/**
+ * Showcase vote integrity
+ * Every vote is weighted by the voter's membership tier and checked before it counts:
+ * - device: the device id (X-Device-Id header or body.deviceId) already voted in this
+ *   showcase under another account, or is recognised as another user's device
+ * - velocity: a burst of votes from one /24 network, or from one country for one contestant
+ * Flagged votes are stored as "quarantined" and left out of contestant.votes (and so the
+ * leaderboard and winner) until an admin accepts them.
+ *
+ * Env:
+ * - SHOWCASE_VOTE_TIER_WEIGHTS (default "Anonymous=1,Free=1,Starter=1,Premium=1,Pro=1")
+ * - SHOWCASE_VOTE_WINDOW_MS (default 600000 = 10 minutes)
+ * - SHOWCASE_VOTE_NETWORK_LIMIT (default 15 votes per network per window)
+ * - SHOWCASE_VOTE_COUNTRY_LIMIT (default 50 votes per country per contestant per window)
+ * - SHOWCASE_VOTE_COUNTRY_SHARE (default 0.8 of all votes in the window)
+ * - SHOWCASE_VOTE_REQUIRE_DEVICE (default false; quarantine votes without a device id)
+ */
+
+const TIERS = ["Anonymous", "Free", "Starter", "Premium", "Pro"];
+const COUNTED_VOTE_FILTER = { status: { $nin: ["quarantined", "rejected"] } };
+
+function getConfig() {
+  return {
+    windowMs: getNumberEnv("SHOWCASE_VOTE_WINDOW_MS", 10 * 60 * 1000, { allowZero: false }),
+    networkLimit: getNumberEnv("SHOWCASE_VOTE_NETWORK_LIMIT", 15, { allowZero: false }),
+    countryLimit: getNumberEnv("SHOWCASE_VOTE_COUNTRY_LIMIT", 50, { allowZero: false }),
+    countryShare: Math.min(
+      1,
+      getNumberEnv("SHOWCASE_VOTE_COUNTRY_SHARE", 0.8, { allowZero: false })
+    ),
+    requireDevice: parseBool(process.env.SHOWCASE_VOTE_REQUIRE_DEVICE, false),
+  };
+}
+
+// "Premium=2,Pro=3" -> { Premium: 2, Pro: 3 }
+function parseTierWeights(value) {
+  return String(value || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((part) => part.trim()))
+    .reduce((weights, [tier, weight]) => {
+      const number = Number(weight);
+      if (TIERS.includes(tier) && Number.isFinite(number) && number >= 0) {
+        weights[tier] = number;
+      }
+      return weights;
+    }, {});
+}
+
+function getVoterTier(user) {
+  if (!user) return "Anonymous";
+  const tier = TIERS.includes(user.tier) ? user.tier : "Free";
+  // A lapsed membership votes as Free
+  if (tier !== "Free" && user.tierExpiresAt && new Date(user.tierExpiresAt) < new Date()) {
+    return "Free";
+  }
+  return tier;
+}
+
+function getVoteWeight(showcase, tier) {
+  const showcaseWeight = showcase?.rules?.tierVoteWeights?.[tier];
+  if (showcaseWeight !== null && showcaseWeight !== undefined) {
+    return Number(showcaseWeight);
+  }
+  const envWeight = parseTierWeights(process.env.SHOWCASE_VOTE_TIER_WEIGHTS)[tier];
+  return envWeight ?? 1;
+}
+
+function hashDeviceId(value) {
+  const deviceId = String(value || "")
+    .trim()
+    .slice(0, 120);
+  return deviceId ? crypto.createHash("sha256").update(deviceId).digest("hex") : null;
+}
+
+function getIpPrefix(ipAddress) {
+  const ip = String(ipAddress || "").replace(/^::ffff:/, "");
+  if (net.isIPv4(ip)) {
+    return `${ip.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+  if (net.isIPv6(ip)) {
+    const [head] = ip.split("::");
+    const groups = head.split(":").filter(Boolean);
+    return `${groups.slice(0, 3).join(":")}::/48`;
+  }
+  return null;
+}
+
+/**
+ * Who is voting and from where: tier, weight, network, device and country
+ */
+function describeVoter(req, showcase) {
+  const ipAddress = req.ip || req.connection?.remoteAddress;
+  const tier = getVoterTier(req.user);
+  const lookup = geoip.lookup(String(ipAddress || "").replace(/^::ffff:/, ""));
+  return {
+    userId: req.user?._id || null,
+    ipAddress,
+    ipPrefix: getIpPrefix(ipAddress),
+    deviceHash: hashDeviceId(req.get("x-device-id") || req.body?.deviceId),
+    // Trust the IP's country over a client-supplied one
+    country: lookup?.country || req.body?.country || null,
+    tier,
+    voteWeight: getVoteWeight(showcase, tier),
+  };
+}
+
+/**
+ * Integrity checks for a vote about to be recorded. Returns the flags raised;
+ * any flag sends the vote to quarantine.
+ */
+async function checkVote({ showcaseId, contestantId, voter, now = new Date() }) {
+  const config = getConfig();
+  const since = new Date(now.getTime() - config.windowMs);
+  const flags = [];
+
+  if (voter.deviceHash) {
+    const [sharedDevice, recognizedDevice] = await Promise.all([
+      ShowcaseVote.exists({
+        showcase: showcaseId,
+        deviceHash: voter.deviceHash,
+        user: voter.userId ? { $ne: voter.userId } : { $ne: null },
+      }),
+      RecognizedDevice.findOne({ deviceHash: voter.deviceHash }).select("user").lean(),
+    ]);
+    if (sharedDevice) {
+      flags.push({
+        code: "device-reuse",
+        detail: "Device already voted in this showcase under another account",
+      });
+    }
+    if (recognizedDevice && String(recognizedDevice.user) !== String(voter.userId)) {
+      flags.push({
+        code: "device-other-account",
+        detail: voter.userId
+          ? "Device is signed in to a different account"
+          : "Anonymous vote from a device that belongs to an account",
+      });
+    }
+  } else if (config.requireDevice) {
+    flags.push({ code: "missing-device", detail: "No device id sent with the vote" });
+  }
+
+  if (voter.ipPrefix) {
+    const networkVotes = await ShowcaseVote.countDocuments({
+      showcase: showcaseId,
+      ipPrefix: voter.ipPrefix,
+      votedAt: { $gte: since },
+    });
+    if (networkVotes + 1 > config.networkLimit) {
+      flags.push({
+        code: "network-burst",
+        detail: `${networkVotes + 1} votes from ${voter.ipPrefix} within ${Math.round(
+          config.windowMs / 60000
+        )} minutes`,
+      });
+    }
+  }
+
+  if (voter.country) {
+    const [countryVotes, windowVotes] = await Promise.all([
+      ShowcaseVote.countDocuments({
+        showcase: showcaseId,
+        contestant: contestantId,
+        country: voter.country,
+        votedAt: { $gte: since },
+      }),
+      ShowcaseVote.countDocuments({ showcase: showcaseId, votedAt: { $gte: since } }),
+    ]);
+    if (
+      countryVotes + 1 > config.countryLimit &&
+      (countryVotes + 1) / (windowVotes + 1) >= config.countryShare
+    ) {
+      flags.push({
+        code: "country-burst",
+        detail: `${countryVotes + 1} of ${windowVotes + 1} recent votes from ${voter.country} for one contestant`,
+      });
+    }
+  }
+
+  return flags;
+}
+
+// Add (or with sign -1, remove) an accepted vote's weight on the contestant and showcase
+async function applyVoteWeight(vote, sign = 1) {
+  const weight = sign * (Number(vote.voteWeight) || 0);
+  if (!weight) return;
+  await Promise.all([
+    TalentContestant.updateOne({ _id: vote.contestant }, { $inc: { votes: weight } }),
+    TalentShowcase.updateOne({ _id: vote.showcase }, { $inc: { totalVotes: weight } }),
+  ]);
+}
+
+/**
+ * Accept or reject a vote after review. Accepting a quarantined vote adds its weight;
+ * rejecting an accepted one takes it away. Returns null when the vote isn't in a state
+ * the action applies to.
+ */
+async function reviewVote({ voteId, showcaseId, action, reviewedBy, note = null }) {
+  // Votes from before quarantine existed have no status and count as accepted
+  const fromStatuses = action === "accept" ? ["quarantined"] : ["quarantined", "accepted", null];
+  const previous = await ShowcaseVote.findOneAndUpdate(
+    { _id: voteId, showcase: showcaseId, status: { $in: fromStatuses } },
+    {
+      $set: {
+        status: action === "accept" ? "accepted" : "rejected",
+        review: { reviewedBy, reviewedAt: new Date(), note },
+      },
+    }
+  );
+  if (!previous) return null;
+
+  if (action === "accept") {
+    await applyVoteWeight(previous, 1);
+  } else if (previous.status === "accepted") {
+    await applyVoteWeight(previous, -1);
+  }
+  return { voteId: previous._id, from: previous.status };
+}
+
+module.exports = {
+  COUNTED_VOTE_FILTER,
+  describeVoter,
+  checkVote,
+  applyVoteWeight,
+  reviewVote,
+};